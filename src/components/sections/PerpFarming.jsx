@@ -3,8 +3,9 @@ import './PerpFarming.css'
 import asterLogo from '../../assets/aster_logo.png'
 import OrderManager from '../../services/orderManager'
 import { HopiumWebSocketClient } from '../../services/websocket'
-import AsterDexService from '../../services/dex/aster/AsterDexService'
+import { createDexService, getExchange, getExchanges, DEFAULT_EXCHANGE } from '../../services/dex/DexRegistry'
 import { useAuth } from '../../contexts/AuthContext'
+import tokenLifecycle from '../../services/tokenLifecycle'
 import API_CONFIG from '../../config/api'
 
 // Import modular components
@@ -17,6 +18,8 @@ import {
   MESSAGE_CLEANUP_INTERVAL,
   STATS_SAVE_INTERVAL,
   SIGNAL_STATUS_POLL_INTERVAL,
+  JOURNAL_RECONCILE_INTERVAL,
+  AUTO_MODE_ROUTING_KEY,
   RUNNING_SPEED_MULTIPLIER,
   IDLE_SPEED_MULTIPLIER
 } from './perpFarming/constants'
@@ -42,14 +45,26 @@ import SettingsModal from './perpFarming/components/SettingsModal'
 import StrategyBuilderModal from '../strategy-builder/StrategyBuilderModal'
 import { StrategyStorage } from '../../services/strategyBuilder/StrategyStorage'
 import { StrategyRunner } from '../../services/strategyBuilder/StrategyRunner'
+import TradeJournal from '../../services/tradeJournal'
+import SignalService from '../../services/signalService'
+import SessionRecorder from '../../services/sessionRecorder'
+import SessionReplay, { REPLAY_SPEEDS } from '../../services/sessionReplay'
+import { DEFAULT_RISK_LIMITS } from '../../services/riskLimits'
+import CircuitBreaker, { DEFAULT_CIRCUIT_BREAKER } from '../../services/circuitBreaker'
+import { DEFAULT_POSITION_SIZING } from '../../services/positionSizing'
+import { DEFAULT_CHASE_EXECUTION } from '../../services/chaseExecution'
+import { DEFAULT_TWAP_EXECUTION } from '../../services/twapExecution'
+import { DEFAULT_ENTRY_LADDER } from '../../services/entryLadder'
+import { DEFAULT_TAKE_PROFIT_LADDER } from '../../services/takeProfitLadder'
 
 function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChange, onModalStateChange }) {
   // Get auth context for WebSocket authentication
   const { authService } = useAuth()
   
   const [showModal, setShowModal] = useState(false)
-  const [asterApiKey, setAsterApiKey] = useState('')
-  const [asterSecretKey, setAsterSecretKey] = useState('')
+  const [exchangeCredentials, setExchangeCredentials] = useState({}) // exchange id -> { apiKey, secretKey }
+  const [strategyExchanges, setStrategyExchanges] = useState({}) // strategy id (or Auto Mode) -> exchange id
+  const [strategyLadders, setStrategyLadders] = useState({}) // server strategy id -> laddered (DCA) entry config
   const [capital, setCapital] = useState('')
   const [leverage, setLeverage] = useState(75)
   const [takeProfit, setTakeProfit] = useState(10)
@@ -57,12 +72,27 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
   const [tpSlMode, setTpSlMode] = useState('percent') // 'percent' or 'dollar'
   const [positionSize, setPositionSize] = useState(10)
   const [strategy, setStrategy] = useState('range_trading')
-  const [orderType, setOrderType] = useState('LIMIT') // 'LIMIT' or 'MARKET'
+  const [orderType, setOrderType] = useState('LIMIT') // 'LIMIT', 'MARKET' or 'CHASE' (post-only at best bid/ask)
+  const [chaseExecution, setChaseExecution] = useState(DEFAULT_CHASE_EXECUTION) // Chase limits and chased closes
+  const [twapExecution, setTwapExecution] = useState(DEFAULT_TWAP_EXECUTION) // Time-sliced execution of large orders
   const [orderTimeout, setOrderTimeout] = useState(120) // Order timeout in seconds (default 120)
+  const [autoCancelCountdown, setAutoCancelCountdown] = useState(60) // Exchange dead man's switch in seconds (0 = off)
+  const [autoCancelStatus, setAutoCancelStatus] = useState(null) // Live dead man's switch state from OrderManager
   const [autoMode, setAutoMode] = useState(false) // Auto Mode - Portfolio Scanner (replaces all other strategies)
   const [smartMode, setSmartMode] = useState(true) // Smart Mode - active position management
   const [smartModeMinPnl, setSmartModeMinPnl] = useState(-50) // Minimum PNL before Smart Mode can exit (default -$50)
   const [trustLowConfidence, setTrustLowConfidence] = useState(false) // Allow trading on low confidence signals
+  const [paperMode, setPaperMode] = useState(false) // Paper mode - simulated exchange, no real orders
+  const [recordSessions, setRecordSessions] = useState(false) // Record the signal WebSocket feed for export / replay
+  const [recordedSessions, setRecordedSessions] = useState([]) // Recorded sessions, newest first
+  const [replaySessionId, setReplaySessionId] = useState('') // Paper mode: replay this recording instead of live signals ('' = live)
+  const [replaySpeed, setReplaySpeed] = useState('10x') // Key of REPLAY_SPEEDS
+  const [replayProgress, setReplayProgress] = useState(null) // { played, total } while a replay runs
+  const [riskLimits, setRiskLimits] = useState(DEFAULT_RISK_LIMITS) // Concurrency / notional / leverage / correlation limits
+  const [circuitBreaker, setCircuitBreaker] = useState(DEFAULT_CIRCUIT_BREAKER) // Daily / rolling loss and drawdown limits
+  const [positionSizing, setPositionSizing] = useState(DEFAULT_POSITION_SIZING) // Capital % or dollar risk per trade (ATR / stop distance)
+  const [takeProfitLadder, setTakeProfitLadder] = useState(DEFAULT_TAKE_PROFIT_LADDER) // Partial take profits at R multiples
+  const [circuitBreakerState, setCircuitBreakerState] = useState({ tripped: false, reason: null, trippedAt: null }) // Lock state for the current account
   const [breakEvenMode, setBreakEvenMode] = useState(false)
   const [breakEvenLossTolerance, setBreakEvenLossTolerance] = useState(20) // Loss tolerance in dollars for breakeven mode
   const [trailingBreakEven, setTrailingBreakEven] = useState(false)
@@ -80,6 +110,7 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
   const [overallPnl, setOverallPnl] = useState(0)
   const [totalTrades, setTotalTrades] = useState(0)
   const [estimatedFees, setEstimatedFees] = useState(0)
+  const [journalSummary, setJournalSummary] = useState(null) // Realized PnL / funding / commission from the trade journal
   const [positionPnls, setPositionPnls] = useState([]) // Individual position PnLs: [{ symbol, pnl }, ...]
   const [showClosePositionModal, setShowClosePositionModal] = useState(false)
   const [selectedPositionToClose, setSelectedPositionToClose] = useState(null)
@@ -92,6 +123,8 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
   const [selectedPairs, setSelectedPairs] = useState(['BTCUSDT']) // Default to BTC, max 5
   const [loadingSymbols, setLoadingSymbols] = useState(false)
   const [portfolioPositions, setPortfolioPositions] = useState([]) // Track Auto Mode (Portfolio Scanner V2) positions
+  const [foreignPositions, setForeignPositions] = useState([]) // Untagged exchange positions awaiting adopt/ignore
+  const [staleFeeds, setStaleFeeds] = useState([]) // Subscribed pairs whose signal feed went quiet: [{ symbol, strategy, lastMessageAt }]
   const [excludedPairs, setExcludedPairs] = useState([]) // Pairs to exclude from Auto Mode (manual trading)
   const [showExclusionList, setShowExclusionList] = useState(false) // Toggle for exclusion list modal
   
@@ -99,6 +132,7 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
   const [showStrategyBuilder, setShowStrategyBuilder] = useState(false)
   const [customStrategies, setCustomStrategies] = useState([]) // Custom strategies from localStorage
   const customStrategyRunnersRef = useRef(new Map()) // Map of strategy_id -> StrategyRunner
+  const signalServiceRef = useRef(null) // Live server signals for custom strategy signal blocks
   
   // Notify parent when modal state changes
   useEffect(() => {
@@ -125,6 +159,38 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
   const signalStatusPollRef = useRef(null) // Track signal status poll interval
   const portfolioPositionsRef = useRef([]) // Current portfolio positions (for polling)
   const excludedPairsRef = useRef([]) // Current excluded pairs (for polling)
+  const tradeJournalRef = useRef(null) // IndexedDB trade journal (realized PnL, funding, commission)
+  const journalReconcileRef = useRef(null) // Journal reconciliation interval
+  const sessionRecorderRef = useRef(null) // IndexedDB WebSocket session recorder
+  const sessionReplayRef = useRef(null) // Running session replay
+
+  // Exchange routing: each strategy (or Auto Mode) trades on its own exchange with per-exchange keys
+  const routingKey = autoMode ? AUTO_MODE_ROUTING_KEY : strategy
+  const exchange = strategyExchanges[routingKey] || DEFAULT_EXCHANGE
+  const apiKey = exchangeCredentials[exchange]?.apiKey || ''
+  const secretKey = exchangeCredentials[exchange]?.secretKey || ''
+
+  const setExchange = (exchangeId) => {
+    setStrategyExchanges(prev => ({ ...prev, [routingKey]: exchangeId }))
+  }
+
+  // Laddered entries are chosen per server strategy (custom strategies use the Open Ladder block)
+  const entryLadder = { ...DEFAULT_ENTRY_LADDER, ...strategyLadders[strategy] }
+  const setEntryLadder = (update) => {
+    setStrategyLadders(prev => ({ ...prev, [strategy]: { ...DEFAULT_ENTRY_LADDER, ...prev[strategy], ...update } }))
+  }
+
+  const updateCredential = (field, value) => {
+    setExchangeCredentials(prev => ({
+      ...prev,
+      [exchange]: { ...prev[exchange], [field]: value }
+    }))
+  }
+  const setApiKey = (value) => updateCredential('apiKey', value)
+  const setSecretKey = (value) => updateCredential('secretKey', value)
+
+  // Circuit breaker locks are per account (matches DexService.getName())
+  const circuitBreakerAccount = paperMode ? 'paper' : exchange
 
   // Load settings from localStorage on mount
   useEffect(() => {
@@ -138,8 +204,12 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
           positionSize: settings.positionSize,
           autoMode: settings.autoMode
         })
-        setAsterApiKey(settings.asterApiKey || '')
-        setAsterSecretKey(settings.asterSecretKey || '')
+        // Settings saved before multi-exchange support only had Aster keys
+        setExchangeCredentials(settings.exchangeCredentials || (settings.asterApiKey
+          ? { aster: { apiKey: settings.asterApiKey, secretKey: settings.asterSecretKey || '' } }
+          : {}))
+        setStrategyExchanges(settings.strategyExchanges || {})
+        setStrategyLadders(settings.strategyLadders || {})
         setCapital(settings.capital || '')
         setLeverage(settings.leverage !== undefined ? settings.leverage : 75)
         setTakeProfit(settings.takeProfit !== undefined ? settings.takeProfit : 10)
@@ -149,10 +219,20 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
         setStrategy(settings.strategy || 'range_trading')
         setOrderType(settings.orderType || 'LIMIT')
         setOrderTimeout(settings.orderTimeout !== undefined ? settings.orderTimeout : 120)
+        setAutoCancelCountdown(settings.autoCancelCountdown !== undefined ? settings.autoCancelCountdown : 60)
         setAutoMode(settings.autoMode || false) // Auto Mode (Portfolio Scanner)
         setSmartMode(settings.smartMode !== undefined ? settings.smartMode : true) // Default enabled
         setSmartModeMinPnl(settings.smartModeMinPnl !== undefined ? settings.smartModeMinPnl : -50)
         setTrustLowConfidence(settings.trustLowConfidence || false)
+        setPaperMode(settings.paperMode || false)
+        setRecordSessions(settings.recordSessions || false)
+        setReplaySpeed(REPLAY_SPEEDS[settings.replaySpeed] ? settings.replaySpeed : '10x')
+        setRiskLimits({ ...DEFAULT_RISK_LIMITS, ...settings.riskLimits })
+        setCircuitBreaker({ ...DEFAULT_CIRCUIT_BREAKER, ...settings.circuitBreaker })
+        setPositionSizing({ ...DEFAULT_POSITION_SIZING, ...settings.positionSizing })
+        setChaseExecution({ ...DEFAULT_CHASE_EXECUTION, ...settings.chaseExecution })
+        setTwapExecution({ ...DEFAULT_TWAP_EXECUTION, ...settings.twapExecution })
+        setTakeProfitLadder({ ...DEFAULT_TAKE_PROFIT_LADDER, ...settings.takeProfitLadder })
         setBreakEvenMode(settings.breakEvenMode || false)
         setBreakEvenLossTolerance(settings.breakEvenLossTolerance !== undefined ? settings.breakEvenLossTolerance : 20)
         setTrailingBreakEven(settings.trailingBreakEven || false)
@@ -180,6 +260,57 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
     }
   }, [])
 
+  // Open trade journal (IndexedDB) and keep the stats summary in sync with it
+  useEffect(() => {
+    const journal = new TradeJournal()
+    const refreshSummary = () => {
+      journal.getSummary()
+        .then(setJournalSummary)
+        .catch(error => console.error('[PerpFarming] Failed to load journal summary:', error))
+    }
+    journal.onChange = refreshSummary
+
+    journal.open()
+      .then(() => {
+        tradeJournalRef.current = journal
+        refreshSummary()
+      })
+      .catch(error => {
+        // Fall back to the localStorage running estimates
+        console.warn('[PerpFarming] Trade journal unavailable:', error.message)
+      })
+
+    return () => {
+      journal.onChange = null
+      journal.close()
+      tradeJournalRef.current = null
+    }
+  }, [])
+
+  // Open the WebSocket session recorder (IndexedDB) and list what it has recorded
+  useEffect(() => {
+    const recorder = new SessionRecorder()
+
+    recorder.open()
+      .then(() => {
+        sessionRecorderRef.current = recorder
+        return refreshRecordedSessions()
+      })
+      .catch(error => {
+        console.warn('[PerpFarming] Session recorder unavailable:', error.message)
+      })
+
+    return () => {
+      recorder.close().catch(error => console.warn('[PerpFarming] Failed to close session recorder:', error.message))
+      sessionRecorderRef.current = null
+    }
+  }, [])
+
+  // Show the persisted circuit breaker lock for the selected account (survives reloads)
+  useEffect(() => {
+    setCircuitBreakerState(new CircuitBreaker({}, circuitBreakerAccount).getState())
+  }, [circuitBreakerAccount])
+
   // Load custom strategies from localStorage
   useEffect(() => {
     const strategies = StrategyStorage.getAll()
@@ -187,6 +318,74 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
     console.log('[PerpFarming] Loaded custom strategies:', strategies.length)
   }, [showStrategyBuilder]) // Reload when strategy builder closes
 
+  const refreshRecordedSessions = async () => {
+    if (!sessionRecorderRef.current) return
+    const sessions = await sessionRecorderRef.current.listSessions()
+    setRecordedSessions(sessions)
+    // Pruned or deleted recording can't be replayed
+    setReplaySessionId(prev => (sessions.some(session => session.id === prev) ? prev : ''))
+  }
+
+  // Download a recorded session as NDJSON
+  const handleExportSession = async (sessionId) => {
+    try {
+      const ndjson = await sessionRecorderRef.current.exportNdjson(sessionId)
+      const url = URL.createObjectURL(new Blob([ndjson], { type: 'application/x-ndjson' }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `hopium-session-${sessionId}.ndjson`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      handleError(`Failed to export session: ${error.message}`)
+    }
+  }
+
+  // Store an NDJSON export as a recording and select it for replay
+  const handleImportSession = async (file) => {
+    try {
+      if (!sessionRecorderRef.current) {
+        throw new Error('Session recorder unavailable')
+      }
+      const session = await sessionRecorderRef.current.importNdjson(await file.text())
+      await refreshRecordedSessions()
+      setReplaySessionId(session.id)
+    } catch (error) {
+      handleError(`Failed to import session: ${error.message}`)
+    }
+  }
+
+  // Feed a recorded session through the signal handlers instead of the server
+  const startReplay = async (wsClient, dexService, settings) => {
+    const replay = new SessionReplay(wsClient, dexService)
+    sessionReplayRef.current = replay
+
+    try {
+      const messages = await sessionRecorderRef.current.getMessages(settings.replaySessionId)
+      if (messages.length === 0) {
+        throw new Error('Recorded session has no messages')
+      }
+
+      setReplayProgress({ played: 0, total: messages.length })
+      const result = await replay.play(messages, {
+        speed: REPLAY_SPEEDS[settings.replaySpeed] || REPLAY_SPEEDS['1x'],
+        onProgress: ({ played, total }) => setReplayProgress({ played, total })
+      })
+
+      const summary = result.stopped
+        ? `Replay stopped after ${result.played}/${result.total} messages`
+        : `Replay finished - ${result.total} messages played${result.handlerErrors ? `, ${result.handlerErrors} handler error(s)` : ''}`
+      setBotMessage(summary)
+      if (onBotMessageChange) onBotMessageChange(summary)
+    } catch (error) {
+      handleError(`Session replay failed: ${error.message}`)
+    } finally {
+      if (sessionReplayRef.current === replay) {
+        sessionReplayRef.current = null
+      }
+    }
+  }
+
   // Fetch available symbols from API
   const fetchAvailableSymbols = async () => {
     setLoadingSymbols(true)
@@ -244,6 +443,9 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
         if (order.symbol) activeSymbols.add(order.symbol)
       })
     }
+
+    // Entries/closes being worked by chase or TWAP (no tracked order until something fills)
+    status.executions?.forEach(execution => activeSymbols.add(execution.symbol))
     
     // Filter messages to only include active symbols
     const filtered = {}
@@ -279,7 +481,11 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
     }
     
     lastMessageUpdateRef.current[symbol] = now
-    
+    applyBotMessage(symbol, message)
+  }
+
+  // Set a symbol's bot message right away (no throttle)
+  const applyBotMessage = (symbol, message) => {
     setBotMessages(prev => {
       const updated = { ...prev, [symbol]: message }
       
@@ -306,15 +512,41 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
     })
   }
 
+  // Chase/TWAP progress from OrderManager.runExecution()
+  const showExecutionProgress = (execution) => {
+    const algo = execution.algo === 'twap' ? 'TWAP' : 'Chase'
+    const filled = execution.quantity > 0
+      ? `${Math.round((execution.filledQty / execution.quantity) * 100)}% filled (${execution.filledQty}/${execution.quantity})`
+      : ''
+
+    let message
+    if (execution.status === 'done') {
+      message = `✅ ${algo} ${execution.side} finished${filled ? ` - ${filled}` : ''}`
+    } else if (execution.status === 'paused') {
+      message = `⏸️ ${algo} ${execution.side} paused - spread ${execution.spreadPercent.toFixed(3)}% too wide${filled ? ` · ${filled}` : ''}`
+    } else if (execution.algo === 'twap' && execution.slice) {
+      message = `🧩 ${algo} ${execution.side} slice ${execution.slice}/${execution.slices} · ${filled}`
+    } else {
+      message = `${execution.algo === 'twap' ? '🧩' : '🏃'} ${algo} ${execution.side} working${filled ? ` · ${filled}` : ''}`
+    }
+    applyBotMessage(execution.symbol, message)
+  }
+
   const formatPercentage = (value) => {
     return value === 0 ? 'None' : `${value}%`
   }
 
   // Helper function to close a position and update stats
-  const closePosition = async (orderManager, symbol, currentNetPnl) => {
+  // Stops pass { market: true } - they must not wait for a maker fill
+  const closePosition = async (orderManager, symbol, currentNetPnl, reason = 'Close', { market = false } = {}) => {
     try {
-      // Close position in chunks (respecting market lot size limits)
-      await closePositionInChunks(orderManager, symbol, '[ClosePosition]')
+      if (!market && orderManager.hasManagedExits()) {
+        // Chased (post-only) or sliced (TWAP) close - OrderManager picks the algorithm
+        await orderManager.closePosition(symbol, null, reason)
+      } else {
+        // Close position in chunks (respecting market lot size limits)
+        await closePositionInChunks(orderManager, symbol, '[ClosePosition]', reason)
+      }
       
       // IMMEDIATELY update overall stats with the Net PNL we have right now
       setOverallPnl(prev => {
@@ -400,7 +632,7 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
       console.log(`[Manual Close] Closing ${symbol} with Net PNL: $${pnl.toFixed(2)}`)
       
       // Close the position
-      await closePosition(orderManagerRef.current, symbol, pnl)
+      await closePosition(orderManagerRef.current, symbol, pnl, 'Manual close')
       
       // Remove from portfolio positions if in Auto Mode
       setPortfolioPositions(prev => prev.filter(p => p.symbol !== symbol))
@@ -437,15 +669,15 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
     let isValid = true
     setValidationError('') // Clear any previous errors
 
-    // Validate API key
-    if (!asterApiKey || asterApiKey.trim() === '') {
+    // Validate API key (not needed in paper mode)
+    if (!paperMode && (!apiKey || apiKey.trim() === '')) {
       setShakeApiKey(true)
       setTimeout(() => setShakeApiKey(false), 500)
       isValid = false
     }
 
     // Validate API secret
-    if (!asterSecretKey || asterSecretKey.trim() === '') {
+    if (!paperMode && (!secretKey || secretKey.trim() === '')) {
       setShakeSecretKey(true)
       setTimeout(() => setShakeSecretKey(false), 500)
       isValid = false
@@ -463,27 +695,44 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
       return
     }
 
-    // Validate API keys against Aster API
+    if (circuitBreakerState.tripped) {
+      const lockMessage = `Trading is locked by the circuit breaker (${circuitBreakerState.reason}). Reset it from the panel to trade again.`
+      setValidationError(lockMessage)
+      handleError(lockMessage)
+      return
+    }
+
+    // Validate API keys against the selected exchange (paper mode trades a simulated account)
     setIsValidating(true)
     setValidationError('')
     try {
-      const dexService = new AsterDexService()
-      await dexService.initialize({
-        apiKey: asterApiKey.trim(),
-        secretKey: asterSecretKey.trim()
-      })
-      
-      // Validate credentials by making an API call
-      await dexService.validateCredentials()
+      if (!paperMode) {
+        const dexService = createDexService(exchange)
+        await dexService.initialize({
+          apiKey: apiKey.trim(),
+          secretKey: secretKey.trim()
+        })
+        
+        // Validate credentials by making an API call
+        await dexService.validateCredentials()
+      }
       
       // Credentials are valid - proceed
       setIsValidating(false)
       setValidationError('')
       
       // Save settings
+      const trimmedCredentials = Object.fromEntries(
+        Object.entries(exchangeCredentials).map(([exchangeId, credentials]) => [exchangeId, {
+          apiKey: (credentials?.apiKey || '').trim(),
+          secretKey: (credentials?.secretKey || '').trim()
+        }])
+      )
       const settings = {
-        asterApiKey: asterApiKey.trim(),
-        asterSecretKey: asterSecretKey.trim(),
+        exchange, // Exchange resolved for this strategy
+        exchangeCredentials: trimmedCredentials,
+        strategyExchanges,
+        strategyLadders,
         capital,
         leverage,
         takeProfit,
@@ -492,11 +741,21 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
         positionSize,
         strategy,
         orderType,
+        chaseExecution,
+        twapExecution,
         orderTimeout,
+        autoCancelCountdown,
         autoMode, // Auto Mode (Portfolio Scanner)
         smartMode,
         smartModeMinPnl,
         trustLowConfidence,
+        paperMode,
+        recordSessions,
+        replaySpeed,
+        riskLimits,
+        circuitBreaker,
+        positionSizing,
+        takeProfitLadder,
         breakEvenMode,
         breakEvenLossTolerance,
         trailingBreakEven,
@@ -524,8 +783,9 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
       }))
 
       // Initialize OrderManager and WebSocket (non-blocking)
+      // The replay selection is per run - it is not saved with the settings
       try {
-        await startTrading(settings)
+        await startTrading({ ...settings, replaySessionId: paperMode ? replaySessionId : '' })
       } catch (error) {
         handleError(`Failed to start trading: ${error.message}`)
         // Don't set isRunning to false here - let user manually stop if needed
@@ -556,10 +816,93 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
     }
   }
 
+  // Circuit breaker tripped: stop custom strategies, optionally flatten everything, keep trading locked
+  // OrderManager has already cancelled open orders and keeps blocking entries until reset
+  const handleCircuitBreakerTrip = async (orderManager, reason, flatten) => {
+    customStrategyRunnersRef.current.forEach(runner => runner.stop())
+    setCircuitBreakerState(orderManager.circuitBreaker.getState())
+    setBotMessage(`🛑 ${reason} - trading locked`)
+    if (onBotMessageChange) onBotMessageChange(`🛑 ${reason} - trading locked`)
+    handleError(`Circuit breaker tripped: ${reason}`)
+
+    if (!flatten) return
+
+    try {
+      const positions = await orderManager.dexService.getAllPositions()
+      for (const position of positions) {
+        if (parseFloat(position.positionAmt || '0') === 0) continue
+        try {
+          await closePositionInChunks(orderManager, position.symbol, '[CircuitBreaker]', 'Circuit breaker')
+        } catch (error) {
+          handleError(`Circuit breaker failed to close ${position.symbol}: ${error.message}`)
+        }
+      }
+    } catch (error) {
+      handleError(`Circuit breaker failed to load positions: ${error.message}`)
+    }
+
+    setPortfolioPositions([])
+    signalHistoryRef.current.clear()
+    peakPnlPerSymbolRef.current.clear()
+    trailingStopPerSymbolRef.current.clear()
+  }
+
+  // Foreign position decisions from the panel
+  const handleAdoptForeignPosition = async (symbol) => {
+    const orderManager = orderManagerRef.current
+    if (!orderManager) return
+
+    try {
+      await orderManager.adoptForeignPosition(symbol)
+      setTradingSymbols(prev => prev.includes(symbol) ? prev : [...prev, symbol])
+    } catch (error) {
+      handleError(`Failed to adopt ${symbol}: ${error.message}`)
+    }
+    setForeignPositions(orderManager.getForeignPositions())
+  }
+
+  const handleIgnoreForeignPosition = (symbol) => {
+    const orderManager = orderManagerRef.current
+    if (!orderManager) return
+
+    orderManager.ignoreForeignPosition(symbol)
+    setForeignPositions(orderManager.getForeignPositions())
+  }
+
+  // Manual reset from the panel - unlocks entries and resumes stopped custom strategies
+  const handleResetCircuitBreaker = () => {
+    if (!window.confirm('Reset the circuit breaker and resume trading?')) {
+      return
+    }
+
+    const breaker = orderManagerRef.current?.circuitBreaker || new CircuitBreaker({}, circuitBreakerAccount)
+    breaker.reset()
+    setCircuitBreakerState(breaker.getState())
+
+    if (orderManagerRef.current) {
+      customStrategyRunnersRef.current.forEach(runner => runner.start())
+      setBotMessage('Circuit breaker reset - waiting for signals...')
+      if (onBotMessageChange) onBotMessageChange('Circuit breaker reset - waiting for signals...')
+    }
+  }
+
   const startTrading = async (settings) => {
     // Initialize OrderManager
     const orderManager = new OrderManager()
     orderManager.onError = handleError
+    orderManager.onEntryBlocked = (symbol, reason) => {
+      setBotMessage(`🚫 ${reason}`)
+      if (onBotMessageChange) onBotMessageChange(`🚫 ${reason}`)
+    }
+    orderManager.onExecutionProgress = showExecutionProgress
+    orderManager.onCircuitBreakerTrip = (reason, { flatten }) => handleCircuitBreakerTrip(orderManager, reason, flatten)
+    orderManager.onReconciled = ({ adoptedPositions, foreignPositions: foreign }) => {
+      setForeignPositions(foreign)
+      if (adoptedPositions > 0) {
+        const trackedSymbols = Array.from(orderManager.activePositions.keys())
+        setTradingSymbols(prev => Array.from(new Set([...prev, ...trackedSymbols])))
+      }
+    }
     
     const capitalParsed = parseFloat(settings.capital)
     console.log('[PerpFarming] Initializing OrderManager with settings:', {
@@ -571,8 +914,9 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
     
     try {
       await orderManager.initialize({
-        apiKey: settings.asterApiKey,
-        secretKey: settings.asterSecretKey,
+        exchange: settings.exchange,
+        apiKey: settings.exchangeCredentials[settings.exchange]?.apiKey,
+        secretKey: settings.exchangeCredentials[settings.exchange]?.secretKey,
         capital: capitalParsed,
         leverage: settings.leverage,
         takeProfit: settings.takeProfit,
@@ -580,13 +924,67 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
         tpSlMode: settings.tpSlMode,
         positionSize: settings.positionSize,
         orderType: settings.orderType,
+        chaseExecution: settings.chaseExecution,
+        twapExecution: settings.twapExecution,
+        autoCancelCountdown: settings.autoCancelCountdown,
         trustLowConfidence: settings.trustLowConfidence,
-        autoMode: settings.autoMode
+        autoMode: settings.autoMode,
+        paperMode: settings.paperMode,
+        replayMode: Boolean(settings.replaySessionId),
+        riskLimits: settings.riskLimits,
+        circuitBreaker: settings.circuitBreaker,
+        positionSizing: settings.positionSizing,
+        entryLadder: settings.autoMode ? null : settings.strategyLadders?.[settings.strategy],
+        takeProfitLadder: settings.autoMode ? null : settings.takeProfitLadder
       })
       
+      // Record entries/exits in the trade journal and reconcile them with exchange fills
+      // (paper fills stay out of the journal - it tracks real funds only)
+      if (!settings.paperMode) {
+        orderManager.tradeJournal = tradeJournalRef.current
+      }
+      if (orderManager.tradeJournal) {
+        journalReconcileRef.current = setInterval(() => {
+          tradeJournalRef.current?.reconcile(orderManager.dexService).catch(error => {
+            console.warn('[PerpFarming] Journal reconciliation failed:', error.message)
+          })
+        }, JOURNAL_RECONCILE_INTERVAL)
+      }
+      
       orderManager.start()
       orderManagerRef.current = orderManager
       
+      // Custom strategies run locally against the same DEX service (paper or live)
+      const customStrategy = !settings.autoMode ? StrategyStorage.get(settings.strategy) : null
+      if (customStrategy) {
+        orderManager.onClosePosition = (symbol) => closePositionInChunks(orderManager, symbol, '[StrategyRunner]', 'Custom strategy')
+        
+        const runner = new StrategyRunner(customStrategy, orderManager, orderManager.dexService, (logEntry) => {
+          if (logEntry.level === 'error') {
+            handleError(`[${logEntry.strategyName}] ${logEntry.message}`)
+          }
+        })
+        
+        // Signal blocks read live server signals over a dedicated WebSocket connection
+        if (runner.getSignalStrategies().length > 0) {
+          const signalService = new SignalService()
+          orderManager.signalService = signalService
+          signalServiceRef.current = signalService
+          
+          const token = authService.getToken()
+          if (token) {
+            signalService.connect(token).catch(error => {
+              handleError(`Signal service connection failed: ${error.message || 'Server not reachable'}. Signal blocks will evaluate to false.`)
+            })
+          } else {
+            handleError('Not authenticated - custom strategy signal blocks will evaluate to false')
+          }
+        }
+        
+        runner.start()
+        customStrategyRunnersRef.current.set(customStrategy.id, runner)
+      }
+      
       // Set trading symbols from settings (only if NOT in Auto Mode)
       const tradingPairs = settings.selectedPairs || ['BTCUSDT']
       if (!settings.autoMode) {
@@ -596,37 +994,9 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
         setTradingSymbols([])
       }
       
-      // Check for existing positions on ALL selected pairs on startup (only in manual mode)
-      if (!settings.autoMode) {
-        try {
-          for (const symbol of tradingPairs) {
-            const existingPosition = await orderManager.dexService.getPosition(symbol)
-            const positionAmt = parseFloat(existingPosition.positionAmt || '0')
-            
-            if (positionAmt !== 0) {
-              console.log(`[PerpFarming] 🔍 Detected existing position on ${symbol}:`, {
-                symbol: symbol,
-                size: positionAmt,
-                entryPrice: existingPosition.entryPrice,
-                unrealizedPnL: existingPosition.unRealizedProfit
-              })
-              
-              // Add position to tracking immediately
-              orderManager.activePositions.set(symbol, {
-                symbol: symbol,
-                side: positionAmt > 0 ? 'LONG' : 'SHORT',
-                quantity: Math.abs(positionAmt),
-                entryPrice: parseFloat(existingPosition.entryPrice || '0')
-              })
-              
-              console.log(`[PerpFarming] ✅ Existing position on ${symbol} is now being tracked`)
-            }
-          }
-          console.log(`[PerpFarming] Checked ${tradingPairs.length} pairs for existing positions`)
-        } catch (error) {
-          console.warn('[PerpFarming] Could not check for existing positions:', error.message)
-        }
-      } else {
+      // Positions/orders from a previous session are adopted by orderManager.reconcile() (run by start());
+      // untagged positions are listed in the panel for the user to adopt or ignore
+      if (settings.autoMode) {
         console.log('[PerpFarming] Auto Mode enabled - waiting for hourly scanner signals')
       }
       
@@ -670,7 +1040,7 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
                 
                 if (isInvalidated) {
                   console.log(`[Local Invalidation] 🚨 ${position.symbol} ${portfolioPos.side} invalidated: price $${markPrice} crossed $${invalidationPrice}`)
-                  await closePosition(orderManager, position.symbol, symbolNetPnl)
+                  await closePosition(orderManager, position.symbol, symbolNetPnl, 'Invalidation price crossed', { market: true })
                   setPortfolioPositions(prev => prev.filter(p => p.symbol !== position.symbol))
                   continue // Skip to next position
                 }
@@ -726,7 +1096,7 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
                 if (slHit) {
                   console.log(`[Auto Trailing] 🛑 ${position.symbol} Trailing SL HIT! Price $${markPrice} hit SL $${currentSL}`)
                   console.log(`[Auto Trailing] Initial TP PNL: $${tpHitPnl.toFixed(2)}, Final PNL: $${symbolNetPnl.toFixed(2)}`)
-                  await closePosition(orderManager, position.symbol, symbolNetPnl)
+                  await closePosition(orderManager, position.symbol, symbolNetPnl, 'Trailing SL', { market: true })
                   setPortfolioPositions(prev => prev.filter(p => p.symbol !== position.symbol))
                   continue
                 }
@@ -840,7 +1210,11 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
               
               // Calculate individual position net PnL
               const positionNetPnl = unrealizedProfit - totalPosFees
-              individualPnls.push({ symbol: position.symbol, pnl: positionNetPnl })
+              individualPnls.push({
+                symbol: position.symbol,
+                pnl: positionNetPnl,
+                takeProfit: orderManager.getTakeProfitProgress(position.symbol) // Partial targets hit (null without a ladder)
+              })
               
               totalPnlDollars += unrealizedProfit
               totalFees += totalPosFees
@@ -1008,7 +1382,7 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
                     // Protects positions that go negative without ever reaching positive peak
                     if (hardStopLoss > 0 && symbolNetPnl <= -hardStopLoss) {
                       console.log(`[Hard SL] ${symbol} Stop Hit: Net PNL $${symbolNetPnl.toFixed(2)} <= -$${hardStopLoss.toFixed(2)}`)
-                      await closePosition(orderManager, symbol, symbolNetPnl)
+                      await closePosition(orderManager, symbol, symbolNetPnl, 'Hard SL', { market: true })
                       peakPnlPerSymbolRef.current.delete(symbol)
                       trailingStopPerSymbolRef.current.delete(symbol)
                       continue // Skip to next position
@@ -1030,7 +1404,7 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
                       // Check if current PNL dropped below trailing stop for this symbol
                       if (symbolNetPnl <= symbolTrailingStop) {
                         console.log(`[Trailing] ${symbol} Stop Hit: Net PNL $${symbolNetPnl.toFixed(2)} <= Trailing Stop $${symbolTrailingStop.toFixed(2)} (Peak: $${symbolPeak.toFixed(2)}, Increment: $${increment})`)
-                        await closePosition(orderManager, symbol, symbolNetPnl)
+                        await closePosition(orderManager, symbol, symbolNetPnl, 'Trailing', { market: true })
                         // Remove from tracking
                         peakPnlPerSymbolRef.current.delete(symbol)
                         trailingStopPerSymbolRef.current.delete(symbol)
@@ -1236,14 +1610,29 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
       
       // Connect WebSocket (non-blocking - if it fails, we still allow trading)
       try {
-        // Get authentication token for WebSocket
+        // Get authentication token for WebSocket (a replay never connects)
         const token = authService.getToken()
-        if (!token) {
+        if (!token && !settings.replaySessionId) {
           throw new Error('Not authenticated. Please connect wallet and sign in.')
         }
 
         const wsClient = new HopiumWebSocketClient()
         
+        // Fills/closes may have happened while the signal connection was down - reconcile
+        // once the client has restored the pair subscriptions after a reconnect
+        wsClient.onResubscribed = ({ subscriptions, attempts }) => {
+          console.log(`[PerpFarming] Signal WebSocket back after ${attempts} attempt(s) - ${subscriptions.length} subscription(s) restored`)
+          orderManager.reconcile().catch(error => {
+            handleError(`Failed to reconcile positions after reconnect: ${error.message}`)
+          })
+        }
+        
+        // Quiet feeds (half-open socket, server stopped publishing a pair) - no new entries from them
+        wsClient.onStale = ({ symbol, strategy, stale }) => {
+          orderManager.setFeedStale(symbol, strategy, stale)
+          setStaleFeeds(wsClient.getStaleFeeds())
+        }
+        
         // Handle subscription confirmation - track subscribed symbols
         wsClient.onSubscribed = (symbol) => {
           console.log(`[PerpFarming] Subscribed to ${symbol}`)
@@ -1286,22 +1675,15 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
           try {
             console.log('[PerpFarming] Received range trading data:', summaryData)
             
-            // New format: { symbol, strategy, payload: { summary, timestamp, range_1h, range_4h, range_24h, volume_profile, key_levels, tp_price, sl_price, risk_reward, confluence_score, range_data } }
-            
-            // Defensive: ignore if malformed
-            if (!summaryData || !summaryData.payload) {
-              console.log('[PerpFarming] No payload found in summary message')
-              return
-            }
-            
-            const { symbol, payload } = summaryData
-            const { summary, range_data, range_1h, range_4h, range_24h } = payload
+            // Validated by the WebSocket client: { symbol, strategy, timestamp, data: { summary, range_1h, range_4h, range_24h, volume_profile, key_levels, tp_price, sl_price, risk_reward, confluence_score, range_data } }
+            const { symbol, data } = summaryData
+            const { summary, range_24h } = data
             
             console.log('[PerpFarming] Parsed range trading summary:', { 
               symbol, 
               side: summary?.entry?.side,
               severity: summary?.severity,
-              confluence_score: payload?.confluence_score,
+              confluence_score: data.confluence_score,
               range_24h 
             })
             
@@ -1338,9 +1720,32 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
           
           // Check if requires re-authentication
           if (error.payload?.requiresReauth) {
-            console.log('[PerpFarming] Authentication expired - showing re-auth modal')
-            // Show modal instead of stopping silently
-            setShowAuthModal(true)
+            // Refresh the token - the client reconnects with it and restores its subscriptions
+            console.log('[PerpFarming] Authentication expired - refreshing token')
+            tokenLifecycle.refresh().catch(refreshError => {
+              console.log('[PerpFarming] Token refresh failed - showing re-auth modal:', refreshError.message)
+              // Show modal instead of stopping silently
+              setShowAuthModal(true)
+            })
+          }
+        }
+        
+        // Replay: recorded messages go through the same handlers, priced on the replay exchange
+        if (settings.replaySessionId) {
+          console.log(`[PerpFarming] ⏪ Replaying recorded session ${settings.replaySessionId} at ${settings.replaySpeed}`)
+          wsClientRef.current = wsClient
+          startReplay(wsClient, orderManager.dexService, settings)
+          return
+        }
+        
+        // Record the live feed so this session can be exported / replayed later
+        if (settings.recordSessions && sessionRecorderRef.current) {
+          try {
+            const mode = settings.autoMode ? 'Auto Mode' : settings.strategy
+            await sessionRecorderRef.current.start(`${mode} ${tradingPairs.join(', ')}${settings.paperMode ? ' (paper)' : ''}`)
+            wsClient.recorder = sessionRecorderRef.current
+          } catch (error) {
+            console.warn('[PerpFarming] Session recording unavailable:', error.message)
           }
         }
         
@@ -1349,7 +1754,10 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
         
         // Only subscribe to manual strategies if Auto Mode is disabled
         // Auto Mode receives portfolio_picks broadcasts automatically
-        if (!settings.autoMode) {
+        if (customStrategyRunnersRef.current.has(settings.strategy)) {
+          // Custom strategies are evaluated locally by StrategyRunner - no server subscription
+          console.log(`[PerpFarming] Custom strategy ${settings.strategy} running locally`)
+        } else if (!settings.autoMode) {
           // Subscribe to all selected pairs with manual strategy
           for (const symbol of tradingPairs) {
             wsClient.subscribe(symbol, settings.strategy)
@@ -1398,7 +1806,10 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
                   signalHistory: []
                 }
                 
-                orderManager.activePositions.set(symbol, posData)
+                // Keep metadata from reconciliation if the position was already adopted
+                if (!orderManager.activePositions.has(symbol)) {
+                  orderManager.activePositions.set(symbol, posData)
+                }
                 
                 resumedPositions.push({
                   symbol: symbol,
@@ -1425,6 +1836,7 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
               
               setPortfolioPositions(resumedPositions)
               setTradingSymbols(allowedPositions.map(p => p.symbol))
+              setForeignPositions(orderManager.getForeignPositions())
               
               setBotMessages({})
               lastMessageUpdateRef.current = {}
@@ -1485,12 +1897,24 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
       if (wsClientRef.current) {
         wsClientRef.current.disconnect()
       }
+      if (signalServiceRef.current) {
+        signalServiceRef.current.disconnect()
+      }
+      sessionReplayRef.current?.stop()
       if (pnlPollIntervalRef.current) {
         clearInterval(pnlPollIntervalRef.current)
       }
     }
   }, [])
 
+  // Refreshed auth tokens go straight to the live WebSocket connections (subscriptions stay up)
+  useEffect(() => {
+    return authService.addTokenListener((token) => {
+      wsClientRef.current?.setToken(token)
+      signalServiceRef.current?.setToken(token)
+    })
+  }, [])
+
   // Set up error handler for RobotWidget
   useEffect(() => {
     errorHandlerRef.current = (error) => {
@@ -1511,6 +1935,21 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
     return () => clearInterval(saveInterval)
   }, [isRunning, overallPnl, totalTrades])
 
+  // Refresh the dead man's switch indicator every second while running
+  useEffect(() => {
+    if (!isRunning) {
+      setAutoCancelStatus(null)
+      return
+    }
+
+    const indicatorInterval = setInterval(() => {
+      const status = orderManagerRef.current?.getAutoCancelStatus()
+      setAutoCancelStatus(status?.enabled ? { ...status, now: Date.now() } : null)
+    }, 1000)
+
+    return () => clearInterval(indicatorInterval)
+  }, [isRunning])
+
   // Periodically clean up messages for symbols without active positions
   useEffect(() => {
     if (!isRunning || !orderManagerRef.current) return
@@ -1639,18 +2078,40 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
       orderManagerRef.current = null
     }
 
+    // Stop custom strategy runners
+    customStrategyRunnersRef.current.forEach(runner => runner.stop())
+    customStrategyRunnersRef.current.clear()
+    if (signalServiceRef.current) {
+      signalServiceRef.current.disconnect()
+      signalServiceRef.current = null
+    }
+
     // Disconnect WebSocket
     if (wsClientRef.current) {
       wsClientRef.current.disconnect()
       wsClientRef.current = null
     }
 
+    // Stop a running replay and finish the recording
+    sessionReplayRef.current?.stop()
+    if (sessionRecorderRef.current?.isRecording()) {
+      sessionRecorderRef.current.stop()
+        .then(refreshRecordedSessions)
+        .catch(error => console.warn('[PerpFarming] Failed to finish session recording:', error.message))
+    }
+
     // Stop PNL polling
     if (pnlPollIntervalRef.current) {
       clearInterval(pnlPollIntervalRef.current)
       pnlPollIntervalRef.current = null
     }
 
+    // Stop journal reconciliation
+    if (journalReconcileRef.current) {
+      clearInterval(journalReconcileRef.current)
+      journalReconcileRef.current = null
+    }
+
     // Clear Smart Mode signal history
     signalHistoryRef.current.clear()
     
@@ -1661,6 +2122,9 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
     setIsRunning(false)
     if (onBotStatusChange) onBotStatusChange(false)
     setTradingSymbols([])
+    setForeignPositions([])
+    setStaleFeeds([])
+    setReplayProgress(null)
     setAllowedEquity('')
     setPnl(0)
     setPrevPnl(0)
@@ -1673,8 +2137,8 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
     setShowAuthModal(false)
     
     try {
-      // Re-authenticate through AuthContext
-      await authService.authenticate()
+      // New challenge + wallet signature - the token listener hands the token to the WebSocket clients
+      await tokenLifecycle.refresh()
       
       // If auth was successful, bot will continue running
       console.log('[PerpFarming] Re-authentication successful')
@@ -1697,7 +2161,8 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
       try {
         const settings = JSON.parse(savedSettings)
         // Verify all required fields exist
-        if (settings.asterApiKey && settings.asterSecretKey && settings.capital) {
+        const credentials = settings.exchangeCredentials?.[settings.exchange]
+        if ((settings.paperMode || (credentials?.apiKey && credentials?.secretKey)) && settings.capital) {
           // Settings exist, start trading directly
           handleStart()
         } else {
@@ -1773,6 +2238,10 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
     return offsetDelay
   }
 
+  // Prefer exchange-reconciled journal totals; fall back to running estimates if IndexedDB is unavailable
+  const displayPnl = journalSummary ? journalSummary.netPnl : overallPnl
+  const displayTrades = journalSummary ? journalSummary.totalTrades : totalTrades
+
   return (
     <div className="section perp-farming">
       <div 
@@ -1807,15 +2276,46 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
             <div className="stats-row">
               <div className="stat-item">
                 <div className="stat-label">Overall P/L</div>
-                <div className={`stat-value ${overallPnl > 0 ? 'positive' : overallPnl < 0 ? 'negative' : 'neutral'}`}>
-                  {overallPnl > 0 ? '+' : ''}{overallPnl < 0 ? '-' : ''}${Math.abs(overallPnl).toFixed(2)}
+                <div className={`stat-value ${displayPnl > 0 ? 'positive' : displayPnl < 0 ? 'negative' : 'neutral'}`}>
+                  {displayPnl > 0 ? '+' : ''}{displayPnl < 0 ? '-' : ''}${Math.abs(displayPnl).toFixed(2)}
                 </div>
               </div>
               <div className="stat-item">
                 <div className="stat-label">Total Trades</div>
-                <div className="stat-value">{totalTrades}</div>
+                <div className="stat-value">{displayTrades}</div>
               </div>
             </div>
+            {journalSummary && (
+              <div className="stats-row journal-stats">
+                <div className="stat-item">
+                  <div className="stat-label">Realized</div>
+                  <div className={`stat-value ${journalSummary.realizedPnl > 0 ? 'positive' : journalSummary.realizedPnl < 0 ? 'negative' : 'neutral'}`}>
+                    {journalSummary.realizedPnl > 0 ? '+' : ''}{journalSummary.realizedPnl < 0 ? '-' : ''}${Math.abs(journalSummary.realizedPnl).toFixed(2)}
+                  </div>
+                </div>
+                <div className="stat-item">
+                  <div className="stat-label">Funding</div>
+                  <div className={`stat-value ${journalSummary.funding > 0 ? 'positive' : journalSummary.funding < 0 ? 'negative' : 'neutral'}`}>
+                    {journalSummary.funding > 0 ? '+' : ''}{journalSummary.funding < 0 ? '-' : ''}${Math.abs(journalSummary.funding).toFixed(2)}
+                  </div>
+                </div>
+                <div className="stat-item">
+                  <div className="stat-label">Commission</div>
+                  <div className="stat-value neutral">${journalSummary.commission.toFixed(2)}</div>
+                </div>
+                {journalSummary.makerVolume > 0 && (
+                  <div
+                    className="stat-item"
+                    title={`Maker $${journalSummary.makerVolume.toFixed(0)} / taker $${journalSummary.takerVolume.toFixed(0)} volume - saved vs paying taker fees on all of it`}
+                  >
+                    <div className="stat-label">
+                      Maker {Math.round((journalSummary.makerVolume / (journalSummary.makerVolume + journalSummary.takerVolume)) * 100)}%
+                    </div>
+                    <div className="stat-value positive">+${journalSummary.makerSavings.toFixed(2)}</div>
+                  </div>
+                )}
+              </div>
+            )}
             <button 
               className="reset-stats-button"
               onClick={() => {
@@ -1823,6 +2323,9 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
                   setOverallPnl(0)
                   setTotalTrades(0)
                   saveStats(STATS_STORAGE_KEY, 0, 0)
+                  tradeJournalRef.current?.clear().catch(error => {
+                    console.error('[PerpFarming] Failed to clear trade journal:', error)
+                  })
                 }
               }}
             >
@@ -1840,7 +2343,7 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
 
           {isRunning && tradingSymbols.length > 0 && (
             <div className="trading-status">
-              Trading {tradingSymbols.join(', ')}
+              {paperMode ? '📝 Paper trading' : 'Trading'} {tradingSymbols.join(', ')} on {getExchange(exchange)?.label || exchange}
             </div>
           )}
           {isRunning && tradingSymbols.length === 0 && (
@@ -1865,7 +2368,7 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
                   Fees: ${estimatedFees.toFixed(2)}
                 </div>
               )}
-              {positionPnls.length > 1 && (
+              {(positionPnls.length > 1 || positionPnls.some(pos => pos.takeProfit)) && (
                 <div className="individual-pnls">
                   {positionPnls.map((pos, index) => (
                     <div 
@@ -1878,6 +2381,19 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
                       <span className="position-pnl-value">
                         {pos.pnl > 0 ? '+' : ''}{pos.pnl < 0 ? '-' : ''}${Math.abs(pos.pnl).toFixed(2)}
                       </span>
+                      {pos.takeProfit && (
+                        <span
+                          className="position-targets"
+                          title={pos.takeProfit.targets
+                            .map((target, i) => `TP${i + 1} +${target.r}R (${target.percent}%) @ $${target.price.toPrecision(6)}${target.hit ? ' ✓' : ''}`)
+                            .join('\n')}
+                        >
+                          {pos.takeProfit.targets.map((target, i) => (
+                            <span key={i} className={`position-target ${target.hit ? 'hit' : ''}`}>TP{i + 1}</span>
+                          ))}
+                          {pos.takeProfit.trailing ? ' 🪢' : pos.takeProfit.breakeven ? ' BE' : ''}
+                        </span>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -1909,6 +2425,57 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
               {isRunning ? 'Stop' : 'Setup'}
             </button>
           </div>
+          {autoCancelStatus && (
+            <div className={`auto-cancel-indicator ${autoCancelStatus.error ? 'error' : autoCancelStatus.symbols.length > 0 ? 'armed' : ''}`}>
+              {autoCancelStatus.error
+                ? `⚠️ Auto-cancel heartbeat failing: ${autoCancelStatus.error}`
+                : autoCancelStatus.symbols.length > 0
+                  ? `⏱️ Auto-cancel ${autoCancelStatus.countdown / 1000}s · ${autoCancelStatus.symbols
+                    .map(({ symbol, expiresAt }) => `${symbol} ${Math.max(0, Math.ceil((expiresAt - autoCancelStatus.now) / 1000))}s`)
+                    .join(' · ')}`
+                  : `⏱️ Auto-cancel ${autoCancelStatus.countdown / 1000}s · no working orders`}
+            </div>
+          )}
+          {isRunning && foreignPositions.length > 0 && (
+            <div className="foreign-positions">
+              <div className="foreign-positions-title">Untracked positions on this account</div>
+              {foreignPositions.map(position => (
+                <div key={position.symbol} className="foreign-position-row">
+                  <span>
+                    {position.symbol} {position.side} {position.quantity} @ ${position.entryPrice.toFixed(4)} ({position.unrealizedPnl >= 0 ? '+' : '-'}${Math.abs(position.unrealizedPnl).toFixed(2)})
+                  </span>
+                  <button className="foreign-position-button adopt" onClick={() => handleAdoptForeignPosition(position.symbol)}>
+                    Adopt
+                  </button>
+                  <button className="foreign-position-button" onClick={() => handleIgnoreForeignPosition(position.symbol)}>
+                    Ignore
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+          {isRunning && replayProgress && (
+            <div className="trading-status">
+              ⏪ Replay {replayProgress.played}/{replayProgress.total} messages
+            </div>
+          )}
+          {isRunning && staleFeeds.length > 0 && (
+            <div className="stale-feeds">
+              {staleFeeds.map(feed => (
+                <div key={`${feed.symbol}:${feed.strategy}`} className="stale-feed-row">
+                  ⚠️ {feed.symbol} signal feed stale ({feed.strategy}) - nothing since {new Date(feed.lastMessageAt).toLocaleTimeString()} · new entries paused
+                </div>
+              ))}
+            </div>
+          )}
+          {circuitBreakerState.tripped && (
+            <div className="circuit-breaker-banner">
+              <span>🛑 Trading locked: {circuitBreakerState.reason}</span>
+              <button className="circuit-breaker-reset" onClick={handleResetCircuitBreaker}>
+                Reset
+              </button>
+            </div>
+          )}
         </div>
       </div>
 
@@ -1923,10 +2490,13 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
           setShowPairSelection={setShowPairSelection}
           showExclusionList={showExclusionList}
           setShowExclusionList={setShowExclusionList}
-          asterApiKey={asterApiKey}
-          setAsterApiKey={setAsterApiKey}
-          asterSecretKey={asterSecretKey}
-          setAsterSecretKey={setAsterSecretKey}
+          exchanges={getExchanges()}
+          exchange={exchange}
+          setExchange={setExchange}
+          apiKey={apiKey}
+          setApiKey={setApiKey}
+          secretKey={secretKey}
+          setSecretKey={setSecretKey}
           shakeApiKey={shakeApiKey}
           shakeSecretKey={shakeSecretKey}
           setValidationError={setValidationError}
@@ -1947,8 +2517,14 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
           setStrategy={setStrategy}
           orderType={orderType}
           setOrderType={setOrderType}
+          chaseExecution={chaseExecution}
+          setChaseExecution={setChaseExecution}
+          twapExecution={twapExecution}
+          setTwapExecution={setTwapExecution}
           orderTimeout={orderTimeout}
           setOrderTimeout={setOrderTimeout}
+          autoCancelCountdown={autoCancelCountdown}
+          setAutoCancelCountdown={setAutoCancelCountdown}
           autoMode={autoMode}
           setAutoMode={setAutoMode}
           smartMode={smartMode}
@@ -1957,6 +2533,27 @@ function PerpFarming({ onBotMessageChange, onBotMessagesChange, onBotStatusChang
           setSmartModeMinPnl={setSmartModeMinPnl}
           trustLowConfidence={trustLowConfidence}
           setTrustLowConfidence={setTrustLowConfidence}
+          paperMode={paperMode}
+          setPaperMode={setPaperMode}
+          recordSessions={recordSessions}
+          setRecordSessions={setRecordSessions}
+          recordedSessions={recordedSessions}
+          replaySessionId={replaySessionId}
+          setReplaySessionId={setReplaySessionId}
+          replaySpeed={replaySpeed}
+          setReplaySpeed={setReplaySpeed}
+          onExportSession={handleExportSession}
+          onImportSession={handleImportSession}
+          riskLimits={riskLimits}
+          setRiskLimits={setRiskLimits}
+          circuitBreaker={circuitBreaker}
+          setCircuitBreaker={setCircuitBreaker}
+          positionSizing={positionSizing}
+          setPositionSizing={setPositionSizing}
+          takeProfitLadder={takeProfitLadder}
+          setTakeProfitLadder={setTakeProfitLadder}
+          entryLadder={entryLadder}
+          setEntryLadder={setEntryLadder}
           breakEvenMode={breakEvenMode}
           setBreakEvenMode={setBreakEvenMode}
           breakEvenLossTolerance={breakEvenLossTolerance}
@@ -1,13 +1,23 @@
-import React from 'react'
+import React, { useRef } from 'react'
+import { ATR_TIMEFRAMES } from '../../../../services/positionSizing'
+import { MIN_LADDER_ORDERS, MAX_LADDER_ORDERS } from '../../../../services/entryLadder'
+import { MAX_TAKE_PROFIT_TARGETS } from '../../../../services/takeProfitLadder'
+import { REPLAY_SPEEDS } from '../../../../services/sessionReplay'
 
 /**
  * Settings Modal Component
  * Handles all trading configuration settings including:
- * - API credentials
+ * - Exchange selection (per strategy) and per-exchange API credentials
  * - Capital and leverage
- * - TP/SL settings
- * - Strategy selection
+ * - TP/SL settings and partial take profit targets
+ * - Position sizing (capital % or dollar risk per trade)
+ * - Entry order type (LIMIT, MARKET or post-only CHASE) and chased closes
+ * - TWAP slicing of large entries and closes
+ * - Strategy selection and laddered (DCA) entries per strategy
  * - Auto Mode / Smart Mode toggles
+ * - Paper mode (simulated exchange)
+ * - WebSocket session recording, NDJSON export/import and replay (paper mode)
+ * - Risk limits (concurrency, notional, leverage, correlated exposure)
  * - Pair selection and exclusion
  */
 const SettingsModal = ({
@@ -21,11 +31,14 @@ const SettingsModal = ({
   showExclusionList,
   setShowExclusionList,
   
-  // API Credentials
-  asterApiKey,
-  setAsterApiKey,
-  asterSecretKey,
-  setAsterSecretKey,
+  // Exchange and API Credentials
+  exchanges,
+  exchange,
+  setExchange,
+  apiKey,
+  setApiKey,
+  secretKey,
+  setSecretKey,
   shakeApiKey,
   shakeSecretKey,
   setValidationError,
@@ -38,6 +51,8 @@ const SettingsModal = ({
   setLeverage,
   positionSize,
   setPositionSize,
+  positionSizing,
+  setPositionSizing,
   
   // TP/SL
   tpSlMode,
@@ -46,14 +61,24 @@ const SettingsModal = ({
   setTakeProfit,
   stopLoss,
   setStopLoss,
+  takeProfitLadder,
+  setTakeProfitLadder,
   
   // Strategy and Order Type
   strategy,
   setStrategy,
   orderType,
   setOrderType,
+  chaseExecution,
+  setChaseExecution,
+  twapExecution,
+  setTwapExecution,
   orderTimeout,
   setOrderTimeout,
+  entryLadder,
+  setEntryLadder,
+  autoCancelCountdown,
+  setAutoCancelCountdown,
   
   // Mode Toggles
   autoMode,
@@ -64,6 +89,25 @@ const SettingsModal = ({
   setSmartModeMinPnl,
   trustLowConfidence,
   setTrustLowConfidence,
+  paperMode,
+  setPaperMode,
+  
+  // Session Recording / Replay
+  recordSessions,
+  setRecordSessions,
+  recordedSessions,
+  replaySessionId,
+  setReplaySessionId,
+  replaySpeed,
+  setReplaySpeed,
+  onExportSession,
+  onImportSession,
+  
+  // Risk Limits
+  riskLimits,
+  setRiskLimits,
+  circuitBreaker,
+  setCircuitBreaker,
   
   // Exit Strategies
   breakEvenMode,
@@ -91,6 +135,55 @@ const SettingsModal = ({
   handleStart,
   formatPercentage
 }) => {
+  const selectedExchangeLabel = exchanges.find(option => option.id === exchange)?.label || exchange
+  const sessionFileInputRef = useRef(null)
+
+  const updateRiskLimit = (key, value) => {
+    const parsed = parseFloat(value)
+    setRiskLimits(prev => ({ ...prev, [key]: isNaN(parsed) || parsed < 0 ? 0 : parsed }))
+  }
+
+  const updatePositionSizing = (key, value) => {
+    const parsed = parseFloat(value)
+    setPositionSizing(prev => ({ ...prev, [key]: isNaN(parsed) || parsed < 0 ? 0 : parsed }))
+  }
+
+  const updateEntryLadder = (key, value) => {
+    const parsed = parseFloat(value)
+    setEntryLadder({ [key]: isNaN(parsed) || parsed < 0 ? 0 : parsed })
+  }
+
+  const updateTakeProfitTarget = (index, key, value) => {
+    const parsed = parseFloat(value)
+    setTakeProfitLadder(prev => ({
+      ...prev,
+      targets: prev.targets.map((target, i) => (i === index ? { ...target, [key]: isNaN(parsed) || parsed < 0 ? 0 : parsed } : target))
+    }))
+  }
+
+  const isCustomStrategy = Boolean(customStrategies?.some(s => s.id === strategy))
+
+  const updateCircuitBreaker = (key, value) => {
+    const parsed = parseFloat(value)
+    setCircuitBreaker(prev => ({ ...prev, [key]: isNaN(parsed) || parsed < 0 ? 0 : parsed }))
+  }
+
+  // Per-symbol leverage caps are edited as "BTCUSDT=50, ETHUSDT=25"
+  const formatLeverageCaps = (caps) => Object.entries(caps || {})
+    .map(([symbol, maxLeverage]) => `${symbol}=${maxLeverage}`)
+    .join(', ')
+  const parseLeverageCaps = (text) => {
+    const caps = {}
+    for (const part of text.split(',')) {
+      const [symbol, maxLeverage] = part.split('=').map(value => value.trim())
+      const parsed = parseFloat(maxLeverage)
+      if (symbol && parsed > 0) {
+        caps[symbol.toUpperCase()] = parsed
+      }
+    }
+    return caps
+  }
+
   return (
     <div className="risk-modal-overlay" onClick={onClose}>
       <div className="risk-modal" onClick={(e) => e.stopPropagation()}>
@@ -324,33 +417,294 @@ const SettingsModal = ({
           </div>
           )}
 
+          {/* Risk Limits - enforced before every entry (all strategies, including Auto Mode) */}
+          <div className="risk-form-group">
+            <label className="risk-label">Risk Limits</label>
+            <div className="breakeven-tolerance-section">
+              <label className="risk-label">Max Concurrent Positions</label>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                className="risk-input"
+                value={riskLimits.maxConcurrentPositions}
+                onChange={(e) => updateRiskLimit('maxConcurrentPositions', Math.max(1, parseInt(e.target.value) || 1))}
+              />
+
+              <label className="risk-label">Max Total Notional ($)</label>
+              <input
+                type="number"
+                min="0"
+                step="100"
+                className="risk-input"
+                value={riskLimits.maxTotalNotional}
+                onChange={(e) => updateRiskLimit('maxTotalNotional', e.target.value)}
+              />
+
+              <label className="risk-label">Max Notional per Symbol ($)</label>
+              <input
+                type="number"
+                min="0"
+                step="100"
+                className="risk-input"
+                value={riskLimits.maxSymbolNotional}
+                onChange={(e) => updateRiskLimit('maxSymbolNotional', e.target.value)}
+              />
+
+              <label className="risk-label">Max Correlated Exposure ($)</label>
+              <input
+                type="number"
+                min="0"
+                step="100"
+                className="risk-input"
+                value={riskLimits.maxCorrelatedNotional}
+                onChange={(e) => updateRiskLimit('maxCorrelatedNotional', e.target.value)}
+              />
+              <div className="breakeven-description">
+                Same-direction notional per group: BTC, ETH, and all other alts as one basket (e.g. blocks a 4th long alt).
+              </div>
+
+              <label className="risk-label">Max Leverage</label>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                className="risk-input"
+                value={riskLimits.maxLeverage}
+                onChange={(e) => updateRiskLimit('maxLeverage', e.target.value)}
+              />
+
+              <label className="risk-label">Per-Symbol Leverage Caps</label>
+              <input
+                type="text"
+                className="risk-input"
+                defaultValue={formatLeverageCaps(riskLimits.maxLeverageBySymbol)}
+                onBlur={(e) => setRiskLimits(prev => ({ ...prev, maxLeverageBySymbol: parseLeverageCaps(e.target.value) }))}
+                placeholder="BTCUSDT=50, ETHUSDT=25"
+              />
+              <div className="breakeven-description">
+                Set $ limits and Max Leverage to 0 for no limit. Leverage caps reduce position size; other limits skip the entry and show the reason in the bot message.
+              </div>
+            </div>
+          </div>
+
+          {/* Circuit Breaker - account-wide kill switch, locks trading until reset from the panel */}
+          <div className="risk-form-group">
+            <label className="risk-label">Circuit Breaker</label>
+            <div className="breakeven-tolerance-section">
+              <label className="risk-label">Daily Loss Limit ($, UTC day)</label>
+              <input
+                type="number"
+                min="0"
+                step="10"
+                className="risk-input"
+                value={circuitBreaker.dailyLossLimit}
+                onChange={(e) => updateCircuitBreaker('dailyLossLimit', e.target.value)}
+              />
+
+              <label className="risk-label">Rolling Loss Limit ($)</label>
+              <input
+                type="number"
+                min="0"
+                step="10"
+                className="risk-input"
+                value={circuitBreaker.rollingLossLimit}
+                onChange={(e) => updateCircuitBreaker('rollingLossLimit', e.target.value)}
+              />
+
+              <label className="risk-label">Rolling Window (hours)</label>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                className="risk-input"
+                value={circuitBreaker.rollingWindowHours}
+                onChange={(e) => updateCircuitBreaker('rollingWindowHours', Math.max(1, parseFloat(e.target.value) || 1))}
+              />
+
+              <label className="risk-label">Max Drawdown from Daily Peak ($)</label>
+              <input
+                type="number"
+                min="0"
+                step="10"
+                className="risk-input"
+                value={circuitBreaker.maxDrawdown}
+                onChange={(e) => updateCircuitBreaker('maxDrawdown', e.target.value)}
+              />
+
+              <label className="breakeven-option">
+                <input
+                  type="checkbox"
+                  checked={circuitBreaker.flattenOnTrip}
+                  onChange={(e) => setCircuitBreaker(prev => ({ ...prev, flattenOnTrip: e.target.checked }))}
+                  className="breakeven-radio"
+                />
+                <span className="breakeven-option-text">
+                  Close all positions when tripped
+                </span>
+              </label>
+              <div className="breakeven-description">
+                Realized + unrealized PnL across the whole account. When a limit is hit, open orders are cancelled, custom strategies stop and trading stays locked until you press Reset. Set to 0 to disable.
+              </div>
+            </div>
+          </div>
+
+          {/* Paper Mode Checkbox - applies to every strategy, including Auto Mode and custom strategies */}
           <div className="risk-form-group">
-            <label className="risk-label">Aster API Key</label>
+            <label className="risk-label">Paper Mode</label>
+            <label className="breakeven-option">
+              <input
+                type="checkbox"
+                checked={paperMode}
+                onChange={(e) => {
+                  setPaperMode(e.target.checked)
+                  setValidationError('')
+                }}
+                className="breakeven-radio"
+              />
+              <span className="breakeven-option-text">
+                📝 Dry Run (Simulated Orders)
+              </span>
+            </label>
+            <div className="breakeven-description">
+              Orders are filled against live prices from the selected exchange on a simulated account - no real funds, no API keys needed. Capital Amount sets the starting balance of a new paper account. Includes maker/taker fees, limit fills and liquidation.
+            </div>
+          </div>
+
+          {/* Session Recording - every received signal message, stored in this browser */}
+          <div className="risk-form-group">
+            <label className="risk-label">Session Recording</label>
+            <label className="breakeven-option">
+              <input
+                type="checkbox"
+                checked={recordSessions}
+                onChange={(e) => setRecordSessions(e.target.checked)}
+                className="breakeven-radio"
+              />
+              <span className="breakeven-option-text">
+                ⏺️ Record WebSocket Sessions
+              </span>
+            </label>
+            <div className="breakeven-description">
+              Saves every signal message received while the bot runs, with its arrival time (last 20 sessions). Recordings can be exported as NDJSON and replayed in Paper Mode to see why the bot took a trade.
+            </div>
+          </div>
+
+          {/* Session Replay - recorded messages instead of the live feed, priced from the recording */}
+          {paperMode && (
+            <div className="risk-form-group">
+              <label className="risk-label">Signal Source</label>
+              <select
+                className="risk-input strategy-dropdown"
+                value={replaySessionId}
+                onChange={(e) => setReplaySessionId(e.target.value)}
+              >
+                <option value="">Live signals</option>
+                {recordedSessions.map((session) => (
+                  <option key={session.id} value={session.id}>
+                    ⏪ {new Date(session.startedAt).toLocaleString()} · {session.label || 'Recorded session'} · {session.messageCount} msgs
+                  </option>
+                ))}
+              </select>
+              {replaySessionId && (
+                <div className="order-type-toggle session-replay-speed">
+                  {Object.keys(REPLAY_SPEEDS).map((speed) => (
+                    <button
+                      key={speed}
+                      type="button"
+                      className={`toggle-option ${replaySpeed === speed ? 'active' : ''}`}
+                      onClick={() => setReplaySpeed(speed)}
+                    >
+                      {speed === 'max' ? 'Max' : speed}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <div className="session-replay-actions">
+                <button
+                  type="button"
+                  className="toggle-option"
+                  onClick={() => onExportSession(replaySessionId)}
+                  disabled={!replaySessionId}
+                >
+                  📤 Export NDJSON
+                </button>
+                <button
+                  type="button"
+                  className="toggle-option"
+                  onClick={() => sessionFileInputRef.current?.click()}
+                >
+                  📥 Import NDJSON
+                </button>
+              </div>
+              <input
+                ref={sessionFileInputRef}
+                type="file"
+                accept=".ndjson,.jsonl,application/x-ndjson"
+                style={{ display: 'none' }}
+                onChange={(e) => {
+                  const file = e.target.files?.[0]
+                  e.target.value = ''
+                  if (file) onImportSession(file)
+                }}
+              />
+              <div className="strategy-description">
+                A recorded session replaces the server feed: its messages run through the same handlers and Smart Mode one after another, and paper orders fill at the recorded prices, so the same session makes the same decisions every run.
+              </div>
+            </div>
+          )}
+
+          {/* Exchange - remembered per strategy (or for Auto Mode), keys are stored per exchange */}
+          <div className="risk-form-group">
+            <label className="risk-label">Exchange</label>
+            <select
+              className="risk-input strategy-dropdown"
+              value={exchange}
+              onChange={(e) => {
+                setExchange(e.target.value)
+                setValidationError('')
+              }}
+            >
+              {exchanges.map((option) => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+            <div className="strategy-description">
+              {exchanges.find(option => option.id === exchange)?.description} · Used for {autoMode ? 'Auto Mode' : 'the selected strategy'}
+            </div>
+          </div>
+
+          {!paperMode && (
+          <>
+          <div className="risk-form-group">
+            <label className="risk-label">{selectedExchangeLabel} API Key</label>
             <input
               type="text"
               className={`risk-input ${shakeApiKey ? 'shake-red' : ''}`}
-              value={asterApiKey}
+              value={apiKey}
               onChange={(e) => {
-                setAsterApiKey(e.target.value)
+                setApiKey(e.target.value)
                 setValidationError('') // Clear error when user starts typing
               }}
-              placeholder="Enter your Aster API key"
+              placeholder={`Enter your ${selectedExchangeLabel} API key`}
             />
           </div>
 
           <div className="risk-form-group">
-            <label className="risk-label">Aster API Secret</label>
+            <label className="risk-label">{selectedExchangeLabel} API Secret</label>
             <input
               type="password"
               className={`risk-input ${shakeSecretKey ? 'shake-red' : ''}`}
-              value={asterSecretKey}
+              value={secretKey}
               onChange={(e) => {
-                setAsterSecretKey(e.target.value)
+                setSecretKey(e.target.value)
                 setValidationError('') // Clear error when user starts typing
               }}
-              placeholder="Enter your Aster API secret"
+              placeholder={`Enter your ${selectedExchangeLabel} API secret`}
             />
           </div>
+          </>
+          )}
 
           <div className="risk-form-group">
             <label className="risk-label">Capital Amount</label>
@@ -517,6 +871,65 @@ const SettingsModal = ({
           </>
           )}
 
+          {/* Position Sizing - capital % or a fixed dollar risk per trade (all strategies, including Auto Mode) */}
+          <div className="risk-form-group">
+            <label className="risk-label">Position Sizing</label>
+            <select
+              className="risk-input"
+              value={positionSizing.mode}
+              onChange={(e) => setPositionSizing(prev => ({ ...prev, mode: e.target.value }))}
+            >
+              <option value="capital">Capital % (Position Size × Leverage)</option>
+              <option value="atr">Volatility (ATR risk per trade)</option>
+              <option value="stop">Stop Distance (risk per trade)</option>
+            </select>
+            {positionSizing.mode !== 'capital' && (
+            <div className="breakeven-tolerance-section">
+              <label className="risk-label">Risk per Trade ($)</label>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                className="risk-input"
+                value={positionSizing.riskPerTrade}
+                onChange={(e) => updatePositionSizing('riskPerTrade', e.target.value)}
+              />
+
+              {positionSizing.mode === 'atr' && (
+              <>
+              <label className="risk-label">Stop Distance (ATR multiple)</label>
+              <input
+                type="number"
+                min="0.5"
+                step="0.5"
+                className="risk-input"
+                value={positionSizing.atrMultiplier}
+                onChange={(e) => updatePositionSizing('atrMultiplier', e.target.value)}
+              />
+
+              <label className="risk-label">ATR Timeframe</label>
+              <select
+                className="risk-input"
+                value={positionSizing.atrTimeframe}
+                onChange={(e) => setPositionSizing(prev => ({ ...prev, atrTimeframe: e.target.value }))}
+              >
+                {ATR_TIMEFRAMES.map(timeframe => (
+                  <option key={timeframe} value={timeframe}>{timeframe}</option>
+                ))}
+              </select>
+              </>
+              )}
+
+              <div className="breakeven-description">
+                {positionSizing.mode === 'atr'
+                  ? `Size so a ${positionSizing.atrMultiplier}× ATR move against the entry loses $${positionSizing.riskPerTrade} - volatile coins get smaller positions.`
+                  : `Size so hitting the % Stop Loss (Auto Mode: the setup's invalidation price) loses $${positionSizing.riskPerTrade}. $ stops fall back to Capital %.`}
+                {' '}Position Size % of capital (Auto Mode: capital / 3) stays the max margin per trade, and the exchange leverage bracket still applies.
+              </div>
+            </div>
+            )}
+          </div>
+
           {/* Order Type - Hide if Auto Mode (uses MARKET only) */}
           {!autoMode && (
           <div className="risk-form-group">
@@ -534,16 +947,144 @@ const SettingsModal = ({
               >
                 MARKET
               </button>
+              <button
+                className={`toggle-option ${orderType === 'CHASE' ? 'active' : ''}`}
+                onClick={() => setOrderType('CHASE')}
+              >
+                CHASE
+              </button>
             </div>
             <div className="strategy-description">
               {orderType === 'LIMIT'
                 ? '📍 Uses server limit price. May not fill if price moves away.'
-                : '⚡ Instant fill at market price. Ignores server limit price and APEs in!'
+                : orderType === 'MARKET'
+                  ? '⚡ Instant fill at market price. Ignores server limit price and APEs in!'
+                  : '🏃 Post-only order at the best bid/ask, re-priced as the book moves. Pays maker fees; goes MARKET if price runs away.'
               }
             </div>
           </div>
           )}
 
+          {/* Chase Execution - limits for CHASE entries, optionally chase closes too */}
+          {!autoMode && (
+          <div className="risk-form-group">
+            <label className="risk-label">Chase Execution</label>
+            <label className="breakeven-option">
+              <input
+                type="checkbox"
+                checked={chaseExecution.exits}
+                onChange={(e) => setChaseExecution(prev => ({ ...prev, exits: e.target.checked }))}
+                className="breakeven-radio"
+              />
+              <span className="breakeven-option-text">
+                Chase closes (Smart Mode, manual)
+              </span>
+            </label>
+            {(orderType === 'CHASE' || chaseExecution.exits) && (
+            <div className="breakeven-tolerance-section">
+              <label className="risk-label">Max chase distance (%)</label>
+              <input
+                type="number"
+                min="0.01"
+                max="5"
+                step="0.05"
+                className="risk-input"
+                value={chaseExecution.maxChasePercent}
+                onChange={(e) => setChaseExecution(prev => ({ ...prev, maxChasePercent: parseFloat(e.target.value) || 0 }))}
+              />
+              <label className="risk-label">Max chase time (seconds)</label>
+              <input
+                type="number"
+                min="5"
+                max="300"
+                step="5"
+                className="risk-input"
+                value={chaseExecution.maxDuration}
+                onChange={(e) => setChaseExecution(prev => ({ ...prev, maxDuration: parseFloat(e.target.value) || 0 }))}
+              />
+              <div className="breakeven-description">
+                💸 Maker fee is 0.005% vs 0.04% taker. The rest goes MARKET once price moves {chaseExecution.maxChasePercent}% against the first quote or after {chaseExecution.maxDuration}s. Stop losses always exit at MARKET.
+              </div>
+            </div>
+            )}
+          </div>
+          )}
+
+          {/* TWAP - slice large orders over time (thin alt pairs) */}
+          {!autoMode && (
+          <div className="risk-form-group">
+            <label className="risk-label">TWAP Execution</label>
+            <label className="breakeven-option">
+              <input
+                type="checkbox"
+                checked={twapExecution.entries}
+                onChange={(e) => setTwapExecution(prev => ({ ...prev, entries: e.target.checked }))}
+                className="breakeven-radio"
+              />
+              <span className="breakeven-option-text">
+                Slice large entries
+              </span>
+            </label>
+            <label className="breakeven-option">
+              <input
+                type="checkbox"
+                checked={twapExecution.exits}
+                onChange={(e) => setTwapExecution(prev => ({ ...prev, exits: e.target.checked }))}
+                className="breakeven-radio"
+              />
+              <span className="breakeven-option-text">
+                Slice large closes (Smart Mode, manual)
+              </span>
+            </label>
+            {(twapExecution.entries || twapExecution.exits) && (
+            <div className="breakeven-tolerance-section">
+              <label className="risk-label">Only orders above ($ notional)</label>
+              <input
+                type="number"
+                min="100"
+                step="100"
+                className="risk-input"
+                value={twapExecution.minNotional}
+                onChange={(e) => setTwapExecution(prev => ({ ...prev, minNotional: parseFloat(e.target.value) || 0 }))}
+              />
+              <label className="risk-label">Slices</label>
+              <input
+                type="number"
+                min="2"
+                max="50"
+                step="1"
+                className="risk-input"
+                value={twapExecution.slices}
+                onChange={(e) => setTwapExecution(prev => ({ ...prev, slices: parseInt(e.target.value) || 0 }))}
+              />
+              <label className="risk-label">Over (seconds)</label>
+              <input
+                type="number"
+                min="10"
+                max="1800"
+                step="10"
+                className="risk-input"
+                value={twapExecution.duration}
+                onChange={(e) => setTwapExecution(prev => ({ ...prev, duration: parseFloat(e.target.value) || 0 }))}
+              />
+              <label className="risk-label">Pause when spread above (%)</label>
+              <input
+                type="number"
+                min="0.01"
+                max="5"
+                step="0.05"
+                className="risk-input"
+                value={twapExecution.maxSpreadPercent}
+                onChange={(e) => setTwapExecution(prev => ({ ...prev, maxSpreadPercent: parseFloat(e.target.value) || 0 }))}
+              />
+              <div className="breakeven-description">
+                🧩 {twapExecution.slices} IOC slices every {Math.round(twapExecution.duration / Math.max(twapExecution.slices, 1))}s, each at most {twapExecution.maxSlippagePercent}% through the book. Sized to the symbol's market lot limits and priced inside its percent-price band. Closes sweep any leftover at MARKET. Progress shows in the bot message.
+              </div>
+            </div>
+            )}
+          </div>
+          )}
+
           {/* Order Timeout - Hide if Auto Mode (uses MARKET only) */}
           {!autoMode && (
           <div className="risk-form-group">
@@ -568,6 +1109,30 @@ const SettingsModal = ({
           </div>
           )}
 
+          {/* Dead Man's Switch - exchange cancels working entries if the heartbeat stops (browser crash) */}
+          {!autoMode && (
+          <div className="risk-form-group">
+            <label className="risk-label">Dead Man's Switch: {autoCancelCountdown > 0 ? `${autoCancelCountdown}s` : 'Off'}</label>
+            <input
+              type="range"
+              min="0"
+              max="300"
+              step="30"
+              value={autoCancelCountdown}
+              onChange={(e) => setAutoCancelCountdown(parseInt(e.target.value))}
+              className="risk-slider"
+            />
+            <div className="slider-labels">
+              <span>Off</span>
+              <span>150s</span>
+              <span>300s</span>
+            </div>
+            <div className="strategy-description">
+              🛟 If the bot stops responding, the exchange cancels pending LIMIT entries after this time. TP/SL orders on open positions are never included.
+            </div>
+          </div>
+          )}
+
           {/* Strategy - Hide if Auto Mode (uses scanner) */}
           {!autoMode && (
           <div className="risk-form-group">
@@ -619,6 +1184,68 @@ const SettingsModal = ({
           </div>
           )}
 
+          {/* Entry Ladder - per server strategy (custom strategies use the Open Ladder block) */}
+          {!autoMode && !isCustomStrategy && (
+          <div className="risk-form-group">
+            <label className="risk-label">Entry Ladder (DCA)</label>
+            <label className="breakeven-option">
+              <input
+                type="checkbox"
+                checked={entryLadder.enabled}
+                onChange={(e) => setEntryLadder({ enabled: e.target.checked })}
+                className="breakeven-radio"
+              />
+              <span className="breakeven-option-text">
+                Scale into entries for this strategy
+              </span>
+            </label>
+            {entryLadder.enabled && (
+            <div className="breakeven-tolerance-section">
+              <label className="risk-label">Orders</label>
+              <input
+                type="number"
+                min={MIN_LADDER_ORDERS}
+                max={MAX_LADDER_ORDERS}
+                step="1"
+                className="risk-input"
+                value={entryLadder.orders}
+                onChange={(e) => updateEntryLadder('orders', e.target.value)}
+              />
+
+              <label className="risk-label">Price Band (%)</label>
+              <input
+                type="number"
+                min="0.1"
+                step="0.1"
+                className="risk-input"
+                value={entryLadder.bandPercent}
+                onChange={(e) => updateEntryLadder('bandPercent', e.target.value)}
+              />
+
+              <label className="risk-label">Spacing</label>
+              <div className="order-type-toggle">
+                <button
+                  className={`toggle-option ${entryLadder.spacing === 'linear' ? 'active' : ''}`}
+                  onClick={() => setEntryLadder({ spacing: 'linear' })}
+                >
+                  LINEAR
+                </button>
+                <button
+                  className={`toggle-option ${entryLadder.spacing === 'geometric' ? 'active' : ''}`}
+                  onClick={() => setEntryLadder({ spacing: 'geometric' })}
+                >
+                  GEOMETRIC
+                </button>
+              </div>
+
+              <div className="breakeven-description">
+                🪜 Splits each entry into {entryLadder.orders} LIMIT orders from the signal price to {entryLadder.bandPercent}% {entryLadder.spacing === 'geometric' ? 'away, packed closest to the signal price' : 'away, evenly spaced'}. Fills average into one position; unfilled orders are cancelled when it closes or the signal flips.
+              </div>
+            </div>
+            )}
+          </div>
+          )}
+
           {/* Exit Strategy - Hide in Auto Mode (uses intelligent TP trailing) */}
           {!autoMode && (
           <div className="risk-form-group">
@@ -729,6 +1356,101 @@ const SettingsModal = ({
           </div>
           )}
 
+          {/* Take Profit Ladder - partial exits at R multiples (R = distance to the stop loss) */}
+          {!autoMode && (
+          <div className="risk-form-group">
+            <label className="risk-label">Take Profit Ladder</label>
+            <label className="breakeven-option">
+              <input
+                type="checkbox"
+                checked={takeProfitLadder.enabled}
+                onChange={(e) => setTakeProfitLadder(prev => ({ ...prev, enabled: e.target.checked }))}
+                className="breakeven-radio"
+              />
+              <span className="breakeven-option-text">
+                Scale out at multiple targets
+              </span>
+            </label>
+            {takeProfitLadder.enabled && (
+            <div className="breakeven-tolerance-section">
+              {takeProfitLadder.targets.map((target, index) => (
+                <div key={index} className="tp-ladder-target">
+                  <label className="risk-label">TP{index + 1}: close %</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="100"
+                    step="5"
+                    className="risk-input"
+                    value={target.percent}
+                    onChange={(e) => updateTakeProfitTarget(index, 'percent', e.target.value)}
+                  />
+                  <label className="risk-label">at +R</label>
+                  <input
+                    type="number"
+                    min="0.1"
+                    step="0.5"
+                    className="risk-input"
+                    value={target.r}
+                    onChange={(e) => updateTakeProfitTarget(index, 'r', e.target.value)}
+                  />
+                  <button
+                    type="button"
+                    className="toggle-option"
+                    onClick={() => setTakeProfitLadder(prev => ({ ...prev, targets: prev.targets.filter((_, i) => i !== index) }))}
+                    disabled={takeProfitLadder.targets.length <= 1}
+                    title="Remove target"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+              {takeProfitLadder.targets.length < MAX_TAKE_PROFIT_TARGETS && (
+                <button
+                  type="button"
+                  className="toggle-option"
+                  onClick={() => setTakeProfitLadder(prev => {
+                    const lastR = prev.targets[prev.targets.length - 1]?.r || 0
+                    return { ...prev, targets: [...prev.targets, { r: lastR + 1, percent: 20 }] }
+                  })}
+                >
+                  + Add target
+                </button>
+              )}
+
+              <label className="breakeven-option">
+                <input
+                  type="checkbox"
+                  checked={takeProfitLadder.breakevenAfterFirst}
+                  onChange={(e) => setTakeProfitLadder(prev => ({ ...prev, breakevenAfterFirst: e.target.checked }))}
+                  className="breakeven-radio"
+                />
+                <span className="breakeven-option-text">
+                  Stop to breakeven after TP1
+                </span>
+              </label>
+              <label className="breakeven-option">
+                <input
+                  type="checkbox"
+                  checked={takeProfitLadder.trailRemainder}
+                  onChange={(e) => setTakeProfitLadder(prev => ({ ...prev, trailRemainder: e.target.checked }))}
+                  className="breakeven-radio"
+                />
+                <span className="breakeven-option-text">
+                  Trail the rest (1R behind)
+                </span>
+              </label>
+
+              <div className="breakeven-description">
+                🎯 R is the distance from entry to the stop loss. Targets are reduce-only LIMIT orders; {takeProfitLadder.trailRemainder
+                  ? 'after the last one the stop trails 1R behind price instead of a fixed take profit.'
+                  : 'the rest exits at the regular take profit.'} Needs a stop loss - without one the single TP/SL is used.
+              </div>
+            </div>
+            )}
+          </div>
+          )}
+
           {validationError && (
             <div className="risk-error-message">
               {validationError}
@@ -2,6 +2,9 @@
 export const STORAGE_KEY = 'perp_farming_settings'
 export const STATS_STORAGE_KEY = 'perp_farming_stats'
 
+// Exchange routing key for Auto Mode (manual strategies route by strategy id)
+export const AUTO_MODE_ROUTING_KEY = 'auto_mode'
+
 // Aster Finance Fee Structure
 export const MAKER_FEE = 0.00005 // 0.005% (LIMIT orders that make liquidity)
 export const TAKER_FEE = 0.0004  // 0.04% (MARKET orders or LIMIT orders that take liquidity)
@@ -18,6 +21,7 @@ export const MESSAGE_CLEANUP_INTERVAL = 10000 // 10 seconds
 export const STATS_SAVE_INTERVAL = 30000 // 30 seconds
 export const SIGNAL_STATUS_POLL_INTERVAL = 300000 // 5 minutes
 export const MESSAGE_UPDATE_THROTTLE = 30000 // 30 seconds
+export const JOURNAL_RECONCILE_INTERVAL = 60000 // 1 minute (userTrades/income reconciliation)
 
 // Grace periods
 export const POSITION_GRACE_PERIOD = 60 // seconds
@@ -18,15 +18,8 @@ export const createMomentumHandler = (dependencies) => {
     try {
       console.log('[PerpFarming] Received momentum message:', message)
       
-      // Extract the actual momentum data
-      const momentumData = message?.data || message
-      
-      if (!momentumData) {
-        console.log('[PerpFarming] No momentum data found in message')
-        return
-      }
-      
-      console.log('[PerpFarming] Extracted momentum data:', momentumData)
+      // Validated by the WebSocket client: upper case side, lower case confidence, numeric prices
+      const momentumData = message.data
 
       // === CLIENT-SIDE ANALYSIS FOR LOW CONFIDENCE SIGNALS ===
       if (momentumData.confidence === 'low') {
@@ -132,7 +125,7 @@ export const createMomentumHandler = (dependencies) => {
             updateBotMessage(symbol, exitDecision.statement)
             
             // Close position
-            await closePosition(orderManager, symbol, currentNetPnl)
+            await closePosition(orderManager, symbol, currentNetPnl, `Smart Mode: ${exitDecision.reason}`)
             
             return // Exit early, don't process new entry
           }
@@ -141,23 +134,16 @@ export const createMomentumHandler = (dependencies) => {
         }
       }
       
-      // Accept high and medium confidence signals, or low if user trusts them
-      const shouldTrade = momentumData.confidence === 'high' || 
-                          momentumData.confidence === 'medium' || 
-                          (momentumData.confidence === 'low' && settings.trustLowConfidence)
-      
-      if (!hasActivePosition && shouldTrade) {
-        console.log(`[PerpFarming] 🎯 Processing ${momentumData.confidence.toUpperCase()} confidence ${momentumData.side} momentum signal @ $${momentumData.limit_price} (${momentumData.confluence_score}/10 layers)`)
+      if (!hasActivePosition) {
+        console.log(`[PerpFarming] 🎯 Processing ${momentumData.confidence} confidence ${momentumData.side} momentum signal @ $${momentumData.limit_price} (${momentumData.confluence_score}/10 layers)`)
         if (typeof orderManager.handleMomentumSignal === 'function') {
           await orderManager.handleMomentumSignal(momentumData)
           console.log('[PerpFarming] ✅ Momentum order placement attempted')
         } else {
           console.error('[PerpFarming] handleMomentumSignal is not a function!')
         }
-      } else if (hasActivePosition) {
-        console.log('[PerpFarming] ⏭️ Skipping momentum signal - active position exists')
       } else {
-        console.log(`[PerpFarming] ⏭️ Skipping momentum signal - low confidence (${momentumData.confidence}) ${settings.trustLowConfidence ? '(trust enabled but still skipped)' : '(trust low confidence disabled)'}`)
+        console.log('[PerpFarming] ⏭️ Skipping momentum signal - active position exists')
       }
     } catch (error) {
       handleError(`Failed to handle momentum signal: ${error.message}`)
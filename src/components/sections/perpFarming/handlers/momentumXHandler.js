@@ -18,15 +18,8 @@ export const createMomentumXHandler = (dependencies) => {
     try {
       console.log('[PerpFarming] Received momentum X message:', message)
       
-      // Extract the actual momentum X data
-      const momentumXData = message?.data || message
-      
-      if (!momentumXData) {
-        console.log('[PerpFarming] No momentum X data found in message')
-        return
-      }
-      
-      console.log('[PerpFarming] Extracted momentum X data:', momentumXData)
+      // Validated by the WebSocket client: upper case side, lower case confidence, numeric prices
+      const momentumXData = message.data
 
       // Update bot message with server reasoning (always)
       const reasoning = momentumXData.reasoning || 'Calling home for some data...'
@@ -75,7 +68,7 @@ export const createMomentumXHandler = (dependencies) => {
             updateBotMessage(symbol, exitDecision.statement)
             
             // Close position
-            await closePosition(orderManager, symbol, currentNetPnl)
+            await closePosition(orderManager, symbol, currentNetPnl, `Smart Mode: ${exitDecision.reason}`)
             
             return // Exit early, don't process new entry
           }
@@ -84,23 +77,16 @@ export const createMomentumXHandler = (dependencies) => {
         }
       }
       
-      // Accept high and medium confidence signals, or low if user trusts them
-      const shouldTrade = momentumXData.confidence === 'high' || 
-                          momentumXData.confidence === 'medium' || 
-                          (momentumXData.confidence === 'low' && settings.trustLowConfidence)
-      
-      if (!hasActivePosition && shouldTrade) {
-        console.log(`[PerpFarming] 🔮 Processing ${momentumXData.confidence.toUpperCase()} confidence ${momentumXData.side} momentum X signal @ $${momentumXData.limit_price} (${momentumXData.layer_score}/8 layers, ${momentumXData.market_regime} regime)`)
+      if (!hasActivePosition) {
+        console.log(`[PerpFarming] 🔮 Processing ${momentumXData.confidence} confidence ${momentumXData.side} momentum X signal @ $${momentumXData.limit_price} (${momentumXData.layer_score}/8 layers, ${momentumXData.market_regime} regime)`)
         if (typeof orderManager.handleMomentumXSignal === 'function') {
           await orderManager.handleMomentumXSignal(momentumXData)
           console.log('[PerpFarming] ✅ Momentum X order placement attempted')
         } else {
           console.error('[PerpFarming] handleMomentumXSignal is not a function!')
         }
-      } else if (hasActivePosition) {
-        console.log('[PerpFarming] ⏭️ Skipping momentum X signal - active position exists')
       } else {
-        console.log(`[PerpFarming] ⏭️ Skipping momentum X signal - low confidence (${momentumXData.confidence}) ${settings.trustLowConfidence ? '(trust enabled but still skipped)' : '(trust low confidence disabled)'}`)
+        console.log('[PerpFarming] ⏭️ Skipping momentum X signal - active position exists')
       }
     } catch (error) {
       handleError(`Failed to handle momentum X signal: ${error.message}`)
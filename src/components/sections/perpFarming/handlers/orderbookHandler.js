@@ -22,17 +22,10 @@ export const createOrderBookHandler = (dependencies) => {
     try {
       console.log('[PerpFarming] Received order book signal:', message)
       
-      // Extract the actual order book data
-      const orderBookData = message?.data || message
-      
-      if (!orderBookData) {
-        console.log('[PerpFarming] No order book data found in message')
-        return
-      }
-      
-      console.log('[PerpFarming] Extracted order book data:', orderBookData)
+      // Validated by the WebSocket client: upper case side, lower case confidence, numeric prices
+      const orderBookData = message.data
 
-      let reasoning = orderBookData.reasoning?.join(' ') || 'Analyzing order flow...'
+      let reasoning = orderBookData.reasoning || 'Analyzing order flow...'
       
       const cvdInfo = `CVD: ${orderBookData.cvd_slope || 'N/A'}`
       const obiInfo = `OBI: ${orderBookData.obi?.toFixed(2) || 'N/A'}`
@@ -82,22 +75,13 @@ export const createOrderBookHandler = (dependencies) => {
           }
         }
         
-        // Check confidence (respect trustLowConfidence setting)
-        const shouldTrade = orderBookData.confidence === 'high' || 
-                            orderBookData.confidence === 'medium' || 
-                            (orderBookData.confidence === 'low' && settings.trustLowConfidence)
+        console.log(`[PerpFarming] 📊 Opening ${orderBookData.confidence} confidence ${orderBookData.side} order book position (Bias: ${orderBookData.bias_score?.toFixed(2)})`)
         
-        if (shouldTrade) {
-          console.log(`[PerpFarming] 📊 Opening ${orderBookData.confidence.toUpperCase()} confidence ${orderBookData.side} order book position (Bias: ${orderBookData.bias_score?.toFixed(2)})`)
-          
-          if (typeof orderManager.handleOrderBookSignal === 'function') {
-            await orderManager.handleOrderBookSignal(orderBookData)
-            console.log('[PerpFarming] ✅ Order book trade placement attempted')
-          } else {
-            console.error('[PerpFarming] handleOrderBookSignal is not a function!')
-          }
+        if (typeof orderManager.handleOrderBookSignal === 'function') {
+          await orderManager.handleOrderBookSignal(orderBookData)
+          console.log('[PerpFarming] ✅ Order book trade placement attempted')
         } else {
-          console.log(`[PerpFarming] ⏭️ Skipping order book signal - low confidence (${orderBookData.confidence})`)
+          console.error('[PerpFarming] handleOrderBookSignal is not a function!')
         }
       } 
       // If position exists FOR THIS SYMBOL, check for reversal or Smart Mode exit
@@ -137,7 +121,7 @@ export const createOrderBookHandler = (dependencies) => {
               const exitMessage = `[${symbol}] ${exitDecision.statement}`
               updateBotMessage(symbol, exitMessage)
               
-              await closePosition(orderManager, symbol, symbolNetPnl)
+              await closePosition(orderManager, symbol, symbolNetPnl, `Smart Mode: ${exitDecision.reason}`)
               
               // Remove from portfolio tracking if in Auto Mode
               if (settings.autoMode) {
@@ -175,7 +159,7 @@ export const createOrderBookHandler = (dependencies) => {
             // Only reverse on high confidence during spoofing
             if (orderBookData.confidence === 'high') {
               console.log('[PerpFarming] 🔄 HIGH CONFIDENCE REVERSAL during spoofing - reversing position')
-              await closePosition(orderManager, symbol, symbolNetPnl)
+              await closePosition(orderManager, symbol, symbolNetPnl, 'Reversal (spoofing)')
               
               // Update portfolio tracking if in Auto Mode (changing side)
               if (settings.autoMode) {
@@ -198,7 +182,7 @@ export const createOrderBookHandler = (dependencies) => {
             
             if (shouldReverse) {
               console.log(`[PerpFarming] 🔄 ${orderBookData.confidence.toUpperCase()} CONFIDENCE REVERSAL - reversing position`)
-              await closePosition(orderManager, symbol, symbolNetPnl)
+              await closePosition(orderManager, symbol, symbolNetPnl, 'Reversal')
               
               // Update portfolio tracking if in Auto Mode (changing side)
               if (settings.autoMode) {
@@ -26,13 +26,8 @@ export const createPortfolioHandler = (dependencies) => {
 
       console.log('[PerpFarming] 🎯 Received portfolio picks (V2):', message)
 
-      const picksData = message?.data || message
-      if (!picksData || (!picksData.top_longs && !picksData.top_shorts)) {
-        console.log('[PerpFarming] No picks data found (expected top_longs/top_shorts)')
-        return
-      }
-
-      const { top_longs = [], top_shorts = [], invalidated = [], monitoring = 0 } = picksData
+      // Validated by the WebSocket client - malformed picks are already dropped
+      const { top_longs, top_shorts, invalidated, monitoring } = message.data
 
       console.log(`[Portfolio V2] ${top_longs.length} longs | ${top_shorts.length} shorts | ${invalidated.length} invalidated | ${monitoring} pairs monitored`)
 
@@ -100,7 +95,7 @@ export const createPortfolioHandler = (dependencies) => {
           console.error(`[Portfolio V2] Failed to get PNL for ${symbol}:`, error)
         }
 
-        await closePosition(orderManager, symbol, symbolNetPnl)
+        await closePosition(orderManager, symbol, symbolNetPnl, 'Trend invalidated')
         setPortfolioPositions(prev => prev.filter(p => p.symbol !== symbol))
       }
     }
@@ -310,8 +305,21 @@ export const createPortfolioHandler = (dependencies) => {
     console.log(`[Portfolio V2]   Entry Zone: $${entryLow} - $${entryHigh}`)
     console.log(`[Portfolio V2]   Invalidation: $${pick.invalidation_price}`)
 
-    let leverage = Math.min(parseInt(settings.leverage), 125)
+    let leverage = orderManager.riskLimits.capLeverage(pick.symbol, Math.min(parseInt(settings.leverage), 125))
     const minLeverage = 1
+
+    // SPLIT ORDER ENTRY: 20% immediate + 80% better price
+    const price1 = pick.side === 'LONG' ? entryHigh : entryLow
+    const price2 = pick.side === 'LONG' ? entryLow : entryHigh
+
+    // Risk-based sizing (ATR, or the invalidation price as the stop) - capitalPerPosition stays the max margin
+    const riskSize = await orderManager.getRiskSize(pick.symbol, price1 * 0.2 + price2 * 0.8, { stopPrice: pick.invalidation_price })
+    const getNotional = (lev) => riskSize !== null ? Math.min(riskSize.notional, capitalPerPosition * lev) : capitalPerPosition * lev
+
+    // Same risk limits as the OrderManager signal handlers (reason goes to the bot message)
+    if (orderManager.isEntryBlocked(pick.symbol, pick.side, getNotional(leverage))) {
+      return null
+    }
     let orderResults = []
 
     while (leverage >= minLeverage && orderResults.length === 0) {
@@ -319,15 +327,11 @@ export const createPortfolioHandler = (dependencies) => {
         console.log(`[Portfolio V2] Setting ${leverage}x leverage for ${pick.symbol}...`)
         await orderManager.dexService.setLeverage(pick.symbol, leverage)
 
-        const marginToUse = capitalPerPosition
-        const notionalValue = marginToUse * leverage
+        const notionalValue = getNotional(leverage)
+        const marginToUse = notionalValue / leverage
 
         console.log(`[Portfolio V2] Margin: $${marginToUse.toFixed(2)} @ ${leverage}x = Notional: $${notionalValue.toFixed(2)}`)
 
-        // SPLIT ORDER ENTRY: 20% immediate + 80% better price
-        const price1 = pick.side === 'LONG' ? entryHigh : entryLow
-        const price2 = pick.side === 'LONG' ? entryLow : entryHigh
-
         const qty1 = (notionalValue * 0.2) / price1
         const qty2 = (notionalValue * 0.8) / price2
 
@@ -387,11 +391,13 @@ export const createPortfolioHandler = (dependencies) => {
         status: result.status,
         takeProfit: parseFloat(settings.takeProfit),
         stopLoss: parseFloat(settings.stopLoss),
+        stopDistance: riskSize ? riskSize.stopDistance : null, // Stop at the distance the size assumes
         createdAt: Date.now(),
         entryConfidence: 'high',
         noTimeout: true  // Don't auto-cancel swing trade orders
       })
     }
+    await orderManager.armAutoCancel(pick.symbol)
 
     const newPos = {
       symbol: pick.symbol,
@@ -411,7 +417,7 @@ export const createPortfolioHandler = (dependencies) => {
     }
 
     // Update bot message
-    const reasoning = pick.reasoning?.join(' ') || `${pick.side} ${pick.symbol} @ ${pick.score}/100`
+    const reasoning = pick.reasoning || `${pick.side} ${pick.symbol} @ ${pick.score}/100`
     updateBotMessage(pick.symbol, reasoning)
 
     return newPos
@@ -443,7 +449,7 @@ export const createSignalStatusHandler = (dependencies) => {
         return
       }
 
-      const signal = message
+      const signal = message.data
       const symbol = signal.symbol
 
       // Check if signal was not found
@@ -471,7 +477,7 @@ export const createSignalStatusHandler = (dependencies) => {
             console.error(`[Signal Status] Failed to get PNL for ${symbol}:`, error)
           }
 
-          await closePosition(orderManager, symbol, symbolNetPnl)
+          await closePosition(orderManager, symbol, symbolNetPnl, 'Structure invalidated')
           setPortfolioPositions(prev => prev.filter(p => p.symbol !== symbol))
         }
         return
@@ -480,7 +486,7 @@ export const createSignalStatusHandler = (dependencies) => {
       // Update bot message
       const existingPos = portfolioPositions.find(p => p.symbol === symbol)
       if (!existingPos?.isTrailing) {
-        const reasoningText = reasoning?.join(' ') || `${signal.side} ${symbol} @ ${score}/100`
+        const reasoningText = reasoning || `${signal.side} ${symbol} @ ${score}/100`
         updateBotMessage(symbol, reasoningText)
       }
 
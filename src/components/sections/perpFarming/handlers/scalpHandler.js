@@ -18,15 +18,8 @@ export const createScalpHandler = (dependencies) => {
     try {
       console.log('[PerpFarming] Received scalp message:', message)
       
-      // Extract the actual scalp data
-      const scalpData = message?.data || message
-      
-      if (!scalpData) {
-        console.log('[PerpFarming] No scalp data found in message')
-        return
-      }
-      
-      console.log('[PerpFarming] Extracted scalp data:', scalpData)
+      // Validated by the WebSocket client: upper case side, lower case confidence, numeric prices
+      const scalpData = message.data
 
       // Update bot message with server reasoning (always)
       const reasoning = scalpData.reasoning || 'Calling home for some data...'
@@ -71,7 +64,7 @@ export const createScalpHandler = (dependencies) => {
             updateBotMessage(symbol, exitDecision.statement)
             
             // Close position
-            await closePosition(orderManager, symbol, currentNetPnl)
+            await closePosition(orderManager, symbol, currentNetPnl, `Smart Mode: ${exitDecision.reason}`)
             
             return // Exit early, don't process new entry
           }
@@ -80,23 +73,17 @@ export const createScalpHandler = (dependencies) => {
         }
       }
       
-      // Accept high and medium confidence signals, or low if user trusts them
-      const shouldTrade = scalpData.confidence === 'high' || 
-                          scalpData.confidence === 'medium' || 
-                          (scalpData.confidence === 'low' && settings.trustLowConfidence)
-      
-      if (!hasActivePosition && shouldTrade) {
-        console.log(`[PerpFarming] 🎯 Processing ${scalpData.confidence.toUpperCase()} confidence ${scalpData.side} signal @ $${scalpData.limit_price}`)
+      // OrderManager applies the confidence filter (trustLowConfidence)
+      if (!hasActivePosition) {
+        console.log(`[PerpFarming] 🎯 Processing ${scalpData.confidence} confidence ${scalpData.side} signal @ $${scalpData.limit_price}`)
         if (typeof orderManager.handleScalpSignal === 'function') {
           await orderManager.handleScalpSignal(scalpData)
           console.log('[PerpFarming] ✅ Order placement attempted')
         } else {
           console.error('[PerpFarming] handleScalpSignal is not a function!')
         }
-      } else if (hasActivePosition) {
-        console.log('[PerpFarming] ⏭️ Skipping scalp signal - active position exists')
       } else {
-        console.log(`[PerpFarming] ⏭️ Skipping scalp signal - low confidence (${scalpData.confidence}) ${settings.trustLowConfidence ? '(trust enabled but still skipped)' : '(trust low confidence disabled)'}`)
+        console.log('[PerpFarming] ⏭️ Skipping scalp signal - active position exists')
       }
     } catch (error) {
       handleError(`Failed to handle scalp signal: ${error.message}`)
@@ -12,8 +12,9 @@ export const formatQuantityToStepSize = (quantity, stepSize) => {
 
 /**
  * Close position in chunks (respecting MARKET_LOT_SIZE limits)
+ * @param {string} [reason] - Journal exit reason (defaults to the log prefix, e.g. 'TP/SL')
  */
-export const closePositionInChunks = async (orderManager, symbol, logPrefix = '[ClosePosition]') => {
+export const closePositionInChunks = async (orderManager, symbol, logPrefix = '[ClosePosition]', reason = null) => {
   // Get exact position amount from API
   const position = await orderManager.dexService.getPosition(symbol)
   const positionAmtRaw = position.positionAmt || '0'
@@ -45,6 +46,7 @@ export const closePositionInChunks = async (orderManager, symbol, logPrefix = '[
   // Split position into chunks if needed
   let remainingToClose = totalToClose
   let ordersFilled = 0
+  const closeOrderIds = [] // Journal matches these to the exit fills
   const maxChunkSize = marketLotSize.maxQty * 0.95 // Use 95% of max to be safe
   
   console.log(`${logPrefix} Will close ${remainingToClose} in chunks of max ${maxChunkSize} (stepSize: ${marketLotSize.stepSize})`)
@@ -75,6 +77,7 @@ export const closePositionInChunks = async (orderManager, symbol, logPrefix = '[
       })
       
       console.log(`${logPrefix} ✅ Order ${ordersFilled + 1} filled: ${chunkSize} @ MARKET`, result)
+      closeOrderIds.push(result.orderId)
       ordersFilled++
       
       // Check remaining position
@@ -111,6 +114,19 @@ export const closePositionInChunks = async (orderManager, symbol, logPrefix = '[
       throw new Error(`Failed to close position after ${ordersFilled} attempts`)
     }
   }
+  
+  await orderManager.journalExit(
+    symbol,
+    reason || logPrefix.replace(/[[\]]/g, ''),
+    parseFloat(position.markPrice || '0'),
+    closeOrderIds
+  )
+  
+  // Remove the exchange-side TP/SL bracket left behind by the manual close
+  const trackedPosition = orderManager.activePositions.get(symbol)
+  if (trackedPosition) {
+    await orderManager.cancelProtectiveOrders(symbol, trackedPosition)
+  }
 }
 
 /**
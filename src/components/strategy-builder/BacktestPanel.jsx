@@ -0,0 +1,268 @@
+// Backtest Panel - Replays historical klines through the strategy being edited
+// Shows equity curve, trade list and performance stats
+
+import React, { useState, useRef } from 'react';
+import './BacktestPanel.css';
+import { Backtester } from '../../services/strategyBuilder/Backtester';
+
+const PERIOD_OPTIONS = [
+  { label: '1 Day', days: 1 },
+  { label: '7 Days', days: 7 },
+  { label: '30 Days', days: 30 },
+  { label: '90 Days', days: 90 }
+];
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 200;
+
+const formatMoney = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+
+const formatTime = (time) => new Date(time).toLocaleString([], {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const EquityChart = ({ equityCurve, initialBalance }) => {
+  if (equityCurve.length < 2) {
+    return <div className="backtest-empty">Not enough data for an equity curve</div>;
+  }
+
+  const values = equityCurve.map(point => point.equity);
+  const min = Math.min(...values, initialBalance);
+  const max = Math.max(...values, initialBalance);
+  const range = max - min || 1;
+  const startTime = equityCurve[0].time;
+  const timeRange = equityCurve[equityCurve.length - 1].time - startTime || 1;
+
+  const toX = (time) => ((time - startTime) / timeRange) * CHART_WIDTH;
+  const toY = (equity) => CHART_HEIGHT - ((equity - min) / range) * CHART_HEIGHT;
+
+  const points = equityCurve.map(point => `${toX(point.time)},${toY(point.equity)}`).join(' ');
+  const finalEquity = values[values.length - 1];
+
+  return (
+    <svg
+      className="equity-chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      preserveAspectRatio="none"
+    >
+      <line
+        className="equity-baseline"
+        x1="0"
+        x2={CHART_WIDTH}
+        y1={toY(initialBalance)}
+        y2={toY(initialBalance)}
+      />
+      <polyline
+        className={`equity-line ${finalEquity >= initialBalance ? 'positive' : 'negative'}`}
+        points={points}
+      />
+    </svg>
+  );
+};
+
+const BacktestPanel = ({ strategy }) => {
+  const [periodDays, setPeriodDays] = useState(7);
+  const [initialBalance, setInitialBalance] = useState(1000);
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState('');
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const runBacktest = async (runner) => {
+    setIsRunning(true);
+    setError('');
+    setResult(null);
+
+    try {
+      const backtestResult = await runner();
+      setResult(backtestResult);
+    } catch (err) {
+      console.error('[Backtest] Failed:', err);
+      setError(err.message);
+    } finally {
+      setIsRunning(false);
+      setProgress('');
+    }
+  };
+
+  const handleRun = () => {
+    const backtester = new Backtester(strategy, { initialBalance });
+    const endTime = Date.now();
+    const startTime = endTime - periodDays * 24 * 60 * 60 * 1000;
+
+    runBacktest(() => backtester.runFromExchange({ startTime, endTime }, setProgress));
+  };
+
+  const handleImportCSV = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow re-importing the same file
+    if (!file) return;
+
+    const backtester = new Backtester(strategy, { initialBalance });
+    setProgress(`Reading ${file.name}...`);
+    runBacktest(async () => backtester.runFromCSV(await file.text()));
+  };
+
+  const stats = result?.stats;
+
+  return (
+    <div className="backtest-panel">
+      <div className="backtest-controls">
+        <div className="setting-group">
+          <label>Period</label>
+          <select
+            className="setting-input"
+            value={periodDays}
+            onChange={(e) => setPeriodDays(parseInt(e.target.value))}
+            disabled={isRunning}
+          >
+            {PERIOD_OPTIONS.map(option => (
+              <option key={option.days} value={option.days}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="setting-group">
+          <label>Starting Balance ($)</label>
+          <input
+            type="number"
+            className="setting-input"
+            value={initialBalance}
+            min="1"
+            onChange={(e) => setInitialBalance(parseFloat(e.target.value) || 1000)}
+            disabled={isRunning}
+          />
+        </div>
+
+        <div className="backtest-buttons">
+          <button className="save-button" onClick={handleRun} disabled={isRunning}>
+            {isRunning ? '⏳ Running...' : `▶️ Backtest ${strategy.symbol}`}
+          </button>
+          <button
+            className="validate-button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isRunning}
+          >
+            📄 Import CSV
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,text/csv"
+            style={{ display: 'none' }}
+            onChange={handleImportCSV}
+          />
+        </div>
+      </div>
+
+      <small className="backtest-note">
+        Evaluates every {strategy.interval}s on closed candles with {strategy.cooldown}s cooldown. Entries/exits fill at market with taker fees; TP/SL and liquidation are checked against each bar's high/low.
+      </small>
+
+      {progress && <div className="backtest-progress">{progress}</div>}
+      {error && <div className="validation-summary invalid">❌ {error}</div>}
+
+      {result && (
+        <>
+          {result.warnings.length > 0 && (
+            <div className="validation-summary invalid validation-warnings">
+              <ul>
+                {result.warnings.map((warning, i) => (
+                  <li key={i}>{warning}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="backtest-stats">
+            <div className="backtest-stat">
+              <span className="info-label">Net PnL</span>
+              <span className={`backtest-stat-value ${stats.netPnl >= 0 ? 'positive' : 'negative'}`}>
+                {formatMoney(stats.netPnl)} ({stats.returnPct.toFixed(2)}%)
+              </span>
+            </div>
+            <div className="backtest-stat">
+              <span className="info-label">Trades</span>
+              <span className="backtest-stat-value">{stats.totalTrades}</span>
+            </div>
+            <div className="backtest-stat">
+              <span className="info-label">Win Rate</span>
+              <span className="backtest-stat-value">{stats.winRate.toFixed(1)}%</span>
+            </div>
+            <div className="backtest-stat">
+              <span className="info-label">Max Drawdown</span>
+              <span className="backtest-stat-value negative">
+                {formatMoney(stats.maxDrawdown)} ({stats.maxDrawdownPct.toFixed(2)}%)
+              </span>
+            </div>
+            <div className="backtest-stat">
+              <span className="info-label">Profit Factor</span>
+              <span className="backtest-stat-value">
+                {stats.profitFactor === Infinity ? '∞' : stats.profitFactor.toFixed(2)}
+              </span>
+            </div>
+            <div className="backtest-stat">
+              <span className="info-label">Sharpe</span>
+              <span className="backtest-stat-value">{stats.sharpe.toFixed(2)}</span>
+            </div>
+            <div className="backtest-stat">
+              <span className="info-label">Fees</span>
+              <span className="backtest-stat-value">{formatMoney(stats.totalFees)}</span>
+            </div>
+          </div>
+
+          <div className="backtest-section">
+            <h3>📈 Equity Curve</h3>
+            <EquityChart equityCurve={result.equityCurve} initialBalance={initialBalance} />
+            <div className="equity-chart-labels">
+              <span>{formatTime(result.startTime)}</span>
+              <span>{formatTime(result.endTime)}</span>
+            </div>
+          </div>
+
+          <div className="backtest-section">
+            <h3>📋 Trades</h3>
+            {result.trades.length === 0 ? (
+              <div className="backtest-empty">No trades - conditions never triggered an entry</div>
+            ) : (
+              <div className="backtest-trades">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Side</th>
+                      <th>Entry</th>
+                      <th>Exit</th>
+                      <th>Entry Price</th>
+                      <th>Exit Price</th>
+                      <th>Reason</th>
+                      <th>PnL</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.trades.map((trade, i) => (
+                      <tr key={i}>
+                        <td className={trade.side === 'LONG' ? 'positive' : 'negative'}>{trade.side}</td>
+                        <td>{formatTime(trade.entryTime)}</td>
+                        <td>{formatTime(trade.exitTime)}</td>
+                        <td>{trade.entryPrice.toFixed(4)}</td>
+                        <td>{trade.exitPrice.toFixed(4)}</td>
+                        <td>{trade.reason}</td>
+                        <td className={trade.pnl >= 0 ? 'positive' : 'negative'}>{formatMoney(trade.pnl)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BacktestPanel;
@@ -1,10 +1,11 @@
 // Main container for the visual strategy builder
-// Full-screen modal with palette, canvas, and settings panels
+// Full-screen modal with palette, canvas, and settings panels (Build tab) and backtester (Backtest tab)
 
 import React, { useState, useRef, useEffect } from 'react';
 import './StrategyBuilderModal.css';
 import BlockPalette from './BlockPalette';
 import BlockCanvas from './BlockCanvas';
+import BacktestPanel from './BacktestPanel';
 import { StrategyStorage } from '../../services/strategyBuilder/StrategyStorage';
 import { BlockValidator } from '../../services/strategyBuilder/BlockValidator';
 
@@ -14,6 +15,7 @@ const StrategyBuilderModal = ({ isOpen, onClose, initialStrategy = null, symbol
   const [validation, setValidation] = useState({ valid: true, errors: [], warnings: [] });
   const [isSaving, setIsSaving] = useState(false);
   const [showValidation, setShowValidation] = useState(false);
+  const [activeTab, setActiveTab] = useState('build'); // 'build' or 'backtest'
 
   // Initialize strategy
   useEffect(() => {
@@ -23,6 +25,7 @@ const StrategyBuilderModal = ({ isOpen, onClose, initialStrategy = null, symbol
       } else {
         setStrategy(StrategyStorage.createTemplate(symbol));
       }
+      setActiveTab('build');
     }
   }, [isOpen, initialStrategy, symbol]);
 
@@ -259,9 +262,30 @@ const StrategyBuilderModal = ({ isOpen, onClose, initialStrategy = null, symbol
       <div className="strategy-builder-modal">
         <div className="strategy-builder-header">
           <h2>🧱 Custom Strategy Builder</h2>
+          <div className="strategy-builder-tabs">
+            <button
+              className={`strategy-builder-tab ${activeTab === 'build' ? 'active' : ''}`}
+              onClick={() => setActiveTab('build')}
+            >
+              🧱 Build
+            </button>
+            <button
+              className={`strategy-builder-tab ${activeTab === 'backtest' ? 'active' : ''}`}
+              onClick={() => setActiveTab('backtest')}
+            >
+              📊 Backtest
+            </button>
+          </div>
           <button className="close-button" onClick={handleClose}>×</button>
         </div>
         
+        {activeTab === 'backtest' ? (
+          <div className="strategy-builder-content">
+            <div className="strategy-builder-panel center-panel">
+              <BacktestPanel strategy={strategy} />
+            </div>
+          </div>
+        ) : (
         <div className="strategy-builder-content">
           {/* Left Panel - Block Palette */}
           <div className="strategy-builder-panel left-panel">
@@ -396,6 +420,7 @@ const StrategyBuilderModal = ({ isOpen, onClose, initialStrategy = null, symbol
             </div>
           </div>
         </div>
+        )}
       </div>
     </div>
   );
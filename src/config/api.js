@@ -44,7 +44,8 @@ export const API_CONFIG = {
     // Auth endpoints
     auth: {
       challenge: '/api/auth/challenge',
-      verify: '/api/auth/verify'
+      verify: '/api/auth/verify',
+      refresh: '/api/auth/refresh' // Optional - older servers answer 404 and the wallet signs a new challenge
     },
     
     // Perps endpoints
@@ -97,8 +98,11 @@ export const API_CONFIG = {
   // Helper to get full URL
   getUrl: (endpoint) => `${this.BASE_URL}${endpoint}`,
   
+  // async () => token - set by tokenLifecycle; fetch() retries a 401 once after calling it
+  authRefresher: null,
+  
   // Fetch wrapper with error handling and optional auth
-  async fetch(endpoint, options = {}) {
+  async fetch(endpoint, options = {}, isRetry = false) {
     const url = `${this.BASE_URL}${endpoint}`;
     
     try {
@@ -125,6 +129,13 @@ export const API_CONFIG = {
       
       console.log(`[API] Response status: ${response.status} ${response.statusText}`);
       
+      // Token expired mid-session - refresh it and try once more
+      if (response.status === 401 && options.includeAuth !== false && !isRetry && this.authRefresher) {
+        console.warn('[API] 401 Unauthorized - refreshing token and retrying');
+        await this.authRefresher();
+        return await this.fetch(endpoint, options, true);
+      }
+      
       if (!response.ok) {
         // Try to get error message from response body
         let errorMessage;
@@ -32,6 +32,8 @@ export const WEBSOCKET_CONFIG = {
   // Connection settings
   PING_INTERVAL: 54000, // ~54 seconds (server sends ping)
   PONG_TIMEOUT: 60000,  // 60 seconds timeout
+  HEARTBEAT_CHECK_INTERVAL: 5000, // 5 seconds between pong / stale feed checks
+  STALE_FEED_TIMEOUT: 180000, // 3 minutes without a message for a subscribed pair
   MAX_MESSAGE_SIZE: 512, // bytes
   RECONNECT_DELAY: 3000, // 3 seconds initial reconnect delay
   MAX_RECONNECT_DELAY: 30000, // 30 seconds max reconnect delay
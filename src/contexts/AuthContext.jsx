@@ -8,6 +8,7 @@
 import { createContext, useContext, useState, useEffect } from 'react'
 import { useAccount } from 'wagmi'
 import authService from '../services/auth'
+import tokenLifecycle from '../services/tokenLifecycle'
 
 const AuthContext = createContext(null)
 
@@ -26,6 +27,13 @@ export function AuthProvider({ children }) {
     }
   }, [])
 
+  // Refresh the token before it expires for as long as the user stays signed in
+  useEffect(() => {
+    if (!isAuthenticated) return
+    tokenLifecycle.start()
+    return () => tokenLifecycle.stop()
+  }, [isAuthenticated])
+
   // Handle wallet connection/disconnection
   useEffect(() => {
     if (!isConnected) {
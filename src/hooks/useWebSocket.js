@@ -99,19 +99,19 @@ export function useWebSocket(token, isAuthenticated, options = {}) {
         }
       }
 
-      clientRef.current.onSummary = (data) => {
-        console.log('[useWebSocket] Received summary for', data.symbol)
+      clientRef.current.onSummary = (message) => {
+        console.log('[useWebSocket] Received summary for', message.symbol)
         setUpdates(prev => [...prev, { 
-          type: 'summary', 
-          ...data,
+          ...message,
           receivedAt: new Date().toISOString()
         }])
       }
 
-      clientRef.current.onAlert = (data) => {
-        console.log('[useWebSocket] Received alert:', data.change_type)
+      clientRef.current.onAlert = (message) => {
+        console.log('[useWebSocket] Received alert:', message.data.change_type)
         setAlerts(prev => [...prev, {
-          ...data,
+          symbol: message.symbol,
+          ...message.data,
           receivedAt: new Date().toISOString()
         }])
       }
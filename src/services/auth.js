@@ -7,6 +7,9 @@
  * 3. Verify signature to get JWT token
  * 4. Use token for authenticated requests
  * 
+ * Token listeners are told about every new token (sign-in, refresh) so
+ * long-lived connections can swap it in - see tokenLifecycle.js.
+ * 
  * Based on: docs/AUTHENTICATION_GUIDE.md
  */
 
@@ -17,6 +20,8 @@ class AuthService {
     this.token = null
     this.walletAddress = null
     this.tokenExpiry = null
+    this.supportsRefresh = true // Cleared once the server answers the refresh endpoint with 404/405
+    this.tokenListeners = new Set()
     
     // Restore from sessionStorage if available
     this.restoreSession()
@@ -43,14 +48,7 @@ class AuthService {
       const tokenData = await this.verifySignature(walletAddress, signature, challenge.message)
       console.log('[Auth] Authentication successful, token expires at:', tokenData.expires_at)
       
-      // Store token and wallet
-      this.token = tokenData.token
-      this.walletAddress = walletAddress
-      this.tokenExpiry = tokenData.expires_at
-      
-      // Persist to sessionStorage
-      this.saveSession()
-      
+      this.storeToken(tokenData, walletAddress)
       return tokenData.token
     } catch (error) {
       console.error('[Auth] Authentication failed:', error)
@@ -134,6 +132,76 @@ class AuthService {
     return await response.json()
   }
 
+  /**
+   * Get a new token before the current one expires
+   * Uses the refresh endpoint while the token is still valid and the server has one,
+   * otherwise signs a new challenge with the wallet
+   * @returns {Promise<string>} New JWT token
+   */
+  async refreshToken() {
+    if (!this.walletAddress) {
+      throw new Error('Not authenticated. Please connect your wallet and sign the message.')
+    }
+
+    if (this.supportsRefresh && this.token && !this.isTokenExpired()) {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.endpoints.auth.refresh}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${this.token}`,
+          'Content-Type': 'application/json'
+        }
+      })
+
+      if (response.ok) {
+        const tokenData = await response.json()
+        console.log('[Auth] Token refreshed, expires at:', tokenData.expires_at)
+        this.storeToken(tokenData, this.walletAddress)
+        return tokenData.token
+      }
+
+      if (response.status === 404 || response.status === 405) {
+        console.log('[Auth] No refresh endpoint on this server - re-authenticating with the wallet')
+        this.supportsRefresh = false
+      } else {
+        console.warn(`[Auth] Token refresh failed (HTTP ${response.status}) - re-authenticating with the wallet`)
+      }
+    }
+
+    return this.authenticate(this.walletAddress)
+  }
+
+  /**
+   * Store a new token, persist it and notify the token listeners
+   * @param {Object} tokenData - { token, expires_at } from verify/refresh
+   * @param {string} walletAddress - Wallet the token belongs to
+   */
+  storeToken(tokenData, walletAddress) {
+    this.token = tokenData.token
+    this.walletAddress = walletAddress
+    this.tokenExpiry = tokenData.expires_at
+    
+    // Persist to sessionStorage
+    this.saveSession()
+
+    for (const listener of this.tokenListeners) {
+      try {
+        listener(this.token, this.tokenExpiry)
+      } catch (error) {
+        console.error('[Auth] Token listener failed:', error)
+      }
+    }
+  }
+
+  /**
+   * Get told about every new token (sign-in or refresh)
+   * @param {Function} listener - (token, tokenExpiry) => void
+   * @returns {Function} Removes the listener
+   */
+  addTokenListener(listener) {
+    this.tokenListeners.add(listener)
+    return () => this.tokenListeners.delete(listener)
+  }
+
   /**
    * Make an authenticated request
    */
@@ -0,0 +1,210 @@
+/**
+ * Chase Execution
+ *
+ * Works an order as maker instead of paying the taker fee: a post-only (GTX)
+ * LIMIT order rests at the best bid (BUY) or ask (SELL) and is re-priced
+ * whenever the book moves away from it. The chase gives up and sends the rest
+ * as a MARKET order once the price has run maxChasePercent against the first
+ * quote, or after maxDuration seconds.
+ *
+ * Used for entries (orderType 'CHASE') and, when exits is on, for
+ * OrderManager.closePosition(). GTX fills are always maker, the MARKET
+ * fallback is always taker, so the result tells how much of the order
+ * saved the fee difference.
+ */
+
+export const DEFAULT_CHASE_EXECUTION = {
+  exits: false, // Chase discretionary closes (Smart Mode, manual) instead of sending MARKET
+  maxChasePercent: 0.2, // Adverse move from the first quote before falling back to MARKET (%)
+  maxDuration: 20, // Seconds before falling back to MARKET
+  repriceInterval: 2 // Seconds between book checks
+}
+
+// Post-only order rejected because it would have taken liquidity (book moved while placing)
+const POST_ONLY_REJECTIONS = ['-5022', 'Post Only', 'Post-only']
+
+/**
+ * Drop floating point noise so the DexService doesn't floor a remainder a whole step down
+ */
+function roundQuantity(quantity) {
+  return parseFloat(quantity.toFixed(10))
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+export class ChaseExecutor {
+  /**
+   * @param {Object} [config] - Overrides for DEFAULT_CHASE_EXECUTION
+   */
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_CHASE_EXECUTION }
+    this.update(config)
+  }
+
+  /**
+   * Update the chase config (invalid numbers fall back to defaults)
+   * @param {Object} config - Partial config
+   */
+  update(config = {}) {
+    for (const key of Object.keys(DEFAULT_CHASE_EXECUTION)) {
+      if (config[key] === undefined || config[key] === null || config[key] === '') continue
+
+      if (typeof DEFAULT_CHASE_EXECUTION[key] === 'boolean') {
+        this.config[key] = Boolean(config[key])
+      } else {
+        const value = parseFloat(config[key])
+        this.config[key] = Number.isFinite(value) && value > 0 ? value : DEFAULT_CHASE_EXECUTION[key]
+      }
+    }
+  }
+
+  /**
+   * Chase an order until it fills, falling back to MARKET for whatever is left
+   * @param {DexService} dexService - Exchange to trade on
+   * @param {Object} order
+   * @param {string} order.symbol - Trading pair symbol
+   * @param {string} order.side - 'BUY' or 'SELL'
+   * @param {number} order.quantity - Quantity to fill
+   * @param {boolean} [order.reduceOnly] - Only reduce the position (exits)
+   * @param {string} [order.positionSide] - Side of the position being closed (exits, hedge mode)
+   * @param {string} [order.clientOrderPrefix] - Client order ID prefix (entries keep their strategy prefix)
+   * @param {Function} [order.onFill] - async ({ orderId, executedQty, avgPrice }) => void, once per order that filled
+   * @returns {Promise<Object>} { orderIds, lastOrderId, executedQty, avgPrice, makerQty, takerQty, fellBack }
+   */
+  async execute(dexService, { symbol, side, quantity, reduceOnly = false, positionSide, clientOrderPrefix, onFill }) {
+    const { maxChasePercent, maxDuration, repriceInterval } = this.config
+    const startedAt = Date.now()
+    const direction = side === 'BUY' ? 1 : -1
+    const fills = [] // [{ orderId, qty, price, maker }]
+    const orderIds = []
+    let startPrice = null
+    let workingOrder = null // { orderId, price }
+    let lastPrice = 0
+    let targetQty = quantity // Replaced by the exchange-formatted size once the first order is placed
+
+    const filledQty = () => roundQuantity(fills.reduce((sum, fill) => sum + fill.qty, 0))
+
+    const recordFill = async (fill) => {
+      fills.push(fill)
+      if (onFill) {
+        await onFill({ orderId: fill.orderId, executedQty: fill.qty, avgPrice: fill.price })
+      }
+    }
+
+    // Cancel the working order and record what it filled (it may have filled while cancelling)
+    const settle = async () => {
+      if (!workingOrder) return
+      try {
+        await dexService.cancelOrder(symbol, workingOrder.orderId)
+      } catch (error) {
+        // Already filled or expired - its final status tells
+      }
+      const status = await dexService.getOrderStatus(symbol, workingOrder.orderId)
+      const executedQty = parseFloat(status.executedQty || '0')
+      const { orderId, price } = workingOrder
+      workingOrder = null
+      if (executedQty > 0) {
+        await recordFill({ orderId, qty: executedQty, price: parseFloat(status.avgPrice || '0') || price, maker: true })
+      }
+    }
+
+    while (filledQty() < targetQty) {
+      const book = await dexService.getBookTicker(symbol)
+      const bestPrice = parseFloat(side === 'BUY' ? book.bidPrice : book.askPrice)
+      if (!(bestPrice > 0)) {
+        throw new Error(`No book price for ${symbol}`)
+      }
+      startPrice = startPrice ?? bestPrice
+      lastPrice = bestPrice
+
+      const adverseMove = (direction * (bestPrice - startPrice) / startPrice) * 100
+      if (adverseMove > maxChasePercent || Date.now() - startedAt > maxDuration * 1000) {
+        console.log(`[ChaseExecutor] ⏱️ ${symbol} ${side} chase gave up (${adverseMove.toFixed(3)}% from $${startPrice}, ${Math.round((Date.now() - startedAt) / 1000)}s)`)
+        break
+      }
+
+      if (workingOrder && workingOrder.price !== bestPrice) {
+        console.log(`[ChaseExecutor] 🏃 ${symbol} book moved $${workingOrder.price} → $${bestPrice} - re-pricing`)
+        await settle()
+      }
+
+      if (!workingOrder) {
+        const orderParams = {
+          symbol,
+          side,
+          type: 'LIMIT',
+          price: bestPrice,
+          quantity: roundQuantity(targetQty - filledQty()),
+          timeInForce: 'GTX'
+        }
+        if (reduceOnly) orderParams.reduceOnly = true
+        if (positionSide) orderParams.positionSide = positionSide
+        if (clientOrderPrefix) orderParams.newClientOrderId = `${clientOrderPrefix}${Date.now()}`
+
+        try {
+          const response = await dexService.placeOrder(orderParams)
+          orderIds.push(response.orderId)
+          if (parseFloat(response.origQty || '0') > 0) {
+            targetQty = roundQuantity(filledQty() + parseFloat(response.origQty))
+          }
+          if (response.status !== 'EXPIRED') {
+            workingOrder = { orderId: response.orderId, price: bestPrice }
+          }
+        } catch (error) {
+          if (!POST_ONLY_REJECTIONS.some(text => error.message?.includes(text))) {
+            throw error
+          }
+        }
+      }
+
+      await sleep(repriceInterval * 1000)
+
+      if (workingOrder) {
+        const status = await dexService.getOrderStatus(symbol, workingOrder.orderId)
+        if (status.status === 'FILLED') {
+          await settle()
+        }
+      }
+    }
+
+    await settle()
+
+    const remaining = roundQuantity(targetQty - filledQty())
+    let fellBack = false
+    if (remaining > 0) {
+      const orderParams = { symbol, side, type: 'MARKET', quantity: remaining }
+      if (reduceOnly) orderParams.reduceOnly = true
+      if (positionSide) orderParams.positionSide = positionSide
+      if (clientOrderPrefix) orderParams.newClientOrderId = `${clientOrderPrefix}${Date.now()}`
+
+      const response = await dexService.placeOrder(orderParams)
+      orderIds.push(response.orderId)
+      await recordFill({
+        orderId: response.orderId,
+        qty: parseFloat(response.executedQty || '0') || remaining,
+        price: parseFloat(response.avgPrice || '0') || lastPrice,
+        maker: false
+      })
+      fellBack = true
+    }
+
+    const executedQty = filledQty()
+    const makerQty = roundQuantity(fills.filter(fill => fill.maker).reduce((sum, fill) => sum + fill.qty, 0))
+    const result = {
+      orderIds,
+      lastOrderId: orderIds[orderIds.length - 1],
+      executedQty,
+      avgPrice: executedQty > 0 ? fills.reduce((sum, fill) => sum + fill.qty * fill.price, 0) / executedQty : 0,
+      makerQty,
+      takerQty: roundQuantity(executedQty - makerQty),
+      fellBack
+    }
+
+    console.log(`[ChaseExecutor] ✅ ${symbol} ${side} ${executedQty} @ avg $${result.avgPrice} (maker ${makerQty}, taker ${result.takerQty}) in ${orderIds.length} order(s)`)
+    return result
+  }
+}
+
+export default ChaseExecutor
@@ -0,0 +1,230 @@
+/**
+ * Circuit Breaker
+ *
+ * Account-wide kill switch shared by every strategy (server signals, Auto Mode
+ * portfolio and custom StrategyRunner strategies):
+ * - Daily loss: realized + unrealized PnL since 00:00 UTC
+ * - Rolling loss: realized + unrealized PnL over the last N hours
+ * - Drawdown: drop from the day's PnL peak
+ *
+ * Realized PnL comes from exchange income entries (REALIZED_PNL, COMMISSION,
+ * FUNDING_FEE), so trades closed by brackets, other strategies or by hand all count.
+ *
+ * Once tripped the lock is persisted per account (exchange id, or 'paper') and
+ * survives restarts until reset() is called from the PerpFarming panel.
+ * A limit of 0 disables that check.
+ */
+
+export const DEFAULT_CIRCUIT_BREAKER = {
+  dailyLossLimit: 0, // USDT, 0 = off
+  rollingLossLimit: 0, // USDT, 0 = off
+  rollingWindowHours: 4,
+  maxDrawdown: 0, // USDT below the day's PnL peak, 0 = off
+  flattenOnTrip: true // Market-close every position when tripped
+}
+
+const STORAGE_KEY_PREFIX = 'hopium_circuit_breaker_'
+const PNL_INCOME_TYPES = ['REALIZED_PNL', 'COMMISSION', 'FUNDING_FEE']
+const HOUR = 60 * 60 * 1000
+
+const formatUsd = (value) => `$${value.toFixed(2)}`
+
+/**
+ * Start of the UTC day containing a timestamp
+ */
+function getUtcDayStart(time) {
+  const date = new Date(time)
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+}
+
+/**
+ * Sum PnL income entries at or after a timestamp
+ */
+function sumIncome(income, since) {
+  return income
+    .filter(entry => PNL_INCOME_TYPES.includes(entry.incomeType) && entry.time >= since)
+    .reduce((sum, entry) => sum + (parseFloat(entry.income) || 0), 0)
+}
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} [config] - Overrides for DEFAULT_CIRCUIT_BREAKER
+   * @param {string} [accountId] - Account the lock belongs to (exchange id or 'paper')
+   */
+  constructor(config = {}, accountId = null) {
+    this.config = { ...DEFAULT_CIRCUIT_BREAKER }
+    this.state = this._emptyState()
+    this.accountId = null
+    this.update(config)
+    if (accountId) {
+      this.load(accountId)
+    }
+  }
+
+  /**
+   * Update thresholds (invalid numbers fall back to defaults)
+   * @param {Object} config - Partial config
+   */
+  update(config = {}) {
+    for (const key of Object.keys(DEFAULT_CIRCUIT_BREAKER)) {
+      if (config[key] === undefined || config[key] === null || config[key] === '') continue
+
+      if (typeof DEFAULT_CIRCUIT_BREAKER[key] === 'boolean') {
+        this.config[key] = Boolean(config[key])
+      } else {
+        const value = parseFloat(config[key])
+        this.config[key] = Number.isFinite(value) && value >= 0 ? value : DEFAULT_CIRCUIT_BREAKER[key]
+      }
+    }
+  }
+
+  /**
+   * Load the persisted lock state for an account
+   * @param {string} accountId - Exchange id or 'paper'
+   */
+  load(accountId) {
+    this.accountId = accountId
+    this.state = this._emptyState()
+
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY_PREFIX + accountId)
+      if (saved) {
+        this.state = { ...this.state, ...JSON.parse(saved) }
+      }
+    } catch (error) {
+      console.warn('[CircuitBreaker] Failed to load state:', error.message)
+    }
+  }
+
+  /**
+   * Check if any threshold is configured
+   * @returns {boolean} True if the breaker evaluates PnL
+   */
+  isEnabled() {
+    const { dailyLossLimit, rollingLossLimit, maxDrawdown } = this.config
+    return dailyLossLimit > 0 || rollingLossLimit > 0 || maxDrawdown > 0
+  }
+
+  /**
+   * Check if trading is locked
+   * @returns {boolean} True if tripped and not yet reset
+   */
+  isTripped() {
+    return this.state.tripped
+  }
+
+  /**
+   * Get the lock state
+   * @returns {Object} { tripped, reason, trippedAt }
+   */
+  getState() {
+    const { tripped, reason, trippedAt } = this.state
+    return { tripped, reason, trippedAt }
+  }
+
+  /**
+   * Earliest timestamp evaluate() needs income entries from
+   * @param {number} [now] - Current time (ms)
+   * @returns {number} Timestamp (ms)
+   */
+  getIncomeStartTime(now = Date.now()) {
+    const rollingStart = now - this.config.rollingWindowHours * HOUR
+    return Math.min(getUtcDayStart(now), rollingStart)
+  }
+
+  /**
+   * Evaluate current PnL against the thresholds and trip if one is hit
+   * @param {Array<Object>} income - Income entries since getIncomeStartTime() ({ incomeType, income, time })
+   * @param {number} unrealizedPnl - Unrealized PnL across all open positions (USDT)
+   * @param {number} [now] - Current time (ms)
+   * @returns {string|null} Trip reason, or null if within limits
+   */
+  evaluate(income, unrealizedPnl, now = Date.now()) {
+    if (this.state.tripped) {
+      return this.state.reason
+    }
+
+    // Losses booked before a manual reset don't count again
+    const dayStart = getUtcDayStart(now)
+    const resetAt = this.state.resetAt || 0
+    const unrealized = parseFloat(unrealizedPnl) || 0
+    const dailyPnl = sumIncome(income, Math.max(dayStart, resetAt)) + unrealized
+    const rollingPnl = sumIncome(income, Math.max(now - this.config.rollingWindowHours * HOUR, resetAt)) + unrealized
+
+    // Drawdown peak resets at 00:00 UTC
+    if (this.state.day !== dayStart) {
+      this.state.day = dayStart
+      this.state.peakPnl = 0
+    }
+    this.state.peakPnl = Math.max(this.state.peakPnl, dailyPnl)
+    const drawdown = this.state.peakPnl - dailyPnl
+    this._save()
+
+    const { dailyLossLimit, rollingLossLimit, rollingWindowHours, maxDrawdown } = this.config
+
+    let reason = null
+    if (dailyLossLimit > 0 && -dailyPnl >= dailyLossLimit) {
+      reason = `Daily loss ${formatUsd(-dailyPnl)} hit the ${formatUsd(dailyLossLimit)} limit`
+    } else if (rollingLossLimit > 0 && -rollingPnl >= rollingLossLimit) {
+      reason = `${rollingWindowHours}h loss ${formatUsd(-rollingPnl)} hit the ${formatUsd(rollingLossLimit)} limit`
+    } else if (maxDrawdown > 0 && drawdown >= maxDrawdown) {
+      reason = `Drawdown ${formatUsd(drawdown)} from today's peak ${formatUsd(this.state.peakPnl)} hit the ${formatUsd(maxDrawdown)} limit`
+    }
+
+    if (reason) {
+      this.trip(reason)
+    }
+    return reason
+  }
+
+  /**
+   * Lock trading
+   * @param {string} reason - Why trading was locked
+   */
+  trip(reason) {
+    this.state.tripped = true
+    this.state.reason = reason
+    this.state.trippedAt = Date.now()
+    this._save()
+    console.log(`[CircuitBreaker] 🛑 TRIPPED: ${reason}`)
+  }
+
+  /**
+   * Unlock trading (manual reset from the panel)
+   * Realized losses so far are forgiven; the windows and drawdown peak restart now
+   */
+  reset() {
+    this.state = { ...this._emptyState(), resetAt: Date.now() }
+    this._save()
+    console.log('[CircuitBreaker] 🔓 Reset - trading unlocked')
+  }
+
+  /**
+   * @private
+   */
+  _emptyState() {
+    return {
+      tripped: false,
+      reason: null,
+      trippedAt: null,
+      resetAt: null,
+      day: null,
+      peakPnl: 0
+    }
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    if (!this.accountId) return
+
+    try {
+      localStorage.setItem(STORAGE_KEY_PREFIX + this.accountId, JSON.stringify(this.state))
+    } catch (error) {
+      console.warn('[CircuitBreaker] Failed to save state:', error.message)
+    }
+  }
+}
+
+export default CircuitBreaker
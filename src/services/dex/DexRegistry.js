@@ -0,0 +1,85 @@
+/**
+ * DEX Registry
+ *
+ * Maps exchange ids to DexService implementations so OrderManager, paper trading
+ * and the settings UI never reference a concrete exchange class.
+ *
+ * @example
+ * ```javascript
+ * import { createDexService } from './dex/DexRegistry'
+ *
+ * const dexService = createDexService('binance')
+ * await dexService.initialize({ apiKey, secretKey })
+ * ```
+ */
+
+import AsterDexService from './aster/AsterDexService'
+import BinanceDexService from './binance/BinanceDexService'
+
+export const DEFAULT_EXCHANGE = 'aster'
+
+/**
+ * Registered exchanges
+ * id -> { id, label, description, create }
+ */
+const exchanges = new Map()
+
+/**
+ * Register a DexService implementation
+ * @param {Object} exchange
+ * @param {string} exchange.id - Exchange id (matches DexService.getName())
+ * @param {string} exchange.label - Display name for the settings UI
+ * @param {string} [exchange.description] - Short note shown under the selector
+ * @param {Function} exchange.create - () => DexService (uninitialized)
+ */
+export function registerExchange(exchange) {
+  if (!exchange?.id || typeof exchange.create !== 'function') {
+    throw new Error('Exchange registration requires an id and a create() factory')
+  }
+  exchanges.set(exchange.id, exchange)
+}
+
+/**
+ * Get a registered exchange
+ * @param {string} id - Exchange id
+ * @returns {Object|null} Exchange entry
+ */
+export function getExchange(id) {
+  return exchanges.get(id) || null
+}
+
+/**
+ * List registered exchanges (for selectors)
+ * @returns {Array<Object>} Exchange entries in registration order
+ */
+export function getExchanges() {
+  return Array.from(exchanges.values())
+}
+
+/**
+ * Create an uninitialized DexService for an exchange
+ * @param {string} [id] - Exchange id (default: Aster)
+ * @returns {DexService} Service instance (call initialize() or initializePublic())
+ * @throws {Error} If the exchange is not registered
+ */
+export function createDexService(id = DEFAULT_EXCHANGE) {
+  const exchange = exchanges.get(id)
+  if (!exchange) {
+    throw new Error(`Unknown exchange: ${id}`)
+  }
+  return exchange.create()
+}
+
+registerExchange({
+  id: 'aster',
+  label: 'Aster',
+  description: 'Aster Finance perpetual futures',
+  create: () => new AsterDexService()
+})
+
+registerExchange({
+  id: 'binance',
+  label: 'Binance USDⓈ-M',
+  description: 'Binance USDⓈ-M futures - enable Futures permission on the API key',
+  create: () => new BinanceDexService()
+})
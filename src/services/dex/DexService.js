@@ -20,6 +20,14 @@ export class DexService {
     throw new Error('initialize() must be implemented by subclass')
   }
 
+  /**
+   * Initialize without credentials for public market data only
+   * Used by paper trading for prices and symbol precision
+   */
+  initializePublic() {
+    throw new Error('initializePublic() must be implemented by subclass')
+  }
+
   /**
    * Validate API credentials
    * @returns {Promise<boolean>} True if credentials are valid
@@ -33,9 +41,11 @@ export class DexService {
    * @param {Object} orderParams - Order parameters
    * @param {string} orderParams.symbol - Trading pair symbol
    * @param {string} orderParams.side - 'BUY' or 'SELL'
-   * @param {string} orderParams.type - Order type (e.g., 'LIMIT', 'MARKET')
-   * @param {string} orderParams.quantity - Order quantity
+   * @param {string} orderParams.type - Order type (e.g., 'LIMIT', 'MARKET', 'STOP_MARKET', 'TAKE_PROFIT_MARKET')
+   * @param {string} orderParams.quantity - Order quantity (omitted when closePosition is true)
    * @param {string} [orderParams.price] - Order price (required for LIMIT orders)
+   * @param {string} [orderParams.stopPrice] - Trigger price (required for STOP_MARKET / TAKE_PROFIT_MARKET)
+   * @param {boolean} [orderParams.closePosition] - Close the entire position when triggered
    * @param {string} [orderParams.timeInForce] - Time in force (default: 'GTC')
    * @param {string} [orderParams.newClientOrderId] - Client order ID
    * @returns {Promise<Object>} Order response from DEX
@@ -44,6 +54,24 @@ export class DexService {
     throw new Error('placeOrder() must be implemented by subclass')
   }
 
+  /**
+   * Place several orders at once (e.g. the rungs of a laddered entry)
+   * Optional: the default places them one by one; DEXs with a batch endpoint override it
+   * @param {Array<Object>} ordersParams - Order parameters (see placeOrder)
+   * @returns {Promise<Array<Object>>} One result per order: the order response, or { error } if it was rejected
+   */
+  async placeBatchOrders(ordersParams) {
+    const results = []
+    for (const orderParams of ordersParams) {
+      try {
+        results.push(await this.placeOrder(orderParams))
+      } catch (error) {
+        results.push({ error: error.message })
+      }
+    }
+    return results
+  }
+
   /**
    * Cancel an order
    * @param {string} symbol - Trading pair symbol
@@ -90,6 +118,148 @@ export class DexService {
     throw new Error('getAccountBalance() must be implemented by subclass')
   }
 
+  /**
+   * Get account trade list (exchange fills) for a symbol
+   * @param {string} symbol - Trading pair symbol
+   * @param {Object} [options] - { fromId, startTime, endTime, limit }
+   * @returns {Promise<Array>} Fills with realizedPnl and commission
+   */
+  async getUserTrades(symbol, options = {}) {
+    throw new Error('getUserTrades() must be implemented by subclass')
+  }
+
+  /**
+   * Get income history (realized PnL, funding fees, commission)
+   * @param {Object} [options] - { symbol, incomeType, startTime, endTime, limit }
+   * @returns {Promise<Array>} Income entries
+   */
+  async getIncomeHistory(options = {}) {
+    throw new Error('getIncomeHistory() must be implemented by subclass')
+  }
+
+  // === Market data (public, no credentials required) ===
+
+  /**
+   * @typedef {Object} Candle
+   * @property {number} openTime - Open time (ms)
+   * @property {number} open
+   * @property {number} high
+   * @property {number} low
+   * @property {number} close
+   * @property {number} volume - Base asset volume
+   * @property {number} closeTime - Close time (ms)
+   * @property {number} quoteVolume - Quote asset volume
+   * @property {number} trades - Number of trades
+   * @property {number} takerBuyVolume - Taker buy base asset volume
+   * @property {number} takerBuyQuoteVolume - Taker buy quote asset volume
+   */
+
+  /**
+   * Get candlesticks
+   * @param {string} symbol - Trading pair symbol
+   * @param {string} interval - Kline interval ('1m', '5m', '15m', '1h', '4h', '1d', ...)
+   * @param {number} [limit] - Number of candles (default 100)
+   * @param {Object} [options] - { startTime, endTime }
+   * @returns {Promise<Candle[]>} Candles, oldest first
+   */
+  async getKlines(symbol, interval, limit = 100, options = {}) {
+    throw new Error('getKlines() must be implemented by subclass')
+  }
+
+  /**
+   * Get latest traded price
+   * @param {string} symbol - Trading pair symbol
+   * @returns {Promise<number>} Last price
+   */
+  async getCurrentPrice(symbol) {
+    throw new Error('getCurrentPrice() must be implemented by subclass')
+  }
+
+  /**
+   * Get mark price, index price and current funding info
+   * @param {string} symbol - Trading pair symbol
+   * @returns {Promise<Object>} { symbol, markPrice, indexPrice, lastFundingRate, nextFundingTime, time }
+   */
+  async getMarkPrice(symbol) {
+    throw new Error('getMarkPrice() must be implemented by subclass')
+  }
+
+  /**
+   * Get index price
+   * @param {string} symbol - Trading pair symbol
+   * @returns {Promise<number>} Index price
+   */
+  async getIndexPrice(symbol) {
+    throw new Error('getIndexPrice() must be implemented by subclass')
+  }
+
+  /**
+   * Get 24h rolling window statistics
+   * @param {string} symbol - Trading pair symbol
+   * @returns {Promise<Object>} { symbol, lastPrice, openPrice, highPrice, lowPrice, priceChange, priceChangePercent, volume, quoteVolume, openTime, closeTime }
+   */
+  async get24hTicker(symbol) {
+    throw new Error('get24hTicker() must be implemented by subclass')
+  }
+
+  /**
+   * Get best bid/ask
+   * @param {string} symbol - Trading pair symbol
+   * @returns {Promise<Object>} { symbol, bidPrice, bidQty, askPrice, askQty, time }
+   */
+  async getBookTicker(symbol) {
+    throw new Error('getBookTicker() must be implemented by subclass')
+  }
+
+  /**
+   * Get current and historical funding rates
+   * @param {string} symbol - Trading pair symbol
+   * @param {Object} [options] - { startTime, endTime, limit } for the history
+   * @returns {Promise<Object>} { symbol, fundingRate, nextFundingTime, history: [{ fundingRate, fundingTime }] }
+   */
+  async getFundingRate(symbol, options = {}) {
+    throw new Error('getFundingRate() must be implemented by subclass')
+  }
+
+  /**
+   * Get order book depth
+   * @param {string} symbol - Trading pair symbol
+   * @param {number} [limit] - Levels per side (default 20)
+   * @returns {Promise<Object>} { symbol, lastUpdateId, time, bids: [{ price, qty }], asks: [{ price, qty }] }
+   */
+  async getOrderBook(symbol, limit = 20) {
+    throw new Error('getOrderBook() must be implemented by subclass')
+  }
+
+  /**
+   * Create a push-based user data stream (order fills, position changes)
+   * Optional: DEXs without one return null and OrderManager falls back to REST polling
+   * @returns {Object|null} Stream with start(), stop(), isConnected(), onOrderUpdate, onAccountUpdate
+   */
+  createUserDataStream() {
+    return null
+  }
+
+  /**
+   * Check if the DEX has an exchange-side auto-cancel countdown (dead man's switch)
+   * Optional: DEXs without one return false and OrderManager skips the heartbeat
+   * @returns {boolean} True if setAutoCancelCountdown() is supported
+   */
+  supportsAutoCancel() {
+    return false
+  }
+
+  /**
+   * Set or refresh the auto-cancel countdown for a symbol
+   * Every open order on the symbol is cancelled if the countdown is not refreshed in time
+   * @param {string} symbol - Trading pair symbol
+   * @param {number} countdownTime - Countdown in ms (0 clears it)
+   * @returns {Promise<Object>} { symbol, countdownTime }
+   */
+  async setAutoCancelCountdown(symbol, countdownTime) {
+    throw new Error('setAutoCancelCountdown() must be implemented by subclass')
+  }
+
   /**
    * Get the DEX name
    * @returns {string} DEX name (e.g., 'aster', 'hyperliquid')
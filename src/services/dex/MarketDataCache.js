@@ -0,0 +1,86 @@
+/**
+ * Market Data Cache
+ *
+ * Short-lived cache for public market data shared by every DexService instance
+ * (OrderManager, strategy runners, paper matching). Several custom strategies on
+ * the same symbol would otherwise fetch identical klines/prices on every tick.
+ *
+ * Concurrent requests for the same key share one in-flight fetch.
+ */
+
+const MAX_ENTRIES = 500 // Sweep expired entries beyond this size
+
+export class MarketDataCache {
+  constructor() {
+    this.entries = new Map() // key -> { value, expiresAt }
+    this.pending = new Map() // key -> Promise
+  }
+
+  /**
+   * Return a cached value or fetch it
+   * @param {string} key - Cache key (include DEX name, endpoint and params)
+   * @param {number} ttl - Time to live in ms
+   * @param {Function} fetcher - async () => value
+   * @returns {Promise<*>} Cached or freshly fetched value
+   */
+  async get(key, ttl, fetcher) {
+    const entry = this.entries.get(key)
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.value
+    }
+
+    if (this.pending.has(key)) {
+      return this.pending.get(key)
+    }
+
+    const request = Promise.resolve()
+      .then(fetcher)
+      .then(value => {
+        this.entries.set(key, { value, expiresAt: Date.now() + ttl })
+        if (this.entries.size > MAX_ENTRIES) {
+          this._evictExpired()
+        }
+        return value
+      })
+      .finally(() => {
+        this.pending.delete(key)
+      })
+
+    this.pending.set(key, request)
+    return request
+  }
+
+  /**
+   * Drop cached entries (all, or those whose key starts with prefix)
+   * @param {string} [prefix] - Key prefix
+   */
+  clear(prefix = null) {
+    if (!prefix) {
+      this.entries.clear()
+      return
+    }
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key)
+      }
+    }
+  }
+
+  /**
+   * Remove expired entries
+   * @private
+   */
+  _evictExpired() {
+    const now = Date.now()
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key)
+      }
+    }
+  }
+}
+
+// Shared instance
+export const marketDataCache = new MarketDataCache()
+
+export default marketDataCache
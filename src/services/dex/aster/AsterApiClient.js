@@ -57,12 +57,18 @@ function buildQueryString(params) {
 
 /**
  * Aster Finance API Client
+ * Also used for other Binance-compatible futures APIs (same signing and error format)
  */
 export class AsterApiClient {
-  constructor(apiKey, secretKey) {
+  /**
+   * @param {string|null} apiKey - API key (null for public endpoints)
+   * @param {string|null} secretKey - API secret (null for public endpoints)
+   * @param {string} [baseUrl] - REST base URL (default: Aster)
+   */
+  constructor(apiKey, secretKey, baseUrl = ASTER_API_BASE) {
     this.apiKey = apiKey
     this.secretKey = secretKey
-    this.baseUrl = ASTER_API_BASE
+    this.baseUrl = baseUrl
   }
 
   /**
@@ -170,7 +176,7 @@ export class AsterApiClient {
     } catch (error) {
       // Enhance error messages
       if (error.message.includes('Failed to fetch')) {
-        throw new Error('Network error: Unable to connect to Aster Finance API')
+        throw new Error(`Network error: Unable to connect to ${this.baseUrl}`)
       }
       throw error
     }
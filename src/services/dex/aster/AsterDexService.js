@@ -6,6 +6,48 @@
 
 import DexService from '../DexService'
 import AsterApiClient from './AsterApiClient'
+import AsterUserDataStream from './AsterUserDataStream'
+import { marketDataCache } from '../MarketDataCache'
+
+// Market data cache lifetimes (shared across every service instance)
+const PRICE_CACHE_TTL = 1000 // 1 second (mark/last price, book ticker, depth)
+const KLINES_CACHE_TTL = 5000 // 5 seconds
+const TICKER_CACHE_TTL = 10000 // 10 seconds (24h stats)
+const FUNDING_CACHE_TTL = 60000 // 1 minute (funding history only changes every funding interval)
+
+// Place Multiple Orders accepts at most 5 orders per request
+const BATCH_ORDER_LIMIT = 5
+
+/**
+ * Normalize a kline array into a Candle object
+ * @param {Array} kline - [openTime, open, high, low, close, volume, closeTime, quoteVolume, trades, takerBuyVolume, takerBuyQuoteVolume]
+ * @returns {Object} Candle
+ */
+function normalizeKline(kline) {
+  return {
+    openTime: kline[0],
+    open: parseFloat(kline[1]),
+    high: parseFloat(kline[2]),
+    low: parseFloat(kline[3]),
+    close: parseFloat(kline[4]),
+    volume: parseFloat(kline[5]),
+    closeTime: kline[6],
+    quoteVolume: parseFloat(kline[7] || '0'),
+    trades: kline[8] || 0,
+    takerBuyVolume: parseFloat(kline[9] || '0'),
+    takerBuyQuoteVolume: parseFloat(kline[10] || '0')
+  }
+}
+
+/**
+ * Normalize an order book side ([[price, qty], ...]) into { price, qty } levels
+ */
+function normalizeDepthLevels(levels) {
+  return (levels || []).map(([price, qty]) => ({
+    price: parseFloat(price),
+    qty: parseFloat(qty)
+  }))
+}
 
 export class AsterDexService extends DexService {
   constructor() {
@@ -14,6 +56,18 @@ export class AsterDexService extends DexService {
     this.initialized = false
     this.exchangeInfo = null // Cache exchange info
     this.positionMode = null // Cache position mode (hedge vs one-way)
+    this.displayName = 'Aster Finance'
+    this.accountEndpoint = '/fapi/v4/account' // Account info version differs between Binance-compatible APIs
+  }
+
+  /**
+   * Create the REST client (subclasses for other Binance-compatible APIs override the base URL)
+   * @param {string|null} apiKey - API key
+   * @param {string|null} secretKey - API secret
+   * @returns {AsterApiClient} API client
+   */
+  createApiClient(apiKey, secretKey) {
+    return new AsterApiClient(apiKey, secretKey)
   }
 
   /**
@@ -24,10 +78,19 @@ export class AsterDexService extends DexService {
    */
   async initialize(credentials) {
     if (!credentials.apiKey || !credentials.secretKey) {
-      throw new Error('Aster API key and secret are required')
+      throw new Error(`${this.displayName} API key and secret are required`)
     }
 
-    this.apiClient = new AsterApiClient(credentials.apiKey, credentials.secretKey)
+    this.apiClient = this.createApiClient(credentials.apiKey, credentials.secretKey)
+    this.initialized = true
+  }
+
+  /**
+   * Initialize without credentials for public market data only
+   * (exchange info, precision helpers, market data) - signed endpoints will be rejected
+   */
+  initializePublic() {
+    this.apiClient = this.createApiClient(null, null)
     this.initialized = true
   }
 
@@ -66,7 +129,7 @@ export class AsterDexService extends DexService {
       
       // Network errors
       if (errorMsg.includes('Failed to fetch') || errorMsg.includes('Network error')) {
-        throw new Error('Network error: Unable to connect to Aster Finance API')
+        throw new Error(`Network error: Unable to connect to ${this.displayName} API`)
       }
       
       // Pass through the original error with more context
@@ -151,6 +214,30 @@ export class AsterDexService extends DexService {
     }
   }
 
+  /**
+   * Get PERCENT_PRICE filter limits for a symbol
+   * LIMIT prices must stay within [mark × multiplierDown, mark × multiplierUp]
+   * @returns {Promise<Object|null>} { multiplierUp, multiplierDown }, or null if the symbol has no such filter
+   */
+  async getPercentPrice(symbol) {
+    const exchangeInfo = await this.getExchangeInfo()
+    const symbolInfo = exchangeInfo.symbols.find(s => s.symbol === symbol)
+
+    if (!symbolInfo) {
+      throw new Error(`Symbol ${symbol} not found in exchange info`)
+    }
+
+    const percentPriceFilter = symbolInfo.filters.find(f => f.filterType === 'PERCENT_PRICE')
+    if (!percentPriceFilter) {
+      return null
+    }
+
+    return {
+      multiplierUp: parseFloat(percentPriceFilter.multiplierUp),
+      multiplierDown: parseFloat(percentPriceFilter.multiplierDown)
+    }
+  }
+
   /**
    * Format quantity according to symbol precision
    */
@@ -215,6 +302,63 @@ export class AsterDexService extends DexService {
       throw new Error('Service not initialized')
     }
 
+    const params = await this.buildOrderParams(orderParams)
+
+    try {
+      const response = await this.apiClient.post('/fapi/v1/order', params, { signed: true })
+      return response
+    } catch (error) {
+      throw this.simplifyOrderError(error)
+    }
+  }
+
+  /**
+   * Place up to 5 orders per request (Place Multiple Orders)
+   * Larger lists are sent in chunks; each order is validated and formatted like placeOrder()
+   * @param {Array<Object>} ordersParams - Order parameters (see placeOrder)
+   * @returns {Promise<Array<Object>>} One result per order: the order response, or { error } if it was rejected
+   */
+  async placeBatchOrders(ordersParams) {
+    if (!this.initialized || !this.apiClient) {
+      throw new Error('Service not initialized')
+    }
+
+    const results = []
+    for (let i = 0; i < ordersParams.length; i += BATCH_ORDER_LIMIT) {
+      const chunk = ordersParams.slice(i, i + BATCH_ORDER_LIMIT)
+      const batchOrders = []
+      for (const orderParams of chunk) {
+        const params = await this.buildOrderParams(orderParams)
+        // The batch endpoint takes every order field as a string
+        batchOrders.push(Object.fromEntries(Object.entries(params).map(([key, value]) => [key, String(value)])))
+      }
+
+      try {
+        const response = await this.apiClient.post('/fapi/v1/batchOrders', {
+          batchOrders: JSON.stringify(batchOrders)
+        }, { signed: true })
+
+        for (const item of response) {
+          // Rejected orders come back as { code, msg } in their slot
+          results.push(item.code && item.code < 0
+            ? { error: this.simplifyOrderError(new Error(item.msg || `API Error ${item.code}`)).message }
+            : item)
+        }
+      } catch (error) {
+        const message = this.simplifyOrderError(error).message
+        chunk.forEach(() => results.push({ error: message }))
+      }
+    }
+    return results
+  }
+
+  /**
+   * Validate and format order parameters for the order endpoints
+   * (precision, positionSide for the account's position mode, reduceOnly rules)
+   * @param {Object} orderParams - Order parameters (see placeOrder)
+   * @returns {Promise<Object>} Request parameters
+   */
+  async buildOrderParams(orderParams) {
     const {
       symbol,
       side,
@@ -225,11 +369,14 @@ export class AsterDexService extends DexService {
       newClientOrderId,
       reduceOnly,
       rawQuantity, // If true, skip quantity formatting (for closing positions)
-      positionSide // Optional: explicit position side override
+      positionSide, // Optional: explicit position side override
+      stopPrice, // Trigger price for STOP_MARKET / TAKE_PROFIT_MARKET
+      closePosition, // If true, close the whole position when triggered (no quantity)
+      workingType // Optional: 'MARK_PRICE' or 'CONTRACT_PRICE'
     } = orderParams
 
-    // Validate required parameters
-    if (!symbol || !side || !type || !quantity) {
+    // Validate required parameters (Close-All orders are sent without quantity)
+    if (!symbol || !side || !type || (!quantity && !closePosition)) {
       throw new Error('Missing required order parameters')
     }
 
@@ -238,6 +385,11 @@ export class AsterDexService extends DexService {
       throw new Error('LIMIT orders require a price')
     }
 
+    // Validate conditional orders require a trigger price
+    if ((type === 'STOP_MARKET' || type === 'TAKE_PROFIT_MARKET') && !stopPrice) {
+      throw new Error(`${type} orders require a stopPrice`)
+    }
+
     // Get position mode to determine if we need positionSide parameter
     const isHedgeMode = await this.getPositionMode()
 
@@ -245,8 +397,12 @@ export class AsterDexService extends DexService {
     const precision = await this.getSymbolPrecision(symbol)
     // If rawQuantity is true, use quantity as-is (it's already formatted from positionAmt)
     // Otherwise format it according to stepSize
-    const formattedQuantity = rawQuantity ? String(quantity) : this.formatQuantity(quantity, precision.stepSize)
+    let formattedQuantity
+    if (!closePosition) {
+      formattedQuantity = rawQuantity ? String(quantity) : this.formatQuantity(quantity, precision.stepSize)
+    }
     const formattedPrice = price ? this.formatPrice(price, precision.tickSize) : undefined
+    const formattedStopPrice = stopPrice ? this.formatPrice(stopPrice, precision.tickSize) : undefined
 
     console.log('[AsterDexService] Formatting order:', {
       rawQuantity: quantity,
@@ -254,7 +410,9 @@ export class AsterDexService extends DexService {
       stepSize: precision.stepSize,
       rawPrice: price,
       formattedPrice,
+      formattedStopPrice,
       tickSize: precision.tickSize,
+      closePosition: !!closePosition,
       positionMode: isHedgeMode ? 'HEDGE' : 'ONE-WAY'
     })
 
@@ -262,10 +420,16 @@ export class AsterDexService extends DexService {
       symbol,
       side,
       type,
-      quantity: formattedQuantity,
       newOrderRespType: 'RESULT' // Get full order response
     }
 
+    // Close-All orders cannot be sent with quantity
+    if (closePosition) {
+      params.closePosition = 'true'
+    } else {
+      params.quantity = formattedQuantity
+    }
+
     // Handle positionSide parameter based on position mode
     // In Hedge Mode: positionSide MUST be sent (LONG or SHORT)
     // In One-way Mode: positionSide defaults to BOTH, but we'll set it explicitly to avoid API issues
@@ -293,41 +457,56 @@ export class AsterDexService extends DexService {
       params.price = formattedPrice
     }
 
+    if (formattedStopPrice) {
+      params.stopPrice = formattedStopPrice
+    }
+
+    if (workingType) {
+      params.workingType = workingType
+    }
+
     if (newClientOrderId) {
       params.newClientOrderId = newClientOrderId
     }
 
     // reduceOnly cannot be sent in Hedge Mode per API docs
     // In Hedge Mode, closing positions is done by specifying the correct positionSide
-    if (reduceOnly && !isHedgeMode) {
+    // It also cannot be combined with closePosition (Close-All is reduce-only by definition)
+    if (reduceOnly && !isHedgeMode && !closePosition) {
       params.reduceOnly = true
     }
 
-    try {
-      const response = await this.apiClient.post('/fapi/v1/order', params, { signed: true })
-      return response
-    } catch (error) {
-      // Handle position side errors specifically
-      const errorMsg = error.message
-      if (errorMsg.includes('position side') || errorMsg.includes('positionSide') || errorMsg.includes('-4061')) {
-        // Clear cached position mode to force re-check on next order
-        console.warn('[AsterDexService] Position side error detected, clearing cache')
-        this.positionMode = null
-        throw new Error('Order position side mismatch. Please check your account position mode settings.')
-      }
-      
-      // Simplify error messages
-      if (errorMsg.includes('Insufficient balance')) {
-        throw new Error('Insufficient balance')
-      } else if (errorMsg.includes('MIN_NOTIONAL')) {
-        throw new Error('Order size too small')
-      } else if (errorMsg.includes('LOT_SIZE')) {
-        throw new Error('Invalid order quantity')
-      } else if (errorMsg.includes('PRICE_FILTER')) {
-        throw new Error('Invalid order price')
-      }
-      throw error
-    }
+    return params
+  }
+
+  /**
+   * Map an order rejection to a short, user-facing error
+   * @param {Error} error - Error from the order endpoint
+   * @returns {Error} Simplified error (or the original one)
+   */
+  simplifyOrderError(error) {
+    // Handle position side errors specifically
+    const errorMsg = error.message
+    if (errorMsg.includes('position side') || errorMsg.includes('positionSide') || errorMsg.includes('-4061')) {
+      // Clear cached position mode to force re-check on next order
+      console.warn('[AsterDexService] Position side error detected, clearing cache')
+      this.positionMode = null
+      return new Error('Order position side mismatch. Please check your account position mode settings.')
+    }
+
+    // Simplify error messages
+    if (errorMsg.includes('Insufficient balance')) {
+      return new Error('Insufficient balance')
+    } else if (errorMsg.includes('MIN_NOTIONAL')) {
+      return new Error('Order size too small')
+    } else if (errorMsg.includes('LOT_SIZE')) {
+      return new Error('Invalid order quantity')
+    } else if (errorMsg.includes('PRICE_FILTER')) {
+      return new Error('Invalid order price')
+    } else if (errorMsg.includes('-2021') || errorMsg.includes('immediately trigger')) {
+      return new Error('Order would immediately trigger')
+    }
+    return error
   }
 
   /**
@@ -354,6 +533,33 @@ export class AsterDexService extends DexService {
     }
   }
 
+  /**
+   * Aster supports countdownCancelAll
+   */
+  supportsAutoCancel() {
+    return true
+  }
+
+  /**
+   * Set or refresh the auto-cancel countdown for a symbol (countdownCancelAll)
+   * The exchange cancels every open order on the symbol once the countdown expires
+   * @param {string} symbol - Trading pair symbol
+   * @param {number} countdownTime - Countdown in ms (0 clears it)
+   * @returns {Promise<Object>} { symbol, countdownTime }
+   */
+  async setAutoCancelCountdown(symbol, countdownTime) {
+    if (!this.initialized || !this.apiClient) {
+      throw new Error('Service not initialized')
+    }
+
+    const params = {
+      symbol,
+      countdownTime: Math.max(0, Math.round(countdownTime))
+    }
+
+    return this.apiClient.post('/fapi/v1/countdownCancelAll', params, { signed: true })
+  }
+
   /**
    * Get order status
    */
@@ -455,7 +661,7 @@ export class AsterDexService extends DexService {
     }
 
     try {
-      const account = await this.apiClient.get('/fapi/v4/account', {}, { signed: true })
+      const account = await this.apiClient.get(this.accountEndpoint, {}, { signed: true })
       
       // Extract USDT balance (or first available asset)
       const assets = account.assets || []
@@ -487,9 +693,10 @@ export class AsterDexService extends DexService {
     try {
       const response = await this.apiClient.get('/fapi/v1/leverageBracket', params, { signed: true })
       
-      // Response format: { symbol: "BTCUSDT", brackets: [...] }
-      if (response && response.brackets) {
-        return response
+      // Response format: { symbol: "BTCUSDT", brackets: [...] } (some APIs wrap it in an array)
+      const bracket = Array.isArray(response) ? response.find(b => b.symbol === symbol) : response
+      if (bracket && bracket.brackets) {
+        return bracket
       }
       
       throw new Error('Invalid leverage bracket response')
@@ -550,6 +757,214 @@ export class AsterDexService extends DexService {
     }
   }
 
+  /**
+   * Get account trade list (fills) for a symbol
+   * @param {string} symbol - Trading pair symbol
+   * @param {Object} [options]
+   * @param {number} [options.fromId] - Trade id to fetch from (cannot be combined with time range)
+   * @param {number} [options.startTime] - Start time in ms
+   * @param {number} [options.endTime] - End time in ms (max 7 days after startTime)
+   * @param {number} [options.limit] - Max results (default 500, max 1000)
+   * @returns {Promise<Array>} Fills ({ id, orderId, side, price, qty, realizedPnl, commission, maker, time })
+   */
+  async getUserTrades(symbol, options = {}) {
+    if (!this.initialized || !this.apiClient) {
+      throw new Error('Service not initialized')
+    }
+
+    const params = { symbol }
+    if (options.fromId !== undefined) {
+      params.fromId = options.fromId
+    } else {
+      if (options.startTime) params.startTime = options.startTime
+      if (options.endTime) params.endTime = options.endTime
+    }
+    if (options.limit) params.limit = options.limit
+
+    const response = await this.apiClient.get('/fapi/v1/userTrades', params, { signed: true })
+    return Array.isArray(response) ? response : []
+  }
+
+  /**
+   * Get income history (realized PnL, funding fees, commission, transfers)
+   * @param {Object} [options]
+   * @param {string} [options.symbol] - Trading pair symbol
+   * @param {string} [options.incomeType] - 'REALIZED_PNL', 'FUNDING_FEE', 'COMMISSION', ...
+   * @param {number} [options.startTime] - Start time in ms (inclusive)
+   * @param {number} [options.endTime] - End time in ms (inclusive)
+   * @param {number} [options.limit] - Max results (default 100, max 1000)
+   * @returns {Promise<Array>} Income entries ({ symbol, incomeType, income, asset, time, tranId, tradeId })
+   */
+  async getIncomeHistory(options = {}) {
+    if (!this.initialized || !this.apiClient) {
+      throw new Error('Service not initialized')
+    }
+
+    const params = {}
+    if (options.symbol) params.symbol = options.symbol
+    if (options.incomeType) params.incomeType = options.incomeType
+    if (options.startTime) params.startTime = options.startTime
+    if (options.endTime) params.endTime = options.endTime
+    if (options.limit) params.limit = options.limit
+
+    const response = await this.apiClient.get('/fapi/v1/income', params, { signed: true })
+    return Array.isArray(response) ? response : []
+  }
+
+  // === Market data (public endpoints) ===
+
+  /**
+   * Fetch a public endpoint through the shared market data cache
+   * @private
+   */
+  async _getMarketData(endpoint, params, ttl) {
+    if (!this.initialized || !this.apiClient) {
+      throw new Error('Service not initialized')
+    }
+
+    const key = `${this.getName()}:${endpoint}:${JSON.stringify(params)}`
+    return marketDataCache.get(key, ttl, () => this.apiClient.get(endpoint, params, { signed: false }))
+  }
+
+  /**
+   * Get candlesticks (normalized)
+   * @param {string} symbol - Trading pair symbol
+   * @param {string} interval - Kline interval
+   * @param {number} [limit] - Number of candles (max 1500)
+   * @param {Object} [options] - { startTime, endTime }
+   * @returns {Promise<Array>} Candles, oldest first
+   */
+  async getKlines(symbol, interval, limit = 100, options = {}) {
+    const params = { symbol, interval, limit }
+    if (options.startTime) params.startTime = options.startTime
+    if (options.endTime) params.endTime = options.endTime
+
+    const response = await this._getMarketData('/fapi/v1/klines', params, KLINES_CACHE_TTL)
+    return Array.isArray(response) ? response.map(normalizeKline) : []
+  }
+
+  /**
+   * Get latest traded price
+   */
+  async getCurrentPrice(symbol) {
+    const response = await this._getMarketData('/fapi/v1/ticker/price', { symbol }, PRICE_CACHE_TTL)
+    return parseFloat(response.price)
+  }
+
+  /**
+   * Get mark price, index price and funding info (/fapi/v1/premiumIndex)
+   */
+  async getMarkPrice(symbol) {
+    const response = await this._getMarketData('/fapi/v1/premiumIndex', { symbol }, PRICE_CACHE_TTL)
+    return {
+      symbol: response.symbol,
+      markPrice: parseFloat(response.markPrice),
+      indexPrice: parseFloat(response.indexPrice),
+      estimatedSettlePrice: parseFloat(response.estimatedSettlePrice || '0'),
+      lastFundingRate: parseFloat(response.lastFundingRate || '0'),
+      interestRate: parseFloat(response.interestRate || '0'),
+      nextFundingTime: response.nextFundingTime,
+      time: response.time
+    }
+  }
+
+  /**
+   * Get index price
+   */
+  async getIndexPrice(symbol) {
+    const markPrice = await this.getMarkPrice(symbol)
+    return markPrice.indexPrice
+  }
+
+  /**
+   * Get 24h rolling window statistics
+   */
+  async get24hTicker(symbol) {
+    const response = await this._getMarketData('/fapi/v1/ticker/24hr', { symbol }, TICKER_CACHE_TTL)
+    return {
+      symbol: response.symbol,
+      lastPrice: parseFloat(response.lastPrice),
+      openPrice: parseFloat(response.openPrice),
+      highPrice: parseFloat(response.highPrice),
+      lowPrice: parseFloat(response.lowPrice),
+      priceChange: parseFloat(response.priceChange),
+      priceChangePercent: parseFloat(response.priceChangePercent),
+      weightedAvgPrice: parseFloat(response.weightedAvgPrice),
+      volume: parseFloat(response.volume),
+      quoteVolume: parseFloat(response.quoteVolume),
+      openTime: response.openTime,
+      closeTime: response.closeTime,
+      count: response.count
+    }
+  }
+
+  /**
+   * Get best bid/ask
+   */
+  async getBookTicker(symbol) {
+    const response = await this._getMarketData('/fapi/v1/ticker/bookTicker', { symbol }, PRICE_CACHE_TTL)
+    return {
+      symbol: response.symbol,
+      bidPrice: parseFloat(response.bidPrice),
+      bidQty: parseFloat(response.bidQty),
+      askPrice: parseFloat(response.askPrice),
+      askQty: parseFloat(response.askQty),
+      time: response.time
+    }
+  }
+
+  /**
+   * Get current funding rate (premiumIndex) and funding history (/fapi/v1/fundingRate)
+   */
+  async getFundingRate(symbol, options = {}) {
+    const params = { symbol }
+    if (options.startTime) params.startTime = options.startTime
+    if (options.endTime) params.endTime = options.endTime
+    if (options.limit) params.limit = options.limit
+
+    const [markPrice, history] = await Promise.all([
+      this.getMarkPrice(symbol),
+      this._getMarketData('/fapi/v1/fundingRate', params, FUNDING_CACHE_TTL)
+    ])
+
+    return {
+      symbol,
+      fundingRate: markPrice.lastFundingRate,
+      nextFundingTime: markPrice.nextFundingTime,
+      history: (Array.isArray(history) ? history : []).map(entry => ({
+        fundingRate: parseFloat(entry.fundingRate),
+        fundingTime: entry.fundingTime
+      }))
+    }
+  }
+
+  /**
+   * Get order book depth
+   * @param {number} [limit] - 5, 10, 20, 50, 100, 500 or 1000
+   */
+  async getOrderBook(symbol, limit = 20) {
+    const response = await this._getMarketData('/fapi/v1/depth', { symbol, limit }, PRICE_CACHE_TTL)
+    return {
+      symbol,
+      lastUpdateId: response.lastUpdateId,
+      time: response.T || response.E,
+      bids: normalizeDepthLevels(response.bids),
+      asks: normalizeDepthLevels(response.asks)
+    }
+  }
+
+  /**
+   * Create a listenKey user data stream for ORDER_TRADE_UPDATE / ACCOUNT_UPDATE events
+   * @returns {AsterUserDataStream} Stream instance (call start() to connect)
+   */
+  createUserDataStream() {
+    if (!this.initialized || !this.apiClient) {
+      throw new Error('Service not initialized')
+    }
+
+    return new AsterUserDataStream(this.apiClient)
+  }
+
   /**
    * Get DEX name
    */
@@ -0,0 +1,382 @@
+/**
+ * Aster Finance User Data Stream
+ *
+ * Push-based account updates over a listenKey WebSocket:
+ * - ORDER_TRADE_UPDATE: order created / partially filled / filled / cancelled
+ * - ACCOUNT_UPDATE: balance and position changes
+ *
+ * Lifecycle:
+ * - POST /fapi/v1/listenKey creates (or returns the active) listenKey
+ * - PUT /fapi/v1/listenKey keeps it alive (every 30 minutes, key expires after 60)
+ * - DELETE /fapi/v1/listenKey closes the stream
+ * - Connections drop at the 24h mark and on listenKeyExpired - both reconnect with a fresh key
+ */
+
+const ASTER_STREAM_BASE = 'wss://fstream.asterdex.com/ws'
+const LISTEN_KEY_ENDPOINT = '/fapi/v1/listenKey'
+const KEEPALIVE_INTERVAL = 30 * 60 * 1000 // 30 minutes
+const RECONNECT_INTERVAL = 5000 // 5 seconds
+
+const TERMINAL_ORDER_STATUSES = ['FILLED', 'CANCELED', 'EXPIRED']
+
+/**
+ * Normalize ORDER_TRADE_UPDATE payload to the REST order field names
+ * (so the same handlers work for polled and pushed orders)
+ * @param {Object} event - Raw ORDER_TRADE_UPDATE event
+ * @returns {Object} Normalized order update
+ */
+function normalizeOrderUpdate(event) {
+  const o = event.o || {}
+  return {
+    eventTime: event.E,
+    transactionTime: event.T,
+    symbol: o.s,
+    clientOrderId: o.c,
+    side: o.S,
+    type: o.o,
+    origType: o.ot,
+    timeInForce: o.f,
+    origQty: o.q,
+    price: o.p,
+    avgPrice: o.ap,
+    stopPrice: o.sp,
+    executionType: o.x,
+    status: o.X,
+    orderId: o.i,
+    lastFilledQty: o.l,
+    executedQty: o.z,
+    lastFilledPrice: o.L,
+    commissionAsset: o.N,
+    commission: o.n,
+    tradeTime: o.T,
+    tradeId: o.t,
+    isMaker: o.m === true,
+    reduceOnly: o.R === true,
+    workingType: o.wt,
+    positionSide: o.ps,
+    closePosition: o.cp === true,
+    realizedProfit: o.rp
+  }
+}
+
+/**
+ * Normalize ACCOUNT_UPDATE payload to the REST balance/positionRisk field names
+ * @param {Object} event - Raw ACCOUNT_UPDATE event
+ * @returns {Object} Normalized account update
+ */
+function normalizeAccountUpdate(event) {
+  const a = event.a || {}
+  return {
+    eventTime: event.E,
+    transactionTime: event.T,
+    reason: a.m,
+    balances: (a.B || []).map(b => ({
+      asset: b.a,
+      walletBalance: b.wb,
+      crossWalletBalance: b.cw,
+      balanceChange: b.bc
+    })),
+    positions: (a.P || []).map(p => ({
+      symbol: p.s,
+      positionAmt: p.pa,
+      entryPrice: p.ep,
+      accumulatedRealized: p.cr,
+      unRealizedProfit: p.up,
+      marginType: p.mt,
+      isolatedWallet: p.iw,
+      positionSide: p.ps
+    }))
+  }
+}
+
+/**
+ * AsterUserDataStream - listenKey WebSocket client for account events
+ */
+export class AsterUserDataStream {
+  /**
+   * @param {AsterApiClient} apiClient - Authenticated API client (provides the API key)
+   * @param {string} [streamBase] - WebSocket base URL (default: Aster)
+   */
+  constructor(apiClient, streamBase = ASTER_STREAM_BASE) {
+    this.apiClient = apiClient
+    this.streamBase = streamBase
+    this.ws = null
+    this.listenKey = null
+    this.keepaliveInterval = null
+    this.reconnectTimeout = null
+    this.reconnectAttempts = 0
+    this.shouldReconnect = false
+
+    // Payloads are not guaranteed to arrive in order - track latest event time per key
+    this.lastEventTimes = new Map()
+
+    // Event handlers
+    this.onOrderUpdate = null // (normalizedOrderUpdate) => void
+    this.onAccountUpdate = null // (normalizedAccountUpdate) => void
+    this.onConnect = null // ({ isReconnect }) => void
+    this.onDisconnect = null // (closeEvent) => void
+    this.onError = null // (error) => void
+  }
+
+  /**
+   * Create a listenKey, open the stream and start the keepalive timer
+   * @returns {Promise<void>} Resolves when the WebSocket is open
+   */
+  async start() {
+    if (this.isConnected()) {
+      return
+    }
+
+    this.shouldReconnect = true
+    await this._connect(false)
+
+    if (!this.keepaliveInterval) {
+      this.keepaliveInterval = setInterval(() => {
+        this._keepalive().catch(error => {
+          console.error('[AsterUserDataStream] Keepalive failed:', error)
+          if (this.onError) {
+            this.onError(error)
+          }
+        })
+      }, KEEPALIVE_INTERVAL)
+    }
+  }
+
+  /**
+   * Close the stream and invalidate the listenKey
+   */
+  async stop() {
+    this.shouldReconnect = false
+
+    if (this.keepaliveInterval) {
+      clearInterval(this.keepaliveInterval)
+      this.keepaliveInterval = null
+    }
+
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout)
+      this.reconnectTimeout = null
+    }
+
+    if (this.ws) {
+      this.ws.close()
+      this.ws = null
+    }
+
+    if (this.listenKey) {
+      try {
+        await this.apiClient.delete(LISTEN_KEY_ENDPOINT, {}, { signed: false })
+      } catch (error) {
+        console.warn('[AsterUserDataStream] Failed to close listenKey:', error.message)
+      }
+      this.listenKey = null
+    }
+
+    this.lastEventTimes.clear()
+    this.reconnectAttempts = 0
+  }
+
+  /**
+   * Check if the stream is currently connected
+   * @returns {boolean} True if connected and ready
+   */
+  isConnected() {
+    return this.ws !== null && this.ws.readyState === WebSocket.OPEN
+  }
+
+  /**
+   * Request a listenKey (returns the active one if the account already has one)
+   * @private
+   */
+  async _createListenKey() {
+    const response = await this.apiClient.post(LISTEN_KEY_ENDPOINT, {}, { signed: false })
+    if (!response.listenKey) {
+      throw new Error('Failed to create listenKey')
+    }
+    this.listenKey = response.listenKey
+    return this.listenKey
+  }
+
+  /**
+   * Extend listenKey validity by 60 minutes
+   * @private
+   */
+  async _keepalive() {
+    if (!this.listenKey) return
+    await this.apiClient.put(LISTEN_KEY_ENDPOINT, {}, { signed: false })
+    console.log('[AsterUserDataStream] listenKey kept alive')
+  }
+
+  /**
+   * Open the WebSocket for the current listenKey
+   * @private
+   * @param {boolean} isReconnect - True when recovering from a dropped connection
+   */
+  async _connect(isReconnect) {
+    const listenKey = await this._createListenKey()
+
+    return new Promise((resolve, reject) => {
+      try {
+        console.log('[AsterUserDataStream] Connecting to user data stream...')
+        const ws = new WebSocket(`${this.streamBase}/${listenKey}`)
+        this.ws = ws
+
+        ws.onopen = () => {
+          console.log('[AsterUserDataStream] ✅ Connected')
+          this.reconnectAttempts = 0
+          if (this.onConnect) {
+            this.onConnect({ isReconnect })
+          }
+          resolve()
+        }
+
+        ws.onmessage = (event) => {
+          this._handleMessage(event)
+        }
+
+        ws.onerror = (error) => {
+          console.error('[AsterUserDataStream] Connection error:', error)
+          reject(new Error('User data stream connection error'))
+        }
+
+        ws.onclose = (event) => {
+          console.log('[AsterUserDataStream] Connection closed:', {
+            code: event.code,
+            reason: event.reason
+          })
+
+          // Ignore close events from a socket we already replaced
+          if (this.ws !== ws) return
+
+          this.ws = null
+          if (this.onDisconnect) {
+            this.onDisconnect(event)
+          }
+
+          if (this.shouldReconnect) {
+            this._attemptReconnect()
+          }
+        }
+      } catch (error) {
+        reject(error)
+      }
+    })
+  }
+
+  /**
+   * Schedule a reconnection with a fresh listenKey
+   * @private
+   */
+  _attemptReconnect() {
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout)
+    }
+
+    this.reconnectAttempts++
+    console.log(`[AsterUserDataStream] Attempting to reconnect (attempt ${this.reconnectAttempts})...`)
+
+    this.reconnectTimeout = setTimeout(async () => {
+      this.reconnectTimeout = null
+      if (!this.shouldReconnect) return
+
+      try {
+        await this._connect(true)
+      } catch (error) {
+        console.error('[AsterUserDataStream] Reconnection failed:', error)
+        if (this.onError) {
+          this.onError(error)
+        }
+        // onclose does not fire if the listenKey request itself failed
+        if (this.shouldReconnect && !this.ws) {
+          this._attemptReconnect()
+        }
+      }
+    }, RECONNECT_INTERVAL)
+  }
+
+  /**
+   * Drop the current socket and reconnect (e.g. after listenKeyExpired)
+   * @private
+   */
+  _restart() {
+    if (this.ws) {
+      const ws = this.ws
+      this.ws = null
+      ws.close()
+    }
+    if (this.shouldReconnect) {
+      this._attemptReconnect()
+    }
+  }
+
+  /**
+   * Check event ordering - returns false for stale payloads
+   * @private
+   * @param {string} key - Ordering key (per order / per position)
+   * @param {number} eventTime - Event time (E)
+   */
+  _isLatest(key, eventTime) {
+    const lastEventTime = this.lastEventTimes.get(key)
+    if (lastEventTime !== undefined && eventTime < lastEventTime) {
+      return false
+    }
+    this.lastEventTimes.set(key, eventTime)
+    return true
+  }
+
+  /**
+   * Route incoming stream events
+   * @private
+   * @param {MessageEvent} event - WebSocket message event
+   */
+  _handleMessage(event) {
+    let message
+    try {
+      message = JSON.parse(event.data)
+    } catch (error) {
+      console.error('[AsterUserDataStream] Failed to parse message:', error)
+      return
+    }
+
+    switch (message.e) {
+      case 'ORDER_TRADE_UPDATE': {
+        const update = normalizeOrderUpdate(message)
+        const key = `order:${update.orderId}`
+        if (!this._isLatest(key, update.eventTime)) {
+          console.log(`[AsterUserDataStream] Ignoring out-of-order update for order ${update.orderId}`)
+          return
+        }
+        if (TERMINAL_ORDER_STATUSES.includes(update.status)) {
+          this.lastEventTimes.delete(key)
+        }
+        if (this.onOrderUpdate) {
+          this.onOrderUpdate(update)
+        }
+        break
+      }
+
+      case 'ACCOUNT_UPDATE': {
+        const update = normalizeAccountUpdate(message)
+        update.positions = update.positions.filter(p =>
+          this._isLatest(`position:${p.symbol}:${p.positionSide}`, update.eventTime)
+        )
+        if (this.onAccountUpdate) {
+          this.onAccountUpdate(update)
+        }
+        break
+      }
+
+      case 'listenKeyExpired':
+        console.warn('[AsterUserDataStream] ⚠️ listenKey expired - reconnecting with a new key')
+        this.listenKey = null
+        this._restart()
+        break
+
+      default:
+        // MARGIN_CALL, ACCOUNT_CONFIG_UPDATE etc. are not used yet
+        break
+    }
+  }
+}
+
+export default AsterUserDataStream
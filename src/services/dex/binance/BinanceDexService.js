@@ -0,0 +1,53 @@
+/**
+ * Binance USDⓈ-M Futures DEX Service Implementation
+ *
+ * Binance futures and Aster share the same REST/WebSocket API (signing, order types,
+ * exchangeInfo filters, leverage brackets, position mode, listenKey streams), so this
+ * reuses AsterDexService and only swaps the endpoints.
+ */
+
+import AsterDexService from '../aster/AsterDexService'
+import AsterApiClient from '../aster/AsterApiClient'
+import AsterUserDataStream from '../aster/AsterUserDataStream'
+
+const BINANCE_API_BASE = 'https://fapi.binance.com'
+const BINANCE_STREAM_BASE = 'wss://fstream.binance.com/ws'
+
+export class BinanceDexService extends AsterDexService {
+  constructor() {
+    super()
+    this.displayName = 'Binance Futures'
+    this.accountEndpoint = '/fapi/v3/account' // v4 is Aster-only
+  }
+
+  /**
+   * Create a REST client for the Binance futures API
+   * @param {string|null} apiKey - Binance API key
+   * @param {string|null} secretKey - Binance API secret
+   * @returns {AsterApiClient} API client
+   */
+  createApiClient(apiKey, secretKey) {
+    return new AsterApiClient(apiKey, secretKey, BINANCE_API_BASE)
+  }
+
+  /**
+   * Create a listenKey user data stream on the Binance futures stream host
+   * @returns {AsterUserDataStream} Stream instance (call start() to connect)
+   */
+  createUserDataStream() {
+    if (!this.initialized || !this.apiClient) {
+      throw new Error('Service not initialized')
+    }
+
+    return new AsterUserDataStream(this.apiClient, BINANCE_STREAM_BASE)
+  }
+
+  /**
+   * Get DEX name
+   */
+  getName() {
+    return 'binance'
+  }
+}
+
+export default BinanceDexService
@@ -0,0 +1,898 @@
+/**
+ * Paper Trading DEX Service
+ *
+ * Implements the DexService interface against a simulated account so every
+ * strategy can be dry-run without touching real funds:
+ * - Prices come from the selected exchange's public market data (book ticker + mark price)
+ * - MARKET orders fill as taker at the best bid/ask
+ * - LIMIT orders fill as taker if they cross on placement, otherwise rest
+ *   and fill as maker once the book trades through them (GTX rejects crossing orders,
+ *   IOC expires instead of resting)
+ * - STOP_MARKET / TAKE_PROFIT_MARKET trigger on mark price
+ * - Positions are liquidated when mark price crosses the liquidation price
+ *
+ * Matching runs whenever orders/positions are read, which OrderManager already
+ * does on its polling intervals. Funding fees are not simulated.
+ * The account (balance, orders, positions, fills) persists in localStorage.
+ */
+
+import DexService from '../DexService'
+import { createDexService, DEFAULT_EXCHANGE } from '../DexRegistry'
+import { MAKER_FEE, TAKER_FEE } from '../../../components/sections/perpFarming/constants'
+
+const PAPER_STORAGE_KEY = 'hopium_paper_account'
+const DEFAULT_STARTING_BALANCE = 10000 // USDT
+const MAINTENANCE_MARGIN_RATE = 0.005 // 0.5%
+const MAX_LEVERAGE = 125
+const DEFAULT_LEVERAGE = 20
+const HISTORY_LIMIT = 1000 // Fills / income entries kept
+const CLOSED_ORDER_LIMIT = 500 // Terminal orders kept for getOrderStatus
+
+const OPEN_ORDER_STATUSES = ['NEW', 'PARTIALLY_FILLED']
+
+/**
+ * Create an empty paper account
+ * @param {number} startingBalance - Initial USDT wallet balance
+ */
+function createAccount(startingBalance) {
+  return {
+    startingBalance,
+    walletBalance: startingBalance,
+    nextOrderId: 1,
+    nextTradeId: 1,
+    orders: {}, // orderId -> order
+    positions: {}, // symbol -> { positionAmt, entryPrice }
+    leverage: {}, // symbol -> leverage
+    trades: [], // Fills in /fapi/v1/userTrades format
+    income: [] // Entries in /fapi/v1/income format
+  }
+}
+
+/**
+ * Liquidation price for a position (isolated margin approximation)
+ * @param {number} positionAmt - Signed position size
+ * @param {number} entryPrice - Average entry price
+ * @param {number} leverage - Position leverage
+ */
+function getLiquidationPrice(positionAmt, entryPrice, leverage) {
+  if (positionAmt === 0 || entryPrice === 0) return 0
+  return positionAmt > 0
+    ? entryPrice * (1 - 1 / leverage + MAINTENANCE_MARGIN_RATE)
+    : entryPrice * (1 + 1 / leverage - MAINTENANCE_MARGIN_RATE)
+}
+
+/**
+ * Convert an internal order to the REST order response format
+ * @param {Object} order - Internal order
+ */
+function toOrderResponse(order) {
+  return {
+    orderId: order.orderId,
+    symbol: order.symbol,
+    clientOrderId: order.clientOrderId,
+    side: order.side,
+    type: order.type,
+    origType: order.type,
+    status: order.status,
+    price: String(order.price || 0),
+    avgPrice: String(order.avgPrice || 0),
+    origQty: String(order.origQty || 0),
+    executedQty: String(order.executedQty || 0),
+    cumQuote: String(order.cumQuote || 0),
+    stopPrice: String(order.stopPrice || 0),
+    timeInForce: order.timeInForce,
+    reduceOnly: order.reduceOnly,
+    closePosition: order.closePosition,
+    positionSide: 'BOTH',
+    workingType: order.workingType,
+    time: order.time,
+    updateTime: order.updateTime
+  }
+}
+
+export class PaperDexService extends DexService {
+  constructor() {
+    super()
+    this.market = null // Public exchange market data (exchange info, precision)
+    this.account = null
+    this.initialized = false
+    this.quotes = new Map() // symbol -> last { bid, ask, mark, timestamp }
+  }
+
+  /**
+   * Initialize the simulated account (no credentials required)
+   * @param {Object} [options]
+   * @param {number} [options.startingBalance] - Wallet balance for a new paper account
+   * @param {string} [options.exchange] - Exchange id whose prices/precision are simulated (default: Aster)
+   */
+  async initialize(options = {}) {
+    this.market = createDexService(options.exchange || DEFAULT_EXCHANGE)
+    this.market.initializePublic()
+
+    this.account = this._loadAccount()
+    if (!this.account) {
+      const startingBalance = parseFloat(options.startingBalance) || DEFAULT_STARTING_BALANCE
+      this.account = createAccount(startingBalance)
+      this._saveAccount()
+      console.log(`[PaperDexService] 📝 New paper account with $${startingBalance.toFixed(2)}`)
+    } else {
+      console.log(`[PaperDexService] 📝 Resuming paper account ($${this.account.walletBalance.toFixed(2)} wallet)`)
+    }
+
+    this.initialized = true
+  }
+
+  /**
+   * Paper accounts have no credentials to validate
+   */
+  async validateCredentials() {
+    return true
+  }
+
+  /**
+   * Wipe the paper account and start over
+   * @param {number} [startingBalance] - New wallet balance (defaults to the previous starting balance)
+   */
+  reset(startingBalance) {
+    const balance = parseFloat(startingBalance) || this.account?.startingBalance || DEFAULT_STARTING_BALANCE
+    this.account = createAccount(balance)
+    this._saveAccount()
+    console.log(`[PaperDexService] 🔄 Paper account reset to $${balance.toFixed(2)}`)
+  }
+
+  // === Exchange info / precision (delegated to public exchange market data) ===
+
+  async getExchangeInfo() {
+    return this.market.getExchangeInfo()
+  }
+
+  async getSymbolPrecision(symbol) {
+    return this.market.getSymbolPrecision(symbol)
+  }
+
+  async getMarketLotSize(symbol) {
+    return this.market.getMarketLotSize(symbol)
+  }
+
+  async getPercentPrice(symbol) {
+    return this.market.getPercentPrice(symbol)
+  }
+
+  formatQuantity(quantity, stepSize) {
+    return this.market.formatQuantity(quantity, stepSize)
+  }
+
+  formatPrice(price, tickSize) {
+    return this.market.formatPrice(price, tickSize)
+  }
+
+  /**
+   * Paper accounts always run in one-way mode
+   */
+  async getPositionMode() {
+    return false
+  }
+
+  // === Market data (real exchange prices) ===
+
+  async getKlines(symbol, interval, limit = 100, options = {}) {
+    return this.market.getKlines(symbol, interval, limit, options)
+  }
+
+  async getCurrentPrice(symbol) {
+    return this.market.getCurrentPrice(symbol)
+  }
+
+  async getMarkPrice(symbol) {
+    return this.market.getMarkPrice(symbol)
+  }
+
+  async getIndexPrice(symbol) {
+    return this.market.getIndexPrice(symbol)
+  }
+
+  async get24hTicker(symbol) {
+    return this.market.get24hTicker(symbol)
+  }
+
+  async getBookTicker(symbol) {
+    return this.market.getBookTicker(symbol)
+  }
+
+  async getFundingRate(symbol, options = {}) {
+    return this.market.getFundingRate(symbol, options)
+  }
+
+  async getOrderBook(symbol, limit = 20) {
+    return this.market.getOrderBook(symbol, limit)
+  }
+
+  // === Orders ===
+
+  /**
+   * Place a simulated order
+   */
+  async placeOrder(orderParams) {
+    this._assertInitialized()
+
+    const {
+      symbol,
+      side,
+      type,
+      quantity,
+      price,
+      timeInForce = 'GTC',
+      newClientOrderId,
+      reduceOnly,
+      rawQuantity,
+      stopPrice,
+      closePosition,
+      workingType
+    } = orderParams
+
+    if (!symbol || !side || !type || (!quantity && !closePosition)) {
+      throw new Error('Missing required order parameters')
+    }
+
+    if (type === 'LIMIT' && !price) {
+      throw new Error('LIMIT orders require a price')
+    }
+
+    const isConditional = type === 'STOP_MARKET' || type === 'TAKE_PROFIT_MARKET'
+    if (isConditional && !stopPrice) {
+      throw new Error(`${type} orders require a stopPrice`)
+    }
+
+    if (!['MARKET', 'LIMIT', 'STOP_MARKET', 'TAKE_PROFIT_MARKET'].includes(type)) {
+      throw new Error(`Order type ${type} is not supported in paper mode`)
+    }
+
+    const precision = await this.getSymbolPrecision(symbol)
+    const quote = await this._getQuote(symbol)
+
+    let orderQty = 0
+    if (!closePosition) {
+      orderQty = parseFloat(rawQuantity ? quantity : this.formatQuantity(quantity, precision.stepSize))
+      if (!(orderQty > 0)) {
+        throw new Error('Invalid order quantity')
+      }
+    }
+
+    const now = Date.now()
+    const order = {
+      orderId: this.account.nextOrderId++,
+      symbol,
+      clientOrderId: newClientOrderId || `paper_${now}`,
+      side,
+      type,
+      status: 'NEW',
+      price: price ? parseFloat(this.formatPrice(price, precision.tickSize)) : 0,
+      avgPrice: 0,
+      origQty: orderQty,
+      executedQty: 0,
+      cumQuote: 0,
+      stopPrice: stopPrice ? parseFloat(this.formatPrice(stopPrice, precision.tickSize)) : 0,
+      timeInForce: type === 'LIMIT' ? timeInForce : undefined,
+      reduceOnly: !!reduceOnly || !!closePosition,
+      closePosition: !!closePosition,
+      workingType: workingType || 'CONTRACT_PRICE',
+      time: now,
+      updateTime: now
+    }
+
+    if (order.reduceOnly && !closePosition) {
+      const reducibleQty = this._getReducibleQty(symbol, side)
+      if (reducibleQty === 0) {
+        throw new Error('ReduceOnly Order is rejected')
+      }
+      order.origQty = Math.min(order.origQty, reducibleQty)
+    }
+
+    if (isConditional && this._isTriggered(order, quote)) {
+      throw new Error('Order would immediately trigger')
+    }
+
+    if (!order.reduceOnly) {
+      this._assertMargin(symbol, order, quote)
+    }
+
+    this.account.orders[order.orderId] = order
+
+    if (type === 'MARKET') {
+      this._fillOrder(order, order.origQty, side === 'BUY' ? quote.ask : quote.bid, false)
+    } else if (type === 'LIMIT' && this._crossesBook(order, quote)) {
+      if (timeInForce === 'GTX') {
+        // Post-only orders that would take liquidity are expired, not filled
+        order.status = 'EXPIRED'
+      } else {
+        this._fillOrder(order, order.origQty, side === 'BUY' ? quote.ask : quote.bid, false)
+      }
+    } else if (type === 'LIMIT' && timeInForce === 'IOC') {
+      // Immediate-or-cancel orders never rest on the book
+      order.status = 'EXPIRED'
+    }
+
+    this._pruneOrders()
+    this._saveAccount()
+
+    console.log(`[PaperDexService] 📝 ${type} ${side} ${symbol} ${order.closePosition ? 'close-all' : order.origQty} -> ${order.status}`)
+    return toOrderResponse(order)
+  }
+
+  /**
+   * Cancel a simulated order
+   */
+  async cancelOrder(symbol, orderId) {
+    this._assertInitialized()
+
+    const order = this.account.orders[orderId]
+    if (!order || order.symbol !== symbol || !OPEN_ORDER_STATUSES.includes(order.status)) {
+      throw new Error('Order not found')
+    }
+
+    order.status = 'CANCELED'
+    order.updateTime = Date.now()
+    this._saveAccount()
+    return toOrderResponse(order)
+  }
+
+  /**
+   * Get simulated order status (runs matching first)
+   */
+  async getOrderStatus(symbol, orderId) {
+    this._assertInitialized()
+    await this._match(symbol)
+
+    const order = this.account.orders[orderId]
+    if (!order || order.symbol !== symbol) {
+      throw new Error('Order not found')
+    }
+    return toOrderResponse(order)
+  }
+
+  /**
+   * Get open simulated orders (runs matching first)
+   */
+  async getOpenOrders(symbol = null) {
+    this._assertInitialized()
+    await this._match(symbol)
+
+    return Object.values(this.account.orders)
+      .filter(order => OPEN_ORDER_STATUSES.includes(order.status) && (!symbol || order.symbol === symbol))
+      .map(toOrderResponse)
+  }
+
+  // === Positions / account ===
+
+  /**
+   * Get simulated position for a symbol (runs matching first)
+   */
+  async getPosition(symbol) {
+    this._assertInitialized()
+    await this._match(symbol)
+
+    const position = this.account.positions[symbol]
+    if (!position || position.positionAmt === 0) {
+      return {
+        symbol,
+        positionAmt: '0',
+        entryPrice: '0',
+        markPrice: '0',
+        unRealizedProfit: '0',
+        leverage: String(this._getLeverage(symbol)),
+        liquidationPrice: '0'
+      }
+    }
+
+    return this._toPositionResponse(symbol, position)
+  }
+
+  async getAllPositions() {
+    this._assertInitialized()
+    await this._match()
+
+    return Object.entries(this.account.positions)
+      .filter(([, position]) => position.positionAmt !== 0)
+      .map(([symbol, position]) => this._toPositionResponse(symbol, position))
+  }
+
+  /**
+   * Get simulated account balance (wallet + unrealized - margin in use)
+   */
+  async getAccountBalance() {
+    this._assertInitialized()
+    await this._match()
+
+    const walletBalance = this.account.walletBalance
+    const unrealizedProfit = this._getUnrealizedProfit()
+    const availableBalance = Math.max(0, walletBalance + unrealizedProfit - this._getUsedMargin())
+
+    const usdtAsset = {
+      asset: 'USDT',
+      walletBalance: walletBalance.toFixed(8),
+      unrealizedProfit: unrealizedProfit.toFixed(8),
+      availableBalance: availableBalance.toFixed(8)
+    }
+
+    return {
+      totalBalance: walletBalance.toFixed(8),
+      availableBalance: usdtAsset.availableBalance,
+      walletBalance: usdtAsset.walletBalance,
+      unrealizedProfit: usdtAsset.unrealizedProfit,
+      assets: [usdtAsset]
+    }
+  }
+
+  /**
+   * Single flat bracket - paper accounts have no tiered notional limits
+   */
+  async getLeverageBracket(symbol) {
+    return {
+      symbol,
+      brackets: [{
+        bracket: 1,
+        initialLeverage: MAX_LEVERAGE,
+        notionalCap: Number.MAX_SAFE_INTEGER,
+        notionalFloor: 0,
+        maintMarginRatio: MAINTENANCE_MARGIN_RATE
+      }]
+    }
+  }
+
+  async setLeverage(symbol, leverage) {
+    this._assertInitialized()
+
+    const value = Math.min(Math.max(parseInt(leverage) || 1, 1), MAX_LEVERAGE)
+    this.account.leverage[symbol] = value
+    this._saveAccount()
+    console.log(`[PaperDexService] Set leverage for ${symbol} to ${value}x`)
+    return { symbol, leverage: value, maxNotionalValue: String(Number.MAX_SAFE_INTEGER) }
+  }
+
+  async getMaxLeverageForNotional(symbol, notional) {
+    return MAX_LEVERAGE
+  }
+
+  /**
+   * Get simulated fills for a symbol
+   */
+  async getUserTrades(symbol, options = {}) {
+    this._assertInitialized()
+
+    let trades = this.account.trades.filter(trade => trade.symbol === symbol)
+    if (options.fromId !== undefined) {
+      trades = trades.filter(trade => trade.id >= options.fromId)
+    } else {
+      if (options.startTime) trades = trades.filter(trade => trade.time >= options.startTime)
+      if (options.endTime) trades = trades.filter(trade => trade.time <= options.endTime)
+    }
+    return trades.slice(0, options.limit || 500)
+  }
+
+  /**
+   * Get simulated income entries (realized PnL and commission)
+   */
+  async getIncomeHistory(options = {}) {
+    this._assertInitialized()
+
+    let income = this.account.income
+    if (options.symbol) income = income.filter(entry => entry.symbol === options.symbol)
+    if (options.incomeType) income = income.filter(entry => entry.incomeType === options.incomeType)
+    if (options.startTime) income = income.filter(entry => entry.time >= options.startTime)
+    if (options.endTime) income = income.filter(entry => entry.time <= options.endTime)
+    return income.slice(0, options.limit || 100)
+  }
+
+  getName() {
+    return 'paper'
+  }
+
+  // === Matching engine ===
+
+  /**
+   * Fetch book ticker + mark price (short-lived shared market data cache)
+   * @private
+   */
+  async _getQuote(symbol) {
+    const [book, mark] = await Promise.all([
+      this.market.getBookTicker(symbol),
+      this.market.getMarkPrice(symbol)
+    ])
+
+    const quote = {
+      bid: book.bidPrice,
+      ask: book.askPrice,
+      mark: mark.markPrice,
+      timestamp: Date.now()
+    }
+    this.quotes.set(symbol, quote)
+    return quote
+  }
+
+  /**
+   * Match resting orders and check liquidations for one or all active symbols
+   * @private
+   * @param {string|null} symbol - Symbol to match (null = every symbol with orders or positions)
+   */
+  async _match(symbol = null) {
+    const symbols = symbol ? [symbol] : this._getActiveSymbols()
+
+    for (const s of symbols) {
+      const hasOpenOrders = Object.values(this.account.orders)
+        .some(order => order.symbol === s && OPEN_ORDER_STATUSES.includes(order.status))
+      const hasPosition = (this.account.positions[s]?.positionAmt || 0) !== 0
+      if (!hasOpenOrders && !hasPosition) continue
+
+      let quote
+      try {
+        quote = await this._getQuote(s)
+      } catch (error) {
+        console.warn(`[PaperDexService] Market data unavailable for ${s}:`, error.message)
+        continue
+      }
+
+      // Everything below is synchronous - concurrent callers cannot double-fill
+      this._matchSymbol(s, quote)
+    }
+
+    this._saveAccount()
+  }
+
+  /**
+   * Run liquidation, conditional and limit order checks against a quote
+   * @private
+   */
+  _matchSymbol(symbol, quote) {
+    this._checkLiquidation(symbol, quote)
+
+    const openOrders = Object.values(this.account.orders)
+      .filter(order => order.symbol === symbol && OPEN_ORDER_STATUSES.includes(order.status))
+
+    for (const order of openOrders) {
+      if (order.type === 'LIMIT') {
+        if (this._crossesBook(order, quote)) {
+          // Resting order traded through - maker fill at the limit price
+          this._fillOrder(order, order.origQty - order.executedQty, order.price, true)
+        }
+        continue
+      }
+
+      if (!this._isTriggered(order, quote)) continue
+
+      const fillQty = order.closePosition
+        ? this._getReducibleQty(symbol, order.side)
+        : order.reduceOnly
+          ? Math.min(order.origQty, this._getReducibleQty(symbol, order.side))
+          : order.origQty
+
+      if (fillQty === 0) {
+        // Nothing left to close - conditional close orders expire
+        order.status = 'EXPIRED'
+        order.updateTime = Date.now()
+        continue
+      }
+
+      if (order.closePosition) {
+        order.origQty = fillQty
+      }
+      this._fillOrder(order, fillQty, order.side === 'BUY' ? quote.ask : quote.bid, false)
+      console.log(`[PaperDexService] 🎯 ${order.type} triggered for ${symbol} @ ${order.stopPrice}`)
+    }
+  }
+
+  /**
+   * Liquidate a position whose mark price crossed the liquidation price
+   * @private
+   */
+  _checkLiquidation(symbol, quote) {
+    const position = this.account.positions[symbol]
+    if (!position || position.positionAmt === 0) return
+
+    const liquidationPrice = getLiquidationPrice(position.positionAmt, position.entryPrice, this._getLeverage(symbol))
+    const isLiquidated = position.positionAmt > 0
+      ? quote.mark <= liquidationPrice
+      : quote.mark >= liquidationPrice
+    if (!isLiquidated) return
+
+    console.warn(`[PaperDexService] 💥 ${symbol} liquidated at mark ${quote.mark} (liq ${liquidationPrice.toFixed(4)})`)
+
+    const now = Date.now()
+    const order = {
+      orderId: this.account.nextOrderId++,
+      symbol,
+      clientOrderId: `autoclose-${now}`,
+      side: position.positionAmt > 0 ? 'SELL' : 'BUY',
+      type: 'LIQUIDATION',
+      status: 'NEW',
+      price: 0,
+      avgPrice: 0,
+      origQty: Math.abs(position.positionAmt),
+      executedQty: 0,
+      cumQuote: 0,
+      stopPrice: 0,
+      reduceOnly: true,
+      closePosition: false,
+      workingType: 'MARK_PRICE',
+      time: now,
+      updateTime: now
+    }
+    this.account.orders[order.orderId] = order
+    this._fillOrder(order, order.origQty, quote.mark, false)
+  }
+
+  /**
+   * Apply a fill to order, position, wallet and history
+   * @private
+   */
+  _fillOrder(order, qty, price, isMaker) {
+    if (qty <= 0) return
+
+    const symbol = order.symbol
+    const position = this.account.positions[symbol] || { positionAmt: 0, entryPrice: 0 }
+    const signedQty = order.side === 'BUY' ? qty : -qty
+
+    let realizedPnl = 0
+    if (position.positionAmt === 0 || Math.sign(position.positionAmt) === Math.sign(signedQty)) {
+      // Opening / adding - average the entry price
+      const newAmt = position.positionAmt + signedQty
+      position.entryPrice = (Math.abs(position.positionAmt) * position.entryPrice + qty * price) / Math.abs(newAmt)
+      position.positionAmt = newAmt
+    } else {
+      // Reducing / closing / flipping
+      const closedQty = Math.min(qty, Math.abs(position.positionAmt))
+      realizedPnl = (price - position.entryPrice) * closedQty * Math.sign(position.positionAmt)
+
+      const newAmt = position.positionAmt + signedQty
+      if (Math.abs(newAmt) < 1e-12) {
+        position.positionAmt = 0
+        position.entryPrice = 0
+      } else {
+        if (Math.sign(newAmt) !== Math.sign(position.positionAmt)) {
+          position.entryPrice = price
+        }
+        position.positionAmt = newAmt
+      }
+    }
+    this.account.positions[symbol] = position
+
+    const commission = qty * price * (isMaker ? MAKER_FEE : TAKER_FEE)
+    this.account.walletBalance += realizedPnl - commission
+
+    // Order state
+    const totalQty = order.executedQty + qty
+    order.cumQuote += qty * price
+    order.avgPrice = order.cumQuote / totalQty
+    order.executedQty = totalQty
+    order.status = totalQty >= order.origQty ? 'FILLED' : 'PARTIALLY_FILLED'
+    order.updateTime = Date.now()
+
+    // History (exchange formats so TradeJournal.reconcile() works unchanged)
+    const tradeId = this.account.nextTradeId++
+    const time = order.updateTime
+    this.account.trades.push({
+      symbol,
+      id: tradeId,
+      orderId: order.orderId,
+      side: order.side,
+      price: String(price),
+      qty: String(qty),
+      quoteQty: String(qty * price),
+      realizedPnl: String(realizedPnl),
+      commission: String(commission),
+      commissionAsset: 'USDT',
+      marginAsset: 'USDT',
+      positionSide: 'BOTH',
+      buyer: order.side === 'BUY',
+      maker: isMaker,
+      time
+    })
+
+    if (realizedPnl !== 0) {
+      this._addIncome(symbol, 'REALIZED_PNL', realizedPnl, tradeId, time)
+    }
+    this._addIncome(symbol, 'COMMISSION', -commission, tradeId, time)
+
+    if (this.account.trades.length > HISTORY_LIMIT) {
+      this.account.trades = this.account.trades.slice(-HISTORY_LIMIT)
+    }
+  }
+
+  /**
+   * @private
+   */
+  _addIncome(symbol, incomeType, income, tradeId, time) {
+    this.account.income.push({
+      symbol,
+      incomeType,
+      income: String(income),
+      asset: 'USDT',
+      info: incomeType,
+      time,
+      tranId: `${tradeId}${incomeType === 'COMMISSION' ? 'c' : 'p'}`,
+      tradeId: String(tradeId)
+    })
+
+    if (this.account.income.length > HISTORY_LIMIT) {
+      this.account.income = this.account.income.slice(-HISTORY_LIMIT)
+    }
+  }
+
+  /**
+   * Check if a LIMIT order crosses the current book
+   * @private
+   */
+  _crossesBook(order, quote) {
+    return order.side === 'BUY' ? quote.ask <= order.price : quote.bid >= order.price
+  }
+
+  /**
+   * Check if a conditional order's trigger price has been reached
+   * @private
+   */
+  _isTriggered(order, quote) {
+    const triggerPrice = order.workingType === 'MARK_PRICE'
+      ? quote.mark
+      : (quote.bid + quote.ask) / 2
+
+    if (order.type === 'STOP_MARKET') {
+      return order.side === 'BUY' ? triggerPrice >= order.stopPrice : triggerPrice <= order.stopPrice
+    }
+    if (order.type === 'TAKE_PROFIT_MARKET') {
+      return order.side === 'BUY' ? triggerPrice <= order.stopPrice : triggerPrice >= order.stopPrice
+    }
+    return false
+  }
+
+  /**
+   * Quantity an order on this side can reduce (0 if it would open or add)
+   * @private
+   */
+  _getReducibleQty(symbol, side) {
+    const positionAmt = this.account.positions[symbol]?.positionAmt || 0
+    if (side === 'BUY' && positionAmt < 0) return -positionAmt
+    if (side === 'SELL' && positionAmt > 0) return positionAmt
+    return 0
+  }
+
+  /**
+   * Reject opening orders whose initial margin exceeds available balance
+   * @private
+   */
+  _assertMargin(symbol, order, quote) {
+    const referencePrice = order.price || (order.side === 'BUY' ? quote.ask : quote.bid)
+    const requiredMargin = order.origQty * referencePrice / this._getLeverage(symbol)
+    const fee = order.origQty * referencePrice * TAKER_FEE
+    const available = this.account.walletBalance + this._getUnrealizedProfit() - this._getUsedMargin()
+
+    if (requiredMargin + fee > available) {
+      throw new Error('Insufficient balance')
+    }
+  }
+
+  /**
+   * Initial margin held by positions and resting opening orders
+   * @private
+   */
+  _getUsedMargin() {
+    let margin = 0
+
+    for (const [symbol, position] of Object.entries(this.account.positions)) {
+      if (position.positionAmt === 0) continue
+      margin += Math.abs(position.positionAmt) * position.entryPrice / this._getLeverage(symbol)
+    }
+
+    for (const order of Object.values(this.account.orders)) {
+      if (order.type !== 'LIMIT' || order.reduceOnly || !OPEN_ORDER_STATUSES.includes(order.status)) continue
+      margin += (order.origQty - order.executedQty) * order.price / this._getLeverage(order.symbol)
+    }
+
+    return margin
+  }
+
+  /**
+   * Unrealized PnL across positions at the last known mark prices
+   * @private
+   */
+  _getUnrealizedProfit() {
+    let unrealized = 0
+    for (const [symbol, position] of Object.entries(this.account.positions)) {
+      const mark = this.quotes.get(symbol)?.mark
+      if (position.positionAmt === 0 || !mark) continue
+      unrealized += (mark - position.entryPrice) * position.positionAmt
+    }
+    return unrealized
+  }
+
+  /**
+   * @private
+   */
+  _toPositionResponse(symbol, position) {
+    const leverage = this._getLeverage(symbol)
+    const markPrice = this.quotes.get(symbol)?.mark || position.entryPrice
+    const unrealizedProfit = (markPrice - position.entryPrice) * position.positionAmt
+
+    return {
+      symbol,
+      positionAmt: String(position.positionAmt),
+      entryPrice: String(position.entryPrice),
+      markPrice: String(markPrice),
+      unRealizedProfit: String(unrealizedProfit),
+      liquidationPrice: String(getLiquidationPrice(position.positionAmt, position.entryPrice, leverage)),
+      leverage: String(leverage),
+      notional: String(position.positionAmt * markPrice),
+      marginType: 'isolated',
+      positionSide: 'BOTH'
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getLeverage(symbol) {
+    return this.account.leverage[symbol] || DEFAULT_LEVERAGE
+  }
+
+  /**
+   * Symbols with open orders or positions
+   * @private
+   */
+  _getActiveSymbols() {
+    const symbols = new Set()
+    for (const order of Object.values(this.account.orders)) {
+      if (OPEN_ORDER_STATUSES.includes(order.status)) symbols.add(order.symbol)
+    }
+    for (const [symbol, position] of Object.entries(this.account.positions)) {
+      if (position.positionAmt !== 0) symbols.add(symbol)
+    }
+    return [...symbols]
+  }
+
+  /**
+   * Drop the oldest terminal orders beyond CLOSED_ORDER_LIMIT
+   * @private
+   */
+  _pruneOrders() {
+    const closed = Object.values(this.account.orders)
+      .filter(order => !OPEN_ORDER_STATUSES.includes(order.status))
+      .sort((a, b) => a.updateTime - b.updateTime)
+
+    for (const order of closed.slice(0, Math.max(0, closed.length - CLOSED_ORDER_LIMIT))) {
+      delete this.account.orders[order.orderId]
+    }
+  }
+
+  /**
+   * @private
+   */
+  _assertInitialized() {
+    if (!this.initialized || !this.account) {
+      throw new Error('Service not initialized')
+    }
+  }
+
+  /**
+   * @private
+   */
+  _loadAccount() {
+    try {
+      const saved = localStorage.getItem(PAPER_STORAGE_KEY)
+      return saved ? JSON.parse(saved) : null
+    } catch (error) {
+      console.error('[PaperDexService] Failed to load paper account:', error)
+      return null
+    }
+  }
+
+  /**
+   * @private
+   */
+  _saveAccount() {
+    try {
+      localStorage.setItem(PAPER_STORAGE_KEY, JSON.stringify(this.account))
+    } catch (error) {
+      console.error('[PaperDexService] Failed to save paper account:', error)
+    }
+  }
+}
+
+export default PaperDexService
@@ -0,0 +1,136 @@
+/**
+ * Replay DEX Service
+ *
+ * Paper trading exchange for SessionReplay: same simulated account and
+ * matching engine as PaperDexService, but prices come from the recorded
+ * session instead of the live book, so a replay fills the same orders every
+ * time it runs:
+ * - SessionReplay calls setReplayPrice() with each message's current price
+ *   before the handlers see it; resting orders are matched right away
+ * - Book ticker, mark and last price all return that price (zero spread)
+ * - Exchange info, precision and lot sizes still come from the selected
+ *   exchange's public API (they don't change between runs)
+ * - Symbols the session never priced fall back to live prices (with a warning)
+ *
+ * The account lives in memory only - a replay never touches the saved paper account.
+ */
+
+import PaperDexService from '../paper/PaperDexService'
+
+export class ReplayDexService extends PaperDexService {
+  constructor() {
+    super()
+    this.replayPrices = new Map() // symbol -> { price, timestamp }
+    this.livePriceWarnings = new Set() // Symbols already warned about falling back to live prices
+  }
+
+  /**
+   * Set the replayed price of a symbol and match resting orders against it
+   * @param {string} symbol - Trading pair symbol
+   * @param {number} price - Price from the recorded message
+   * @param {number} [timestamp] - When the message was recorded (ms)
+   */
+  async setReplayPrice(symbol, price, timestamp = Date.now()) {
+    if (!(price > 0)) return
+
+    this.replayPrices.set(symbol, { price, timestamp })
+    if (this.initialized) {
+      await this._match(symbol)
+    }
+  }
+
+  async getCurrentPrice(symbol) {
+    const replayed = this.replayPrices.get(symbol)
+    return replayed ? replayed.price : this._getLivePrice(symbol, () => this.market.getCurrentPrice(symbol))
+  }
+
+  async getMarkPrice(symbol) {
+    const replayed = this.replayPrices.get(symbol)
+    if (!replayed) {
+      return this._getLivePrice(symbol, () => this.market.getMarkPrice(symbol))
+    }
+
+    return {
+      symbol,
+      markPrice: replayed.price,
+      indexPrice: replayed.price,
+      estimatedSettlePrice: replayed.price,
+      lastFundingRate: 0,
+      interestRate: 0,
+      nextFundingTime: 0,
+      time: replayed.timestamp
+    }
+  }
+
+  async getIndexPrice(symbol) {
+    const markPrice = await this.getMarkPrice(symbol)
+    return markPrice.indexPrice
+  }
+
+  async getBookTicker(symbol) {
+    const replayed = this.replayPrices.get(symbol)
+    if (!replayed) {
+      return this._getLivePrice(symbol, () => this.market.getBookTicker(symbol))
+    }
+
+    return {
+      symbol,
+      bidPrice: replayed.price,
+      bidQty: 0,
+      askPrice: replayed.price,
+      askQty: 0,
+      time: replayed.timestamp
+    }
+  }
+
+  getName() {
+    return 'replay'
+  }
+
+  /**
+   * Quote from the replayed price (live book for symbols the session never priced)
+   * @private
+   */
+  async _getQuote(symbol) {
+    const replayed = this.replayPrices.get(symbol)
+    if (!replayed) {
+      return this._getLivePrice(symbol, () => super._getQuote(symbol))
+    }
+
+    const quote = {
+      bid: replayed.price,
+      ask: replayed.price,
+      mark: replayed.price,
+      timestamp: replayed.timestamp
+    }
+    this.quotes.set(symbol, quote)
+    return quote
+  }
+
+  /**
+   * Fetch a live price for a symbol the session hasn't priced yet (warns once per symbol)
+   * @private
+   */
+  _getLivePrice(symbol, fetchLive) {
+    if (!this.livePriceWarnings.has(symbol)) {
+      this.livePriceWarnings.add(symbol)
+      console.warn(`[ReplayDexService] ⚠️ No replayed price for ${symbol} yet - using live prices (replay is not deterministic for it)`)
+    }
+    return fetchLive()
+  }
+
+  /**
+   * Replay accounts are never persisted
+   * @private
+   */
+  _loadAccount() {
+    return null
+  }
+
+  /**
+   * @private
+   */
+  _saveAccount() {}
+}
+
+export default ReplayDexService
@@ -0,0 +1,92 @@
+/**
+ * Entry Ladder
+ *
+ * Splits an entry into N limit orders (rungs) spread across a price band from
+ * the signal price: below it for a LONG, above it for a SHORT. Every rung gets
+ * the same notional, so the average entry improves as deeper rungs fill.
+ *
+ * - linear: rungs evenly spaced across the band
+ * - geometric: each gap is twice the previous one (dense near the signal price,
+ *   sparse at the far end of the band)
+ *
+ * OrderManager places the rungs with one batch request and tracks them as a
+ * single position (see placeLadderEntry).
+ */
+
+export const DEFAULT_ENTRY_LADDER = {
+  enabled: false,
+  orders: 5, // Rungs, including the one at the signal price
+  bandPercent: 1, // Band width from the signal price (%)
+  spacing: 'linear' // 'linear' | 'geometric'
+}
+
+export const LADDER_SPACINGS = ['linear', 'geometric']
+export const MIN_LADDER_ORDERS = 2
+export const MAX_LADDER_ORDERS = 20
+
+/**
+ * Merge a partial ladder config with the defaults and clamp it to valid values
+ * @param {Object} [config] - Partial ladder config
+ * @returns {Object} Ladder config
+ */
+export function normalizeLadder(config = {}) {
+  const orders = Math.round(parseFloat(config.orders))
+  const bandPercent = parseFloat(config.bandPercent)
+
+  return {
+    enabled: Boolean(config.enabled),
+    orders: Number.isFinite(orders)
+      ? Math.min(Math.max(orders, MIN_LADDER_ORDERS), MAX_LADDER_ORDERS)
+      : DEFAULT_ENTRY_LADDER.orders,
+    bandPercent: Number.isFinite(bandPercent) && bandPercent > 0 ? bandPercent : DEFAULT_ENTRY_LADDER.bandPercent,
+    spacing: LADDER_SPACINGS.includes(config.spacing) ? config.spacing : DEFAULT_ENTRY_LADDER.spacing
+  }
+}
+
+/**
+ * Distance of each rung from the signal price, as a fraction of the band (0 → 1)
+ * @param {number} orders - Number of rungs
+ * @param {string} spacing - 'linear' | 'geometric'
+ * @returns {Array<number>} Offsets, first rung at 0
+ */
+function getRungOffsets(orders, spacing) {
+  const last = orders - 1
+  return Array.from({ length: orders }, (_, index) =>
+    spacing === 'geometric'
+      ? (2 ** index - 1) / (2 ** last - 1)
+      : index / last
+  )
+}
+
+/**
+ * Build the rungs of a laddered entry
+ * Precision is left to the DexService (prices and quantities are formatted when placed)
+ * @param {Object} params
+ * @param {string} params.side - 'LONG' or 'SHORT'
+ * @param {number} params.entryPrice - Signal price (first rung)
+ * @param {number} params.notional - Total notional to spread across the rungs
+ * @param {Object} params.ladder - Ladder config (see DEFAULT_ENTRY_LADDER)
+ * @returns {Array<Object>} Rungs [{ price, quantity }], closest to the signal price first
+ */
+export function buildLadder({ side, entryPrice, notional, ladder }) {
+  const { orders, bandPercent, spacing } = normalizeLadder(ladder)
+  const direction = side === 'LONG' ? -1 : 1
+  const band = (entryPrice * bandPercent) / 100
+  const rungNotional = notional / orders
+
+  return getRungOffsets(orders, spacing).map(offset => {
+    const price = entryPrice + direction * band * offset
+    return { price, quantity: rungNotional / price }
+  })
+}
+
+/**
+ * Average fill price if every rung fills (equal notional per rung → harmonic mean)
+ * @param {Array<Object>} rungs - Rungs from buildLadder()
+ * @returns {number} Average entry price
+ */
+export function getLadderAveragePrice(rungs) {
+  const quantity = rungs.reduce((sum, rung) => sum + rung.quantity, 0)
+  const notional = rungs.reduce((sum, rung) => sum + rung.quantity * rung.price, 0)
+  return quantity > 0 ? notional / quantity : 0
+}
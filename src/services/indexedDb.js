@@ -0,0 +1,54 @@
+/**
+ * IndexedDB helpers
+ *
+ * Promise wrappers shared by the IndexedDB-backed services (TradeJournal,
+ * SessionRecorder). Each service owns its database name, version and stores.
+ */
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Request result
+ */
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} tx - Transaction
+ * @returns {Promise<void>}
+ */
+export function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'))
+  })
+}
+
+/**
+ * Open a database, creating/upgrading its stores when the version changes
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} upgrade - (db) => void, creates the object stores and indexes
+ * @returns {Promise<IDBDatabase>}
+ * @throws {Error} If IndexedDB is not available (rejects)
+ */
+export function openDatabase(name, version, upgrade) {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB not available'))
+      return
+    }
+
+    const request = indexedDB.open(name, version)
+
+    request.onupgradeneeded = () => upgrade(request.result)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
@@ -3,13 +3,30 @@
  * 
  * Manages order lifecycle:
  * - Subscribes to WebSocket summary messages
- * - Places orders when server recommends entry
- * - Polls order status periodically
- * - Monitors positions for TP/SL triggers
+ * - Places orders when server recommends entry (one pipeline for every strategy, see signalAdapters.js)
+ * - Optionally scales entries into a ladder of limit orders (DCA, see entryLadder.js)
+ * - Optionally chases entries and closes as post-only maker orders (see chaseExecution.js)
+ *   or slices large ones over time (TWAP, see twapExecution.js)
+ * - Consumes the DEX user data stream for fills and closes
+ * - Polls order status periodically (slow reconciliation while the stream is live)
+ * - Places exchange-side TP/SL brackets when entries fill (optionally scaling out at R-multiple targets)
+ * - Monitors positions for TP/SL triggers (fallback when a bracket is rejected)
  * - Enforces position size limits
+ * - Reconciles tracked positions/orders with the exchange on start and after reconnects
  */
 
-import AsterDexService from './dex/aster/AsterDexService'
+import { createDexService, DEFAULT_EXCHANGE } from './dex/DexRegistry'
+import RiskLimits from './riskLimits'
+import CircuitBreaker from './circuitBreaker'
+import PositionStore from './positionStore'
+import PositionSizer from './positionSizing'
+import { buildLadder, getLadderAveragePrice, normalizeLadder } from './entryLadder'
+import { normalizeTakeProfitLadder, planTakeProfitTargets } from './takeProfitLadder'
+import ChaseExecutor from './chaseExecution'
+import TwapExecutor from './twapExecution'
+import { SIGNAL_ADAPTERS } from './signalAdapters'
+import PaperDexService from './dex/paper/PaperDexService'
+import ReplayDexService from './dex/replay/ReplayDexService'
 
 // Rate limiting: Poll every 2 seconds (30 requests/minute per order)
 // Aster limit: 2400 requests/minute, so we can poll many orders safely
@@ -17,10 +34,88 @@ const ORDER_POLL_INTERVAL = 2000 // 2 seconds (faster for order timeout checks)
 const POSITION_CHECK_INTERVAL = 5000 // 5 seconds
 const DEFAULT_ORDER_TIMEOUT = 120000 // 2 minutes default - cancel unfilled orders after this time
 
+// With the user data stream live, REST polling only reconciles missed events
+const RECONCILE_INTERVAL = 30000 // 30 seconds
+
+// Circuit breaker PnL check (income history + all positions)
+const CIRCUIT_BREAKER_INTERVAL = 15000 // 15 seconds
+const INCOME_PAGE_LIMIT = 1000 // Income history page size (exchange max)
+
+// Dead man's switch: refresh the exchange auto-cancel countdown well before it expires
+const AUTO_CANCEL_HEARTBEAT_INTERVAL = 10000 // 10 seconds (or half the countdown if shorter)
+
 // Fees for PNL calculation
 const ENTRY_FEE = 0.0002 // 0.02%
 const EXIT_FEE = 0.0002 // 0.02%
 
+// Exchange-side protective orders (closePosition=true brackets)
+const PROTECTIVE_ORDER_TYPES = ['STOP_MARKET', 'TAKE_PROFIT_MARKET']
+
+// Reduce-only LIMIT orders of a take profit ladder (partial exits)
+const TAKE_PROFIT_TARGET_PREFIX = 'hopium_tpl_'
+
+// Client order ID prefix -> strategy (most specific first)
+const CLIENT_ORDER_STRATEGIES = [
+  ['hopium_momentumx_', 'momentum_x'],
+  ['hopium_momentum_', 'momentum'],
+  ['hopium_scalp_', 'scalp'],
+  ['hopium_orderbook_', 'orderbook'],
+  ['hopium_v2_', 'portfolio'],
+  ['hopium_custom_', 'custom'],
+  ['hopium_', 'range_trading']
+]
+
+/**
+ * Derive the strategy that placed an order from its client order ID
+ */
+function getStrategyFromClientOrderId(clientOrderId) {
+  if (!clientOrderId) return 'unknown'
+  const match = CLIENT_ORDER_STRATEGIES.find(([prefix]) => clientOrderId.startsWith(prefix))
+  return match ? match[1] : 'unknown'
+}
+
+/**
+ * Check if an order was placed by HopiumBot (entries and TP/SL brackets)
+ */
+function isHopiumOrder(order) {
+  return Boolean(order.clientOrderId?.startsWith('hopium_'))
+}
+
+/**
+ * Position direction from an exchange position (one-way or hedge mode)
+ */
+function getPositionSide(exchangePosition) {
+  if (exchangePosition.positionSide && exchangePosition.positionSide !== 'BOTH') {
+    return exchangePosition.positionSide
+  }
+  return parseFloat(exchangePosition.positionAmt || '0') > 0 ? 'LONG' : 'SHORT'
+}
+
+/**
+ * Convert a signal side (LONG/SHORT) to an order side (BUY/SELL)
+ */
+function toOrderSide(side) {
+  return side === 'LONG' ? 'BUY' : side === 'SHORT' ? 'SELL' : side
+}
+
+/**
+ * Check if an order is a take profit ladder target
+ */
+function isTakeProfitTarget(order) {
+  return Boolean(order.clientOrderId?.startsWith(TAKE_PROFIT_TARGET_PREFIX))
+}
+
+/**
+ * Check if an open order is one of our exit orders - TP/SL bracket or take profit target (not an entry order)
+ */
+function isProtectiveOrder(order) {
+  const type = order.origType || order.type
+  return PROTECTIVE_ORDER_TYPES.includes(type) ||
+    order.closePosition === true ||
+    order.closePosition === 'true' ||
+    isTakeProfitTarget(order)
+}
+
 export class OrderManager {
   constructor() {
     this.dexService = null
@@ -33,13 +128,53 @@ export class OrderManager {
     // Polling intervals
     this.orderPollInterval = null
     this.positionCheckInterval = null
+    this.circuitBreakerInterval = null
+    this.autoCancelInterval = null
+
+    // Exchange-side auto-cancel countdown (0 = off) - cancels entry orders if the browser dies
+    this.autoCancelCountdown = 0 // ms
+    this.autoCancelSymbols = new Map() // symbol -> countdown expiry (ms)
+    this.lastAutoCancelHeartbeat = null
+    this.autoCancelError = null
+    this.lastOrderReconcile = 0
+    this.lastPositionReconcile = 0
+
+    // Push-based order/position updates (null if the DEX has no user data stream)
+    this.userDataStream = null
     
     // Error callback
     this.onError = null
+
+    // Pre-trade risk limits shared by every signal handler
+    this.riskLimits = new RiskLimits()
+    this.onEntryBlocked = null // (symbol, reason) => void - surfaces blocked entries to the UI
+    this.staleFeeds = new Set() // 'SYMBOL:strategy' signal feeds gone quiet - no new entries from them
+
+    // Capital % or dollar-risk (ATR / stop distance) sizing for every entry
+    this.positionSizer = new PositionSizer()
+
+    // Execution algorithms: post-only chasing (orderType 'CHASE') and TWAP slicing of large orders
+    this.chaseExecutor = new ChaseExecutor()
+    this.twapExecutor = new TwapExecutor()
+    this.executions = new Map() // symbol -> { symbol, algo, side, status, ...progress } while an algorithm works the symbol
+    this.onExecutionProgress = null // (execution) => void - surfaces TWAP progress to the UI
+
+    // Daily loss / drawdown kill switch across all strategies
+    this.circuitBreaker = new CircuitBreaker()
+    this.onCircuitBreakerTrip = null // (reason, { flatten }) => Promise - flattens positions and stops strategies
     
     // Custom strategy hooks
     this.onClosePosition = null // Callback for closing positions (used by custom strategies)
     this.signalService = null // Signal service for fetching server signals
+
+    // Trade journal (optional) - records every entry/exit for realized PnL reconciliation
+    this.tradeJournal = null
+
+    // Reconciliation: tracking metadata persisted across reloads, untagged positions for the user to adopt or ignore
+    this.positionStore = null
+    this.foreignPositions = new Map() // symbol -> { symbol, side, quantity, entryPrice, unrealizedPnl }
+    this.isReconciling = false
+    this.onReconciled = null // ({ adoptedPositions, adoptedOrders, foreignPositions }) => void
   }
 
   /**
@@ -51,8 +186,19 @@ export class OrderManager {
    * @param {number} settings.takeProfit - Take profit percentage
    * @param {number} settings.stopLoss - Stop loss percentage
    * @param {number} settings.positionSize - Position size percentage (1-100)
-   * @param {string} settings.orderType - Order type ('LIMIT' or 'MARKET')
+   * @param {string} settings.orderType - Entry order type ('LIMIT', 'MARKET' or 'CHASE')
    * @param {number} settings.orderTimeout - Order timeout in seconds (default 120)
+   * @param {string} settings.exchange - Exchange id from the DEX registry (default 'aster')
+   * @param {boolean} settings.paperMode - Trade against a simulated account (no API keys needed)
+   * @param {boolean} [settings.replayMode] - Paper trade at the prices of a replayed session (SessionReplay feeds them)
+   * @param {Object} [settings.riskLimits] - Risk limit overrides (see DEFAULT_RISK_LIMITS in riskLimits.js)
+   * @param {Object} [settings.circuitBreaker] - Loss limits (see DEFAULT_CIRCUIT_BREAKER in circuitBreaker.js)
+   * @param {Object} [settings.positionSizing] - Sizing mode and risk per trade (see DEFAULT_POSITION_SIZING in positionSizing.js)
+   * @param {Object} [settings.entryLadder] - Laddered entries for the selected server strategy (see DEFAULT_ENTRY_LADDER in entryLadder.js)
+   * @param {Object} [settings.takeProfitLadder] - Partial take profits at R multiples (see DEFAULT_TAKE_PROFIT_LADDER in takeProfitLadder.js)
+   * @param {Object} [settings.chaseExecution] - Chase limits and chased closes (see DEFAULT_CHASE_EXECUTION in chaseExecution.js)
+   * @param {Object} [settings.twapExecution] - Slicing of large entries/closes (see DEFAULT_TWAP_EXECUTION in twapExecution.js)
+   * @param {number} [settings.autoCancelCountdown] - Exchange auto-cancel countdown in seconds (0 = off)
    */
   async initialize(settings) {
     this.settings = {
@@ -60,17 +206,33 @@ export class OrderManager {
       orderType: settings.orderType || 'LIMIT' // Default to LIMIT for safety
     }
 
+    this.riskLimits.update(settings.riskLimits || {})
+    this.circuitBreaker.update(settings.circuitBreaker || {})
+    this.positionSizer.update(settings.positionSizing || {})
+    this.chaseExecutor.update(settings.chaseExecution || {})
+    this.twapExecutor.update(settings.twapExecution || {})
+
     // Set configurable order timeout (convert seconds to milliseconds)
     if (settings.orderTimeout !== undefined) {
       this.orderTimeout = settings.orderTimeout * 1000 // Convert to milliseconds
     }
 
-    // Initialize DEX service
-    this.dexService = new AsterDexService()
-    await this.dexService.initialize({
-      apiKey: settings.apiKey,
-      secretKey: settings.secretKey
-    })
+    this.autoCancelCountdown = Math.max(0, parseFloat(settings.autoCancelCountdown) || 0) * 1000
+
+    // Initialize DEX service (paper mode swaps in the simulated exchange, replays price it from the recording)
+    if (settings.paperMode) {
+      this.dexService = settings.replayMode ? new ReplayDexService() : new PaperDexService()
+      await this.dexService.initialize({
+        startingBalance: settings.capital,
+        exchange: settings.exchange
+      })
+    } else {
+      this.dexService = createDexService(settings.exchange || DEFAULT_EXCHANGE)
+      await this.dexService.initialize({
+        apiKey: settings.apiKey,
+        secretKey: settings.secretKey
+      })
+    }
 
     // Validate credentials
     try {
@@ -78,6 +240,10 @@ export class OrderManager {
     } catch (error) {
       throw new Error(`Invalid credentials: ${error.message}`)
     }
+
+    // Lock state and tracking metadata are per account - paper never touches live state
+    this.circuitBreaker.load(this.dexService.getName())
+    this.positionStore = new PositionStore(this.dexService.getName())
   }
 
   /**
@@ -90,8 +256,21 @@ export class OrderManager {
 
     this.isRunning = true
 
+    // Connect user data stream (REST polling stays fast until it is live)
+    this.startUserDataStream()
+
     // Start polling open orders
     this.orderPollInterval = setInterval(() => {
+      this.saveTracking()
+
+      if (this.isStreamLive()) {
+        // Fills arrive via the stream - only timeouts need checking (local, no REST)
+        this.checkOrderTimeouts().catch(error => {
+          this.handleError('Failed to check order timeouts', error)
+        })
+        if (Date.now() - this.lastOrderReconcile < RECONCILE_INTERVAL) return
+      }
+
       this.pollOpenOrders().catch(error => {
         this.handleError('Failed to poll orders', error)
       })
@@ -99,15 +278,45 @@ export class OrderManager {
 
     // Start checking positions for TP/SL
     this.positionCheckInterval = setInterval(() => {
+      // Closes arrive via the stream - keep polling only for client-side TP/SL fallbacks
+      if (this.isStreamLive() && 
+          !this.needsClientSideChecks() && 
+          Date.now() - this.lastPositionReconcile < RECONCILE_INTERVAL) {
+        return
+      }
+
       this.checkPositions().catch(error => {
         this.handleError('Failed to check positions', error)
       })
     }, POSITION_CHECK_INTERVAL)
 
-    // Initial poll
-    this.pollOpenOrders().catch(error => {
-      this.handleError('Failed to poll orders', error)
-    })
+    // Keep the exchange auto-cancel countdown alive while entry orders are working
+    if (this.isAutoCancelEnabled()) {
+      const heartbeatInterval = Math.min(AUTO_CANCEL_HEARTBEAT_INTERVAL, this.autoCancelCountdown / 2)
+      this.autoCancelInterval = setInterval(() => {
+        this.refreshAutoCancel().catch(error => {
+          this.handleError('Failed to refresh auto-cancel countdown', error)
+        })
+      }, heartbeatInterval)
+    }
+
+    // Watch account PnL for the circuit breaker
+    this.circuitBreakerInterval = setInterval(() => {
+      this.checkCircuitBreaker().catch(error => {
+        this.handleError('Failed to check circuit breaker', error)
+      })
+    }, CIRCUIT_BREAKER_INTERVAL)
+
+    // Adopt positions/orders left over from a previous session, then start polling them
+    this.reconcile()
+      .catch(error => {
+        this.handleError('Failed to reconcile positions', error)
+      })
+      .finally(() => {
+        this.pollOpenOrders().catch(error => {
+          this.handleError('Failed to poll orders', error)
+        })
+      })
   }
 
   /**
@@ -115,6 +324,7 @@ export class OrderManager {
    */
   stop() {
     this.isRunning = false
+    this.saveTracking()
 
     if (this.orderPollInterval) {
       clearInterval(this.orderPollInterval)
@@ -125,1345 +335,1940 @@ export class OrderManager {
       clearInterval(this.positionCheckInterval)
       this.positionCheckInterval = null
     }
-  }
 
-  /**
-   * Handle WebSocket summary message with entry recommendation
-   * @param {Object} summaryData - Summary message data from WebSocket
-   */
-  async handleSummary(summaryData) {
-    if (!this.isRunning || !this.dexService) {
-      return
+    if (this.circuitBreakerInterval) {
+      clearInterval(this.circuitBreakerInterval)
+      this.circuitBreakerInterval = null
     }
 
-    const { summary } = summaryData
-    if (!summary || !summary.entry) {
-      return
+    if (this.autoCancelInterval) {
+      clearInterval(this.autoCancelInterval)
+      this.autoCancelInterval = null
     }
 
-    const entry = summary.entry
-    const symbol = summaryData.symbol || 'BTCUSDT'
-
-    try {
-      // Check if we already have an open position for this symbol
-      const existingPosition = await this.dexService.getPosition(symbol)
-      const positionAmt = parseFloat(existingPosition.positionAmt || '0')
-
-      if (positionAmt !== 0) {
-        // Already have a position, skip
-        return
-      }
-
-      // Check if we have an open order for this symbol
-      const openOrders = await this.dexService.getOpenOrders(symbol)
-      if (openOrders.length > 0) {
-        // Already have open orders, skip
-        return
-      }
-      
-      // CRITICAL: Check global position limit (max 3 positions + pending orders)
-      // Only check if we're trying to open a NEW position (no existing position or orders)
-      // Count BOTH active positions AND pending orders (orders become positions when filled)
-      const totalActive = this.activePositions.size + this.activeOrders.size
-      if (totalActive >= 3) {
-        console.log(`[OrderManager] 🚫 BLOCKED: Already have ${totalActive}/3 active (${this.activePositions.size} positions + ${this.activeOrders.size} pending orders) - cannot open ${symbol}`)
-        console.log(`[OrderManager] Active positions:`, Array.from(this.activePositions.keys()))
-        console.log(`[OrderManager] Pending orders:`, Array.from(this.activeOrders.values()).map(o => `${o.symbol} (${o.orderId})`))
-        return
-      }
+    // Clear countdowns so orders left working after a manual stop are not cancelled
+    for (const symbol of Array.from(this.autoCancelSymbols.keys())) {
+      this.clearAutoCancel(symbol).catch(error => {
+        console.warn(`[OrderManager] Failed to clear auto-cancel countdown for ${symbol}:`, error.message)
+      })
+    }
 
-      // Calculate position size - USE CAPITAL % AS MARGIN
-      const accountBalance = await this.dexService.getAccountBalance()
-      const availableBalance = parseFloat(accountBalance.availableBalance || '0')
-      const positionSizePercent = this.settings.positionSize || 10
-      const capitalLimit = parseFloat(this.settings.capital || '0')
-      const leverage = this.settings.leverage || 1
-      
-      // Position size % of capital IS the margin we want to use
-      const marginToUse = (capitalLimit * positionSizePercent) / 100
-      
-      // Actual position value = margin * leverage
-      const targetPositionValue = marginToUse * leverage
-      
-      // Make sure we have enough balance for the margin
-      const maxPositionValue = availableBalance >= marginToUse ? targetPositionValue : availableBalance * leverage
+    if (this.userDataStream) {
+      this.userDataStream.stop().catch(error => {
+        console.warn('[OrderManager] Failed to stop user data stream:', error.message)
+      })
+      this.userDataStream = null
+    }
+  }
 
-      // Calculate quantity
-      const entryPrice = parseFloat(entry.price)
-      const quantity = maxPositionValue / entryPrice
+  /**
+   * Connect the DEX user data stream (ORDER_TRADE_UPDATE / ACCOUNT_UPDATE)
+   * Failures are non-fatal - REST polling keeps running at full speed.
+   */
+  async startUserDataStream() {
+    const stream = this.dexService?.createUserDataStream?.()
+    if (!stream) return
 
-      // Convert LONG/SHORT to BUY/SELL for Aster API
-      const asterSide = entry.side === 'LONG' ? 'BUY' : entry.side === 'SHORT' ? 'SELL' : entry.side
-      const orderType = this.settings.orderType || 'LIMIT'
-      console.log(`[OrderManager] Converting side: ${entry.side} → ${asterSide}, order type: ${orderType}`)
+    stream.onOrderUpdate = (update) => {
+      this.handleOrderUpdate(update).catch(error => {
+        this.handleError('Failed to process order update', error)
+      })
+    }
 
-      // Place order based on user setting
-      // Note: DexService will handle precision formatting
-      const orderParams = {
-        symbol,
-        side: asterSide,
-        type: orderType,
-        quantity: quantity, // DexService will format to correct precision
-        newClientOrderId: `hopium_${Date.now()}`
-      }
+    stream.onAccountUpdate = (update) => {
+      this.handleAccountUpdate(update).catch(error => {
+        this.handleError('Failed to process account update', error)
+      })
+    }
 
-      // Only add price and timeInForce for LIMIT orders
-      if (orderType === 'LIMIT') {
-        orderParams.price = entry.price
-        orderParams.timeInForce = 'GTC'
+    stream.onConnect = ({ isReconnect }) => {
+      if (isReconnect) {
+        // Events may have been missed while disconnected - reconcile on the next tick
+        console.log('[OrderManager] User data stream reconnected - reconciling')
+        this.lastOrderReconcile = 0
+        this.lastPositionReconcile = 0
+        this.reconcile().catch(error => {
+          this.handleError('Failed to reconcile positions', error)
+        })
       }
+    }
 
-      const orderResponse = await this.dexService.placeOrder(orderParams)
+    stream.onError = (error) => {
+      console.warn('[OrderManager] User data stream error:', error.message)
+    }
 
-      // Store order information
-      this.activeOrders.set(orderResponse.orderId, {
-        orderId: orderResponse.orderId,
-        symbol,
-        side: entry.side,
-        entryPrice: entry.price,
-        quantity: orderResponse.executedQty || orderResponse.origQty, // Use actual filled/original quantity
-        status: orderResponse.status,
-        takeProfit: this.settings.takeProfit,
-        stopLoss: this.settings.stopLoss,
-        createdAt: Date.now()
-      })
+    this.userDataStream = stream
 
+    try {
+      await stream.start()
+      console.log('[OrderManager] ✅ User data stream live - REST polling reduced to reconciliation')
     } catch (error) {
-      this.handleError('Failed to place order', error)
+      console.warn('[OrderManager] User data stream unavailable - using REST polling:', error.message)
     }
   }
 
   /**
-   * Handle scalp indicator signal (high-frequency strategy)
-   * @param {Object} scalpData - Normalized scalp indicator data
-   * @param {string} scalpData.symbol - Trading pair symbol
-   * @param {string} scalpData.side - 'LONG' | 'SHORT' | 'NEUTRAL'
-   * @param {number} scalpData.limit_price - Recommended limit entry
+   * Adopt exchange positions and open orders into the tracked maps
+   * - Entry orders with a hopium_ client order id are tracked again (timeouts, fills)
+   * - Positions are ours if their metadata was persisted or a hopium_ TP/SL bracket protects them;
+   *   they get their original strategy and TP/SL settings back
+   * - Anything else is flagged as foreign until the user adopts or ignores it
+   * Runs on start() and after every reconnect (stream or signal WebSocket).
    */
-  async handleScalpSignal(scalpData) {
-    console.log('[OrderManager] handleScalpSignal called with:', scalpData)
-    
-    if (!this.isRunning || !this.dexService) {
-      console.log('[OrderManager] Not running or no dexService')
-      return
-    }
-
-    // Defensive guards
-    if (!scalpData || !scalpData.symbol || !scalpData.side || !scalpData.limit_price) {
-      console.log('[OrderManager] Missing required fields:', {
-        hasData: !!scalpData,
-        hasSymbol: !!scalpData?.symbol,
-        hasSide: !!scalpData?.side,
-        hasLimitPrice: !!scalpData?.limit_price
-      })
-      return
-    }
-
-    const symbol = scalpData.symbol
-    const side = scalpData.side
-    const entryPrice = parseFloat(scalpData.limit_price)
-
-    // Ignore NEUTRAL
-    if (side === 'NEUTRAL') {
-      console.log('[OrderManager] NEUTRAL side, skipping')
+  async reconcile() {
+    if (!this.isRunning || !this.dexService || this.isReconciling) {
       return
     }
 
+    this.isReconciling = true
     try {
-      // Check for existing position and open orders
-      const existingPosition = await this.dexService.getPosition(symbol)
-      const positionAmt = parseFloat(existingPosition.positionAmt || '0')
-      const openOrders = await this.dexService.getOpenOrders(symbol)
-      
-      // CRITICAL: Check global position limit (max 3 positions + pending orders)
-      // Only check if we're trying to open a NEW position (no existing position)
-      // Count BOTH active positions AND pending orders (orders become positions when filled)
-      if (positionAmt === 0 && openOrders.length === 0) {
-        const totalActive = this.activePositions.size + this.activeOrders.size
-        if (totalActive >= 3) {
-          console.log(`[OrderManager] 🚫 BLOCKED: Already have ${totalActive}/3 active (${this.activePositions.size} positions + ${this.activeOrders.size} pending orders) - cannot open ${symbol}`)
-          console.log(`[OrderManager] Active positions:`, Array.from(this.activePositions.keys()))
-          console.log(`[OrderManager] Pending orders:`, Array.from(this.activeOrders.values()).map(o => `${o.symbol} (${o.orderId})`))
-          return
-        }
-      }
-      
-      console.log('[OrderManager] Position and orders check:', { 
-        symbol, 
-        positionAmt, 
-        openOrdersCount: openOrders.length 
-      })
-      
-      // CASE 1: Partially filled (position exists + open orders exist)
-      if (positionAmt !== 0 && openOrders.length > 0) {
-        console.log('[OrderManager] 🔄 PARTIAL FILL detected - position exists with unfilled orders')
-        
-        const orderType = this.settings.orderType || 'LIMIT'
-        const asterSide = side === 'LONG' ? 'BUY' : 'SELL'
-        
-        // Calculate unfilled quantity from open orders
-        let totalUnfilledQty = 0
-        for (const order of openOrders) {
-          const origQty = parseFloat(order.origQty || '0')
-          const executedQty = parseFloat(order.executedQty || '0')
-          const unfilledQty = origQty - executedQty
-          totalUnfilledQty += unfilledQty
-        }
-        
-        console.log(`[OrderManager] Unfilled quantity: ${totalUnfilledQty}`)
-        
-        // Cancel all unfilled orders
-        for (const order of openOrders) {
-          try {
-            await this.dexService.cancelOrder(symbol, order.orderId)
-            this.activeOrders.delete(order.orderId)
-            console.log(`[OrderManager] Cancelled partially filled order ${order.orderId}`)
-          } catch (error) {
-            console.error(`[OrderManager] Failed to cancel order ${order.orderId}:`, error)
-          }
-        }
-        
-        // Place new order for ONLY the unfilled amount at new price
-        if (totalUnfilledQty > 0 && orderType === 'LIMIT') {
-          console.log(`[OrderManager] Placing replacement order for unfilled ${totalUnfilledQty} at new price $${entryPrice}`)
-          
-          const orderParams = {
-            symbol,
-            side: asterSide,
-            type: orderType,
-            quantity: totalUnfilledQty,
-            price: entryPrice,
-            timeInForce: 'GTC',
-            newClientOrderId: `hopium_scalp_${Date.now()}`
+      const [exchangePositions, openOrders] = await Promise.all([
+        this.dexService.getAllPositions(),
+        this.dexService.getOpenOrders()
+      ])
+      const openPositions = exchangePositions.filter(position => parseFloat(position.positionAmt || '0') !== 0)
+      let adoptedPositions = 0
+      let adoptedOrders = 0
+
+      this.foreignPositions.clear()
+      for (const exchangePosition of openPositions) {
+        const symbol = exchangePosition.symbol
+        if (this.activePositions.has(symbol)) continue
+
+        const side = getPositionSide(exchangePosition)
+        const stored = this.positionStore.getPosition(symbol)
+        // Take profit targets come back with the stored takeProfitLadder
+        const brackets = openOrders.filter(order =>
+          order.symbol === symbol && isProtectiveOrder(order) && isHopiumOrder(order) && !isTakeProfitTarget(order))
+
+        if (stored?.side !== side && brackets.length === 0) {
+          if (!this.positionStore.isIgnored(symbol, side)) {
+            this.foreignPositions.set(symbol, {
+              symbol,
+              side,
+              quantity: Math.abs(parseFloat(exchangePosition.positionAmt)),
+              entryPrice: parseFloat(exchangePosition.entryPrice || '0'),
+              unrealizedPnl: parseFloat(exchangePosition.unRealizedProfit || '0')
+            })
           }
-          
-          const orderResponse = await this.dexService.placeOrder(orderParams)
-          console.log('[OrderManager] Replacement order placed:', orderResponse)
-          
-          // Track new order
-          this.activeOrders.set(orderResponse.orderId, {
-            orderId: orderResponse.orderId,
-            symbol,
-            side,
-            entryPrice: entryPrice,
-            quantity: totalUnfilledQty,
-            status: orderResponse.status,
-            takeProfit: this.settings.takeProfit,
-            stopLoss: this.settings.stopLoss,
-            createdAt: Date.now(),
-            entryConfidence: scalpData.confidence || 'unknown'
-          })
+          continue
         }
-        
-        return // Done handling partial fill
-      }
-      
-      // CASE 2: Fully filled (position exists, no open orders)
-      if (positionAmt !== 0) {
-        console.log('[OrderManager] Position fully filled, skipping new entry')
-        return
+
+        await this.adoptPosition(exchangePosition, stored?.side === side ? stored : null, brackets)
+        adoptedPositions++
       }
-      
-      // CASE 3: No position yet (only open orders or nothing)
-      console.log('[OrderManager] No position - checking for existing orders')
-      
-      const orderType = this.settings.orderType || 'LIMIT'
-      const asterSide = side === 'LONG' ? 'BUY' : 'SELL'
-      
-      // For LIMIT orders, check if we already have an order at the same price
-      if (orderType === 'LIMIT' && openOrders.length > 0) {
-        const matchingOrder = openOrders.find(order => {
-          const orderPrice = parseFloat(order.price || '0')
-          const priceTolerance = entryPrice * 0.0001 // 0.01% tolerance for floating point
-          const priceMatches = Math.abs(orderPrice - entryPrice) <= priceTolerance
-          const sideMatches = order.side === asterSide
-          return priceMatches && sideMatches
+
+      for (const order of openOrders) {
+        if (!isHopiumOrder(order) || isProtectiveOrder(order) || this.activeOrders.has(order.orderId)) continue
+
+        const stored = this.positionStore.getOrder(order.orderId) || {}
+        this.activeOrders.set(order.orderId, {
+          orderId: order.orderId,
+          symbol: order.symbol,
+          side: order.side === 'BUY' ? 'LONG' : 'SHORT',
+          entryPrice: parseFloat(order.price),
+          quantity: order.origQty,
+          status: order.status,
+          takeProfit: stored.takeProfit ?? this.settings.takeProfit,
+          stopLoss: stored.stopLoss ?? this.settings.stopLoss,
+          tpSlMode: stored.tpSlMode,
+          stopDistance: stored.stopDistance ?? null,
+          ladderId: stored.ladderId,
+          noTimeout: Boolean(stored.ladderId && this.activePositions.has(order.symbol)), // Ladder already averaging into a position
+          createdAt: stored.createdAt || order.time || Date.now(), // Timeout counts from the original placement
+          entryConfidence: stored.entryConfidence || 'unknown',
+          strategy: getStrategyFromClientOrderId(order.clientOrderId)
         })
-        
-        if (matchingOrder) {
-          // Check if confidence degraded
-          const trackedOrder = this.activeOrders.get(matchingOrder.orderId)
-          const originalConfidence = trackedOrder?.entryConfidence || 'unknown'
-          const newConfidence = scalpData.confidence || 'unknown'
-          
-          // Cancel if confidence dropped to low AND user doesn't trust low confidence
-          const confidenceDegraded = (originalConfidence === 'high' || originalConfidence === 'medium') && 
-                                     newConfidence === 'low'
-          const trustLowConfidence = this.settings.trustLowConfidence !== undefined 
-                                      ? this.settings.trustLowConfidence 
-                                      : false
-          
-          if (confidenceDegraded && !trustLowConfidence) {
-            console.log(`[OrderManager] ⚠️ Confidence degraded (${originalConfidence} → ${newConfidence}) and trust disabled - cancelling order ${matchingOrder.orderId}`)
-            await this.dexService.cancelOrder(symbol, matchingOrder.orderId)
-            this.activeOrders.delete(matchingOrder.orderId)
-            return // Don't place new order (low confidence not trusted)
-          }
-          
-          console.log(`[OrderManager] ✅ Existing order at same price ($${entryPrice}) - keeping order ${matchingOrder.orderId}`)
-          return // Skip - no need to cancel and replace
-        }
-      }
-      
-      // Price changed or MARKET order - cancel existing orders
-      if (openOrders.length > 0) {
-        console.log('[OrderManager] Cancelling existing orders (price changed or market order)')
-        for (const order of openOrders) {
-          try {
-            await this.dexService.cancelOrder(symbol, order.orderId)
-            this.activeOrders.delete(order.orderId)
-            console.log(`[OrderManager] Cancelled order ${order.orderId}`)
-          } catch (error) {
-            console.error(`[OrderManager] Failed to cancel order ${order.orderId}:`, error)
-          }
-        }
+        adoptedOrders++
+        console.log(`[OrderManager] 🔗 Adopted ${order.symbol} entry order ${order.orderId} (${getStrategyFromClientOrderId(order.clientOrderId)})`)
       }
 
-      // Calculate position size - USE CAPITAL % AS MARGIN
-      const accountBalance = await this.dexService.getAccountBalance()
-      const availableBalance = parseFloat(accountBalance.availableBalance || '0')
-      const positionSizePercent = this.settings.positionSize || 10
-      const capitalLimit = parseFloat(this.settings.capital || '0')
-      const leverage = this.settings.leverage || 1
-      
-      // Position size % of capital IS the margin we want to use
-      const marginToUse = (capitalLimit * positionSizePercent) / 100
-      
-      // Actual position value = margin * leverage
-      const targetPositionValue = marginToUse * leverage
-      
-      // Make sure we have enough balance for the margin
-      const maxPositionValue = availableBalance >= marginToUse ? targetPositionValue : availableBalance * leverage
+      this.positionStore.pruneIgnored(new Set(openPositions.map(position => position.symbol)))
+      this.saveTracking()
 
-      if (entryPrice <= 0) {
-        return
+      const foreignPositions = this.getForeignPositions()
+      console.log(`[OrderManager] 🔄 Reconciled: ${adoptedPositions} position(s) and ${adoptedOrders} order(s) adopted, ${foreignPositions.length} foreign position(s)`)
+      if (this.onReconciled) {
+        this.onReconciled({ adoptedPositions, adoptedOrders, foreignPositions })
       }
+    } finally {
+      this.isReconciling = false
+    }
+  }
 
-      const quantity = maxPositionValue / entryPrice
-
-      console.log('[OrderManager] Placing scalp order:', {
-        symbol,
-        side,
-        asterSide,
-        orderType,
-        entryPrice,
-        quantity,
-        targetPositionValue,
-        maxPositionValue,
-        marginToUse,
-        availableBalance,
-        positionSizePercent,
-        leverage,
-        capitalLimit
-      })
+  /**
+   * Start tracking an exchange position
+   * Existing hopium_ brackets are kept; a position without one is protected right away
+   * @param {Object} exchangePosition - Exchange position ({ symbol, positionAmt, entryPrice })
+   * @param {Object|null} stored - Persisted metadata from a previous session
+   * @param {Array<Object>} [brackets] - Open hopium_ TP/SL orders for the symbol
+   */
+  async adoptPosition(exchangePosition, stored, brackets = []) {
+    const symbol = exchangePosition.symbol
+    const protectiveOrders = { takeProfit: null, stopLoss: null }
+    for (const order of brackets) {
+      const key = (order.origType || order.type) === 'STOP_MARKET' ? 'stopLoss' : 'takeProfit'
+      protectiveOrders[key] = { orderId: order.orderId, stopPrice: parseFloat(order.stopPrice) }
+    }
 
-      const orderParams = {
-        symbol,
-        side: asterSide,
-        type: orderType,
-        quantity: quantity,
-        newClientOrderId: `hopium_scalp_${Date.now()}`
-      }
+    const position = {
+      symbol,
+      side: getPositionSide(exchangePosition),
+      entryPrice: parseFloat(exchangePosition.entryPrice || '0'),
+      quantity: Math.abs(parseFloat(exchangePosition.positionAmt)),
+      takeProfit: stored?.takeProfit ?? this.settings.takeProfit,
+      stopLoss: stored?.stopLoss ?? this.settings.stopLoss,
+      takeProfitPrice: stored?.takeProfitPrice ?? null,
+      stopLossPrice: stored?.stopLossPrice ?? null,
+      tpSlMode: stored?.tpSlMode,
+      stopDistance: stored?.stopDistance ?? null,
+      takeProfitLadder: stored?.takeProfitLadder ?? null,
+      strategy: stored?.strategy || 'unknown',
+      filledAt: stored?.filledAt || Date.now(),
+      entryConfidence: stored?.entryConfidence || 'unknown',
+      signalHistory: [],
+      protectiveOrders
+    }
 
-      // Only add price and timeInForce for LIMIT orders
-      if (orderType === 'LIMIT') {
-        orderParams.price = entryPrice
-        orderParams.timeInForce = 'GTC'
-      }
+    this.activePositions.set(symbol, position)
+    this.foreignPositions.delete(symbol)
+    console.log(`[OrderManager] 🔗 Adopted ${symbol} ${position.side} ${position.quantity} @ $${position.entryPrice} (${position.strategy})`)
 
-      console.log('[OrderManager] Order params:', orderParams)
-      const orderResponse = await this.dexService.placeOrder(orderParams)
-      console.log('[OrderManager] Order placed successfully:', orderResponse)
+    // Targets may have filled while the bot was offline
+    if (await this.syncTakeProfitTargets(symbol, position) && brackets.length > 0) {
+      await this.placeProtectiveOrders(symbol)
+    }
 
-      // Track order for management
-      this.activeOrders.set(orderResponse.orderId, {
-        orderId: orderResponse.orderId,
-        symbol,
-        side,
-        entryPrice: entryPrice,
-        quantity: orderResponse.executedQty || orderResponse.origQty,
-        status: orderResponse.status,
-        takeProfit: this.settings.takeProfit,
-        stopLoss: this.settings.stopLoss,
-        createdAt: Date.now(),
-        entryConfidence: scalpData.confidence || 'unknown'
-      })
-    } catch (error) {
-      console.error('[OrderManager] Failed to place scalp order:', error)
-      this.handleError('Failed to place scalp order', error)
+    if (brackets.length === 0) {
+      await this.placeProtectiveOrders(symbol)
     }
   }
 
   /**
-   * Handle momentum strategy signal from WebSocket
-   * @param {Object} momentumData - Momentum indicator data from WebSocket
+   * Adopt a flagged foreign position (tracked with the current TP/SL settings)
+   * @param {string} symbol - Trading symbol
+   * @throws {Error} If the position is no longer open
    */
-  async handleMomentumSignal(momentumData) {
-    console.log('[OrderManager] handleMomentumSignal called with:', momentumData)
-    
-    if (!this.isRunning || !this.dexService) {
-      console.log('[OrderManager] Not running or no dexService')
-      return
-    }
-
-    // Defensive guards
-    if (!momentumData || !momentumData.symbol || !momentumData.side || !momentumData.limit_price) {
-      console.log('[OrderManager] Missing required fields:', {
-        hasData: !!momentumData,
-        hasSymbol: !!momentumData?.symbol,
-        hasSide: !!momentumData?.side,
-        hasLimitPrice: !!momentumData?.limit_price
-      })
-      return
+  async adoptForeignPosition(symbol) {
+    const exchangePosition = await this.dexService.getPosition(symbol)
+    if (parseFloat(exchangePosition.positionAmt || '0') === 0) {
+      this.foreignPositions.delete(symbol)
+      throw new Error(`No open position for ${symbol}`)
     }
 
-    const symbol = momentumData.symbol
-    const side = momentumData.side
-    const entryPrice = parseFloat(momentumData.limit_price)
-
-    // Ignore NEUTRAL or CONFLICTED
-    if (side === 'NEUTRAL' || momentumData.trend_alignment === 'CONFLICTED') {
-      console.log('[OrderManager] NEUTRAL/CONFLICTED signal, skipping')
-      return
-    }
+    await this.adoptPosition({ ...exchangePosition, symbol }, { strategy: 'manual' })
+    this.saveTracking()
+  }
 
-    try {
-      // Check for existing position and open orders
-      const existingPosition = await this.dexService.getPosition(symbol)
-      const positionAmt = parseFloat(existingPosition.positionAmt || '0')
-      const openOrders = await this.dexService.getOpenOrders(symbol)
-      
-      // CRITICAL: Check global position limit (max 3 positions + pending orders)
-      // Only check if we're trying to open a NEW position (no existing position)
-      // Count BOTH active positions AND pending orders (orders become positions when filled)
-      if (positionAmt === 0 && openOrders.length === 0) {
-        const totalActive = this.activePositions.size + this.activeOrders.size
-        if (totalActive >= 3) {
-          console.log(`[OrderManager] 🚫 BLOCKED: Already have ${totalActive}/3 active (${this.activePositions.size} positions + ${this.activeOrders.size} pending orders) - cannot open ${symbol}`)
-          console.log(`[OrderManager] Active positions:`, Array.from(this.activePositions.keys()))
-          console.log(`[OrderManager] Pending orders:`, Array.from(this.activeOrders.values()).map(o => `${o.symbol} (${o.orderId})`))
-          return
-        }
-      }
-      
-      console.log('[OrderManager] Position and orders check:', { 
-        symbol, 
-        positionAmt, 
-        openOrdersCount: openOrders.length 
-      })
-      
-      // CASE 1: Partially filled (position exists + open orders exist)
-      if (positionAmt !== 0 && openOrders.length > 0) {
-        console.log('[OrderManager] 🔄 PARTIAL FILL detected - position exists with unfilled orders')
-        
-        const orderType = this.settings.orderType || 'LIMIT'
-        const asterSide = side === 'LONG' ? 'BUY' : 'SELL'
-        
-        // Calculate unfilled quantity from open orders
-        let totalUnfilledQty = 0
-        for (const order of openOrders) {
-          const origQty = parseFloat(order.origQty || '0')
-          const executedQty = parseFloat(order.executedQty || '0')
-          const unfilledQty = origQty - executedQty
-          totalUnfilledQty += unfilledQty
-        }
-        
-        console.log(`[OrderManager] Unfilled quantity: ${totalUnfilledQty}`)
-        
-        // Cancel all unfilled orders
-        for (const order of openOrders) {
-          try {
-            await this.dexService.cancelOrder(symbol, order.orderId)
-            this.activeOrders.delete(order.orderId)
-            console.log(`[OrderManager] Cancelled partially filled order ${order.orderId}`)
-          } catch (error) {
-            console.error(`[OrderManager] Failed to cancel order ${order.orderId}:`, error)
-          }
-        }
-        
-        // Place new order for ONLY the unfilled amount at new price
-        if (totalUnfilledQty > 0 && orderType === 'LIMIT') {
-          console.log(`[OrderManager] Placing replacement order for unfilled ${totalUnfilledQty} at new price $${entryPrice}`)
-          
-          const orderParams = {
-            symbol,
-            side: asterSide,
-            type: orderType,
-            quantity: totalUnfilledQty,
-            price: entryPrice,
-            timeInForce: 'GTC',
-            newClientOrderId: `hopium_momentum_${Date.now()}`
-          }
-          
-          const orderResponse = await this.dexService.placeOrder(orderParams)
-          console.log('[OrderManager] Replacement order placed:', orderResponse)
-          
-          // Track new order
-          this.activeOrders.set(orderResponse.orderId, {
-            orderId: orderResponse.orderId,
-            symbol,
-            side,
-            entryPrice: entryPrice,
-            quantity: totalUnfilledQty,
-            status: orderResponse.status,
-            takeProfit: this.settings.takeProfit,
-            stopLoss: this.settings.stopLoss,
-            createdAt: Date.now(),
-            entryConfidence: momentumData.confidence || 'unknown'
-          })
-        }
-        
-        return // Done handling partial fill
-      }
-      
-      // CASE 2: Fully filled (position exists, no open orders)
-      if (positionAmt !== 0) {
-        console.log('[OrderManager] Position fully filled, skipping new entry')
-        return
-      }
-      
-      // CASE 3: No position yet (only open orders or nothing)
-      console.log('[OrderManager] No position - checking for existing orders')
-      
-      const orderType = this.settings.orderType || 'LIMIT'
-      const asterSide = side === 'LONG' ? 'BUY' : 'SELL'
-      
-      // For LIMIT orders, check if we already have an order at the same price
-      if (orderType === 'LIMIT' && openOrders.length > 0) {
-        const matchingOrder = openOrders.find(order => {
-          const orderPrice = parseFloat(order.price || '0')
-          const priceTolerance = entryPrice * 0.0001 // 0.01% tolerance for floating point
-          const priceMatches = Math.abs(orderPrice - entryPrice) <= priceTolerance
-          const sideMatches = order.side === asterSide
-          return priceMatches && sideMatches
-        })
-        
-        if (matchingOrder) {
-          // Check if confidence degraded
-          const trackedOrder = this.activeOrders.get(matchingOrder.orderId)
-          const originalConfidence = trackedOrder?.entryConfidence || 'unknown'
-          const newConfidence = momentumData.confidence || 'unknown'
-          
-          // Cancel if confidence dropped to low AND user doesn't trust low confidence
-          const confidenceDegraded = (originalConfidence === 'high' || originalConfidence === 'medium') && 
-                                     newConfidence === 'low'
-          const trustLowConfidence = this.settings.trustLowConfidence !== undefined 
-                                      ? this.settings.trustLowConfidence 
-                                      : false
-          
-          if (confidenceDegraded && !trustLowConfidence) {
-            console.log(`[OrderManager] ⚠️ Confidence degraded (${originalConfidence} → ${newConfidence}) and trust disabled - cancelling order ${matchingOrder.orderId}`)
-            await this.dexService.cancelOrder(symbol, matchingOrder.orderId)
-            this.activeOrders.delete(matchingOrder.orderId)
-            return // Don't place new order (low confidence not trusted)
-          }
-          
-          console.log(`[OrderManager] ✅ Existing order at same price ($${entryPrice}) - keeping order ${matchingOrder.orderId}`)
-          return // Skip - no need to cancel and replace
-        }
-      }
-      
-      // Price changed or MARKET order - cancel existing orders
-      if (openOrders.length > 0) {
-        console.log('[OrderManager] Cancelling existing orders (price changed or market order)')
-        for (const order of openOrders) {
-          try {
-            await this.dexService.cancelOrder(symbol, order.orderId)
-            this.activeOrders.delete(order.orderId)
-            console.log(`[OrderManager] Cancelled order ${order.orderId}`)
-          } catch (error) {
-            console.error(`[OrderManager] Failed to cancel order ${order.orderId}:`, error)
-          }
-        }
-      }
+  /**
+   * Stop flagging a foreign position (remembered until it is closed)
+   * @param {string} symbol - Trading symbol
+   */
+  ignoreForeignPosition(symbol) {
+    const foreign = this.foreignPositions.get(symbol)
+    if (!foreign) return
 
-      // Calculate position size - USE CAPITAL % AS MARGIN
-      const accountBalance = await this.dexService.getAccountBalance()
-      const availableBalance = parseFloat(accountBalance.availableBalance || '0')
-      const positionSizePercent = this.settings.positionSize || 10
-      const capitalLimit = parseFloat(this.settings.capital || '0')
-      const leverage = this.settings.leverage || 1
-      
-      // Position size % of capital IS the margin we want to use
-      const marginToUse = (capitalLimit * positionSizePercent) / 100
-      
-      // Actual position value = margin * leverage
-      const targetPositionValue = marginToUse * leverage
-      
-      // Make sure we have enough balance for the margin
-      const maxPositionValue = availableBalance >= marginToUse ? targetPositionValue : availableBalance * leverage
+    this.positionStore.ignore(symbol, foreign.side)
+    this.foreignPositions.delete(symbol)
+  }
 
-      if (entryPrice <= 0) {
-        return
-      }
+  /**
+   * Get foreign positions awaiting a decision (excludes symbols tracked since)
+   * @returns {Array<Object>} [{ symbol, side, quantity, entryPrice, unrealizedPnl }]
+   */
+  getForeignPositions() {
+    return Array.from(this.foreignPositions.values())
+      .filter(position => !this.activePositions.has(position.symbol))
+  }
 
-      const quantity = maxPositionValue / entryPrice
+  /**
+   * Persist tracking metadata for the next session
+   */
+  saveTracking() {
+    if (!this.positionStore) return
+    this.positionStore.save(this.activePositions, this.activeOrders)
+  }
 
-      console.log('[OrderManager] Placing momentum order:', {
-        symbol,
-        side,
-        asterSide,
-        orderType,
-        entryPrice,
-        quantity,
-        targetPositionValue,
-        maxPositionValue,
-        marginToUse,
-        availableBalance,
-        positionSizePercent,
-        leverage,
-        capitalLimit,
-        trend_1h: momentumData.trend_1h,
-        trend_4h: momentumData.trend_4h,
-        trend_alignment: momentumData.trend_alignment,
-        confluence_score: momentumData.confluence_score
-      })
+  /**
+   * Check if fills/closes are currently being pushed by the user data stream
+   * @returns {boolean}
+   */
+  isStreamLive() {
+    return !!this.userDataStream && this.userDataStream.isConnected()
+  }
 
-      const orderParams = {
-        symbol,
-        side: asterSide,
-        type: orderType,
-        quantity: quantity,
-        newClientOrderId: `hopium_momentum_${Date.now()}`
+  /**
+   * Check if any position relies on the client-side TP/SL fallback (needs mark price polling)
+   * @returns {boolean}
+   */
+  needsClientSideChecks() {
+    for (const position of this.activePositions.values()) {
+      if (position.takeProfitLadder?.trail) {
+        return true // The trailing stop follows the mark price
       }
 
-      // Only add price and timeInForce for LIMIT orders
-      if (orderType === 'LIMIT') {
-        orderParams.price = entryPrice
-        orderParams.timeInForce = 'GTC'
+      const protectiveOrders = position.protectiveOrders || {}
+      const { takeProfitPrice, stopLossPrice } = this.getProtectivePrices(position)
+      if ((takeProfitPrice !== null && !protectiveOrders.takeProfit) ||
+          (stopLossPrice !== null && !protectiveOrders.stopLoss)) {
+        return true
       }
-
-      console.log('[OrderManager] Order params:', orderParams)
-      const orderResponse = await this.dexService.placeOrder(orderParams)
-      console.log('[OrderManager] Order placed successfully:', orderResponse)
-
-      // Track order for management
-      this.activeOrders.set(orderResponse.orderId, {
-        orderId: orderResponse.orderId,
-        symbol,
-        side,
-        entryPrice: entryPrice,
-        quantity: orderResponse.executedQty || orderResponse.origQty,
-        status: orderResponse.status,
-        takeProfit: this.settings.takeProfit,
-        stopLoss: this.settings.stopLoss,
-        createdAt: Date.now(),
-        entryConfidence: momentumData.confidence || 'unknown'
-      })
-    } catch (error) {
-      console.error('[OrderManager] Failed to place momentum order:', error)
-      this.handleError('Failed to place momentum order', error)
     }
+    return false
   }
 
   /**
-   * Handle Momentum X (Psychic Candle Reader) strategy signals
-   * Ultra-responsive whipsaw scalper using leading indicators
+   * Handle ORDER_TRADE_UPDATE from the user data stream
+   * @param {Object} update - Normalized order update (REST order field names)
    */
-  async handleMomentumXSignal(momentumXData) {
-    console.log('[OrderManager] handleMomentumXSignal called with:', momentumXData)
-    
-    if (!this.isRunning || !this.dexService) {
-      console.log('[OrderManager] Not running or no dexService')
+  async handleOrderUpdate(update) {
+    const orderId = update.orderId
+    const trackedOrder = this.activeOrders.get(orderId)
+
+    // Entry order we are tracking
+    if (trackedOrder) {
+      trackedOrder.status = update.status
+
+      if (update.status === 'PARTIALLY_FILLED') {
+        trackedOrder.executedQty = update.executedQty
+        console.log(`[OrderManager] 🔸 Order ${orderId} partially filled: ${update.executedQty}/${update.origQty} ${update.symbol}`)
+      } else if (update.status === 'FILLED') {
+        console.log(`[OrderManager] ✅ Order ${orderId} filled: ${update.executedQty} ${update.symbol} @ $${update.avgPrice}`)
+        await this.handleOrderFilled(orderId, update)
+      } else if (update.status === 'CANCELED' || update.status === 'EXPIRED') {
+        if (parseFloat(update.executedQty || '0') > 0) {
+          // Partially filled then cancelled - the filled part is a live position
+          await this.handleOrderFilled(orderId, update)
+        } else {
+          this.activeOrders.delete(orderId)
+        }
+      }
       return
     }
 
-    // Defensive guards
-    if (!momentumXData || !momentumXData.symbol || !momentumXData.side || !momentumXData.limit_price) {
-      console.log('[OrderManager] Missing required fields:', {
-        hasData: !!momentumXData,
-        hasSymbol: !!momentumXData?.symbol,
-        hasSide: !!momentumXData?.side,
-        hasLimitPrice: !!momentumXData?.limit_price
-      })
-      return
+    // Exchange-side TP/SL triggered - cancel the sibling
+    // (take profit targets only reduce the position - see syncPositionFromExchange)
+    if (update.status === 'FILLED' && isProtectiveOrder(update) && !isTakeProfitTarget(update)) {
+      const position = this.activePositions.get(update.symbol)
+      console.log(`[OrderManager] 🎯 ${update.origType} triggered for ${update.symbol} @ $${update.avgPrice}`)
+      if (!position) return
+
+      const reason = update.origType === 'STOP_MARKET' ? 'Stop loss (exchange)' : 'Take profit (exchange)'
+      await this.journalExit(update.symbol, reason, parseFloat(update.avgPrice || '0'), [orderId])
+
+      for (const key of ['takeProfit', 'stopLoss']) {
+        if (position.protectiveOrders?.[key]?.orderId === orderId) {
+          position.protectiveOrders[key] = null // Already filled - nothing to cancel
+        }
+      }
+      await this.cancelPositionOrders(update.symbol, position)
+      this.activePositions.delete(update.symbol)
     }
+  }
 
-    const symbol = momentumXData.symbol
-    const side = momentumXData.side
-    const entryPrice = parseFloat(momentumXData.limit_price)
+  /**
+   * Handle ACCOUNT_UPDATE from the user data stream
+   * @param {Object} update - Normalized account update (positionRisk field names)
+   */
+  async handleAccountUpdate(update) {
+    for (const exchangePosition of update.positions) {
+      const position = this.activePositions.get(exchangePosition.symbol)
+      if (!position || this.executions.has(exchangePosition.symbol)) continue
+
+      // Hedge mode pushes LONG/SHORT legs separately
+      if (exchangePosition.positionSide !== 'BOTH' && exchangePosition.positionSide !== position.side) {
+        continue
+      }
 
-    // Ignore NEUTRAL or FLAT regime
-    if (side === 'NEUTRAL' || momentumXData.market_regime === 'FLAT') {
-      console.log('[OrderManager] NEUTRAL/FLAT regime signal, skipping')
-      return
+      await this.syncPositionFromExchange(exchangePosition.symbol, position, exchangePosition)
+    }
+  }
+
+  /**
+   * Handle WebSocket summary message with entry recommendation (range trading)
+   * @param {Object} summaryData - Validated summary message ({ symbol, data: { summary } })
+   * @returns {Promise<Object|null>} Tracked entry order, or null if none was placed
+   */
+  async handleSummary(summaryData) {
+    return this.processSignal('range_trading', summaryData)
+  }
+
+  /**
+   * Handle scalp indicator signal (high-frequency strategy)
+   * @param {Object} scalpData - Scalp indicator data ({ symbol, side, limit_price, confidence })
+   * @returns {Promise<Object|null>} Tracked entry order, or null if none was placed
+   */
+  async handleScalpSignal(scalpData) {
+    return this.processSignal('scalp', scalpData)
+  }
+
+  /**
+   * Handle momentum strategy signal from WebSocket
+   * @param {Object} momentumData - Momentum indicator data from WebSocket
+   * @returns {Promise<Object|null>} Tracked entry order, or null if none was placed
+   */
+  async handleMomentumSignal(momentumData) {
+    return this.processSignal('momentum', momentumData)
+  }
+
+  /**
+   * Handle Momentum X (Psychic Candle Reader) strategy signals
+   * @param {Object} momentumXData - Momentum X indicator data from WebSocket
+   * @returns {Promise<Object|null>} Tracked entry order, or null if none was placed
+   */
+  async handleMomentumXSignal(momentumXData) {
+    return this.processSignal('momentum_x', momentumXData)
+  }
+
+  /**
+   * Handle a Strategy Builder open_long/open_short/open_ladder block
+   * Leverage, size %, dollar TP/SL and the ladder come from the block instead of the global settings
+   * @param {Object} signal - StrategyRunner signal ({ symbol, side, limit_price, leverage, positionSize, takeProfit, stopLoss, ladder })
+   * @returns {Promise<Object|null>} Tracked entry order or ladder, or null if none was placed
+   * @throws {Error} If the order is rejected (reported in the runner log)
+   */
+  async handleCustomSignal(signal) {
+    return this.processSignal('custom', signal)
+  }
+
+  /**
+   * Handle Order Book Trading signal (CVD, OBI, VWAP deviation, spoof detection)
+   * @param {Object} orderBookData - Order book signal data (entry at the low end of entry.trigger_zone)
+   * @returns {Promise<Object|null>} Tracked entry order, or null if none was placed
+   */
+  async handleOrderBookSignal(orderBookData) {
+    return this.processSignal('orderbook', orderBookData)
+  }
+
+  /**
+   * Run a server strategy signal through the shared entry pipeline:
+   * normalize → filter confidence → existing exposure + risk check → size → route order → track
+   * @param {string} strategy - Strategy id with an adapter in SIGNAL_ADAPTERS
+   * @param {Object} data - Raw signal payload
+   * @returns {Promise<Object|null>} Tracked entry order or ladder, or null if none was placed
+   */
+  async processSignal(strategy, data) {
+    const adapter = SIGNAL_ADAPTERS[strategy]
+    if (!adapter) {
+      console.error(`[OrderManager] No signal adapter for strategy "${strategy}"`)
+      return null
+    }
+
+    console.log(`[OrderManager] ${adapter.label} signal received:`, data)
+
+    if (!this.isRunning || !this.dexService) {
+      console.log('[OrderManager] Not running or no dexService')
+      return null
+    }
+
+    const signal = { ...adapter.normalize(data), strategy }
+    if (signal.skipReason) {
+      console.log(`[OrderManager] ⏭️ Skipping ${adapter.label} signal - ${signal.skipReason}`)
+      return null
+    }
+
+    if (this.isFeedStale(signal.symbol, strategy)) {
+      return null
     }
 
     try {
-      // Check for existing position and open orders
-      const existingPosition = await this.dexService.getPosition(symbol)
-      const positionAmt = parseFloat(existingPosition.positionAmt || '0')
-      const openOrders = await this.dexService.getOpenOrders(symbol)
-      
-      // CRITICAL: Check global position limit (max 3 positions + pending orders)
-      // Only check if we're trying to open a NEW position (no existing position)
-      // Count BOTH active positions AND pending orders (orders become positions when filled)
-      if (positionAmt === 0 && openOrders.length === 0) {
-        const totalActive = this.activePositions.size + this.activeOrders.size
-        if (totalActive >= 3) {
-          console.log(`[OrderManager] 🚫 BLOCKED: Already have ${totalActive}/3 active (${this.activePositions.size} positions + ${this.activeOrders.size} pending orders) - cannot open ${symbol}`)
-          console.log(`[OrderManager] Active positions:`, Array.from(this.activePositions.keys()))
-          console.log(`[OrderManager] Pending orders:`, Array.from(this.activeOrders.values()).map(o => `${o.symbol} (${o.orderId})`))
-          return
+      if (!this.passesConfidenceFilter(signal.confidence)) {
+        const reason = signal.confidence === 'low' ? 'low confidence (trust low confidence disabled)' : `${signal.confidence === 'unknown' ? 'no' : signal.confidence} confidence`
+        console.log(`[OrderManager] ⏭️ Skipping ${adapter.label} signal - ${reason}`)
+        await this.cancelDegradedEntries(signal)
+        return null
+      }
+
+      if (!await this.prepareEntry(signal, adapter)) {
+        return null
+      }
+
+      const size = await this.sizeEntry(signal.symbol, signal.entryPrice, signal)
+
+      // Size-aware risk limits (total, per-symbol and correlated exposure)
+      if (this.isEntryBlocked(signal.symbol, signal.side, size.notional)) {
+        return null
+      }
+
+      return await this.routeEntry(signal, adapter.clientOrderPrefix, size)
+    } catch (error) {
+      if (adapter.throwOnError) {
+        throw error
+      }
+      console.error(`[OrderManager] Failed to place ${adapter.label} order:`, error)
+      this.handleError(`Failed to place ${adapter.label} order`, error)
+      return null
+    }
+  }
+
+  /**
+   * Confidence filter shared by every strategy
+   * @param {string} confidence - 'high' | 'medium' | 'low' | 'unknown'
+   * @returns {boolean} True for high/medium, or low when trustLowConfidence is enabled
+   */
+  passesConfidenceFilter(confidence) {
+    if (confidence === 'high' || confidence === 'medium') {
+      return true
+    }
+    return confidence === 'low' && Boolean(this.settings.trustLowConfidence)
+  }
+
+  /**
+   * Cancel this strategy's pending entries from a high/medium signal once the
+   * signal degrades below the confidence filter
+   * @param {Object} signal - Normalized signal that failed the confidence filter
+   */
+  async cancelDegradedEntries(signal) {
+    const degradedOrders = Array.from(this.activeOrders.values()).filter(order =>
+      order.symbol === signal.symbol &&
+      order.strategy === signal.strategy &&
+      (order.entryConfidence === 'high' || order.entryConfidence === 'medium')
+    )
+    if (degradedOrders.length === 0) return
+
+    console.log(`[OrderManager] ⚠️ Confidence degraded (${degradedOrders[0].entryConfidence} → ${signal.confidence}) - cancelling ${degradedOrders.length} pending ${signal.symbol} order(s)`)
+    await this.cancelEntryOrders(signal.symbol, degradedOrders)
+  }
+
+  /**
+   * Reconcile a signal with the symbol's position and pending entry orders
+   * - Chase/TWAP working: skip (the algorithm places its own orders)
+   * - Ladder working: keep it on the same side, cancel the remaining rungs when the signal flips
+   * - Partial fill: cancel the remainder and re-place it at the new price
+   * - Position open: skip
+   * - Pending entry at the same price and side: keep it
+   * - Pending entry at another price (or MARKET orders): cancel it and enter fresh
+   * @param {Object} signal - Normalized signal
+   * @param {Object} adapter - Signal adapter (client order prefix)
+   * @returns {Promise<boolean>} True if a new entry should be sized and placed
+   */
+  async prepareEntry(signal, adapter) {
+    const { symbol, side, entryPrice } = signal
+    if (this.executions.has(symbol)) {
+      console.log(`[OrderManager] 🏃 ${symbol} ${this.executions.get(symbol).algo} execution in progress - skipping new entry`)
+      return false
+    }
+
+    const existingPosition = await this.dexService.getPosition(symbol)
+    const positionAmt = parseFloat(existingPosition.positionAmt || '0')
+    const openOrders = await this.getEntryOrders(symbol)
+
+    console.log('[OrderManager] Position and orders check:', {
+      symbol,
+      positionAmt,
+      openOrdersCount: openOrders.length
+    })
+
+    // Global risk limits - only for a NEW position (no existing position or orders)
+    // Pending entry orders count as positions (they become positions when filled)
+    if (positionAmt === 0 && openOrders.length === 0) {
+      return !this.isEntryBlocked(symbol, side)
+    }
+
+    // Ladder rungs already spread the entry across a band - a new price doesn't move them
+    const ladderOrders = openOrders.filter(order => this.activeOrders.get(order.orderId)?.ladderId)
+    if (ladderOrders.length > 0) {
+      if (ladderOrders[0].side === toOrderSide(side)) {
+        console.log(`[OrderManager] 🪜 ${symbol} ladder still working (${ladderOrders.length} rung(s) open) - keeping it`)
+        return false
+      }
+
+      console.log(`[OrderManager] 🔀 ${symbol} signal flipped to ${side} - cancelling ${ladderOrders.length} remaining ladder rung(s)`)
+      await this.cancelEntryOrders(symbol, openOrders)
+      return positionAmt === 0 && !this.isEntryBlocked(symbol, side)
+    }
+
+    const orderType = this.settings.orderType || 'LIMIT'
+
+    // Partially filled (position exists + open orders exist)
+    if (positionAmt !== 0 && openOrders.length > 0) {
+      console.log('[OrderManager] 🔄 PARTIAL FILL detected - position exists with unfilled orders')
+
+      const unfilledQty = openOrders.reduce((sum, order) =>
+        sum + parseFloat(order.origQty || '0') - parseFloat(order.executedQty || '0'), 0)
+
+      await this.cancelEntryOrders(symbol, openOrders)
+
+      // Place new order for ONLY the unfilled amount at new price
+      if (unfilledQty > 0 && orderType === 'LIMIT') {
+        console.log(`[OrderManager] Placing replacement order for unfilled ${unfilledQty} at new price $${entryPrice}`)
+        await this.placeEntryOrder(signal, adapter.clientOrderPrefix, { quantity: unfilledQty })
+      }
+      return false
+    }
+
+    // Fully filled (position exists, no open orders)
+    if (positionAmt !== 0) {
+      console.log('[OrderManager] Position fully filled, skipping new entry')
+      return false
+    }
+
+    // For LIMIT orders, keep an existing order at the same price
+    if (orderType === 'LIMIT') {
+      const priceTolerance = entryPrice * 0.0001 // 0.01% tolerance for floating point
+      const matchingOrder = openOrders.find(order =>
+        Math.abs(parseFloat(order.price || '0') - entryPrice) <= priceTolerance &&
+        order.side === toOrderSide(side)
+      )
+
+      if (matchingOrder) {
+        console.log(`[OrderManager] ✅ Existing order at same price ($${entryPrice}) - keeping order ${matchingOrder.orderId}`)
+        return false
+      }
+    }
+
+    console.log('[OrderManager] Cancelling existing orders (price changed or market order)')
+    await this.cancelEntryOrders(symbol, openOrders)
+    return true
+  }
+
+  /**
+   * Cancel entry orders and stop tracking them (failures are logged, not thrown)
+   * @param {string} symbol - Trading symbol
+   * @param {Array<Object>} orders - Exchange or tracked orders ({ orderId })
+   */
+  async cancelEntryOrders(symbol, orders) {
+    for (const order of orders) {
+      try {
+        await this.dexService.cancelOrder(symbol, order.orderId)
+        this.activeOrders.delete(order.orderId)
+        console.log(`[OrderManager] Cancelled order ${order.orderId}`)
+      } catch (error) {
+        console.error(`[OrderManager] Failed to cancel order ${order.orderId}:`, error)
+      }
+    }
+  }
+
+  /**
+   * Size a new entry - USE CAPITAL % AS MARGIN
+   * Margin is positionSize % of capital (capital / 3 in Auto Mode). Risk-based sizing
+   * (see positionSizing.js) shrinks the notional to the dollar risk, using that margin
+   * as the ceiling. Leverage is capped by the risk limits and the exchange leverage
+   * bracket and applied to the symbol so the exchange margin matches the sizing.
+   * stopDistance is the stop the risk size assumes; the position's stop is placed there
+   * @param {string} symbol - Trading symbol
+   * @param {number} entryPrice - Planned entry price (risk-based sizing)
+   * @param {Object} [overrides] - Per-signal { leverage, positionSize, stopLoss, tpSlMode } (custom strategy blocks)
+   * @returns {Promise<Object>} { notional, margin, leverage, availableBalance, riskNotional, stopDistance }
+   */
+  async sizeEntry(symbol, entryPrice, overrides = {}) {
+    const accountBalance = await this.dexService.getAccountBalance()
+    const availableBalance = parseFloat(accountBalance.availableBalance || '0')
+    const capitalLimit = parseFloat(this.settings.capital || '0')
+    const configuredLeverage = this.riskLimits.capLeverage(symbol, overrides.leverage || this.settings.leverage || 1)
+
+    const maxAllowedMargin = this.settings.autoMode ? capitalLimit / 3 : capitalLimit
+    const maxMargin = this.settings.autoMode
+      ? maxAllowedMargin
+      : (capitalLimit * (overrides.positionSize || this.settings.positionSize || 10)) / 100
+
+    if (maxMargin > maxAllowedMargin * 1.01) {
+      throw new Error(`🚨 SAFETY: Trying to use $${maxMargin.toFixed(2)} margin but max is $${maxAllowedMargin.toFixed(2)}`)
+    }
+
+    const riskSize = await this.getRiskSize(symbol, entryPrice, {
+      ...overrides,
+      quantity: entryPrice > 0 ? (maxMargin * configuredLeverage) / entryPrice : 0
+    })
+    const riskNotional = riskSize ? riskSize.notional : null
+    const proposedNotional = riskNotional !== null
+      ? Math.min(riskNotional, maxMargin * configuredLeverage)
+      : maxMargin * configuredLeverage
+
+    // Align exchange leverage with sizing to avoid margin mismatch
+    let leverage = configuredLeverage
+    try {
+      const maxLevForBracket = await this.dexService.getMaxLeverageForNotional(symbol, proposedNotional)
+      leverage = Math.min(configuredLeverage, maxLevForBracket || configuredLeverage)
+    } catch (error) {
+      console.warn('[OrderManager] Failed to fetch max leverage bracket, using configured leverage:', configuredLeverage)
+    }
+
+    try {
+      await this.dexService.setLeverage(symbol, leverage)
+    } catch (error) {
+      console.warn('[OrderManager] Failed to set leverage, falling back to configured leverage:', configuredLeverage, error?.message || error)
+      leverage = configuredLeverage
+    }
+
+    // Make sure we have enough balance for the margin
+    const maxNotional = (availableBalance >= maxMargin ? maxMargin : availableBalance) * leverage
+    const notional = riskNotional !== null ? Math.min(riskNotional, maxNotional) : maxNotional
+
+    return {
+      notional,
+      margin: notional / leverage,
+      leverage,
+      availableBalance,
+      riskNotional,
+      stopDistance: riskSize ? riskSize.stopDistance : null
+    }
+  }
+
+  /**
+   * Notional for the configured dollar risk per trade
+   * @param {string} symbol - Trading symbol
+   * @param {number} entryPrice - Planned entry price
+   * @param {Object} [stop] - Per-signal stop (defaults to the global stop-loss settings)
+   * @param {number} [stop.stopPrice] - Stop price from the signal (stop mode uses it over the stop-loss %)
+   * @param {number} [stop.stopLoss] - Stop loss override
+   * @param {string} [stop.tpSlMode] - TP/SL units of the stop loss override
+   * @returns {Promise<number|null>} Notional in USDT, or null when sizing by capital %
+   */
+  async getRiskNotional(symbol, entryPrice, stop = {}) {
+    const size = await this.getRiskSize(symbol, entryPrice, stop)
+    return size ? size.notional : null
+  }
+
+  /**
+   * Risk-based size and the stop distance it assumes (see PositionSizer.getRiskSize)
+   * @param {string} symbol - Trading symbol
+   * @param {number} entryPrice - Planned entry price
+   * @param {Object} [stop] - Per-signal stop, as for getRiskNotional()
+   * @param {number} [stop.quantity] - Capital-based quantity a $ stop loss is spread over
+   * @returns {Promise<Object|null>} { notional, stopDistance }, or null when sizing by capital %
+   */
+  async getRiskSize(symbol, entryPrice, { stopPrice, stopLoss, tpSlMode, quantity } = {}) {
+    return this.positionSizer.getRiskSize(this.dexService, symbol, entryPrice, {
+      stopPrice,
+      stopLoss: stopLoss ?? this.settings.stopLoss,
+      tpSlMode: tpSlMode || this.settings.tpSlMode,
+      quantity
+    })
+  }
+
+  /**
+   * Route an entry order to the exchange and track it
+   * @param {Object} signal - Normalized signal ({ symbol, side, entryPrice, confidence, strategy, details })
+   * @param {string} clientOrderPrefix - Client order ID prefix identifying the strategy
+   * @param {Object} size - { notional } from sizeEntry(), or { quantity } for a fixed amount
+   * @returns {Promise<Object|null>} Tracked entry order, or null if the entry price is invalid
+   */
+  async placeEntryOrder(signal, clientOrderPrefix, size) {
+    const { symbol, side, entryPrice } = signal
+    if (!(entryPrice > 0)) {
+      console.error('[OrderManager] Invalid entry price:', entryPrice)
+      return null
+    }
+
+    const orderType = this.settings.orderType || 'LIMIT'
+    const notional = size.notional || size.quantity * entryPrice
+    if (this.twapExecutor.appliesTo('entries', notional)) {
+      return this.placeWorkedEntry(signal, clientOrderPrefix, size, 'twap')
+    }
+    if (orderType === 'CHASE') {
+      return this.placeWorkedEntry(signal, clientOrderPrefix, size, 'chase')
+    }
+
+    // Note: DexService will handle precision formatting
+    const orderParams = {
+      symbol,
+      side: toOrderSide(side),
+      type: orderType,
+      quantity: size.quantity || size.notional / entryPrice,
+      newClientOrderId: `${clientOrderPrefix}${Date.now()}`
+    }
+
+    // Only add price and timeInForce for LIMIT orders
+    if (orderType === 'LIMIT') {
+      orderParams.price = entryPrice
+      orderParams.timeInForce = 'GTC'
+    }
+
+    console.log(`[OrderManager] Placing ${signal.strategy} order:`, {
+      ...orderParams,
+      ...size,
+      confidence: signal.confidence,
+      ...signal.details
+    })
+    const orderResponse = await this.dexService.placeOrder(orderParams)
+    console.log('[OrderManager] Order placed successfully:', orderResponse)
+
+    return this.trackEntryOrder(orderResponse, signal, { leverage: size.leverage, stopDistance: size.stopDistance })
+  }
+
+  /**
+   * Enter through an execution algorithm instead of a single resting order
+   * - chase: post-only at the best bid/ask, MARKET for what is left when the chase gives up
+   * - twap: IOC slices spread over the configured duration
+   * Every child order that fills goes through handleOrderFilled right away, so the
+   * position and its TP/SL bracket grow with the fills; the signal price is only used
+   * to turn a notional into a quantity
+   * @param {Object} signal - Normalized signal
+   * @param {string} clientOrderPrefix - Client order ID prefix identifying the strategy
+   * @param {Object} size - { notional, leverage } from sizeEntry(), or { quantity } for a fixed amount
+   * @param {string} algo - 'chase' or 'twap'
+   * @returns {Promise<Object|null>} Filled entry ({ ..., entryPrice: average, quantity: total, orderIds }), or null if nothing filled
+   */
+  async placeWorkedEntry(signal, clientOrderPrefix, size, algo) {
+    const { symbol, side, entryPrice } = signal
+    const quantity = size.quantity || size.notional / entryPrice
+
+    console.log(`[OrderManager] ${algo === 'twap' ? '🧩' : '🏃'} Working ${signal.strategy} ${side} entry with ${algo}: ${quantity} ${symbol}`, {
+      ...size,
+      confidence: signal.confidence,
+      ...signal.details
+    })
+
+    let trackedOrder = null
+    const result = await this.runExecution(symbol, algo, {
+      side: toOrderSide(side),
+      quantity,
+      clientOrderPrefix,
+      onFill: async ({ orderId, executedQty, avgPrice }) => {
+        const orderResponse = {
+          orderId,
+          status: 'FILLED',
+          origQty: String(executedQty),
+          executedQty: String(executedQty),
+          avgPrice: String(avgPrice)
         }
+        trackedOrder = this.trackEntryOrder(orderResponse, { ...signal, entryPrice: avgPrice }, { leverage: size.leverage, stopDistance: size.stopDistance })
+        await this.handleOrderFilled(orderId, orderResponse)
       }
+    })
+
+    if (!trackedOrder) {
+      return null
+    }
+    return {
+      ...trackedOrder,
+      entryPrice: result.avgPrice,
+      quantity: String(result.executedQty),
+      orderIds: result.orderIds
+    }
+  }
+
+  /**
+   * Work an order on a symbol with an execution algorithm
+   * The symbol is marked busy meanwhile: new entries skip it and stream position updates
+   * wait (the algorithm changes the position size many times on purpose)
+   * @param {string} symbol - Trading symbol
+   * @param {string} algo - 'chase' or 'twap'
+   * @param {Object} order - { side, quantity, reduceOnly, positionSide, clientOrderPrefix, onFill } (see the executors)
+   * @returns {Promise<Object>} Executor result ({ orderIds, lastOrderId, executedQty, avgPrice, ... })
+   */
+  async runExecution(symbol, algo, order) {
+    const executor = algo === 'twap' ? this.twapExecutor : this.chaseExecutor
+    const report = (progress) => {
+      this.executions.set(symbol, { symbol, algo, side: order.side, ...progress })
+      if (this.onExecutionProgress) {
+        this.onExecutionProgress(this.executions.get(symbol))
+      }
+    }
+
+    report({ status: 'working', filledQty: 0, quantity: order.quantity })
+    try {
+      return await executor.execute(this.dexService, { ...order, symbol, onProgress: report })
+    } finally {
+      const last = this.executions.get(symbol)
+      this.executions.delete(symbol)
+      if (this.onExecutionProgress) {
+        this.onExecutionProgress({ ...last, status: 'done' })
+      }
+    }
+  }
+
+  /**
+   * Place a sized entry as a single order, or as a ladder when one is configured
+   * @param {Object} signal - Normalized signal
+   * @param {string} clientOrderPrefix - Client order ID prefix identifying the strategy
+   * @param {Object} size - Result of sizeEntry()
+   * @returns {Promise<Object|null>} Tracked entry order or ladder (see placeLadderEntry)
+   */
+  async routeEntry(signal, clientOrderPrefix, size) {
+    const ladder = this.getEntryLadder(signal)
+    const entry = ladder
+      ? await this.placeLadderEntry(signal, clientOrderPrefix, size, ladder)
+      : await this.placeEntryOrder(signal, clientOrderPrefix, size)
+
+    if (entry) {
+      await this.armAutoCancel(signal.symbol)
+    }
+    return entry
+  }
+
+  /**
+   * Ladder config for a signal
+   * Strategy Builder blocks bring their own (signal.ladder, null for a single order);
+   * server strategies use the ladder selected for the running strategy
+   * @param {Object} signal - Normalized signal
+   * @returns {Object|null} Ladder config, or null for a single entry order
+   */
+  getEntryLadder(signal) {
+    const config = signal.ladder !== undefined ? signal.ladder : this.settings.entryLadder
+    if (!config?.enabled) {
+      return null
+    }
+    return normalizeLadder(config)
+  }
+
+  /**
+   * Split an entry into a ladder of LIMIT orders sent in one batch request
+   * Rungs share a ladderId and fill into one position (the exchange averages its entry
+   * price, see handleOrderFilled). Rungs still open are cancelled when the position
+   * closes or the signal flips
+   * @param {Object} signal - Normalized signal (first rung at signal.entryPrice)
+   * @param {string} clientOrderPrefix - Client order ID prefix identifying the strategy
+   * @param {Object} size - { notional, leverage } from sizeEntry()
+   * @param {Object} ladder - Normalized ladder config
+   * @returns {Promise<Object|null>} { ladderId, symbol, side, strategy, entryPrice (average if every rung fills), quantity, leverage, orders }
+   * @throws {Error} If every rung was rejected
+   */
+  async placeLadderEntry(signal, clientOrderPrefix, size, ladder) {
+    const { symbol, side, entryPrice } = signal
+    if (!(entryPrice > 0)) {
+      console.error('[OrderManager] Invalid entry price:', entryPrice)
+      return null
+    }
+
+    const rungs = buildLadder({ side, entryPrice, notional: size.notional, ladder })
+    const ladderId = `${clientOrderPrefix}${Date.now()}`
+
+    // Rungs are always LIMIT orders - a ladder of MARKET orders would fill at one price
+    const ordersParams = rungs.map((rung, index) => ({
+      symbol,
+      side: toOrderSide(side),
+      type: 'LIMIT',
+      price: rung.price,
+      quantity: rung.quantity,
+      timeInForce: 'GTC',
+      newClientOrderId: `${ladderId}_${index}`
+    }))
+
+    console.log(`[OrderManager] 🪜 Placing ${signal.strategy} ladder: ${rungs.length} ${side} rungs (${ladder.spacing}) across ${ladder.bandPercent}% from $${entryPrice}`, {
+      ...size,
+      confidence: signal.confidence,
+      ...signal.details
+    })
+    const results = await this.dexService.placeBatchOrders(ordersParams)
+
+    const orders = []
+    const placedRungs = []
+    results.forEach((result, index) => {
+      if (result.error) {
+        console.warn(`[OrderManager] Ladder rung ${index + 1}/${rungs.length} @ $${rungs[index].price} rejected: ${result.error}`)
+        return
+      }
+      placedRungs.push(rungs[index])
+      orders.push(this.trackEntryOrder(result, { ...signal, entryPrice: rungs[index].price }, { leverage: size.leverage, stopDistance: size.stopDistance, ladderId }))
+    })
+
+    if (orders.length === 0) {
+      throw new Error(`Ladder rejected: ${results[0]?.error || 'no orders placed'}`)
+    }
+
+    const ladderEntry = {
+      ladderId,
+      symbol,
+      side,
+      strategy: signal.strategy,
+      entryPrice: getLadderAveragePrice(placedRungs),
+      quantity: orders.reduce((sum, order) => sum + parseFloat(order.quantity || '0'), 0),
+      leverage: size.leverage,
+      orders
+    }
+    console.log(`[OrderManager] ✅ Ladder ${ladderId}: ${orders.length}/${rungs.length} rungs placed, avg $${ladderEntry.entryPrice} if all fill`)
+    return ladderEntry
+  }
+
+  /**
+   * Cancel the unfilled rungs of a symbol's ladder (position closed - TP/SL hit or closed by hand)
+   * @param {string} symbol - Trading symbol
+   */
+  async cancelLadderOrders(symbol) {
+    const ladderOrders = Array.from(this.activeOrders.values())
+      .filter(order => order.symbol === symbol && order.ladderId)
+    if (ladderOrders.length === 0) return
+
+    console.log(`[OrderManager] 🪜 ${symbol} position closed - cancelling ${ladderOrders.length} remaining ladder rung(s)`)
+    await this.cancelEntryOrders(symbol, ladderOrders)
+  }
+
+  /**
+   * Track a placed entry order until it fills (see handleOrderFilled) or times out
+   * @param {Object} orderResponse - Exchange order response
+   * @param {Object} signal - Normalized signal the order was placed for
+   * @param {Object} [options]
+   * @param {number} [options.leverage] - Leverage the entry was sized with
+   * @param {number} [options.stopDistance] - Stop distance the entry was risk-sized against
+   * @param {string} [options.ladderId] - Ladder the order is a rung of
+   * @returns {Object} Tracked order
+   */
+  trackEntryOrder(orderResponse, signal, { leverage, stopDistance, ladderId } = {}) {
+    const trackedOrder = {
+      orderId: orderResponse.orderId,
+      symbol: signal.symbol,
+      side: signal.side,
+      entryPrice: signal.entryPrice,
+      quantity: orderResponse.executedQty || orderResponse.origQty, // Use actual filled/original quantity
+      status: orderResponse.status,
+      takeProfit: signal.takeProfit ?? this.settings.takeProfit,
+      stopLoss: signal.stopLoss ?? this.settings.stopLoss,
+      tpSlMode: signal.tpSlMode,
+      stopDistance: stopDistance ?? null,
+      leverage,
+      ladderId,
+      strategy: signal.strategy,
+      createdAt: Date.now(),
+      entryConfidence: signal.confidence
+    }
+
+    this.activeOrders.set(orderResponse.orderId, trackedOrder)
+    return trackedOrder
+  }
+
+  /**
+   * Poll open orders to check status
+   */
+  async pollOpenOrders() {
+    if (!this.dexService) return
+
+    this.lastOrderReconcile = Date.now()
+
+    try {
+      // Get all open orders from DEX
+      const openOrders = await this.dexService.getOpenOrders()
+
+      // Update tracked orders
+      const trackedOrderIds = new Set(this.activeOrders.keys())
+      const now = Date.now()
       
-      console.log('[OrderManager] Position and orders check:', { 
-        symbol, 
-        positionAmt, 
-        openOrdersCount: openOrders.length 
-      })
-      
-      // CASE 1: Partially filled (position exists + open orders exist)
-      if (positionAmt !== 0 && openOrders.length > 0) {
-        console.log('[OrderManager] 🔄 PARTIAL FILL detected - position exists with unfilled orders')
-        
-        const orderType = this.settings.orderType || 'LIMIT'
-        const asterSide = side === 'LONG' ? 'BUY' : 'SELL'
-        
-        // Calculate unfilled quantity from open orders
-        let totalUnfilledQty = 0
-        for (const order of openOrders) {
-          const origQty = parseFloat(order.origQty || '0')
-          const executedQty = parseFloat(order.executedQty || '0')
-          const unfilledQty = origQty - executedQty
-          totalUnfilledQty += unfilledQty
-        }
-        
-        console.log(`[OrderManager] Unfilled quantity: ${totalUnfilledQty}`)
-        
-        // Cancel all unfilled orders
-        for (const order of openOrders) {
-          try {
-            await this.dexService.cancelOrder(symbol, order.orderId)
-            this.activeOrders.delete(order.orderId)
-            console.log(`[OrderManager] Cancelled partially filled order ${order.orderId}`)
-          } catch (error) {
-            console.error(`[OrderManager] Failed to cancel order ${order.orderId}:`, error)
+      for (const order of openOrders) {
+        const orderId = order.orderId
+        trackedOrderIds.delete(orderId)
+
+        // Update order status
+        if (this.activeOrders.has(orderId)) {
+          const trackedOrder = this.activeOrders.get(orderId)
+          trackedOrder.status = order.status
+
+          // Check if order is filled
+          if (order.status === 'FILLED') {
+            // Move to position tracking
+            await this.handleOrderFilled(orderId, order)
+          }
+          // Check if order has timed out (unfilled for too long)
+          else if (order.status === 'NEW') {
+            await this.checkOrderTimeout(orderId, trackedOrder, now)
           }
         }
+      }
+
+      // Remove orders that are no longer open (filled, cancelled, etc.)
+      for (const orderId of trackedOrderIds) {
+        const order = this.activeOrders.get(orderId)
         
-        // Place new order for ONLY the unfilled amount at new price
-        if (totalUnfilledQty > 0 && orderType === 'LIMIT') {
-          console.log(`[OrderManager] Placing replacement order for unfilled ${totalUnfilledQty} at new price $${entryPrice}`)
-          
-          const orderParams = {
-            symbol,
-            side: asterSide,
-            type: orderType,
-            quantity: totalUnfilledQty,
-            price: entryPrice,
-            timeInForce: 'GTC',
-            newClientOrderId: `hopium_momentumx_${Date.now()}`
+        // Check final status
+        try {
+          const orderStatus = await this.dexService.getOrderStatus(order.symbol, orderId)
+          if (orderStatus.status === 'FILLED') {
+            await this.handleOrderFilled(orderId, orderStatus)
           }
-          
-          const orderResponse = await this.dexService.placeOrder(orderParams)
-          console.log('[OrderManager] Replacement order placed:', orderResponse)
-          
-          // Track new order
-          this.activeOrders.set(orderResponse.orderId, {
-            orderId: orderResponse.orderId,
-            symbol,
-            side,
-            entryPrice: entryPrice,
-            quantity: totalUnfilledQty,
-            status: orderResponse.status,
-            takeProfit: this.settings.takeProfit,
-            stopLoss: this.settings.stopLoss,
-            createdAt: Date.now(),
-            entryConfidence: momentumXData.confidence || 'unknown'
-          })
+        } catch (error) {
+          // Order doesn't exist anymore, remove it
+          this.activeOrders.delete(orderId)
         }
-        
-        return // Done handling partial fill
       }
-      
-      // CASE 2: Fully filled (position exists, no open orders)
-      if (positionAmt !== 0) {
-        console.log('[OrderManager] Position fully filled, skipping new entry')
-        return
+
+    } catch (error) {
+      this.handleError('Error polling orders', error)
+    }
+  }
+
+  /**
+   * Check tracked orders for timeouts without hitting REST
+   * (used while the user data stream keeps order status up to date)
+   */
+  async checkOrderTimeouts() {
+    const now = Date.now()
+    for (const [orderId, trackedOrder] of this.activeOrders.entries()) {
+      if (trackedOrder.status === 'NEW') {
+        await this.checkOrderTimeout(orderId, trackedOrder, now)
       }
-      
-      // CASE 3: No position yet (only open orders or nothing)
-      console.log('[OrderManager] No position - checking for existing orders')
-      
-      const orderType = this.settings.orderType || 'LIMIT'
-      const asterSide = side === 'LONG' ? 'BUY' : 'SELL'
-      
-      // For LIMIT orders, check if we already have an order at the same price
-      if (orderType === 'LIMIT' && openOrders.length > 0) {
-        const matchingOrder = openOrders.find(order => {
-          const orderPrice = parseFloat(order.price || '0')
-          const priceTolerance = entryPrice * 0.0001 // 0.01% tolerance for floating point
-          const priceMatches = Math.abs(orderPrice - entryPrice) <= priceTolerance
-          const sideMatches = order.side === asterSide
-          return priceMatches && sideMatches
-        })
-        
-        if (matchingOrder) {
-          // Check if confidence degraded
-          const trackedOrder = this.activeOrders.get(matchingOrder.orderId)
-          const originalConfidence = trackedOrder?.entryConfidence || 'unknown'
-          const newConfidence = momentumXData.confidence || 'unknown'
-          
-          // Cancel if confidence dropped to low AND user doesn't trust low confidence
-          const confidenceDegraded = (originalConfidence === 'high' || originalConfidence === 'medium') && 
-                                     newConfidence === 'low'
-          const trustLowConfidence = this.settings.trustLowConfidence !== undefined 
-                                      ? this.settings.trustLowConfidence 
-                                      : false
-          
-          if (confidenceDegraded && !trustLowConfidence) {
-            console.log(`[OrderManager] ⚠️ Confidence degraded (${originalConfidence} → ${newConfidence}) and trust disabled - cancelling order ${matchingOrder.orderId}`)
-            await this.dexService.cancelOrder(symbol, matchingOrder.orderId)
-            this.activeOrders.delete(matchingOrder.orderId)
-            return // Don't place new order (low confidence not trusted)
-          }
-          
-          console.log(`[OrderManager] ✅ Existing order at same price ($${entryPrice}) - keeping order ${matchingOrder.orderId}`)
-          return // Skip - no need to cancel and replace
+    }
+  }
+
+  /**
+   * Cancel an unfilled order once it exceeds the configured timeout
+   * @param {number|string} orderId - Order ID
+   * @param {Object} trackedOrder - Tracked order data
+   * @param {number} now - Current timestamp
+   */
+  async checkOrderTimeout(orderId, trackedOrder, now) {
+    const ageSeconds = Math.floor((now - trackedOrder.createdAt) / 1000)
+    const timeoutSeconds = Math.floor(this.orderTimeout / 1000)
+
+    // Skip timeout check for orders marked noTimeout (e.g., Auto Mode swing trades)
+    if (trackedOrder.noTimeout) {
+      // Log occasionally to show it's being monitored (no timeout)
+      if (ageSeconds % 60 === 0 && ageSeconds > 0) {
+        console.log(`[OrderManager] ⏳ Order ${orderId} waiting: ${ageSeconds}s (no timeout - swing trade)`)
+      }
+    }
+    else if ((now - trackedOrder.createdAt) > this.orderTimeout) {
+      console.log(`[OrderManager] ⏱️ Order ${orderId} TIMED OUT: ${ageSeconds}s elapsed (timeout: ${timeoutSeconds}s) - cancelling`)
+      try {
+        await this.dexService.cancelOrder(trackedOrder.symbol, orderId)
+        this.activeOrders.delete(orderId)
+        console.log(`[OrderManager] ✅ Order ${orderId} cancelled successfully`)
+      } catch (error) {
+        console.error(`[OrderManager] ❌ Failed to cancel order ${orderId}:`, error)
+      }
+    } else {
+      // Log occasionally to show it's being monitored
+      if (ageSeconds % 10 === 0 && ageSeconds > 0) {
+        console.log(`[OrderManager] ⏳ Order ${orderId} waiting: ${ageSeconds}s / ${timeoutSeconds}s`)
+      }
+    }
+  }
+
+  /**
+   * Current exposure from tracked positions and pending entry orders
+   * @returns {Array<Object>} [{ symbol, side, notional }]
+   */
+  getExposure() {
+    const exposure = []
+
+    for (const position of this.activePositions.values()) {
+      exposure.push({
+        symbol: position.symbol,
+        side: position.side,
+        notional: Math.abs(parseFloat(position.quantity || '0') * parseFloat(position.entryPrice || '0'))
+      })
+    }
+
+    for (const order of this.activeOrders.values()) {
+      exposure.push({
+        symbol: order.symbol,
+        side: order.side,
+        notional: Math.abs(parseFloat(order.quantity || '0') * parseFloat(order.entryPrice || '0'))
+      })
+    }
+
+    return exposure
+  }
+
+  /**
+   * Check a new entry against the risk limits
+   * Blocked entries are logged and reported through onEntryBlocked
+   * @param {string} symbol - Trading symbol
+   * @param {string} side - 'LONG' or 'SHORT'
+   * @param {number} [notional] - Proposed position value (omit for the concurrency-only check)
+   * @returns {boolean} True if the entry must be skipped
+   */
+  isEntryBlocked(symbol, side, notional) {
+    const result = this.circuitBreaker.isTripped()
+      ? { allowed: false, reason: `Trading locked by circuit breaker (${this.circuitBreaker.getState().reason}) - reset to resume` }
+      : this.riskLimits.check({ symbol, side, notional }, this.getExposure())
+    if (result.allowed) {
+      return false
+    }
+
+    console.log(`[OrderManager] 🚫 BLOCKED: ${result.reason}`)
+    if (this.onEntryBlocked) {
+      this.onEntryBlocked(symbol, result.reason)
+    }
+    return true
+  }
+
+  /**
+   * Mark a signal feed stale or recovered (from HopiumWebSocketClient.onStale)
+   * @param {string} symbol - Trading symbol
+   * @param {string} strategy - Server strategy
+   * @param {boolean} stale - True while the feed is stale
+   */
+  setFeedStale(symbol, strategy, stale) {
+    const key = `${symbol}:${strategy}`
+    if (stale) {
+      this.staleFeeds.add(key)
+    } else {
+      this.staleFeeds.delete(key)
+    }
+  }
+
+  /**
+   * Check if a signal comes from a feed flagged stale - e.g. one still being
+   * handled when its connection stopped delivering shouldn't open a position
+   * Blocked entries are reported through onEntryBlocked
+   * @param {string} symbol - Trading symbol
+   * @param {string} strategy - Server strategy
+   * @returns {boolean} True if the entry must be skipped
+   */
+  isFeedStale(symbol, strategy) {
+    if (!this.staleFeeds.has(`${symbol}:${strategy}`)) {
+      return false
+    }
+
+    const reason = `${symbol} ${strategy} signal feed stale - no new entries until it recovers`
+    console.log(`[OrderManager] 🚫 BLOCKED: ${reason}`)
+    if (this.onEntryBlocked) {
+      this.onEntryBlocked(symbol, reason)
+    }
+    return true
+  }
+
+  /**
+   * Check if the exchange auto-cancel heartbeat is active
+   * @returns {boolean} True if configured and supported by the DEX
+   */
+  isAutoCancelEnabled() {
+    return this.autoCancelCountdown > 0 && Boolean(this.dexService?.supportsAutoCancel())
+  }
+
+  /**
+   * Heartbeat: refresh the auto-cancel countdown for every symbol with working entry orders
+   * Symbols with an open position are left out - the countdown cancels every order on the
+   * symbol, including the TP/SL bracket protecting the position
+   */
+  async refreshAutoCancel() {
+    if (!this.isRunning || !this.isAutoCancelEnabled()) {
+      return
+    }
+
+    const symbols = new Set(
+      Array.from(this.activeOrders.values())
+        .map(order => order.symbol)
+        .filter(symbol => symbol && !this.activePositions.has(symbol))
+    )
+
+    try {
+      for (const symbol of symbols) {
+        await this.dexService.setAutoCancelCountdown(symbol, this.autoCancelCountdown)
+        this.autoCancelSymbols.set(symbol, Date.now() + this.autoCancelCountdown)
+      }
+
+      for (const symbol of Array.from(this.autoCancelSymbols.keys())) {
+        if (!symbols.has(symbol)) {
+          await this.clearAutoCancel(symbol)
         }
       }
-      
-      // Price changed or MARKET order - cancel existing orders
-      if (openOrders.length > 0) {
-        console.log('[OrderManager] Cancelling existing orders (price changed or market order)')
-        for (const order of openOrders) {
-          try {
-            await this.dexService.cancelOrder(symbol, order.orderId)
-            this.activeOrders.delete(order.orderId)
-            console.log(`[OrderManager] Cancelled order ${order.orderId}`)
-          } catch (error) {
-            console.error(`[OrderManager] Failed to cancel order ${order.orderId}:`, error)
-          }
+
+      this.lastAutoCancelHeartbeat = Date.now()
+      this.autoCancelError = null
+    } catch (error) {
+      this.autoCancelError = error.message
+      throw error
+    }
+  }
+
+  /**
+   * Start the auto-cancel countdown for a symbol as soon as its entry orders are placed
+   * (the heartbeat only renews it). Failures are reported, not thrown - the entry is already working
+   * @param {string} symbol - Trading symbol
+   */
+  async armAutoCancel(symbol) {
+    if (!this.isRunning || !this.isAutoCancelEnabled() || this.activePositions.has(symbol)) {
+      return
+    }
+
+    try {
+      await this.dexService.setAutoCancelCountdown(symbol, this.autoCancelCountdown)
+      this.autoCancelSymbols.set(symbol, Date.now() + this.autoCancelCountdown)
+    } catch (error) {
+      this.autoCancelError = error.message
+      console.warn(`[OrderManager] Failed to set auto-cancel countdown for ${symbol}:`, error.message)
+    }
+  }
+
+  /**
+   * Clear the auto-cancel countdown for a symbol
+   * @param {string} symbol - Trading symbol
+   */
+  async clearAutoCancel(symbol) {
+    if (!this.autoCancelSymbols.has(symbol)) return
+
+    this.autoCancelSymbols.delete(symbol)
+    await this.dexService.setAutoCancelCountdown(symbol, 0)
+    console.log(`[OrderManager] ⏱️ Auto-cancel countdown cleared for ${symbol}`)
+  }
+
+  /**
+   * Get the dead man's switch state for the UI indicator
+   * @returns {Object} { enabled, countdown, lastHeartbeat, error, symbols: [{ symbol, expiresAt }] }
+   */
+  getAutoCancelStatus() {
+    return {
+      enabled: this.isAutoCancelEnabled(),
+      countdown: this.autoCancelCountdown,
+      lastHeartbeat: this.lastAutoCancelHeartbeat,
+      error: this.autoCancelError,
+      symbols: Array.from(this.autoCancelSymbols.entries()).map(([symbol, expiresAt]) => ({ symbol, expiresAt }))
+    }
+  }
+
+  /**
+   * Evaluate account PnL (realized income + unrealized) against the circuit breaker
+   * Covers every position on the account, not just the ones this manager opened
+   */
+  async checkCircuitBreaker() {
+    if (!this.isRunning || !this.circuitBreaker.isEnabled() || this.circuitBreaker.isTripped()) {
+      return
+    }
+
+    const [income, positions] = await Promise.all([
+      this.getIncomeSince(this.circuitBreaker.getIncomeStartTime()),
+      this.dexService.getAllPositions()
+    ])
+    const unrealizedPnl = positions.reduce((sum, position) => sum + (parseFloat(position.unRealizedProfit) || 0), 0)
+
+    const reason = this.circuitBreaker.evaluate(income, unrealizedPnl)
+    if (reason) {
+      await this.tripCircuitBreaker(reason)
+    }
+  }
+
+  /**
+   * Fetch every income entry since a time
+   * The exchange returns entries oldest-first from startTime, so pages continue
+   * after the last entry until one comes back short
+   * @param {number} startTime - Earliest entry time (ms)
+   * @returns {Promise<Array>} Income entries, oldest first
+   */
+  async getIncomeSince(startTime) {
+    const income = []
+    let pageStart = startTime
+
+    while (true) {
+      const page = await this.dexService.getIncomeHistory({ startTime: pageStart, limit: INCOME_PAGE_LIMIT })
+      income.push(...page)
+      if (page.length < INCOME_PAGE_LIMIT) break
+
+      const nextStart = page[page.length - 1].time + 1
+      if (!(nextStart > pageStart)) break
+      pageStart = nextStart
+    }
+
+    return income
+  }
+
+  /**
+   * Lock trading and cancel open orders
+   * Entry orders are always cancelled; TP/SL brackets only when positions are being flattened
+   * (otherwise they keep protecting the positions left open)
+   * @param {string} reason - Why trading was locked
+   */
+  async tripCircuitBreaker(reason) {
+    if (!this.circuitBreaker.isTripped()) {
+      this.circuitBreaker.trip(reason)
+    }
+
+    const { flattenOnTrip } = this.circuitBreaker.config
+    console.log(`[OrderManager] 🛑 Circuit breaker tripped: ${reason} - cancelling orders${flattenOnTrip ? ' and flattening positions' : ''}`)
+
+    try {
+      const openOrders = await this.dexService.getOpenOrders()
+      for (const order of openOrders) {
+        if (!flattenOnTrip && isProtectiveOrder(order)) continue
+
+        try {
+          await this.dexService.cancelOrder(order.symbol, order.orderId)
+        } catch (error) {
+          console.warn(`[OrderManager] Failed to cancel order ${order.orderId} on ${order.symbol}:`, error.message)
         }
       }
+      this.activeOrders.clear()
+    } catch (error) {
+      this.handleError('Failed to cancel orders after circuit breaker trip', error)
+    }
+
+    if (this.onCircuitBreakerTrip) {
+      await this.onCircuitBreakerTrip(reason, { flatten: flattenOnTrip })
+    }
+  }
+
+  /**
+   * Get open entry orders for a symbol (excludes TP/SL brackets)
+   * @param {string} symbol - Trading symbol
+   * @returns {Promise<Array>} Open orders that are not protective orders
+   */
+  async getEntryOrders(symbol) {
+    const openOrders = await this.dexService.getOpenOrders(symbol)
+    return openOrders.filter(order => !isProtectiveOrder(order))
+  }
+
+  /**
+   * Handle order filled event
+   */
+  async handleOrderFilled(orderId, orderData) {
+    const order = this.activeOrders.get(orderId)
+    if (!order) return
+
+    // Remove from active orders
+    this.activeOrders.delete(orderId)
+
+    // The rest of the ladder now averages into a live position - keep it until TP/SL or a flip
+    if (order.ladderId) {
+      for (const rung of this.activeOrders.values()) {
+        if (rung.ladderId === order.ladderId) rung.noTimeout = true
+      }
+    }
+
+    const filledPrice = parseFloat(orderData?.avgPrice || '0') || parseFloat(order.entryPrice)
+    const filledQuantity = parseFloat(orderData?.executedQty || '0') || parseFloat(order.quantity)
+    const strategy = order.strategy || getStrategyFromClientOrderId(orderData?.clientOrderId)
+    const existingPosition = this.activePositions.get(order.symbol)
+
+    // Position grew (replacement order or split entry filled) - take size/entry from the exchange
+    // (an ACCOUNT_UPDATE may already have applied this fill, so don't add it twice)
+    if (existingPosition && existingPosition.side === order.side) {
+      const currentPosition = await this.dexService.getPosition(order.symbol)
+      const positionAmt = Math.abs(parseFloat(currentPosition.positionAmt || '0'))
+      existingPosition.quantity = positionAmt || existingPosition.quantity + filledQuantity
+      existingPosition.entryPrice = parseFloat(currentPosition.entryPrice || '0') || existingPosition.entryPrice
+
+      console.log(`[OrderManager] ➕ Position ${order.symbol} increased to ${existingPosition.quantity} @ avg $${existingPosition.entryPrice}`)
+      await this.journalEntry(existingPosition, orderId, strategy)
+      await this.placeProtectiveOrders(order.symbol)
+      return
+    }
+
+    // Add to active positions with Smart Mode tracking
+    const positionData = {
+      symbol: order.symbol,
+      side: order.side,
+      entryPrice: filledPrice,
+      quantity: filledQuantity,
+      takeProfit: order.takeProfit,
+      stopLoss: order.stopLoss,
+      tpSlMode: order.tpSlMode, // Per-position TP/SL units (custom blocks use $), falls back to the global mode
+      stopDistance: order.stopDistance ?? null, // Risk-sized entries keep the stop their size assumes
+      takeProfitLadder: this.getTakeProfitLadder(strategy), // Partial take profits (planned with the bracket)
+      strategy,
+      filledAt: Date.now(),
+      entryConfidence: order.entryConfidence || 'unknown',
+      signalHistory: [], // Track incoming signals for Smart Mode
+      protectiveOrders: null // Exchange-side TP/SL bracket ({ takeProfit, stopLoss })
+    }
+
+    this.activePositions.set(order.symbol, positionData)
+    this.saveTracking()
+    await this.journalEntry(positionData, orderId, strategy)
+
+    // Protect the position on the exchange right away (survives tab sleep/crash)
+    await this.placeProtectiveOrders(order.symbol)
+  }
+
+  /**
+   * Calculate TP/SL trigger prices for a position
+   * Percent mode: price move % from entry
+   * Dollar mode: PnL amount converted to a price distance for the position size
+   * A risk-sized position (see sizeEntry) keeps its stop at the distance it was sized against
+   * Absolute levels set by modifyProtectiveLevels() take precedence
+   * @param {Object} position - Tracked position data
+   * @returns {Object} { takeProfitPrice, stopLossPrice } (null when disabled)
+   */
+  getProtectivePrices(position) {
+    const entryPrice = parseFloat(position.entryPrice || '0')
+    const quantity = parseFloat(position.quantity || '0')
+    const takeProfit = parseFloat(position.takeProfit || '0')
+    const stopLoss = parseFloat(position.stopLoss || '0')
+
+    if (entryPrice <= 0 || quantity <= 0) {
+      return { takeProfitPrice: null, stopLossPrice: null }
+    }
+
+    let takeProfitDistance
+    let stopLossDistance
+    if ((position.tpSlMode || this.settings?.tpSlMode) === 'dollar') {
+      takeProfitDistance = takeProfit / quantity
+      stopLossDistance = stopLoss / quantity
+    } else {
+      takeProfitDistance = (entryPrice * takeProfit) / 100
+      stopLossDistance = (entryPrice * stopLoss) / 100
+    }
+    if (position.stopDistance > 0) {
+      stopLossDistance = position.stopDistance
+    }
+
+    const direction = position.side === 'LONG' ? 1 : -1
+    const takeProfitPrice = entryPrice + direction * takeProfitDistance
+    const stopLossPrice = entryPrice - direction * stopLossDistance
+
+    // A take profit ladder that trails the remainder exits it with the stop instead
+    const trailsRemainder = Boolean(position.takeProfitLadder?.trailRemainder)
+
+    return {
+      takeProfitPrice: trailsRemainder
+        ? null
+        : position.takeProfitPrice > 0
+          ? position.takeProfitPrice
+          : (takeProfit > 0 && takeProfitPrice > 0 ? takeProfitPrice : null),
+      stopLossPrice: position.stopLossPrice > 0
+        ? position.stopLossPrice
+        : ((stopLoss > 0 || position.stopDistance > 0) && stopLossPrice > 0 ? stopLossPrice : null)
+    }
+  }
+
+  /**
+   * Place (or replace) exchange-side STOP_MARKET / TAKE_PROFIT_MARKET orders for a position
+   * Both legs use closePosition=true so they always close whatever size is open.
+   * A rejected leg is left null and covered by the client-side check in checkPositions().
+   * @param {string} symbol - Trading symbol
+   */
+  async placeProtectiveOrders(symbol) {
+    const position = this.activePositions.get(symbol)
+    if (!position || !this.dexService) return
+
+    // The auto-cancel countdown would take the bracket down with it
+    try {
+      await this.clearAutoCancel(symbol)
+    } catch (error) {
+      console.warn(`[OrderManager] Failed to clear auto-cancel countdown for ${symbol}:`, error.message)
+    }
 
-      // Calculate position size - USE CAPITAL % AS MARGIN
-      const accountBalance = await this.dexService.getAccountBalance()
-      const availableBalance = parseFloat(accountBalance.availableBalance || '0')
-      const positionSizePercent = this.settings.positionSize || 10
-      const capitalLimit = parseFloat(this.settings.capital || '0')
-      const leverage = this.settings.leverage || 1
-      
-      // Position size % of capital IS the margin we want to use
-      const marginToUse = (capitalLimit * positionSizePercent) / 100
-      
-      // Actual position value = margin * leverage
-      const targetPositionValue = marginToUse * leverage
-      
-      // Make sure we have enough balance for the margin
-      const maxPositionValue = availableBalance >= marginToUse ? targetPositionValue : availableBalance * leverage
+    // Replace any existing bracket (exchange allows one Close-All order per direction)
+    await this.cancelProtectiveOrders(symbol, position)
 
-      if (entryPrice <= 0) {
-        return
-      }
+    // Partial targets first - a position without a stop falls back to the single TP
+    await this.placeTakeProfitTargets(symbol, position)
 
-      const quantity = maxPositionValue / entryPrice
+    const { takeProfitPrice, stopLossPrice } = this.getProtectivePrices(position)
+    const closeSide = position.side === 'LONG' ? 'SELL' : 'BUY'
+    const legs = [
+      { key: 'stopLoss', type: 'STOP_MARKET', stopPrice: stopLossPrice, prefix: 'hopium_sl_' },
+      { key: 'takeProfit', type: 'TAKE_PROFIT_MARKET', stopPrice: takeProfitPrice, prefix: 'hopium_tp_' }
+    ]
 
-      console.log('[OrderManager] Placing momentum X order:', {
-        symbol,
-        side,
-        asterSide,
-        orderType,
-        entryPrice,
-        quantity,
-        targetPositionValue,
-        maxPositionValue,
-        marginToUse,
-        availableBalance,
-        positionSizePercent,
-        leverage,
-        capitalLimit,
-        market_regime: momentumXData.market_regime,
-        layer_score: momentumXData.layer_score,
-        delta_trend: momentumXData.delta_trend,
-        orderbook_pressure: momentumXData.orderbook_pressure,
-        atr: momentumXData.atr,
-        in_fvg_zone: momentumXData.in_fvg_zone
-      })
+    position.protectiveOrders = { takeProfit: null, stopLoss: null }
 
-      const orderParams = {
-        symbol,
-        side: asterSide,
-        type: orderType,
-        quantity: quantity,
-        newClientOrderId: `hopium_momentumx_${Date.now()}`
-      }
+    for (const leg of legs) {
+      if (!leg.stopPrice) continue
+
+      try {
+        const response = await this.dexService.placeOrder({
+          symbol,
+          side: closeSide,
+          type: leg.type,
+          stopPrice: leg.stopPrice,
+          closePosition: true,
+          positionSide: position.side,
+          workingType: 'MARK_PRICE',
+          newClientOrderId: `${leg.prefix}${Date.now()}`
+        })
 
-      // Only add price and timeInForce for LIMIT orders
-      if (orderType === 'LIMIT') {
-        orderParams.price = entryPrice
-        orderParams.timeInForce = 'GTC'
+        position.protectiveOrders[leg.key] = {
+          orderId: response.orderId,
+          stopPrice: parseFloat(response.stopPrice || leg.stopPrice)
+        }
+        console.log(`[OrderManager] 🛡️ ${leg.type} placed for ${symbol} @ $${leg.stopPrice} (order ${response.orderId})`)
+      } catch (error) {
+        console.warn(`[OrderManager] ⚠️ ${leg.type} rejected for ${symbol} - falling back to client-side check:`, error.message)
+        this.handleError(`Exchange rejected ${leg.type} for ${symbol} (client-side fallback active)`, error)
       }
+    }
+  }
 
-      console.log('[OrderManager] Order params:', orderParams)
-      const orderResponse = await this.dexService.placeOrder(orderParams)
-      console.log('[OrderManager] Momentum X order placed successfully:', orderResponse)
+  /**
+   * Cancel exchange-side TP/SL orders for a position
+   * Used to remove the sibling once one leg triggers, and before replacing a bracket.
+   * @param {string} symbol - Trading symbol
+   * @param {Object} position - Tracked position data
+   */
+  async cancelProtectiveOrders(symbol, position) {
+    if (!position?.protectiveOrders || !this.dexService) return
 
-      // Track order for management
-      this.activeOrders.set(orderResponse.orderId, {
-        orderId: orderResponse.orderId,
-        symbol,
-        side,
-        entryPrice: entryPrice,
-        quantity: orderResponse.executedQty || orderResponse.origQty,
-        status: orderResponse.status,
-        takeProfit: this.settings.takeProfit,
-        stopLoss: this.settings.stopLoss,
-        createdAt: Date.now(),
-        entryConfidence: momentumXData.confidence || 'unknown'
-      })
-    } catch (error) {
-      console.error('[OrderManager] Failed to place momentum X order:', error)
-      this.handleError('Failed to place momentum X order', error)
+    for (const key of ['takeProfit', 'stopLoss']) {
+      const protectiveOrder = position.protectiveOrders[key]
+      if (!protectiveOrder) continue
+
+      try {
+        await this.dexService.cancelOrder(symbol, protectiveOrder.orderId)
+        console.log(`[OrderManager] Cancelled ${key} order ${protectiveOrder.orderId} for ${symbol}`)
+      } catch (error) {
+        // Already triggered or expired - nothing left to cancel
+        if (!error.message.includes('Order not found')) {
+          console.error(`[OrderManager] Failed to cancel ${key} order ${protectiveOrder.orderId}:`, error)
+        }
+      }
+      position.protectiveOrders[key] = null
     }
   }
 
   /**
-   * Handle Order Book Trading signal (Near Real-Time Order Flow)
-   * Uses CVD, OBI, VWAP deviation, and spoof detection
-   * @param {Object} orderBookData - Order book signal data
+   * Take profit ladder for a new position
+   * Custom strategies manage their own exits, so only server strategies scale out
+   * @param {string} strategy - Strategy that opened the position
+   * @returns {Object|null} Normalized ladder config, or null if disabled
    */
-  async handleOrderBookSignal(orderBookData) {
-    console.log('[OrderManager] handleOrderBookSignal called with:', orderBookData)
-    
-    if (!this.isRunning || !this.dexService) {
-      console.log('[OrderManager] Not running or no dexService')
+  getTakeProfitLadder(strategy) {
+    if (strategy === 'custom') return null
+    const ladder = normalizeTakeProfitLadder(this.settings?.takeProfitLadder || {})
+    return ladder.enabled ? ladder : null
+  }
+
+  /**
+   * Plan the position's take profit targets and place them as reduce-only LIMIT orders
+   * Sizes are percentages of the position, rounded to the symbol's lot step. Targets are
+   * re-planned while the position only grows (entry ladder fills); once it shrinks, a
+   * target has filled and the remaining orders are left in place.
+   * @param {string} symbol - Trading symbol
+   * @param {Object} position - Tracked position data
+   */
+  async placeTakeProfitTargets(symbol, position) {
+    const ladder = position.takeProfitLadder
+    if (!ladder) return
+    if (ladder.targetOrders && (position.quantity <= ladder.plannedQuantity || ladder.targetOrders.some(target => target.filled))) return
+
+    await this.cancelTakeProfitTargets(symbol, position)
+
+    // 1R is the distance to the stop loss - without one there is nothing to measure targets in
+    const { stopLossPrice } = this.getProtectivePrices(position)
+    const riskDistance = stopLossPrice !== null ? Math.abs(position.entryPrice - stopLossPrice) : 0
+    if (!(riskDistance > 0)) {
+      console.warn(`[OrderManager] ⚠️ ${symbol} has no stop loss to measure R - using the single take profit instead of the ladder`)
+      position.takeProfitLadder = null
       return
     }
 
-    // Defensive guards
-    if (!orderBookData || !orderBookData.symbol || !orderBookData.side || !orderBookData.entry) {
-      console.log('[OrderManager] Missing required fields:', {
-        hasData: !!orderBookData,
-        hasSymbol: !!orderBookData?.symbol,
-        hasSide: !!orderBookData?.side,
-        hasEntry: !!orderBookData?.entry
-      })
+    let lotSize
+    try {
+      lotSize = await this.dexService.getMarketLotSize(symbol)
+    } catch (error) {
+      console.warn(`[OrderManager] Failed to get lot size for ${symbol} - take profit targets skipped:`, error.message)
+      position.takeProfitLadder = null
       return
     }
 
-    const symbol = orderBookData.symbol
-    const side = orderBookData.side
-    const entry = orderBookData.entry
-    
-    // Use low end of trigger zone for entry (more conservative)
-    const triggerZone = entry.trigger_zone || []
-    const entryPrice = triggerZone.length >= 2 ? parseFloat(triggerZone[0]) : 0
+    const closeSide = position.side === 'LONG' ? 'SELL' : 'BUY'
+    const planned = planTakeProfitTargets({
+      side: position.side,
+      entryPrice: position.entryPrice,
+      riskDistance,
+      quantity: position.quantity,
+      targets: ladder.targets
+    })
 
-    // Ignore NEUTRAL signals
-    if (side === 'NEUTRAL') {
-      console.log('[OrderManager] NEUTRAL signal, skipping')
-      return
-    }
+    ladder.riskDistance = riskDistance
+    ladder.plannedQuantity = position.quantity
+    ladder.targetOrders = []
 
-    try {
-      // Check for existing position and open orders
-      const existingPosition = await this.dexService.getPosition(symbol)
-      const positionAmt = parseFloat(existingPosition.positionAmt || '0')
-      const openOrders = await this.dexService.getOpenOrders(symbol)
-      
-      // CRITICAL: Check global position limit (max 3 positions + pending orders)
-      // Only check if we're trying to open a NEW position (no existing position)
-      // Count BOTH active positions AND pending orders (orders become positions when filled)
-      if (positionAmt === 0 && openOrders.length === 0) {
-        const totalActive = this.activePositions.size + this.activeOrders.size
-        if (totalActive >= 3) {
-          console.log(`[OrderManager] 🚫 BLOCKED: Already have ${totalActive}/3 active (${this.activePositions.size} positions + ${this.activeOrders.size} pending orders) - cannot open ${symbol}`)
-          console.log(`[OrderManager] Active positions:`, Array.from(this.activePositions.keys()))
-          console.log(`[OrderManager] Pending orders:`, Array.from(this.activeOrders.values()).map(o => `${o.symbol} (${o.orderId})`))
-          return
-        }
-      }
-      
-      console.log('[OrderManager] Position and orders check:', { 
-        symbol, 
-        positionAmt, 
-        openOrdersCount: openOrders.length 
-      })
-      
-      // CASE 1: Partially filled (position exists + open orders exist)
-      if (positionAmt !== 0 && openOrders.length > 0) {
-        console.log('[OrderManager] 🔄 PARTIAL FILL detected - position exists with unfilled orders')
-        
-        const orderType = this.settings.orderType || 'LIMIT'
-        const asterSide = side === 'LONG' ? 'BUY' : 'SELL'
-        
-        // Calculate unfilled quantity from open orders
-        let totalUnfilledQty = 0
-        for (const order of openOrders) {
-          const origQty = parseFloat(order.origQty || '0')
-          const executedQty = parseFloat(order.executedQty || '0')
-          const unfilledQty = origQty - executedQty
-          totalUnfilledQty += unfilledQty
-        }
-        
-        console.log(`[OrderManager] Unfilled quantity: ${totalUnfilledQty}`)
-        
-        // Cancel all unfilled orders
-        for (const order of openOrders) {
-          try {
-            await this.dexService.cancelOrder(symbol, order.orderId)
-            this.activeOrders.delete(order.orderId)
-            console.log(`[OrderManager] Cancelled partially filled order ${order.orderId}`)
-          } catch (error) {
-            console.error(`[OrderManager] Failed to cancel order ${order.orderId}:`, error)
-          }
-        }
-        
-        // Place new order for ONLY the unfilled amount at new price
-        if (totalUnfilledQty > 0 && orderType === 'LIMIT') {
-          console.log(`[OrderManager] Placing replacement order for unfilled ${totalUnfilledQty} at new price $${entryPrice}`)
-          
-          const orderParams = {
-            symbol,
-            side: asterSide,
-            type: orderType,
-            quantity: totalUnfilledQty,
-            price: entryPrice,
-            timeInForce: 'GTC',
-            newClientOrderId: `hopium_orderbook_${Date.now()}`
-          }
-          
-          const orderResponse = await this.dexService.placeOrder(orderParams)
-          console.log('[OrderManager] Replacement order placed:', orderResponse)
-          
-          // Track new order
-          this.activeOrders.set(orderResponse.orderId, {
-            orderId: orderResponse.orderId,
-            symbol,
-            side,
-            entryPrice: entryPrice,
-            quantity: totalUnfilledQty,
-            status: orderResponse.status,
-            takeProfit: this.settings.takeProfit,
-            stopLoss: this.settings.stopLoss,
-            createdAt: Date.now(),
-            entryConfidence: orderBookData.confidence || 'unknown'
-          })
-        }
-        
-        return // Done handling partial fill
-      }
-      
-      // CASE 2: Fully filled (position exists, no open orders)
-      if (positionAmt !== 0) {
-        console.log('[OrderManager] Position fully filled, skipping new entry')
-        return
+    for (const [index, target] of planned.entries()) {
+      const quantity = parseFloat(this.dexService.formatQuantity(target.quantity, lotSize.stepSize))
+      if (!(quantity > 0) || quantity < lotSize.minQty) {
+        console.warn(`[OrderManager] ⚠️ ${symbol} target ${index + 1} (${target.percent}% = ${target.quantity}) is below the minimum quantity - skipped`)
+        continue
       }
-      
-      // CASE 3: No position yet (only open orders or nothing)
-      console.log('[OrderManager] No position - checking for existing orders')
-      
-      const orderType = this.settings.orderType || 'LIMIT'
-      const asterSide = side === 'LONG' ? 'BUY' : 'SELL'
-      
-      // For LIMIT orders, check if we already have an order at the same price
-      if (orderType === 'LIMIT' && openOrders.length > 0) {
-        const matchingOrder = openOrders.find(order => {
-          const orderPrice = parseFloat(order.price || '0')
-          const priceTolerance = entryPrice * 0.0001 // 0.01% tolerance for floating point
-          const priceMatches = Math.abs(orderPrice - entryPrice) <= priceTolerance
-          const sideMatches = order.side === asterSide
-          return priceMatches && sideMatches
+
+      const targetOrder = { r: target.r, percent: target.percent, price: target.price, quantity, orderId: null, filled: false }
+      try {
+        const response = await this.dexService.placeOrder({
+          symbol,
+          side: closeSide,
+          type: 'LIMIT',
+          price: target.price,
+          quantity,
+          timeInForce: 'GTC',
+          reduceOnly: true,
+          positionSide: position.side,
+          newClientOrderId: `${TAKE_PROFIT_TARGET_PREFIX}${index}_${Date.now()}`
         })
-        
-        if (matchingOrder) {
-          // Check if confidence degraded
-          const trackedOrder = this.activeOrders.get(matchingOrder.orderId)
-          const originalConfidence = trackedOrder?.entryConfidence || 'unknown'
-          const newConfidence = orderBookData.confidence || 'unknown'
-          
-          // Cancel if confidence dropped to low AND user doesn't trust low confidence
-          const confidenceDegraded = (originalConfidence === 'high' || originalConfidence === 'medium') && 
-                                     newConfidence === 'low'
-          const trustLowConfidence = this.settings.trustLowConfidence !== undefined 
-                                      ? this.settings.trustLowConfidence 
-                                      : false
-          
-          if (confidenceDegraded && !trustLowConfidence) {
-            console.log(`[OrderManager] ⚠️ Confidence degraded (${originalConfidence} → ${newConfidence}) and trust disabled - cancelling order ${matchingOrder.orderId}`)
-            await this.dexService.cancelOrder(symbol, matchingOrder.orderId)
-            this.activeOrders.delete(matchingOrder.orderId)
-            return // Don't place new order (low confidence not trusted)
-          }
-          
-          console.log(`[OrderManager] ✅ Existing order at same price ($${entryPrice}) - keeping order ${matchingOrder.orderId}`)
-          return // Skip - no need to cancel and replace
-        }
-      }
-      
-      // Price changed or MARKET order - cancel existing orders
-      if (openOrders.length > 0) {
-        console.log('[OrderManager] Cancelling existing orders (price changed or market order)')
-        for (const order of openOrders) {
-          try {
-            await this.dexService.cancelOrder(symbol, order.orderId)
-            this.activeOrders.delete(order.orderId)
-            console.log(`[OrderManager] Cancelled order ${order.orderId}`)
-          } catch (error) {
-            console.error(`[OrderManager] Failed to cancel order ${order.orderId}:`, error)
-          }
-        }
+        targetOrder.orderId = response.orderId
+        console.log(`[OrderManager] 🎯 ${symbol} target ${index + 1}: ${quantity} @ $${target.price} (+${target.r}R, ${target.percent}%) - order ${response.orderId}`)
+      } catch (error) {
+        console.warn(`[OrderManager] ⚠️ ${symbol} target ${index + 1} rejected:`, error.message)
+        this.handleError(`Exchange rejected take profit target ${index + 1} for ${symbol}`, error)
       }
+      ladder.targetOrders.push(targetOrder)
+    }
+  }
 
-      const accountBalance = await this.dexService.getAccountBalance()
-      const availableBalance = parseFloat(accountBalance.availableBalance || '0')
-      const capitalLimit = parseFloat(this.settings.capital || '0')
-      const configuredLeverage = this.settings.leverage || 1
-      
-      // Debug logging for capital settings
-      console.log(`[OrderManager] Capital Settings Debug:`, {
-        rawCapital: this.settings.capital,
-        capitalLimit: capitalLimit,
-        positionSize: this.settings.positionSize,
-        autoMode: this.settings.autoMode
-      })
-      
-      let marginToUse
-      if (this.settings.autoMode) {
-        marginToUse = capitalLimit / 3
-        console.log(`[OrderManager] 🤖 Auto Mode: Using capital/3 = $${marginToUse.toFixed(2)} margin`)
-      } else {
-        const positionSizePercent = this.settings.positionSize || 10
-        marginToUse = (capitalLimit * positionSizePercent) / 100
-        console.log(`[OrderManager] Manual Mode: Using ${positionSizePercent}% of capital = $${marginToUse.toFixed(2)} margin`)
-      }
-      
-      const maxAllowedMargin = this.settings.autoMode ? (capitalLimit / 3) : capitalLimit
-      if (marginToUse > maxAllowedMargin * 1.01) {
-        throw new Error(`🚨 SAFETY: Trying to use $${marginToUse.toFixed(2)} margin but max is $${maxAllowedMargin.toFixed(2)}`)
-      }
+  /**
+   * Cancel the position's unfilled take profit targets
+   * @param {string} symbol - Trading symbol
+   * @param {Object} position - Tracked position data
+   */
+  async cancelTakeProfitTargets(symbol, position) {
+    const targetOrders = position?.takeProfitLadder?.targetOrders
+    if (!targetOrders || !this.dexService) return
 
-      // Align exchange leverage with sizing to avoid margin mismatch
-      let leverageToUse = configuredLeverage
-      try {
-        // Use proposed notional with configured leverage to determine bracket-based cap
-        const proposedNotional = marginToUse * configuredLeverage
-        const maxLevForBracket = await this.dexService.getMaxLeverageForNotional(symbol, proposedNotional)
-        leverageToUse = Math.min(configuredLeverage, maxLevForBracket || configuredLeverage)
-      } catch (e) {
-        console.warn('[OrderManager] Failed to fetch max leverage bracket, using configured leverage:', configuredLeverage)
-      }
+    for (const target of targetOrders) {
+      if (!target.orderId || target.filled) continue
 
       try {
-        await this.dexService.setLeverage(symbol, leverageToUse)
-      } catch (e) {
-        console.warn('[OrderManager] Failed to set leverage, falling back to configured leverage:', configuredLeverage, e?.message || e)
-        leverageToUse = configuredLeverage
+        await this.dexService.cancelOrder(symbol, target.orderId)
+        console.log(`[OrderManager] Cancelled take profit target ${target.orderId} for ${symbol}`)
+      } catch (error) {
+        if (!error.message.includes('Order not found')) {
+          console.error(`[OrderManager] Failed to cancel take profit target ${target.orderId}:`, error)
+        }
       }
+      target.orderId = null
+    }
+  }
 
-      const targetPositionValue = marginToUse * leverageToUse
-      const maxPositionValue = availableBalance >= marginToUse ? targetPositionValue : availableBalance * leverageToUse
+  /**
+   * Check the position's open targets for fills and move the stop once they hit
+   * - First target filled: stop to breakeven (entry plus round-trip fees)
+   * - Last target filled: stop trails 1R behind the last target (trailRemainder)
+   * @param {string} symbol - Trading symbol
+   * @param {Object} position - Tracked position data
+   * @returns {Promise<boolean>} True if the stop moved (the bracket needs replacing)
+   */
+  async syncTakeProfitTargets(symbol, position) {
+    const ladder = position.takeProfitLadder
+    if (!ladder?.targetOrders) return false
 
-      if (entryPrice <= 0) {
-        console.error('[OrderManager] Invalid entry price:', entryPrice)
-        return
+    let filled = false
+    for (const [index, target] of ladder.targetOrders.entries()) {
+      if (!target.orderId || target.filled) continue
+
+      try {
+        const order = await this.dexService.getOrderStatus(symbol, target.orderId)
+        if (order.status === 'FILLED') {
+          target.filled = true
+          filled = true
+          console.log(`[OrderManager] 🎯 ${symbol} target ${index + 1} hit: closed ${target.quantity} @ $${target.price} (+${target.r}R)`)
+        }
+      } catch (error) {
+        console.warn(`[OrderManager] Failed to check take profit target ${target.orderId} for ${symbol}:`, error.message)
       }
+    }
+    if (!filled) return false
 
-      const quantity = maxPositionValue / entryPrice
+    const direction = position.side === 'LONG' ? 1 : -1
+    const currentStop = this.getProtectivePrices(position).stopLossPrice
+    const raiseStop = (price) => {
+      position.stopLossPrice = currentStop === null ? price : (direction === 1 ? Math.max(currentStop, price) : Math.min(currentStop, price))
+    }
 
-      console.log('[OrderManager] Placing order book trading order:', {
-        symbol,
-        side,
-        asterSide,
-        orderType,
-        entryPrice,
-        triggerZone,
-        quantity,
-        targetPositionValue,
-        maxPositionValue,
-        marginToUse,
-        availableBalance,
-        leverage: leverageToUse,
-        capitalLimit,
-        autoMode: this.settings.autoMode,
-        bias_score: orderBookData.bias_score,
-        cvd_slope: orderBookData.cvd_slope,
-        obi: orderBookData.obi,
-        spoof_velocity: orderBookData.spoof_detection?.wall_velocity
-      })
+    if (ladder.breakevenAfterFirst && !ladder.breakeven) {
+      ladder.breakeven = true
+      raiseStop(position.entryPrice * (1 + direction * (ENTRY_FEE + EXIT_FEE)))
+      console.log(`[OrderManager] 🔒 ${symbol} stop moved to breakeven $${position.stopLossPrice}`)
+    }
 
-      const orderParams = {
-        symbol,
-        side: asterSide,
-        type: orderType,
-        quantity: quantity,
-        newClientOrderId: `hopium_orderbook_${Date.now()}`
-      }
+    const lastTarget = ladder.targetOrders[ladder.targetOrders.length - 1]
+    if (ladder.trailRemainder && !ladder.trail && lastTarget?.filled) {
+      ladder.trail = { level: lastTarget.price, step: ladder.riskDistance }
+      raiseStop(lastTarget.price - direction * ladder.riskDistance)
+      console.log(`[OrderManager] 🪢 ${symbol} all targets hit - trailing the rest 1R behind, stop $${position.stopLossPrice}`)
+    }
+    return true
+  }
 
-      // Only add price and timeInForce for LIMIT orders
-      if (orderType === 'LIMIT') {
-        orderParams.price = entryPrice
-        orderParams.timeInForce = 'GTC'
-      }
+  /**
+   * Trail the stop of a position whose take profit targets have all filled
+   * The stop follows 1R behind the best whole-R level the mark price has reached
+   * @param {string} symbol - Trading symbol
+   * @param {Object} position - Tracked position data
+   * @param {number} markPrice - Current mark price
+   */
+  async trailTakeProfitStop(symbol, position, markPrice) {
+    const trail = position.takeProfitLadder?.trail
+    if (!trail || !(markPrice > 0)) return
+
+    const direction = position.side === 'LONG' ? 1 : -1
+    const steps = Math.floor(((markPrice - trail.level) * direction) / trail.step)
+    if (steps < 1) return
+
+    trail.level += direction * trail.step * steps
+    position.stopLossPrice = trail.level - direction * trail.step
+    console.log(`[OrderManager] 🪢 ${symbol} trailing stop raised to $${position.stopLossPrice}`)
+    await this.placeProtectiveOrders(symbol)
+  }
 
-      console.log('[OrderManager] Order params:', orderParams)
-      const orderResponse = await this.dexService.placeOrder(orderParams)
-      console.log('[OrderManager] Order book trading order placed successfully:', orderResponse)
+  /**
+   * Partial take profit progress for the position badges
+   * @param {string} symbol - Trading symbol
+   * @returns {Object|null} { targets: [{ r, percent, price, hit }], breakeven, trailing }, or null without a ladder
+   */
+  getTakeProfitProgress(symbol) {
+    const ladder = this.activePositions.get(symbol)?.takeProfitLadder
+    if (!ladder?.targetOrders?.length) return null
 
-      // Track order for management
-      this.activeOrders.set(orderResponse.orderId, {
-        orderId: orderResponse.orderId,
-        symbol,
-        side,
-        entryPrice: entryPrice,
-        quantity: orderResponse.executedQty || orderResponse.origQty,
-        status: orderResponse.status,
-        takeProfit: this.settings.takeProfit,
-        stopLoss: this.settings.stopLoss,
-        createdAt: Date.now(),
-        entryConfidence: orderBookData.confidence || 'unknown'
-      })
-    } catch (error) {
-      console.error('[OrderManager] Failed to place order book trading order:', error)
-      this.handleError('Failed to place order book trading order', error)
+    return {
+      targets: ladder.targetOrders.map(({ r, percent, price, filled }) => ({ r, percent, price, hit: filled })),
+      breakeven: Boolean(ladder.breakeven),
+      trailing: Boolean(ladder.trail)
     }
   }
 
   /**
-   * Poll open orders to check status
+   * Cancel everything still working for a closed position:
+   * the TP/SL bracket, take profit targets and unfilled entry ladder rungs
+   * @param {string} symbol - Trading symbol
+   * @param {Object} position - Tracked position data
    */
-  async pollOpenOrders() {
-    if (!this.dexService) return
+  async cancelPositionOrders(symbol, position) {
+    await this.cancelProtectiveOrders(symbol, position)
+    await this.cancelTakeProfitTargets(symbol, position)
+    await this.cancelLadderOrders(symbol)
+  }
 
-    try {
-      // Get all open orders from DEX
-      const openOrders = await this.dexService.getOpenOrders()
+  /**
+   * Change the TP/SL levels of an open position and replace its exchange-side bracket
+   * Percent mode: price move % from entry (converted to the configured TP/SL units)
+   * Dollar mode: PnL amount (converted to the configured TP/SL units)
+   * Price mode: absolute trigger prices
+   * @param {string} symbol - Trading symbol
+   * @param {Object} levels - New levels (omit or 0 to keep current)
+   * @param {number} [levels.takeProfit] - Take profit (%, $ or price)
+   * @param {number} [levels.stopLoss] - Stop loss (%, $ or price)
+   * @param {string} [levels.mode] - 'percent' (default), 'dollar' or 'price'
+   * @returns {Promise<Object>} { before, after } trigger prices ({ takeProfitPrice, stopLossPrice })
+   * @throws {Error} If no position is tracked for the symbol or a price is on the wrong side
+   *   (checked before the position or its bracket is touched)
+   */
+  async modifyProtectiveLevels(symbol, { takeProfit = 0, stopLoss = 0, mode = 'percent' } = {}) {
+    const position = this.activePositions.get(symbol)
+    if (!position) {
+      throw new Error(`No open position for ${symbol}`)
+    }
 
-      // Update tracked orders
-      const trackedOrderIds = new Set(this.activeOrders.keys())
-      const now = Date.now()
-      
-      for (const order of openOrders) {
-        const orderId = order.orderId
-        trackedOrderIds.delete(orderId)
+    const before = this.getProtectivePrices(position)
 
-        // Update order status
-        if (this.activeOrders.has(orderId)) {
-          const trackedOrder = this.activeOrders.get(orderId)
-          trackedOrder.status = order.status
+    const updates = [
+      { key: 'takeProfit', priceKey: 'takeProfitPrice', value: parseFloat(takeProfit) || 0 },
+      { key: 'stopLoss', priceKey: 'stopLossPrice', value: parseFloat(stopLoss) || 0 }
+    ]
 
-          // Check if order is filled
-          if (order.status === 'FILLED') {
-            // Move to position tracking
-            await this.handleOrderFilled(orderId, order)
-          }
-          // Check if order has timed out (unfilled for too long)
-          else if (order.status === 'NEW') {
-            const ageSeconds = Math.floor((now - trackedOrder.createdAt) / 1000)
-            const timeoutSeconds = Math.floor(this.orderTimeout / 1000)
-            
-            // Skip timeout check for orders marked noTimeout (e.g., Auto Mode swing trades)
-            if (trackedOrder.noTimeout) {
-              // Log occasionally to show it's being monitored (no timeout)
-              if (ageSeconds % 60 === 0 && ageSeconds > 0) {
-                console.log(`[OrderManager] ⏳ Order ${orderId} waiting: ${ageSeconds}s (no timeout - swing trade)`)
-              }
-            }
-            else if ((now - trackedOrder.createdAt) > this.orderTimeout) {
-              console.log(`[OrderManager] ⏱️ Order ${orderId} TIMED OUT: ${ageSeconds}s elapsed (timeout: ${timeoutSeconds}s) - cancelling`)
-              try {
-                await this.dexService.cancelOrder(trackedOrder.symbol, orderId)
-                this.activeOrders.delete(orderId)
-                console.log(`[OrderManager] ✅ Order ${orderId} cancelled successfully`)
-              } catch (error) {
-                console.error(`[OrderManager] ❌ Failed to cancel order ${orderId}:`, error)
-              }
-            } else {
-              // Log occasionally to show it's being monitored
-              if (ageSeconds % 10 === 0 && ageSeconds > 0) {
-                console.log(`[OrderManager] ⏳ Order ${orderId} waiting: ${ageSeconds}s / ${timeoutSeconds}s`)
-              }
-            }
-          }
+    if (mode === 'price') {
+      await this.validateProtectivePrices(symbol, position, before, updates[0].value, updates[1].value)
+    }
+
+    for (const { key, priceKey, value } of updates) {
+      if (value <= 0) continue
+
+      if (mode === 'price') {
+        position[priceKey] = value
+      } else {
+        const notional = position.entryPrice * position.quantity
+        const isDollarPosition = (position.tpSlMode || this.settings?.tpSlMode) === 'dollar'
+        if (mode === 'dollar') {
+          position[key] = isDollarPosition ? value : (value / notional) * 100
+        } else {
+          position[key] = isDollarPosition ? (notional * value) / 100 : value
+        }
+        position[priceKey] = null
+        if (key === 'stopLoss') {
+          position.stopDistance = null // The new stop replaces the one the size was based on
         }
       }
+    }
 
-      // Remove orders that are no longer open (filled, cancelled, etc.)
-      for (const orderId of trackedOrderIds) {
-        const order = this.activeOrders.get(orderId)
-        
-        // Check final status
-        try {
-          const orderStatus = await this.dexService.getOrderStatus(order.symbol, orderId)
-          if (orderStatus.status === 'FILLED') {
-            await this.handleOrderFilled(orderId, orderStatus)
-          }
-        } catch (error) {
-          // Order doesn't exist anymore, remove it
-          this.activeOrders.delete(orderId)
-        }
+    const after = this.getProtectivePrices(position)
+    console.log(`[OrderManager] ⚙️ TP/SL modified for ${symbol}:`, { before, after })
+
+    await this.placeProtectiveOrders(symbol)
+
+    return { before, after }
+  }
+
+  /**
+   * Check absolute TP/SL prices before they replace a position's bracket
+   * - Take profit must be beyond entry in the profit direction
+   * - Stop loss must be on the losing side of the current mark (it may trail into profit)
+   * - Take profit must stay beyond the stop loss (new or current levels)
+   * @param {string} symbol - Trading symbol
+   * @param {Object} position - Tracked position data
+   * @param {Object} current - Current trigger prices ({ takeProfitPrice, stopLossPrice })
+   * @param {number} takeProfitPrice - New take profit price (0 = keep current)
+   * @param {number} stopLossPrice - New stop loss price (0 = keep current)
+   * @throws {Error} If a price is on the wrong side or the mark price is unavailable
+   */
+  async validateProtectivePrices(symbol, position, current, takeProfitPrice, stopLossPrice) {
+    const isLong = position.side === 'LONG'
+
+    if (takeProfitPrice > 0 && (isLong ? takeProfitPrice <= position.entryPrice : takeProfitPrice >= position.entryPrice)) {
+      throw new Error(`Take profit $${takeProfitPrice} is on the wrong side of entry $${position.entryPrice}`)
+    }
+
+    if (stopLossPrice > 0) {
+      const exchangePosition = await this.dexService.getPosition(symbol)
+      const markPrice = parseFloat(exchangePosition?.markPrice || '0')
+      if (!(markPrice > 0)) {
+        throw new Error(`No mark price for ${symbol} - cannot check stop loss $${stopLossPrice}`)
+      }
+      if (isLong ? stopLossPrice >= markPrice : stopLossPrice <= markPrice) {
+        throw new Error(`Stop loss $${stopLossPrice} is on the wrong side of mark price $${markPrice}`)
       }
+    }
 
-    } catch (error) {
-      this.handleError('Error polling orders', error)
+    const newTakeProfit = takeProfitPrice > 0 ? takeProfitPrice : current.takeProfitPrice
+    const newStopLoss = stopLossPrice > 0 ? stopLossPrice : current.stopLossPrice
+    if (newTakeProfit !== null && newStopLoss !== null && (isLong ? newTakeProfit <= newStopLoss : newTakeProfit >= newStopLoss)) {
+      throw new Error(`Take profit $${newTakeProfit} must be ${isLong ? 'above' : 'below'} stop loss $${newStopLoss}`)
     }
   }
 
   /**
-   * Handle order filled event
+   * Apply exchange position state to a tracked position
+   * - Closed (bracket triggered or closed elsewhere): cancel the sibling and stop tracking
+   * - Size changed: update size/entry and resync the bracket
+   * @param {string} symbol - Trading symbol
+   * @param {Object} position - Tracked position data
+   * @param {Object} exchangePosition - Exchange position ({ positionAmt, entryPrice })
+   * @returns {Promise<boolean>} True if the position is still open
    */
-  async handleOrderFilled(orderId, orderData) {
-    const order = this.activeOrders.get(orderId)
-    if (!order) return
+  async syncPositionFromExchange(symbol, position, exchangePosition) {
+    const positionAmt = parseFloat(exchangePosition.positionAmt || '0')
+
+    if (positionAmt === 0) {
+      console.log(`[OrderManager] Position ${symbol} closed on exchange`)
+      const bracketOrderIds = [position.protectiveOrders?.takeProfit?.orderId, position.protectiveOrders?.stopLoss?.orderId]
+      await this.journalExit(symbol, 'Closed on exchange', undefined, bracketOrderIds)
+      await this.cancelPositionOrders(symbol, position)
+      this.activePositions.delete(symbol)
+      return false
+    }
 
-    // Remove from active orders
-    this.activeOrders.delete(orderId)
+    const exchangeQuantity = Math.abs(positionAmt)
+    if (Math.abs(exchangeQuantity - position.quantity) > exchangeQuantity * 1e-6) {
+      console.log(`[OrderManager] 🔄 Position ${symbol} size changed ${position.quantity} → ${exchangeQuantity}`)
+      position.quantity = exchangeQuantity
+      position.entryPrice = parseFloat(exchangePosition.entryPrice || '0') || position.entryPrice
 
-    // Add to active positions with Smart Mode tracking
-    const positionData = {
-      symbol: order.symbol,
-      side: order.side,
-      entryPrice: parseFloat(order.entryPrice),
-      quantity: parseFloat(order.quantity),
-      takeProfit: order.takeProfit,
-      stopLoss: order.stopLoss,
-      filledAt: Date.now(),
-      entryConfidence: order.entryConfidence || 'unknown',
-      signalHistory: [] // Track incoming signals for Smart Mode
+      // A smaller position may be a take profit target filling (moves the stop)
+      await this.syncTakeProfitTargets(symbol, position)
+
+      // Keep the bracket in sync with the new size/entry
+      if (position.protectiveOrders) {
+        await this.placeProtectiveOrders(symbol)
+      }
     }
 
-    this.activePositions.set(order.symbol, positionData)
+    return true
   }
 
   /**
    * Check positions for TP/SL triggers
+   * - Detects closes (bracket triggered) and cancels the sibling order
+   * - Resyncs the bracket when the position size changes
+   * - Closes client-side only for legs the exchange rejected
    */
   async checkPositions() {
     if (!this.dexService) return
 
+    this.lastPositionReconcile = Date.now()
+
     for (const [symbol, position] of this.activePositions.entries()) {
+      if (this.executions.has(symbol)) continue // Chased/sliced close in progress
+
       try {
         const currentPosition = await this.dexService.getPosition(symbol)
-        const positionAmt = parseFloat(currentPosition.positionAmt || '0')
+        const stillOpen = await this.syncPositionFromExchange(symbol, position, currentPosition)
+        if (!stillOpen) continue
 
-        // Position closed
-        if (positionAmt === 0) {
-          this.activePositions.delete(symbol)
-          continue
+        await this.trailTakeProfitStop(symbol, position, parseFloat(currentPosition.markPrice || '0'))
+
+        const protectiveOrders = position.protectiveOrders || {}
+        if (protectiveOrders.takeProfit && protectiveOrders.stopLoss) {
+          continue // Fully protected on the exchange
         }
 
+        // Client-side fallback for legs without an exchange order
         const markPrice = parseFloat(currentPosition.markPrice || '0')
-        const entryPrice = position.entryPrice
-        const side = position.side
-
-        // Calculate profit/loss percentage
-        let pnlPercent = 0
-        if (side === 'LONG') {
-          pnlPercent = ((markPrice - entryPrice) / entryPrice) * 100
-        } else {
-          pnlPercent = ((entryPrice - markPrice) / entryPrice) * 100
-        }
+        const { takeProfitPrice, stopLossPrice } = this.getProtectivePrices(position)
+        const isLong = position.side === 'LONG'
 
-        // Check TP/SL
-        const shouldClose = 
-          (position.takeProfit > 0 && pnlPercent >= position.takeProfit) ||
-          (position.stopLoss > 0 && pnlPercent <= -position.stopLoss)
+        const takeProfitHit = !protectiveOrders.takeProfit && takeProfitPrice !== null &&
+          (isLong ? markPrice >= takeProfitPrice : markPrice <= takeProfitPrice)
+        const stopLossHit = !protectiveOrders.stopLoss && stopLossPrice !== null &&
+          (isLong ? markPrice <= stopLossPrice : markPrice >= stopLossPrice)
 
-        if (shouldClose) {
-          await this.closePosition(symbol, position, 'TP/SL triggered')
+        if (markPrice > 0 && (takeProfitHit || stopLossHit)) {
+          await this.closePosition(symbol, position, 'TP/SL triggered', { market: true })
         }
 
       } catch (error) {
@@ -1474,11 +2279,15 @@ export class OrderManager {
 
   /**
    * Close a position
+   * Sliced (TWAP) when large and TWAP exits are enabled, chased as a post-only order
+   * when chase exits are enabled, MARKET otherwise
    * @param {string} symbol - Trading symbol (can be string or object with symbol property)
    * @param {Object} position - Position data (optional if symbol is provided)
    * @param {string} reason - Reason for closing
+   * @param {Object} [options]
+   * @param {boolean} [options.market] - Always close with a MARKET order (stops that must exit now)
    */
-  async closePosition(symbol, position, reason) {
+  async closePosition(symbol, position, reason, { market = false } = {}) {
     try {
       // Handle case where symbol is the only parameter (called from custom strategies)
       if (typeof symbol === 'string' && !position) {
@@ -1492,6 +2301,7 @@ export class OrderManager {
 
       if (positionAmt === 0) {
         // Already closed
+        await this.cancelPositionOrders(symbol, position)
         this.activePositions.delete(symbol)
         return { success: true, message: 'Position already closed' }
       }
@@ -1513,20 +2323,50 @@ export class OrderManager {
         side: closeSide
       })
 
-      // Place MARKET order to close - use rawQuantity flag to skip formatting
-      // The positionAmt from API is already formatted correctly
-      const orderParams = {
-        symbol,
-        side: closeSide,
-        type: 'MARKET',
-        quantity: quantityStr,
-        reduceOnly: true,
-        rawQuantity: true // Skip formatting - use exact positionAmt
-      }
+      // Hedge mode drops reduceOnly - positionSide keeps the close from opening the other side
+      const positionSide = getPositionSide(currentPosition)
+
+      const notional = Math.abs(positionAmt) * parseFloat(currentPosition.markPrice || '0')
+      const algo = market
+        ? null
+        : this.twapExecutor.appliesTo('exits', notional) ? 'twap' : this.chaseExecutor.config.exits ? 'chase' : null
+
+      let result
+      if (algo) {
+        const execution = await this.runExecution(symbol, algo, {
+          side: closeSide,
+          quantity: Math.abs(positionAmt),
+          reduceOnly: true,
+          positionSide
+        })
+        result = { orderId: execution.lastOrderId, avgPrice: String(execution.avgPrice), executedQty: String(execution.executedQty), execution }
+      } else {
+        // Place MARKET order to close - use rawQuantity flag to skip formatting
+        // The positionAmt from API is already formatted correctly
+        const orderParams = {
+          symbol,
+          side: closeSide,
+          type: 'MARKET',
+          quantity: quantityStr,
+          reduceOnly: true,
+          positionSide,
+          rawQuantity: true // Skip formatting - use exact positionAmt
+        }
 
-      const result = await this.dexService.placeOrder(orderParams)
+        result = await this.dexService.placeOrder(orderParams)
+      }
       console.log(`[OrderManager] Close order placed:`, result)
 
+      await this.journalExit(
+        symbol,
+        reason,
+        parseFloat(result.avgPrice || currentPosition.markPrice || '0'),
+        result.execution ? result.execution.orderIds : [result.orderId]
+      )
+
+      // Remove the now-orphaned TP/SL bracket, targets and any ladder rungs that would reopen it
+      await this.cancelPositionOrders(symbol, position)
+
       // Remove from active positions
       this.activePositions.delete(symbol)
       
@@ -1538,6 +2378,55 @@ export class OrderManager {
     }
   }
 
+  /**
+   * Check if closePosition() may work its exit with an algorithm instead of one MARKET order
+   * @returns {boolean} True if chase or TWAP exits are enabled
+   */
+  hasManagedExits() {
+    return this.chaseExecutor.config.exits || this.twapExecutor.config.exits
+  }
+
+  /**
+   * Record a filled entry in the trade journal
+   * @param {Object} position - Tracked position data (after the fill)
+   * @param {number|string} orderId - Filled order ID
+   * @param {string} strategy - Strategy that placed the order
+   */
+  async journalEntry(position, orderId, strategy) {
+    if (!this.tradeJournal) return
+
+    try {
+      await this.tradeJournal.recordEntry({
+        symbol: position.symbol,
+        side: position.side,
+        strategy,
+        confidence: position.entryConfidence,
+        entryPrice: position.entryPrice,
+        quantity: position.quantity,
+        orderIds: [orderId]
+      })
+    } catch (error) {
+      console.error('[OrderManager] Failed to journal entry:', error)
+    }
+  }
+
+  /**
+   * Record an exit in the trade journal (first recorded reason wins)
+   * @param {string} symbol - Trading symbol
+   * @param {string} reason - Why the position was closed
+   * @param {number} [exitPrice] - Estimated exit price
+   * @param {Array} [orderIds] - Close / bracket order IDs (matched to exit fills on reconcile)
+   */
+  async journalExit(symbol, reason, exitPrice, orderIds = []) {
+    if (!this.tradeJournal) return
+
+    try {
+      await this.tradeJournal.recordExit(symbol, { reason, exitPrice, orderIds })
+    } catch (error) {
+      console.error('[OrderManager] Failed to journal exit:', error)
+    }
+  }
+
   /**
    * Handle errors
    */
@@ -1570,7 +2459,8 @@ export class OrderManager {
     return {
       isRunning: this.isRunning,
       activeOrders: Array.from(this.activeOrders.values()),
-      activePositions: Array.from(this.activePositions.values())
+      activePositions: Array.from(this.activePositions.values()),
+      executions: Array.from(this.executions.values())
     }
   }
 
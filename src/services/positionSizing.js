@@ -0,0 +1,149 @@
+/**
+ * Position Sizing
+ *
+ * Sizes new entries for every strategy (server signals, Auto Mode portfolio and
+ * custom StrategyRunner open blocks):
+ * - capital: margin = positionSize % of capital, notional = margin × leverage
+ * - atr: lose riskPerTrade if price moves ATR × atrMultiplier against the entry
+ * - stop: lose riskPerTrade if the stop is hit (stop loss setting or the signal's own stop price)
+ *
+ * Risk-based modes size a DOGE entry and a BTC entry to the same dollar risk.
+ * The capital-based notional stays the ceiling, so positionSize % becomes the max
+ * margin per trade and the exchange leverage bracket still applies.
+ * The stop distance a size was based on is returned with it, and the position's
+ * stop is placed at that distance (OrderManager.getProtectivePrices).
+ */
+
+import IndicatorCalculator from './strategyBuilder/IndicatorCalculator'
+
+export const DEFAULT_POSITION_SIZING = {
+  mode: 'capital', // 'capital' | 'atr' | 'stop'
+  riskPerTrade: 10, // USDT lost when the stop is hit
+  atrMultiplier: 1.5, // Stop distance in ATRs
+  atrTimeframe: '15m',
+  atrPeriod: 14
+}
+
+export const SIZING_MODES = ['capital', 'atr', 'stop']
+export const ATR_TIMEFRAMES = ['5m', '15m', '1h', '4h']
+
+const OPTIONS = {
+  mode: SIZING_MODES,
+  atrTimeframe: ATR_TIMEFRAMES
+}
+
+export class PositionSizer {
+  /**
+   * @param {Object} [config] - Overrides for DEFAULT_POSITION_SIZING
+   */
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_POSITION_SIZING }
+    this.update(config)
+  }
+
+  /**
+   * Update the sizing config (unknown options and invalid numbers fall back to defaults)
+   * @param {Object} config - Partial config
+   */
+  update(config = {}) {
+    for (const key of Object.keys(DEFAULT_POSITION_SIZING)) {
+      if (config[key] === undefined || config[key] === null || config[key] === '') continue
+
+      if (OPTIONS[key]) {
+        this.config[key] = OPTIONS[key].includes(config[key]) ? config[key] : DEFAULT_POSITION_SIZING[key]
+      } else {
+        const value = parseFloat(config[key])
+        this.config[key] = Number.isFinite(value) && value > 0 ? value : DEFAULT_POSITION_SIZING[key]
+      }
+    }
+  }
+
+  /**
+   * Check if entries are sized by dollar risk instead of capital %
+   * @returns {boolean} True for the atr and stop modes
+   */
+  isRiskBased() {
+    return this.config.mode !== 'capital'
+  }
+
+  /**
+   * Price distance between the entry and the stop the size is based on
+   * @param {DexService} dexService - Source of the ATR candles
+   * @param {string} symbol - Trading pair symbol
+   * @param {number} entryPrice - Planned entry price
+   * @param {Object} [stop] - Stop settings
+   * @param {number} [stop.stopPrice] - Explicit stop price from the signal (stop mode)
+   * @param {number} [stop.stopLoss] - Stop loss setting
+   * @param {string} [stop.tpSlMode] - 'percent' or 'dollar'
+   * @param {number} [stop.quantity] - Capital-based quantity a $ stop is spread over (stop mode)
+   * @returns {Promise<number|null>} Distance in price units, or null if there is no stop to size against
+   */
+  async getStopDistance(dexService, symbol, entryPrice, { stopPrice, stopLoss, tpSlMode, quantity } = {}) {
+    if (this.config.mode === 'stop') {
+      if (stopPrice > 0) {
+        return Math.abs(entryPrice - stopPrice) || null
+      }
+
+      const stopLossValue = parseFloat(stopLoss) || 0
+      if (stopLossValue <= 0) {
+        return null
+      }
+
+      // A $ stop (custom strategy blocks) becomes the price move that loses it at the capital-based size
+      if (tpSlMode === 'dollar') {
+        return quantity > 0 ? stopLossValue / quantity : null
+      }
+      return (entryPrice * stopLossValue) / 100
+    }
+
+    const { atrTimeframe, atrPeriod, atrMultiplier } = this.config
+    const candles = await dexService.getKlines(symbol, atrTimeframe, atrPeriod * 2)
+    const atr = IndicatorCalculator.calculateATR(candles, atrPeriod)
+    return atr > 0 ? atr * atrMultiplier : null
+  }
+
+  /**
+   * Notional that loses riskPerTrade when price moves the stop distance against the entry
+   * @param {DexService} dexService - Source of the ATR candles
+   * @param {string} symbol - Trading pair symbol
+   * @param {number} entryPrice - Planned entry price
+   * @param {Object} [stop] - Stop settings (see getStopDistance)
+   * @returns {Promise<number|null>} Notional in USDT, or null for capital sizing (or no usable stop)
+   */
+  async getRiskNotional(dexService, symbol, entryPrice, stop = {}) {
+    const size = await this.getRiskSize(dexService, symbol, entryPrice, stop)
+    return size ? size.notional : null
+  }
+
+  /**
+   * Risk-based notional together with the stop distance it was sized against
+   * @param {DexService} dexService - Source of the ATR candles
+   * @param {string} symbol - Trading pair symbol
+   * @param {number} entryPrice - Planned entry price
+   * @param {Object} [stop] - Stop settings (see getStopDistance)
+   * @returns {Promise<Object|null>} { notional, stopDistance }, or null for capital sizing (or no usable stop)
+   */
+  async getRiskSize(dexService, symbol, entryPrice, stop = {}) {
+    if (!this.isRiskBased() || !(entryPrice > 0)) {
+      return null
+    }
+
+    let stopDistance = null
+    try {
+      stopDistance = await this.getStopDistance(dexService, symbol, entryPrice, stop)
+    } catch (error) {
+      console.warn(`[PositionSizer] Failed to get ${this.config.mode} stop distance for ${symbol}:`, error.message)
+    }
+
+    if (!stopDistance) {
+      console.warn(`[PositionSizer] No ${this.config.mode} stop distance for ${symbol} - using capital sizing`)
+      return null
+    }
+
+    const notional = (this.config.riskPerTrade / stopDistance) * entryPrice
+    console.log(`[PositionSizer] 📐 ${symbol}: $${this.config.riskPerTrade} risk, stop ${((stopDistance / entryPrice) * 100).toFixed(2)}% away → $${notional.toFixed(2)} notional`)
+    return { notional, stopDistance }
+  }
+}
+
+export default PositionSizer
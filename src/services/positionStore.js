@@ -0,0 +1,139 @@
+/**
+ * Position Store
+ *
+ * Persists the tracking metadata the exchange can't give back after a page reload
+ * (strategy, TP/SL settings and price overrides, take profit targets, entry confidence, timestamps) so
+ * OrderManager.reconcile() can re-adopt its positions and orders with their
+ * original settings. Also remembers foreign positions the user chose to ignore.
+ *
+ * Stored per account (exchange id, or 'paper'), like the circuit breaker lock.
+ */
+
+const STORAGE_KEY_PREFIX = 'hopium_tracked_'
+
+// Fields worth restoring - quantities, prices and bracket ids come from the exchange
+const POSITION_FIELDS = ['symbol', 'side', 'strategy', 'takeProfit', 'stopLoss', 'tpSlMode', 'stopDistance', 'takeProfitPrice', 'stopLossPrice', 'takeProfitLadder', 'entryConfidence', 'filledAt']
+const ORDER_FIELDS = ['orderId', 'symbol', 'side', 'strategy', 'takeProfit', 'stopLoss', 'tpSlMode', 'stopDistance', 'ladderId', 'entryConfidence', 'createdAt']
+
+/**
+ * Copy the persisted fields of a tracked entry (drops null/undefined)
+ */
+function pick(source, fields) {
+  const result = {}
+  for (const field of fields) {
+    if (source[field] !== undefined && source[field] !== null) {
+      result[field] = source[field]
+    }
+  }
+  return result
+}
+
+export class PositionStore {
+  /**
+   * @param {string} accountId - Exchange id or 'paper'
+   */
+  constructor(accountId) {
+    this.storageKey = STORAGE_KEY_PREFIX + accountId
+    this.data = { positions: {}, orders: {}, ignored: {} }
+    this.lastSaved = null
+
+    try {
+      const saved = localStorage.getItem(this.storageKey)
+      if (saved) {
+        this.data = { ...this.data, ...JSON.parse(saved) }
+        this.lastSaved = saved
+      }
+    } catch (error) {
+      console.warn('[PositionStore] Failed to load tracked positions:', error.message)
+    }
+  }
+
+  /**
+   * Snapshot the tracked maps (skips the write when nothing changed)
+   * @param {Map} activePositions - symbol -> tracked position
+   * @param {Map} activeOrders - orderId -> tracked order
+   */
+  save(activePositions, activeOrders) {
+    const positions = {}
+    for (const position of activePositions.values()) {
+      positions[position.symbol] = pick(position, POSITION_FIELDS)
+    }
+
+    const orders = {}
+    for (const order of activeOrders.values()) {
+      orders[order.orderId] = pick(order, ORDER_FIELDS)
+    }
+
+    this.data = { ...this.data, positions, orders }
+    this._write()
+  }
+
+  /**
+   * Get stored metadata for a position
+   * @param {string} symbol - Trading pair symbol
+   * @returns {Object|null} Stored position fields
+   */
+  getPosition(symbol) {
+    return this.data.positions[symbol] || null
+  }
+
+  /**
+   * Get stored metadata for an entry order
+   * @param {number|string} orderId - Exchange order id
+   * @returns {Object|null} Stored order fields
+   */
+  getOrder(orderId) {
+    return this.data.orders[orderId] || null
+  }
+
+  /**
+   * Stop flagging a foreign position (until it is closed)
+   * @param {string} symbol - Trading pair symbol
+   * @param {string} side - 'LONG' or 'SHORT'
+   */
+  ignore(symbol, side) {
+    this.data.ignored = { ...this.data.ignored, [symbol]: side }
+    this._write()
+  }
+
+  /**
+   * Check if a foreign position was ignored by the user
+   * @param {string} symbol - Trading pair symbol
+   * @param {string} side - 'LONG' or 'SHORT'
+   * @returns {boolean} True if ignored
+   */
+  isIgnored(symbol, side) {
+    return this.data.ignored[symbol] === side
+  }
+
+  /**
+   * Forget ignored positions that are no longer open (a new position gets flagged again)
+   * @param {Set<string>} openSymbols - Symbols with an open position on the exchange
+   */
+  pruneIgnored(openSymbols) {
+    const ignored = Object.fromEntries(
+      Object.entries(this.data.ignored).filter(([symbol]) => openSymbols.has(symbol))
+    )
+    if (Object.keys(ignored).length === Object.keys(this.data.ignored).length) return
+
+    this.data.ignored = ignored
+    this._write()
+  }
+
+  /**
+   * @private
+   */
+  _write() {
+    const serialized = JSON.stringify(this.data)
+    if (serialized === this.lastSaved) return
+
+    try {
+      localStorage.setItem(this.storageKey, serialized)
+      this.lastSaved = serialized
+    } catch (error) {
+      console.warn('[PositionStore] Failed to save tracked positions:', error.message)
+    }
+  }
+}
+
+export default PositionStore
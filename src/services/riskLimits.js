@@ -0,0 +1,153 @@
+/**
+ * Risk Limits
+ *
+ * Pre-trade checks shared by every OrderManager signal handler:
+ * - Max concurrent positions (open positions + pending entry orders, per symbol)
+ * - Max total notional across all positions/orders
+ * - Max notional per symbol
+ * - Max leverage per symbol (caps sizing rather than blocking)
+ * - Max correlated exposure (same-side notional within a correlation group,
+ *   e.g. an all-long alt basket)
+ *
+ * A limit of 0 disables that check, except maxConcurrentPositions (at least 1).
+ */
+
+export const DEFAULT_RISK_LIMITS = {
+  maxConcurrentPositions: 3,
+  maxTotalNotional: 0, // USDT, 0 = unlimited
+  maxSymbolNotional: 0, // USDT, 0 = unlimited
+  maxLeverage: 0, // 0 = use configured leverage
+  maxLeverageBySymbol: {}, // { BTCUSDT: 50 } overrides maxLeverage
+  maxCorrelatedNotional: 0, // USDT per group and side, 0 = unlimited
+  correlationGroups: {} // { SOLUSDT: 'sol_beta' } overrides the default grouping
+}
+
+// Majors move on their own often enough to get their own group; everything else trades as one alt basket
+const DEFAULT_CORRELATION_GROUPS = {
+  BTCUSDT: 'btc',
+  ETHUSDT: 'eth'
+}
+const DEFAULT_GROUP = 'alts'
+
+// Limits that can't be disabled - below these the default applies
+const MIN_LIMITS = {
+  maxConcurrentPositions: 1
+}
+
+const formatUsd = (value) => `$${value.toFixed(2)}`
+
+export class RiskLimits {
+  /**
+   * @param {Object} [limits] - Overrides for DEFAULT_RISK_LIMITS
+   */
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_RISK_LIMITS }
+    this.update(limits)
+  }
+
+  /**
+   * Update limits (unknown keys are ignored, invalid or too low numbers fall back to defaults)
+   * @param {Object} limits - Partial limits
+   */
+  update(limits = {}) {
+    for (const key of Object.keys(DEFAULT_RISK_LIMITS)) {
+      if (limits[key] === undefined || limits[key] === null || limits[key] === '') continue
+
+      if (typeof DEFAULT_RISK_LIMITS[key] === 'object') {
+        this.limits[key] = { ...limits[key] }
+      } else {
+        const value = parseFloat(limits[key])
+        this.limits[key] = Number.isFinite(value) && value >= (MIN_LIMITS[key] ?? 0) ? value : DEFAULT_RISK_LIMITS[key]
+      }
+    }
+  }
+
+  /**
+   * Get the correlation group for a symbol
+   * @param {string} symbol - Trading pair symbol
+   * @returns {string} Group id
+   */
+  getCorrelationGroup(symbol) {
+    return this.limits.correlationGroups[symbol] || DEFAULT_CORRELATION_GROUPS[symbol] || DEFAULT_GROUP
+  }
+
+  /**
+   * Cap leverage for a symbol
+   * @param {string} symbol - Trading pair symbol
+   * @param {number} leverage - Requested leverage
+   * @returns {number} Leverage within the configured limit
+   */
+  capLeverage(symbol, leverage) {
+    const maxLeverage = parseFloat(this.limits.maxLeverageBySymbol[symbol]) || this.limits.maxLeverage
+    if (maxLeverage > 0 && leverage > maxLeverage) {
+      console.log(`[RiskLimits] Leverage for ${symbol} capped ${leverage}x → ${maxLeverage}x`)
+      return maxLeverage
+    }
+    return leverage
+  }
+
+  /**
+   * Check whether a new entry is allowed
+   * Notional checks only run when entry.notional is provided (sizing happens after the early concurrency check)
+   * @param {Object} entry - Proposed entry
+   * @param {string} entry.symbol - Trading pair symbol
+   * @param {string} entry.side - 'LONG' or 'SHORT'
+   * @param {number} [entry.notional] - Position value in USDT
+   * @param {Array<Object>} exposure - Current exposure [{ symbol, side, notional }] from positions and pending entries
+   * @returns {Object} { allowed, reason }
+   */
+  check(entry, exposure) {
+    const { symbol, side } = entry
+    const notional = parseFloat(entry.notional) || 0
+    const others = exposure.filter(item => item.symbol !== symbol)
+
+    // Concurrency counts symbols, not orders (a split entry is still one position)
+    const activeSymbols = new Set(others.map(item => item.symbol))
+    if (activeSymbols.size >= this.limits.maxConcurrentPositions) {
+      return this._block(`Max ${this.limits.maxConcurrentPositions} concurrent positions reached (${Array.from(activeSymbols).join(', ')}) - skipping ${symbol}`)
+    }
+
+    if (!notional) {
+      return { allowed: true, reason: null }
+    }
+
+    const { maxTotalNotional, maxSymbolNotional, maxCorrelatedNotional } = this.limits
+
+    if (maxSymbolNotional > 0) {
+      const symbolNotional = exposure
+        .filter(item => item.symbol === symbol)
+        .reduce((sum, item) => sum + item.notional, 0)
+      if (symbolNotional + notional > maxSymbolNotional) {
+        return this._block(`${symbol} exposure ${formatUsd(symbolNotional + notional)} would exceed the ${formatUsd(maxSymbolNotional)} per-symbol limit`)
+      }
+    }
+
+    if (maxTotalNotional > 0) {
+      const totalNotional = exposure.reduce((sum, item) => sum + item.notional, 0)
+      if (totalNotional + notional > maxTotalNotional) {
+        return this._block(`Total exposure ${formatUsd(totalNotional + notional)} would exceed the ${formatUsd(maxTotalNotional)} limit - skipping ${symbol}`)
+      }
+    }
+
+    if (maxCorrelatedNotional > 0) {
+      const group = this.getCorrelationGroup(symbol)
+      const correlated = exposure.filter(item => item.side === side && this.getCorrelationGroup(item.symbol) === group)
+      const correlatedNotional = correlated.reduce((sum, item) => sum + item.notional, 0)
+      if (correlatedNotional + notional > maxCorrelatedNotional) {
+        const symbols = Array.from(new Set(correlated.map(item => item.symbol))).join(', ')
+        return this._block(`${side} ${group} exposure ${formatUsd(correlatedNotional + notional)} would exceed the ${formatUsd(maxCorrelatedNotional)} correlated limit${symbols ? ` (${symbols})` : ''} - skipping ${symbol}`)
+      }
+    }
+
+    return { allowed: true, reason: null }
+  }
+
+  /**
+   * @private
+   */
+  _block(reason) {
+    return { allowed: false, reason }
+  }
+}
+
+export default RiskLimits
@@ -0,0 +1,326 @@
+/**
+ * Session Recorder
+ *
+ * Records every message a HopiumWebSocketClient receives, with the time it
+ * arrived, to IndexedDB so a trading session can be exported as NDJSON and
+ * fed back through the handlers with SessionReplay.
+ *
+ * NDJSON export: the first line describes the session, every line after it
+ * is one received message:
+ *   {"session":{"id":"...","label":"...","startedAt":...,"endedAt":...,"messageCount":...}}
+ *   {"receivedAt":1718000000000,"message":{"type":"scalp_indicator",...}}
+ *
+ * @example
+ * ```javascript
+ * const recorder = new SessionRecorder()
+ * await recorder.open()
+ * await recorder.start('momentum BTCUSDT')
+ * wsClient.recorder = recorder
+ * // ...
+ * await recorder.stop()
+ * const ndjson = await recorder.exportNdjson(sessionId)
+ * ```
+ */
+
+import { requestToPromise, transactionDone, openDatabase } from './indexedDb'
+
+const DB_NAME = 'hopium_ws_sessions'
+const DB_VERSION = 1
+
+const SESSIONS_STORE = 'sessions' // One record per recording
+const MESSAGES_STORE = 'messages' // Received messages (auto-increment key keeps arrival order)
+
+const MAX_SESSIONS = 20 // Oldest recordings are deleted beyond this
+const FLUSH_INTERVAL = 1000 // Batch message writes into one transaction per second
+
+/**
+ * Create the recording stores (database upgrade)
+ */
+function createStores(db) {
+  db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' })
+
+  const messages = db.createObjectStore(MESSAGES_STORE, { autoIncrement: true })
+  messages.createIndex('sessionId', 'sessionId')
+}
+
+/**
+ * Parse an NDJSON session export
+ * Lines without a receivedAt (bare server messages) replay back to back
+ * @param {string} text - NDJSON text
+ * @returns {{ session: Object|null, messages: Array<{ receivedAt: number|null, message: Object }> }}
+ * @throws {Error} If a line is not valid JSON or the file holds no messages
+ */
+export function parseNdjson(text) {
+  let session = null
+  const messages = []
+
+  text.split('\n').forEach((line, index) => {
+    if (line.trim() === '') return
+
+    let entry
+    try {
+      entry = JSON.parse(line)
+    } catch (error) {
+      throw new Error(`Line ${index + 1} is not valid JSON: ${error.message}`)
+    }
+
+    if (entry.session) {
+      session = entry.session
+    } else if (entry.message) {
+      messages.push({ receivedAt: Number.isFinite(entry.receivedAt) ? entry.receivedAt : null, message: entry.message })
+    } else if (entry.type) {
+      messages.push({ receivedAt: null, message: entry })
+    }
+  })
+
+  if (messages.length === 0) {
+    throw new Error('No messages found in session file')
+  }
+
+  return { session, messages }
+}
+
+export class SessionRecorder {
+  constructor() {
+    this.db = null
+    this.session = null // Session being recorded
+    this.buffer = [] // Messages waiting for the next flush
+    this.flushTimeout = null
+  }
+
+  /**
+   * Open the database
+   */
+  async open() {
+    if (this.db) return
+    this.db = await openDatabase(DB_NAME, DB_VERSION, createStores)
+  }
+
+  /**
+   * Close the database connection (stops a running recording first)
+   */
+  async close() {
+    await this.stop()
+    if (this.db) {
+      this.db.close()
+      this.db = null
+    }
+  }
+
+  /**
+   * Start a new recording (stops the current one)
+   * @param {string} [label] - Description shown in the session list
+   * @returns {Promise<Object>} Session record
+   */
+  async start(label = '') {
+    if (!this.db) {
+      throw new Error('Session recorder not open')
+    }
+    await this.stop()
+
+    const startedAt = Date.now()
+    this.session = {
+      id: `${startedAt}-${Math.random().toString(36).slice(2, 8)}`,
+      label,
+      startedAt,
+      endedAt: null,
+      messageCount: 0
+    }
+    await this._putSession(this.session)
+    await this._pruneSessions()
+
+    console.log(`[SessionRecorder] ⏺️ Recording session ${this.session.id}${label ? ` (${label})` : ''}`)
+    return { ...this.session }
+  }
+
+  /**
+   * Stop recording (flushes buffered messages)
+   * @returns {Promise<Object|null>} Finished session record, or null if nothing was recording
+   */
+  async stop() {
+    if (!this.session) return null
+
+    const session = this.session
+    await this._flush()
+    this.session = null
+
+    session.endedAt = Date.now()
+    await this._putSession(session)
+
+    console.log(`[SessionRecorder] ⏹️ Recorded ${session.messageCount} message(s) in session ${session.id}`)
+    return { ...session }
+  }
+
+  /**
+   * Check if a recording is running
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this.session !== null
+  }
+
+  /**
+   * Record a received message (buffered, written within FLUSH_INTERVAL)
+   * @param {Object} message - Parsed message as received from the server
+   */
+  record(message) {
+    if (!this.session) return
+
+    this.buffer.push({ sessionId: this.session.id, receivedAt: Date.now(), message })
+    this.session.messageCount++
+
+    if (!this.flushTimeout) {
+      this.flushTimeout = setTimeout(() => {
+        this.flushTimeout = null
+        this._flush().catch(error => {
+          console.warn('[SessionRecorder] Failed to write messages:', error.message)
+        })
+      }, FLUSH_INTERVAL)
+    }
+  }
+
+  /**
+   * List recorded sessions (newest first)
+   * @returns {Promise<Array<Object>>} Session records
+   */
+  async listSessions() {
+    if (!this.db) return []
+
+    const tx = this.db.transaction(SESSIONS_STORE, 'readonly')
+    const sessions = await requestToPromise(tx.objectStore(SESSIONS_STORE).getAll())
+    return sessions.sort((a, b) => b.startedAt - a.startedAt)
+  }
+
+  /**
+   * Get the messages of a session in arrival order
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array<{ receivedAt: number, message: Object }>>}
+   */
+  async getMessages(sessionId) {
+    if (!this.db) return []
+    if (this.session?.id === sessionId) {
+      await this._flush()
+    }
+
+    const tx = this.db.transaction(MESSAGES_STORE, 'readonly')
+    const records = await requestToPromise(tx.objectStore(MESSAGES_STORE).index('sessionId').getAll(sessionId))
+    return records.map(({ receivedAt, message }) => ({ receivedAt, message }))
+  }
+
+  /**
+   * Export a session as NDJSON
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<string>} NDJSON text (session line, then one line per message)
+   */
+  async exportNdjson(sessionId) {
+    const session = (await this.listSessions()).find(s => s.id === sessionId)
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`)
+    }
+
+    const messages = await this.getMessages(sessionId)
+    return [{ session }, ...messages].map(entry => JSON.stringify(entry)).join('\n') + '\n'
+  }
+
+  /**
+   * Store an NDJSON export as a session so it can be replayed
+   * @param {string} text - NDJSON text (see parseNdjson)
+   * @param {string} [label] - Session label (defaults to the exported one)
+   * @returns {Promise<Object>} Imported session record
+   */
+  async importNdjson(text, label) {
+    if (!this.db) {
+      throw new Error('Session recorder not open')
+    }
+
+    const { session: exported, messages } = parseNdjson(text)
+    const importedAt = Date.now()
+    const session = {
+      id: `${importedAt}-${Math.random().toString(36).slice(2, 8)}`,
+      label: label || `Imported: ${exported?.label || exported?.id || 'session'}`,
+      startedAt: messages[0].receivedAt ?? importedAt,
+      endedAt: messages[messages.length - 1].receivedAt ?? importedAt,
+      messageCount: messages.length,
+      importedAt
+    }
+
+    const tx = this.db.transaction([SESSIONS_STORE, MESSAGES_STORE], 'readwrite')
+    tx.objectStore(SESSIONS_STORE).put(session)
+    const store = tx.objectStore(MESSAGES_STORE)
+    for (const { receivedAt, message } of messages) {
+      store.add({ sessionId: session.id, receivedAt, message })
+    }
+    await transactionDone(tx)
+    await this._pruneSessions(session.id)
+
+    console.log(`[SessionRecorder] 📥 Imported ${messages.length} message(s) as session ${session.id}`)
+    return session
+  }
+
+  /**
+   * Delete a session and its messages
+   * @param {string} sessionId - Session ID
+   */
+  async deleteSession(sessionId) {
+    if (!this.db) return
+
+    const tx = this.db.transaction([SESSIONS_STORE, MESSAGES_STORE], 'readwrite')
+    tx.objectStore(SESSIONS_STORE).delete(sessionId)
+    const keys = await requestToPromise(tx.objectStore(MESSAGES_STORE).index('sessionId').getAllKeys(sessionId))
+    for (const key of keys) {
+      tx.objectStore(MESSAGES_STORE).delete(key)
+    }
+    await transactionDone(tx)
+  }
+
+  /**
+   * Write buffered messages and the running message count
+   * @private
+   */
+  async _flush() {
+    if (this.flushTimeout) {
+      clearTimeout(this.flushTimeout)
+      this.flushTimeout = null
+    }
+    if (!this.db || this.buffer.length === 0) return
+
+    const records = this.buffer
+    this.buffer = []
+
+    const tx = this.db.transaction([SESSIONS_STORE, MESSAGES_STORE], 'readwrite')
+    const store = tx.objectStore(MESSAGES_STORE)
+    for (const record of records) {
+      store.add(record)
+    }
+    if (this.session) {
+      tx.objectStore(SESSIONS_STORE).put({ ...this.session })
+    }
+    await transactionDone(tx)
+  }
+
+  /**
+   * Delete the oldest sessions beyond MAX_SESSIONS
+   * Imports count from when they were imported, not from when they were recorded
+   * @param {string} [keepId] - Session that must survive (just imported)
+   * @private
+   */
+  async _pruneSessions(keepId = null) {
+    const addedAt = session => session.importedAt ?? session.startedAt
+    const sessions = (await this.listSessions()).sort((a, b) => addedAt(b) - addedAt(a))
+    for (const session of sessions.slice(MAX_SESSIONS)) {
+      if (session.id === this.session?.id || session.id === keepId) continue
+      await this.deleteSession(session.id)
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _putSession(session) {
+    const tx = this.db.transaction(SESSIONS_STORE, 'readwrite')
+    tx.objectStore(SESSIONS_STORE).put({ ...session })
+    await transactionDone(tx)
+  }
+}
+
+export default SessionRecorder
@@ -0,0 +1,151 @@
+/**
+ * Session Replay
+ *
+ * Feeds a recorded WebSocket session (see SessionRecorder) back through a
+ * HopiumWebSocketClient's _processMessage(), so the same schema validation
+ * and handlers (and with them Smart Mode) run on it as on a live feed.
+ *
+ * - Messages keep their recorded spacing, divided by the speed (1x, 10x);
+ *   'max' plays them back to back
+ * - Each message's handler finishes before the next message is fed, so
+ *   decisions come out in the same order every run
+ * - A dexService with setReplayPrice() (ReplayDexService) is moved to each
+ *   message's price first, so orders fill against the recorded prices
+ *
+ * @example
+ * ```javascript
+ * const dexService = new ReplayDexService()
+ * await dexService.initialize({ startingBalance: 1000 })
+ *
+ * const replay = new SessionReplay(wsClient, dexService)
+ * await replay.play(await recorder.getMessages(sessionId), { speed: REPLAY_SPEEDS['10x'] })
+ * ```
+ */
+
+import { validateMessage, MESSAGE_SCHEMAS } from './websocketSchema'
+
+export const REPLAY_SPEEDS = {
+  '1x': 1,
+  '10x': 10,
+  max: Infinity
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Price a normalized signal carries (current price, or the range trading entry price)
+ */
+function getMessagePrice(normalized) {
+  const { data } = normalized
+  return data.current_price ?? data.summary?.entry?.price ?? null
+}
+
+export class SessionReplay {
+  /**
+   * @param {HopiumWebSocketClient} client - Client with the handlers to replay into (does not need to be connected)
+   * @param {DexService} [dexService] - Simulated exchange to move to the recorded prices (ReplayDexService)
+   */
+  constructor(client, dexService = null) {
+    this.client = client
+    this.dexService = dexService
+    this.playing = false
+    this.stopRequested = false
+  }
+
+  /**
+   * Replay recorded messages
+   * @param {Array<{ receivedAt: number|null, message: Object }>} messages - Recorded messages in arrival order
+   * @param {Object} [options]
+   * @param {number} [options.speed] - Playback speed (see REPLAY_SPEEDS, default 1x)
+   * @param {Function} [options.onProgress] - ({ played, total, receivedAt }) => void, after every message
+   * @returns {Promise<Object>} { played, total, stopped, handlerErrors }
+   */
+  async play(messages, { speed = REPLAY_SPEEDS['1x'], onProgress } = {}) {
+    if (this.playing) {
+      throw new Error('A replay is already running')
+    }
+    if (!(speed > 0)) {
+      throw new Error(`Invalid replay speed: ${speed}`)
+    }
+
+    this.playing = true
+    this.stopRequested = false
+    let played = 0
+    let handlerErrors = 0
+    let previousAt = null
+
+    console.log(`[SessionReplay] ▶️ Replaying ${messages.length} message(s) at ${speed === Infinity ? 'max' : `${speed}x`} speed`)
+
+    try {
+      for (const { receivedAt, message } of messages) {
+        if (this.stopRequested) break
+
+        // Recorded gap to the previous message, scaled by the speed
+        if (speed !== Infinity && previousAt !== null && receivedAt !== null) {
+          const delay = (receivedAt - previousAt) / speed
+          if (delay > 0) await sleep(delay)
+          if (this.stopRequested) break
+        }
+        if (receivedAt !== null) previousAt = receivedAt
+
+        await this._updatePrice(message, receivedAt)
+
+        try {
+          await this.client._processMessage(message)
+        } catch (error) {
+          handlerErrors++
+          console.error(`[SessionReplay] Handler failed on message ${played + 1} (${message?.type}):`, error)
+        }
+
+        played++
+        if (onProgress) {
+          onProgress({ played, total: messages.length, receivedAt })
+        }
+
+        // Let timers and UI updates run between back to back messages
+        if (speed === Infinity) await sleep(0)
+      }
+    } finally {
+      this.playing = false
+    }
+
+    const stopped = played < messages.length
+    console.log(`[SessionReplay] ${stopped ? '⏹️ Stopped' : '✅ Finished'} after ${played}/${messages.length} message(s)${handlerErrors ? ` (${handlerErrors} handler error(s))` : ''}`)
+    return { played, total: messages.length, stopped, handlerErrors }
+  }
+
+  /**
+   * Stop a running replay after the current message
+   */
+  stop() {
+    this.stopRequested = true
+  }
+
+  /**
+   * Check if a replay is running
+   * @returns {boolean}
+   */
+  isPlaying() {
+    return this.playing
+  }
+
+  /**
+   * Move the simulated exchange to the price a message carries
+   * @private
+   */
+  async _updatePrice(message, receivedAt) {
+    if (!this.dexService?.setReplayPrice || !MESSAGE_SCHEMAS[message?.type]) return
+
+    const result = validateMessage(message)
+    if (!result.valid || !result.message.symbol) return
+
+    const price = getMessagePrice(result.message)
+    if (price !== null) {
+      await this.dexService.setReplayPrice(result.message.symbol, price, receivedAt ?? Date.now())
+    }
+  }
+}
+
+export default SessionReplay
@@ -0,0 +1,173 @@
+/**
+ * Signal Adapters
+ *
+ * Translate each server strategy's signal payload into the common entry signal
+ * consumed by OrderManager.processSignal():
+ *   { symbol, side, entryPrice, confidence, skipReason, details }
+ *
+ * Everything after normalization (confidence filter, risk limits, sizing, order
+ * routing and tracking) is shared, so a new server strategy only needs an entry
+ * here plus its client order prefix in orderManager.js.
+ *
+ * skipReason is set when the signal must not open a position (missing fields,
+ * NEUTRAL side, strategy-specific vetoes). details is only logged.
+ *
+ * A signal may also override the global settings for its own entry:
+ *   { leverage, positionSize, takeProfit, stopLoss, tpSlMode, ladder }
+ * throwOnError adapters rethrow order failures to the caller instead of onError.
+ */
+
+/**
+ * Normalize the fields shared by limit_price based strategies
+ */
+function normalizeLimitSignal(data) {
+  const signal = {
+    symbol: data?.symbol,
+    side: data?.side,
+    entryPrice: parseFloat(data?.limit_price) || 0,
+    confidence: data?.confidence || 'unknown',
+    skipReason: null,
+    details: {}
+  }
+
+  if (!signal.symbol || !signal.side || !data.limit_price) {
+    signal.skipReason = 'Missing required fields (symbol, side, limit_price)'
+  } else if (signal.side === 'NEUTRAL') {
+    signal.skipReason = 'NEUTRAL signal'
+  }
+  return signal
+}
+
+export const SIGNAL_ADAPTERS = {
+  // Range trading summary messages ({ symbol, data: { summary: { entry } } })
+  range_trading: {
+    label: 'range trading',
+    clientOrderPrefix: 'hopium_',
+    normalize(data) {
+      const entry = data?.data?.summary?.entry
+      const signal = {
+        symbol: data?.symbol,
+        side: entry?.side,
+        entryPrice: parseFloat(entry?.price) || 0,
+        // The summary entry is itself the recommendation - it only carries a confidence on some feeds
+        confidence: entry?.confidence || data?.data?.confidence || 'high',
+        skipReason: null,
+        details: {
+          risk_reward: data?.data?.risk_reward,
+          confluence_score: data?.data?.confluence_score
+        }
+      }
+
+      if (!entry) {
+        signal.skipReason = 'No entry recommendation'
+      } else if (!signal.symbol || !signal.side || !signal.entryPrice) {
+        signal.skipReason = 'Missing required fields (symbol, entry.side, entry.price)'
+      } else if (signal.side === 'NEUTRAL') {
+        signal.skipReason = 'NEUTRAL signal'
+      }
+      return signal
+    }
+  },
+
+  scalp: {
+    label: 'scalp',
+    clientOrderPrefix: 'hopium_scalp_',
+    normalize: normalizeLimitSignal
+  },
+
+  momentum: {
+    label: 'momentum',
+    clientOrderPrefix: 'hopium_momentum_',
+    normalize(data) {
+      const signal = normalizeLimitSignal(data)
+      if (!signal.skipReason && data.trend_alignment === 'CONFLICTED') {
+        signal.skipReason = 'CONFLICTED trend alignment'
+      }
+      signal.details = {
+        trend_1h: data?.trend_1h,
+        trend_4h: data?.trend_4h,
+        trend_alignment: data?.trend_alignment,
+        confluence_score: data?.confluence_score
+      }
+      return signal
+    }
+  },
+
+  momentum_x: {
+    label: 'momentum X',
+    clientOrderPrefix: 'hopium_momentumx_',
+    normalize(data) {
+      const signal = normalizeLimitSignal(data)
+      if (!signal.skipReason && data.market_regime === 'FLAT') {
+        signal.skipReason = 'FLAT market regime'
+      }
+      signal.details = {
+        market_regime: data?.market_regime,
+        layer_score: data?.layer_score,
+        delta_trend: data?.delta_trend,
+        orderbook_pressure: data?.orderbook_pressure,
+        atr: data?.atr,
+        in_fvg_zone: data?.in_fvg_zone
+      }
+      return signal
+    }
+  },
+
+  // Strategy Builder open_long/open_short/open_ladder blocks (StrategyRunner)
+  custom: {
+    label: 'custom strategy',
+    clientOrderPrefix: 'hopium_custom_',
+    throwOnError: true,
+    normalize(data) {
+      const signal = normalizeLimitSignal(data)
+      const leverage = parseFloat(data?.leverage) || 0
+      const positionSize = parseFloat(data?.positionSize) || 0
+
+      if (leverage > 0) signal.leverage = leverage
+      if (positionSize > 0) signal.positionSize = positionSize
+
+      // Block TP/SL are dollar amounts, 0 = none (global TP/SL settings don't apply)
+      signal.takeProfit = parseFloat(data?.takeProfit) || 0
+      signal.stopLoss = parseFloat(data?.stopLoss) || 0
+      signal.tpSlMode = 'dollar'
+
+      // Only open_ladder blocks scale in - the ladder selected for server strategies doesn't apply
+      signal.ladder = data?.ladder ? { ...data.ladder, enabled: true } : null
+
+      signal.details = { strategy_id: data?.strategy_id }
+      return signal
+    }
+  },
+
+  orderbook: {
+    label: 'order book trading',
+    clientOrderPrefix: 'hopium_orderbook_',
+    normalize(data) {
+      // Use low end of trigger zone for entry (more conservative)
+      const triggerZone = data?.entry?.trigger_zone || []
+      const signal = {
+        symbol: data?.symbol,
+        side: data?.side,
+        entryPrice: triggerZone.length >= 2 ? parseFloat(triggerZone[0]) : 0,
+        confidence: data?.confidence || 'unknown',
+        skipReason: null,
+        details: {
+          triggerZone,
+          bias_score: data?.bias_score,
+          cvd_slope: data?.cvd_slope,
+          obi: data?.obi,
+          spoof_velocity: data?.spoof_detection?.wall_velocity
+        }
+      }
+
+      if (!signal.symbol || !signal.side || !data.entry) {
+        signal.skipReason = 'Missing required fields (symbol, side, entry)'
+      } else if (signal.side === 'NEUTRAL') {
+        signal.skipReason = 'NEUTRAL signal'
+      }
+      return signal
+    }
+  }
+}
+
+export default SIGNAL_ADAPTERS
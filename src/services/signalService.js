@@ -0,0 +1,237 @@
+/**
+ * Signal Service
+ *
+ * Keeps the latest server signal per symbol + strategy so custom strategies
+ * (StrategyRunner signal blocks) can read live data synchronously instead of
+ * polling.
+ *
+ * Uses its own HopiumWebSocketClient: the main PerpFarming client has trading
+ * handlers attached, so subscribing there would place orders on every signal.
+ *
+ * @example
+ * ```javascript
+ * const signalService = new SignalService()
+ * await signalService.connect(authService.getToken())
+ * signalService.watch('BTCUSDT', 'momentum')
+ *
+ * const signal = signalService.getLatestSignal('BTCUSDT', 'momentum')
+ * // { symbol, strategy, side, confidence, price, limitPrice, tpPrice, slPrice, reasoning, receivedAt, raw }
+ * ```
+ */
+
+import { HopiumWebSocketClient } from './websocket'
+
+export const SIGNAL_STRATEGIES = ['scalp', 'momentum', 'momentum_x', 'orderbook', 'range_trading']
+
+const DEFAULT_MAX_AGE = 5 * 60 * 1000 // Signals older than this are treated as missing
+
+/**
+ * Build the map key for a symbol + strategy pair
+ */
+function signalKey(symbol, strategy) {
+  return `${symbol}:${strategy}`
+}
+
+/**
+ * Map an indicator message (scalp, momentum, momentum_x, orderbook) to a signal
+ * The client has already validated it - numbers are numbers, side is upper case
+ */
+function normalizeIndicator(strategy, message) {
+  const { data } = message
+
+  return {
+    symbol: message.symbol,
+    strategy,
+    side: data.side,
+    confidence: data.confidence,
+    price: data.current_price,
+    limitPrice: data.limit_price ?? data.entry?.trigger_zone?.[0] ?? null,
+    tpPrice: data.tp_price ?? data.entry?.take_profit ?? null,
+    slPrice: data.sl_price ?? data.entry?.stop_loss ?? null,
+    reasoning: data.reasoning
+  }
+}
+
+/**
+ * Map a range trading summary to a signal (null while there is no entry setup)
+ */
+function normalizeSummary(message) {
+  const { data } = message
+  const entry = data.summary.entry
+  if (!entry) return null
+
+  return {
+    symbol: message.symbol,
+    strategy: 'range_trading',
+    side: entry.side,
+    confidence: entry.confidence || data.summary.confidence || null,
+    price: entry.price,
+    limitPrice: entry.price,
+    tpPrice: data.tp_price,
+    slPrice: data.sl_price,
+    reasoning: entry.reasoning
+  }
+}
+
+export class SignalService {
+  /**
+   * @param {HopiumWebSocketClient} [client] - Optional client (defaults to a dedicated one)
+   */
+  constructor(client = null) {
+    this.client = client || new HopiumWebSocketClient()
+    this.signals = new Map() // symbol:strategy -> normalized signal
+    this.watchers = new Map() // symbol:strategy -> { symbol, strategy, count }
+
+    this.client.onScalpIndicator = (message) => this._store(normalizeIndicator('scalp', message), message)
+    this.client.onMomentumIndicator = (message) => this._store(normalizeIndicator('momentum', message), message)
+    this.client.onMomentumX = (message) => this._store(normalizeIndicator('momentum_x', message), message)
+    this.client.onOrderBookSignal = (message) => this._store(normalizeIndicator('orderbook', message), message)
+    this.client.onSummary = (message) => this._store(normalizeSummary(message), message)
+    this.client.onConnect = () => this._resubscribe()
+    this.client.onError = (error) => {
+      console.warn('[SignalService] WebSocket error:', error.payload?.error || 'Unknown error')
+    }
+  }
+
+  /**
+   * Connect the underlying WebSocket client
+   * @param {string} token - JWT authentication token
+   */
+  async connect(token) {
+    await this.client.connect(token)
+    console.log('[SignalService] ✅ Connected')
+  }
+
+  /**
+   * Swap in a refreshed auth token without dropping the connection
+   * @param {string} token - New JWT authentication token
+   */
+  setToken(token) {
+    this.client.setToken(token)
+  }
+
+  /**
+   * Disconnect and drop all cached signals
+   */
+  disconnect() {
+    this.client.disconnect()
+    this.signals.clear()
+    this.watchers.clear()
+  }
+
+  /**
+   * Start receiving signals for a symbol + strategy (reference counted)
+   * Safe to call before connect() - watched pairs are subscribed on connect
+   * @param {string} symbol - Trading pair symbol
+   * @param {string} strategy - Server strategy ('scalp', 'momentum', 'momentum_x', 'orderbook', 'range_trading')
+   */
+  watch(symbol, strategy) {
+    if (!SIGNAL_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown signal strategy: ${strategy}`)
+    }
+
+    const key = signalKey(symbol, strategy)
+    const watcher = this.watchers.get(key)
+    if (watcher) {
+      watcher.count++
+      return
+    }
+
+    this.watchers.set(key, { symbol, strategy, count: 1 })
+    if (this.client.isConnected()) {
+      this._subscribe(symbol, strategy)
+    }
+  }
+
+  /**
+   * Stop receiving signals for a symbol + strategy once no runner needs it
+   * @param {string} symbol - Trading pair symbol
+   * @param {string} strategy - Server strategy
+   */
+  unwatch(symbol, strategy) {
+    const key = signalKey(symbol, strategy)
+    const watcher = this.watchers.get(key)
+    if (!watcher) return
+
+    watcher.count--
+    if (watcher.count > 0) return
+
+    this.watchers.delete(key)
+    this.signals.delete(key)
+
+    // Server unsubscribes per symbol - keep it while another strategy still uses it
+    const symbolInUse = Array.from(this.watchers.values()).some(w => w.symbol === symbol)
+    if (!symbolInUse && this.client.isConnected()) {
+      try {
+        this.client.unsubscribe(symbol)
+      } catch (error) {
+        console.warn(`[SignalService] Failed to unsubscribe ${symbol}:`, error.message)
+      }
+    }
+  }
+
+  /**
+   * Get the latest signal for a symbol + strategy
+   * @param {string} symbol - Trading pair symbol
+   * @param {string} [strategy] - Server strategy (default 'momentum')
+   * @param {number} [maxAge] - Ignore signals older than this (ms)
+   * @returns {Object|null} Normalized signal, or null if none/stale
+   */
+  getLatestSignal(symbol, strategy = 'momentum', maxAge = DEFAULT_MAX_AGE) {
+    const signal = this.signals.get(signalKey(symbol, strategy))
+    if (!signal) return null
+    if (Date.now() - signal.receivedAt > maxAge) return null
+    return signal
+  }
+
+  /**
+   * Check if the underlying client is connected
+   * @returns {boolean} True if connected
+   */
+  isConnected() {
+    return this.client.isConnected()
+  }
+
+  /**
+   * Store a normalized signal
+   * @private
+   */
+  _store(signal, raw) {
+    if (!signal || !signal.symbol) {
+      console.warn('[SignalService] Ignoring malformed signal:', raw)
+      return
+    }
+
+    const key = signalKey(signal.symbol, signal.strategy)
+    if (!this.watchers.has(key)) return
+
+    this.signals.set(key, { ...signal, receivedAt: Date.now(), raw })
+  }
+
+  /**
+   * Subscribe a symbol + strategy on the server
+   * @private
+   */
+  _subscribe(symbol, strategy) {
+    try {
+      this.client.subscribe(symbol, strategy)
+      console.log(`[SignalService] 📡 Subscribed to ${symbol} (${strategy})`)
+    } catch (error) {
+      console.warn(`[SignalService] Failed to subscribe ${symbol} (${strategy}):`, error.message)
+    }
+  }
+
+  /**
+   * Subscribe watched pairs the client doesn't know about yet (watched before connect)
+   * Pairs it already subscribed are restored by the client itself on reconnect
+   * @private
+   */
+  _resubscribe() {
+    for (const { symbol, strategy } of this.watchers.values()) {
+      if (this.client.hasSubscription(symbol, strategy)) continue
+      this._subscribe(symbol, strategy)
+    }
+  }
+}
+
+export default SignalService
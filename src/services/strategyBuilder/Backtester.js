@@ -0,0 +1,661 @@
+// Strategy backtesting engine
+// Replays historical klines through StrategyRunner's condition/action logic bar by bar
+
+import { StrategyRunner } from './StrategyRunner';
+import AsterApiClient from '../dex/aster/AsterApiClient';
+import { buildLadder, getLadderAveragePrice } from '../entryLadder';
+import { TAKER_FEE } from '../../components/sections/perpFarming/constants';
+
+const INTERVAL_MS = {
+  '1m': 60 * 1000,
+  '3m': 3 * 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '30m': 30 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '2h': 2 * 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '6h': 6 * 60 * 60 * 1000,
+  '8h': 8 * 60 * 60 * 1000,
+  '12h': 12 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+const LOOKBACK_CANDLES = 100; // Same window StrategyRunner fetches live
+const KLINES_PAGE_LIMIT = 1500; // Max klines per request
+const EQUITY_SAMPLE_INTERVAL = 60 * 60 * 1000; // Hourly equity samples (chart + Sharpe)
+const HOURS_PER_YEAR = 24 * 365;
+const MAINTENANCE_MARGIN_RATE = 0.005;
+
+// Condition blocks that read candles - StrategyRunner uses 15m when they have no timeframe
+const CANDLE_CONDITIONS = ['price_crossed_above', 'price_crossed_below', 'rsi', 'macd', 'ema_cross'];
+const DEFAULT_CONDITION_TIMEFRAME = '15m';
+
+export class Backtester {
+  /**
+   * @param {Object} strategy - Strategy Builder strategy
+   * @param {Object} options
+   * @param {number} options.initialBalance - Starting balance in USDT (default 1000)
+   * @param {number} options.feeRate - Fee per fill (default taker fee, entries/exits are market orders)
+   * @param {string} options.baseInterval - Bar size used to step through time (default '1m')
+   */
+  constructor(strategy, options = {}) {
+    this.strategy = strategy;
+    this.initialBalance = options.initialBalance || 1000;
+    this.feeRate = options.feeRate !== undefined ? options.feeRate : TAKER_FEE;
+    this.baseInterval = options.baseInterval || '1m';
+  }
+
+  /**
+   * Fetch klines from /fapi/v1/klines (paginated) and run the backtest
+   * @param {Object} range
+   * @param {number} range.startTime - Backtest start (ms)
+   * @param {number} range.endTime - Backtest end (ms)
+   * @param {Function} onProgress - Optional (message) => void
+   */
+  async runFromExchange({ startTime, endTime }, onProgress = null) {
+    const { symbol } = this.strategy;
+    const timeframes = this.getRequiredTimeframes();
+    const candlesByTf = {};
+
+    for (const tf of timeframes) {
+      // Fetch enough history before the start for indicator warm-up
+      const warmupStart = startTime - LOOKBACK_CANDLES * INTERVAL_MS[tf];
+      if (onProgress) onProgress(`Fetching ${symbol} ${tf} klines...`);
+      candlesByTf[tf] = await Backtester.fetchKlines(symbol, tf, warmupStart, endTime);
+    }
+
+    if (onProgress) onProgress('Running backtest...');
+    return this.run(candlesByTf, startTime);
+  }
+
+  /**
+   * Run the backtest on imported CSV candles
+   * Higher timeframes used by the strategy are aggregated from the CSV bars
+   * @param {string} csvText - CSV with open_time, open, high, low, close[, volume] columns
+   */
+  async runFromCSV(csvText) {
+    const candles = Backtester.parseCSV(csvText);
+    if (candles.length < 2) {
+      throw new Error('CSV must contain at least 2 candles');
+    }
+
+    const baseMs = candles[1][0] - candles[0][0];
+    const baseInterval = Object.keys(INTERVAL_MS).find(tf => INTERVAL_MS[tf] === baseMs);
+    if (!baseInterval) {
+      throw new Error('Could not detect candle interval from CSV (use 1m-1d candles)');
+    }
+    this.baseInterval = baseInterval;
+
+    const candlesByTf = {};
+    for (const tf of this.getRequiredTimeframes()) {
+      if (INTERVAL_MS[tf] < baseMs) {
+        throw new Error(`Strategy uses ${tf} candles but CSV is ${baseInterval}`);
+      }
+      candlesByTf[tf] = tf === baseInterval ? candles : Backtester.aggregateCandles(candles, tf);
+    }
+
+    // First LOOKBACK_CANDLES bars of the largest timeframe are used for warm-up
+    const largestTf = this.getRequiredTimeframes().reduce((a, b) => (INTERVAL_MS[a] >= INTERVAL_MS[b] ? a : b));
+    const warmupEnd = candles[0][0] + LOOKBACK_CANDLES * INTERVAL_MS[largestTf];
+    const startTime = warmupEnd < candles[candles.length - 1][0] ? warmupEnd : candles[0][0];
+
+    return this.run(candlesByTf, startTime);
+  }
+
+  /**
+   * Get timeframes needed: base stepping interval + every timeframe a condition reads
+   */
+  getRequiredTimeframes() {
+    const timeframes = new Set([this.baseInterval]);
+
+    for (const block of this.strategy.blocks.conditions) {
+      if (block.params && block.params.timeframe) {
+        timeframes.add(block.params.timeframe);
+      } else if (CANDLE_CONDITIONS.includes(block.type)) {
+        timeframes.add(DEFAULT_CONDITION_TIMEFRAME);
+      }
+    }
+
+    return Array.from(timeframes).filter(tf => INTERVAL_MS[tf]);
+  }
+
+  /**
+   * Replay candles bar by bar
+   * @param {Object} candlesByTf - { [timeframe]: Binance-format kline arrays, oldest first }
+   * @param {number} startTime - First bar to trade (earlier bars are warm-up only)
+   * @returns {Object} { trades, equityCurve, stats, warnings }
+   */
+  async run(candlesByTf, startTime) {
+    const baseCandles = candlesByTf[this.baseInterval];
+    if (!baseCandles || baseCandles.length === 0) {
+      throw new Error('No candles to backtest');
+    }
+
+    const warnings = [];
+    const strategy = { ...this.strategy, lastAction: null };
+    const usesSignal = strategy.blocks.conditions.some(
+      block => block.type === 'signal_side' || block.type === 'signal_confidence'
+    );
+    if (usesSignal) {
+      warnings.push('Server signal blocks cannot be backtested and always evaluate to false');
+    }
+
+    // Simulated account
+    this.balance = this.initialBalance;
+    this.position = null;
+    this.pendingRungs = []; // Unfilled open_ladder orders
+    this.trades = [];
+    this.currentBar = null;
+
+    // Drive the real StrategyRunner evaluation/action code against the simulated account
+    const runner = new StrategyRunner(strategy, this.createOrderManager(), null);
+    runner.silent = true;
+
+    const pointers = {};
+    for (const tf of Object.keys(candlesByTf)) {
+      pointers[tf] = 0;
+    }
+
+    const evaluationStep = Math.max(strategy.interval || 60, 1) * 1000;
+    const cooldownMs = (strategy.cooldown || 0) * 1000;
+    let lastEvaluation = -Infinity;
+    let lastActionTime = -Infinity;
+
+    const equityCurve = [];
+    let nextEquitySample = startTime;
+    let peakEquity = this.initialBalance;
+    let maxDrawdown = 0;
+    let maxDrawdownPct = 0;
+
+    for (const bar of baseCandles) {
+      const openTime = bar[0];
+      if (openTime < startTime) continue;
+
+      const closeTime = openTime + INTERVAL_MS[this.baseInterval];
+      const candle = {
+        openTime,
+        closeTime,
+        high: parseFloat(bar[2]),
+        low: parseFloat(bar[3]),
+        close: parseFloat(bar[4])
+      };
+      this.currentBar = candle;
+
+      // 1. Ladder fills, then exits inside the bar (TP/SL/liquidation)
+      this.fillLadderRungs(candle);
+      this.checkExits(candle);
+
+      // 2. Evaluate strategy at bar close when the interval has elapsed
+      if (closeTime - lastEvaluation >= evaluationStep) {
+        lastEvaluation = closeTime;
+
+        if (closeTime - lastActionTime >= cooldownMs) {
+          const context = {
+            price: candle.close,
+            position: this.getPositionSnapshot(candle.close),
+            candles: this.getClosedCandles(candlesByTf, pointers, closeTime),
+            signals: {},
+            timestamp: closeTime
+          };
+
+          const conditionsPassed = await runner.evaluateConditions(context);
+          if (conditionsPassed) {
+            const results = await runner.executeActions(context);
+            if (results.some(result => result.success && result.result)) {
+              lastActionTime = closeTime;
+            }
+          }
+        }
+      }
+
+      // 3. Mark-to-market equity
+      const equity = this.getEquity(candle.close);
+      if (equity > peakEquity) {
+        peakEquity = equity;
+      }
+      const drawdown = peakEquity - equity;
+      if (drawdown > maxDrawdown) {
+        maxDrawdown = drawdown;
+        maxDrawdownPct = peakEquity > 0 ? (drawdown / peakEquity) * 100 : 0;
+      }
+
+      if (closeTime >= nextEquitySample) {
+        equityCurve.push({ time: closeTime, equity });
+        nextEquitySample = closeTime + EQUITY_SAMPLE_INTERVAL;
+      }
+    }
+
+    // Close anything left open at the last price
+    if (this.position && this.currentBar) {
+      this.closePosition(this.currentBar.close, 'End of backtest', this.currentBar.closeTime);
+    }
+
+    if (this.currentBar) {
+      equityCurve.push({ time: this.currentBar.closeTime, equity: this.balance });
+    }
+
+    return {
+      trades: this.trades,
+      equityCurve,
+      stats: this.calculateStats(equityCurve, maxDrawdown, maxDrawdownPct),
+      warnings,
+      startTime,
+      endTime: this.currentBar ? this.currentBar.closeTime : startTime
+    };
+  }
+
+  /**
+   * Minimal OrderManager stand-in for StrategyRunner actions
+   */
+  createOrderManager() {
+    return {
+      signalService: null,
+      handleCustomSignal: async (signal) => this.openPosition(signal),
+      modifyProtectiveLevels: async (symbol, levels) => this.modifyProtectiveLevels(levels),
+      onClosePosition: async () => {
+        if (!this.position) return null;
+        return this.closePosition(this.currentBar.close, 'Close block', this.currentBar.closeTime);
+      }
+    };
+  }
+
+  /**
+   * Open a simulated position from a StrategyRunner open_long/open_short/open_ladder signal
+   * Ladder rungs below (LONG) / above (SHORT) the close stay pending until a bar reaches them
+   */
+  openPosition(signal) {
+    // Live handlers skip new entries while a position or ladder is open
+    if (this.position || this.pendingRungs.length > 0) {
+      return null;
+    }
+
+    const price = this.currentBar.close;
+    const leverage = signal.leverage || 1;
+    const sizePercent = signal.positionSize || 10;
+    const margin = this.balance * (sizePercent / 100);
+    if (margin <= 0) {
+      return null;
+    }
+
+    const order = {
+      side: signal.side,
+      leverage,
+      takeProfit: signal.takeProfit || 0,
+      stopLoss: signal.stopLoss || 0
+    };
+
+    if (signal.ladder) {
+      const rungs = buildLadder({ side: signal.side, entryPrice: price, notional: margin * leverage, ladder: signal.ladder });
+      this.pendingRungs = rungs.map(rung => ({ ...order, ...rung }));
+
+      // The first rung sits at the current price
+      this.fillLadderRungs({ low: price, high: price, closeTime: this.currentBar.closeTime });
+
+      return {
+        ladderId: 'backtest',
+        side: signal.side,
+        entryPrice: getLadderAveragePrice(rungs),
+        quantity: rungs.reduce((sum, rung) => sum + rung.quantity, 0),
+        leverage,
+        orders: rungs
+      };
+    }
+
+    const quantity = (margin * leverage) / price;
+    this.fillRung({ ...order, price, quantity }, this.currentBar.closeTime);
+
+    return { side: signal.side, entryPrice: price, quantity, leverage };
+  }
+
+  /**
+   * Fill pending ladder rungs the bar traded through
+   */
+  fillLadderRungs(candle) {
+    if (this.pendingRungs.length === 0) return;
+
+    this.pendingRungs = this.pendingRungs.filter(rung => {
+      const reached = rung.side === 'LONG' ? candle.low <= rung.price : candle.high >= rung.price;
+      if (reached) {
+        this.fillRung(rung, candle.closeTime);
+      }
+      return !reached;
+    });
+  }
+
+  /**
+   * Add a fill to the simulated position (opens it on the first fill)
+   * The entry price is the quantity-weighted average of the fills
+   */
+  fillRung(rung, time) {
+    const fee = rung.quantity * rung.price * this.feeRate;
+    this.balance -= fee;
+
+    const direction = rung.side === 'LONG' ? 1 : -1;
+    const position = this.position || {
+      side: rung.side,
+      direction,
+      entryPrice: 0,
+      entryTime: time,
+      quantity: 0,
+      leverage: rung.leverage,
+      margin: 0,
+      fees: 0,
+      takeProfit: rung.takeProfit, // Dollars, 0 once modify_tp_sl fixes the price
+      stopLoss: rung.stopLoss,
+      takeProfitPrice: null,
+      stopLossPrice: null
+    };
+
+    const quantity = position.quantity + rung.quantity;
+    const entryPrice = (position.entryPrice * position.quantity + rung.price * rung.quantity) / quantity;
+
+    position.quantity = quantity;
+    position.entryPrice = entryPrice;
+    position.margin += (rung.quantity * rung.price) / rung.leverage;
+    position.fees += fee;
+
+    // Dollar TP/SL follow the averaged entry and the larger size
+    if (position.takeProfit) {
+      position.takeProfitPrice = entryPrice + direction * (position.takeProfit / quantity);
+    }
+    if (position.stopLoss) {
+      position.stopLossPrice = entryPrice - direction * (position.stopLoss / quantity);
+    }
+    position.liquidationPrice = entryPrice * (1 - direction * (1 / position.leverage - MAINTENANCE_MARGIN_RATE));
+
+    this.position = position;
+  }
+
+  /**
+   * Move TP/SL of the simulated position (modify_tp_sl block)
+   * Percent mode: price move % from entry; dollar mode: PnL amount; price mode: absolute trigger prices
+   */
+  modifyProtectiveLevels({ takeProfit = 0, stopLoss = 0, mode = 'percent' }) {
+    const position = this.position;
+    if (!position) {
+      throw new Error('No open position');
+    }
+
+    const before = { takeProfitPrice: position.takeProfitPrice, stopLossPrice: position.stopLossPrice };
+    const toPrice = (value, direction) => {
+      if (mode === 'price') return value;
+      if (mode === 'dollar') return position.entryPrice + direction * value / position.quantity;
+      return position.entryPrice * (1 + direction * value / 100);
+    };
+
+    if (takeProfit > 0) {
+      position.takeProfitPrice = toPrice(takeProfit, position.direction);
+      position.takeProfit = 0; // Later ladder fills keep this price
+    }
+    if (stopLoss > 0) {
+      position.stopLossPrice = toPrice(stopLoss, -position.direction);
+      position.stopLoss = 0;
+    }
+
+    return { before, after: { takeProfitPrice: position.takeProfitPrice, stopLossPrice: position.stopLossPrice } };
+  }
+
+  /**
+   * Check TP/SL/liquidation against the bar range
+   * When several levels are inside one bar, the worst outcome is assumed -
+   * except that a stop between entry and the liquidation price always fills first
+   */
+  checkExits(candle) {
+    const position = this.position;
+    if (!position) return;
+
+    const isLong = position.direction === 1;
+    const hit = (level) => level !== null && (isLong ? candle.low <= level : candle.high >= level);
+    const hitAbove = (level) => level !== null && (isLong ? candle.high >= level : candle.low <= level);
+
+    const stopBeforeLiquidation = position.stopLossPrice !== null && (
+      position.liquidationPrice === null ||
+      (isLong ? position.stopLossPrice >= position.liquidationPrice : position.stopLossPrice <= position.liquidationPrice)
+    );
+
+    if (stopBeforeLiquidation && hit(position.stopLossPrice)) {
+      this.closePosition(position.stopLossPrice, 'Stop loss', candle.closeTime);
+    } else if (hit(position.liquidationPrice)) {
+      // No stop, or the stop lies beyond the liquidation price
+      this.closePosition(position.liquidationPrice, 'Liquidation', candle.closeTime);
+    } else if (hitAbove(position.takeProfitPrice)) {
+      this.closePosition(position.takeProfitPrice, 'Take profit', candle.closeTime);
+    }
+  }
+
+  /**
+   * Close the simulated position and record the trade
+   */
+  closePosition(price, reason, time) {
+    const position = this.position;
+    if (!position) return null;
+
+    const exitFee = position.quantity * price * this.feeRate;
+    let grossPnl = (price - position.entryPrice) * position.quantity * position.direction;
+
+    // Isolated margin: a liquidation cannot lose more than the position margin
+    if (reason === 'Liquidation') {
+      grossPnl = -position.margin;
+    }
+
+    this.balance += grossPnl - exitFee;
+
+    const trade = {
+      side: position.side,
+      entryTime: position.entryTime,
+      exitTime: time,
+      entryPrice: position.entryPrice,
+      exitPrice: price,
+      quantity: position.quantity,
+      leverage: position.leverage,
+      fees: position.fees + exitFee,
+      pnl: grossPnl - position.fees - exitFee,
+      reason
+    };
+    this.trades.push(trade);
+    this.position = null;
+    this.pendingRungs = []; // Unfilled ladder rungs are cancelled with the position
+
+    return trade;
+  }
+
+  /**
+   * Position in /fapi/v2/positionRisk shape (what StrategyRunner conditions read)
+   */
+  getPositionSnapshot(price) {
+    if (!this.position) {
+      return { positionAmt: '0', entryPrice: '0', unRealizedProfit: '0' };
+    }
+
+    const { direction, quantity, entryPrice } = this.position;
+    return {
+      positionAmt: String(direction * quantity),
+      entryPrice: String(entryPrice),
+      unRealizedProfit: String((price - entryPrice) * quantity * direction)
+    };
+  }
+
+  /**
+   * Balance plus unrealized PnL
+   */
+  getEquity(price) {
+    if (!this.position) {
+      return this.balance;
+    }
+    const { direction, quantity, entryPrice } = this.position;
+    return this.balance + (price - entryPrice) * quantity * direction;
+  }
+
+  /**
+   * Last LOOKBACK_CANDLES closed candles of each timeframe at a point in time (no look-ahead)
+   */
+  getClosedCandles(candlesByTf, pointers, time) {
+    const result = {};
+
+    for (const [tf, candles] of Object.entries(candlesByTf)) {
+      let index = pointers[tf];
+      while (index < candles.length && candles[index][0] + INTERVAL_MS[tf] <= time) {
+        index++;
+      }
+      pointers[tf] = index;
+      result[tf] = candles.slice(Math.max(0, index - LOOKBACK_CANDLES), index);
+    }
+
+    return result;
+  }
+
+  /**
+   * Win rate, drawdown, profit factor, Sharpe
+   */
+  calculateStats(equityCurve, maxDrawdown, maxDrawdownPct) {
+    const trades = this.trades;
+    const wins = trades.filter(trade => trade.pnl > 0);
+    const losses = trades.filter(trade => trade.pnl <= 0);
+    const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.pnl, 0));
+
+    // Sharpe from hourly equity returns, annualized
+    const returns = [];
+    for (let i = 1; i < equityCurve.length; i++) {
+      const previous = equityCurve[i - 1].equity;
+      if (previous > 0) {
+        returns.push((equityCurve[i].equity - previous) / previous);
+      }
+    }
+    const meanReturn = returns.length > 0 ? returns.reduce((sum, r) => sum + r, 0) / returns.length : 0;
+    const variance = returns.length > 1
+      ? returns.reduce((sum, r) => sum + (r - meanReturn) ** 2, 0) / (returns.length - 1)
+      : 0;
+    const stdDev = Math.sqrt(variance);
+    const sharpe = stdDev > 0 ? (meanReturn / stdDev) * Math.sqrt(HOURS_PER_YEAR) : 0;
+
+    const netPnl = this.balance - this.initialBalance;
+
+    return {
+      totalTrades: trades.length,
+      wins: wins.length,
+      losses: losses.length,
+      winRate: trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
+      netPnl,
+      returnPct: (netPnl / this.initialBalance) * 100,
+      finalBalance: this.balance,
+      totalFees: trades.reduce((sum, trade) => sum + trade.fees, 0),
+      maxDrawdown,
+      maxDrawdownPct,
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0),
+      sharpe
+    };
+  }
+
+  /**
+   * Fetch klines for a time range (public endpoint, paginated)
+   * @returns {Array} Binance-format kline arrays, oldest first
+   */
+  static async fetchKlines(symbol, interval, startTime, endTime) {
+    const client = new AsterApiClient(null, null);
+    const candles = [];
+    let cursor = startTime;
+
+    while (cursor < endTime) {
+      const page = await client.get('/fapi/v1/klines', {
+        symbol,
+        interval,
+        startTime: cursor,
+        endTime,
+        limit: KLINES_PAGE_LIMIT
+      }, { signed: false });
+
+      if (!Array.isArray(page) || page.length === 0) {
+        break;
+      }
+
+      candles.push(...page);
+      cursor = page[page.length - 1][0] + INTERVAL_MS[interval];
+
+      if (page.length < KLINES_PAGE_LIMIT) {
+        break;
+      }
+    }
+
+    return candles;
+  }
+
+  /**
+   * Parse CSV candles into Binance-format kline arrays
+   * Accepts an optional header row; timestamps in ms, seconds or ISO format
+   */
+  static parseCSV(csvText) {
+    const rows = csvText.trim().split(/\r?\n/).map(line => line.split(',').map(cell => cell.trim()));
+    if (rows.length === 0) {
+      return [];
+    }
+
+    // Map columns from header (defaults: time, open, high, low, close, volume)
+    let columns = { time: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 };
+    if (isNaN(parseFloat(rows[0][1]))) {
+      const header = rows.shift().map(cell => cell.toLowerCase());
+      const find = (...names) => header.findIndex(cell => names.includes(cell));
+      columns = {
+        time: find('open_time', 'opentime', 'timestamp', 'time', 'date'),
+        open: find('open', 'o'),
+        high: find('high', 'h'),
+        low: find('low', 'l'),
+        close: find('close', 'c'),
+        volume: find('volume', 'v')
+      };
+      if ([columns.time, columns.open, columns.high, columns.low, columns.close].includes(-1)) {
+        throw new Error('CSV header must include time, open, high, low and close columns');
+      }
+    }
+
+    const parseTime = (value) => {
+      const numeric = Number(value);
+      if (!isNaN(numeric)) {
+        return numeric < 1e12 ? numeric * 1000 : numeric; // Seconds -> ms
+      }
+      return new Date(value).getTime();
+    };
+
+    return rows
+      .filter(row => row.length > columns.close)
+      .map(row => [
+        parseTime(row[columns.time]),
+        row[columns.open],
+        row[columns.high],
+        row[columns.low],
+        row[columns.close],
+        columns.volume !== -1 && row[columns.volume] !== undefined ? row[columns.volume] : '0'
+      ])
+      .filter(candle => !isNaN(candle[0]))
+      .sort((a, b) => a[0] - b[0]);
+  }
+
+  /**
+   * Aggregate lower timeframe candles into a higher timeframe
+   */
+  static aggregateCandles(candles, interval) {
+    const intervalMs = INTERVAL_MS[interval];
+    const result = [];
+    let current = null;
+
+    for (const candle of candles) {
+      const bucket = Math.floor(candle[0] / intervalMs) * intervalMs;
+
+      if (!current || current[0] !== bucket) {
+        current = [bucket, candle[1], candle[2], candle[3], candle[4], candle[5]];
+        result.push(current);
+        continue;
+      }
+
+      current[2] = String(Math.max(parseFloat(current[2]), parseFloat(candle[2])));
+      current[3] = String(Math.min(parseFloat(current[3]), parseFloat(candle[3])));
+      current[4] = candle[4];
+      current[5] = String(parseFloat(current[5]) + parseFloat(candle[5]));
+    }
+
+    return result;
+  }
+}
+
+export default Backtester;
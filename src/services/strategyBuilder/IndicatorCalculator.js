@@ -1,7 +1,40 @@
 // Client-side indicator calculations for strategy conditions
 // Calculates RSI, MACD, EMA, SMA, and other technical indicators
+// Candles can be raw Binance kline arrays or normalized candle objects ({ open, high, low, close, ... })
 
 export class IndicatorCalculator {
+  /**
+   * Read OHLC values from a candle in either format
+   * @param {Array|Object} candle - Kline array or normalized candle object
+   * @returns {Object} { open, high, low, close }
+   */
+  static getOHLC(candle) {
+    if (Array.isArray(candle)) {
+      return {
+        open: parseFloat(candle[1]),
+        high: parseFloat(candle[2]),
+        low: parseFloat(candle[3]),
+        close: parseFloat(candle[4])
+      };
+    }
+    
+    return {
+      open: parseFloat(candle.open),
+      high: parseFloat(candle.high),
+      low: parseFloat(candle.low),
+      close: parseFloat(candle.close)
+    };
+  }
+  
+  /**
+   * Get closing price of a candle in either format
+   * @param {Array|Object} candle - Kline array or normalized candle object
+   * @returns {number} Close price
+   */
+  static getClose(candle) {
+    return Array.isArray(candle) ? parseFloat(candle[4]) : parseFloat(candle.close);
+  }
+  
   /**
    * Calculate RSI (Relative Strength Index)
    * @param {Array} candles - Array of OHLCV candles
@@ -14,8 +47,8 @@ export class IndicatorCalculator {
       return 50; // Neutral value
     }
     
-    // Extract closing prices (index 4 in Binance candle format)
-    const closes = candles.map(c => parseFloat(c[4]));
+    // Extract closing prices
+    const closes = candles.map(c => this.getClose(c));
     
     // Calculate price changes
     let gains = 0;
@@ -55,7 +88,7 @@ export class IndicatorCalculator {
       return 0;
     }
     
-    const closes = candles.map(c => parseFloat(c[4]));
+    const closes = candles.map(c => this.getClose(c));
     const k = 2 / (periods + 1); // Smoothing factor
     
     // Start with SMA for first EMA value
@@ -81,7 +114,7 @@ export class IndicatorCalculator {
       return 0;
     }
     
-    const closes = candles.map(c => parseFloat(c[4]));
+    const closes = candles.map(c => this.getClose(c));
     const recentCloses = closes.slice(-periods);
     const sum = recentCloses.reduce((acc, val) => acc + val, 0);
     
@@ -108,7 +141,7 @@ export class IndicatorCalculator {
       };
     }
     
-    const closes = candles.map(c => parseFloat(c[4]));
+    const closes = candles.map(c => this.getClose(c));
     
     // Calculate EMAs
     const fastEMA = this.calculateEMAArray(closes, fastPeriod);
@@ -183,8 +216,8 @@ export class IndicatorCalculator {
       return false;
     }
     
-    const currentClose = parseFloat(candles[candles.length - 1][4]);
-    const previousClose = parseFloat(candles[candles.length - 2][4]);
+    const currentClose = this.getClose(candles[candles.length - 1]);
+    const previousClose = this.getClose(candles[candles.length - 2]);
     
     return previousClose <= level && currentClose > level;
   }
@@ -200,8 +233,8 @@ export class IndicatorCalculator {
       return false;
     }
     
-    const currentClose = parseFloat(candles[candles.length - 1][4]);
-    const previousClose = parseFloat(candles[candles.length - 2][4]);
+    const currentClose = this.getClose(candles[candles.length - 1]);
+    const previousClose = this.getClose(candles[candles.length - 2]);
     
     return previousClose >= level && currentClose < level;
   }
@@ -218,7 +251,7 @@ export class IndicatorCalculator {
       return false;
     }
     
-    const closes = candles.map(c => parseFloat(c[4]));
+    const closes = candles.map(c => this.getClose(c));
     
     // Current EMAs
     const currentFast = this.calculateEMA(candles, fastPeriod);
@@ -245,7 +278,7 @@ export class IndicatorCalculator {
       return false;
     }
     
-    const closes = candles.map(c => parseFloat(c[4]));
+    const closes = candles.map(c => this.getClose(c));
     
     // Current EMAs
     const currentFast = this.calculateEMA(candles, fastPeriod);
@@ -279,7 +312,7 @@ export class IndicatorCalculator {
       };
     }
     
-    const closes = candles.map(c => parseFloat(c[4]));
+    const closes = candles.map(c => this.getClose(c));
     const recentCloses = closes.slice(-periods);
     
     // Calculate SMA (middle band)
@@ -318,9 +351,8 @@ export class IndicatorCalculator {
     const trueRanges = [];
     
     for (let i = 1; i < candles.length; i++) {
-      const high = parseFloat(candles[i][2]);
-      const low = parseFloat(candles[i][3]);
-      const prevClose = parseFloat(candles[i - 1][4]);
+      const { high, low } = this.getOHLC(candles[i]);
+      const prevClose = this.getClose(candles[i - 1]);
       
       const tr = Math.max(
         high - low,
@@ -335,7 +367,8 @@ export class IndicatorCalculator {
     const recentTR = trueRanges.slice(-periods);
     const atr = recentTR.reduce((sum, val) => sum + val, 0) / periods;
     
-    return Math.round(atr * 100) / 100;
+    // Significant digits, not 2 decimals - a sub-dollar coin's ATR would round to 0
+    return parseFloat(atr.toPrecision(6));
   }
   
   /**
@@ -348,7 +381,7 @@ export class IndicatorCalculator {
       return 0;
     }
     
-    return parseFloat(candles[candles.length - 1][4]);
+    return this.getClose(candles[candles.length - 1]);
   }
   
   /**
@@ -362,8 +395,8 @@ export class IndicatorCalculator {
       return 0;
     }
     
-    const currentClose = parseFloat(candles[candles.length - 1][4]);
-    const previousClose = parseFloat(candles[candles.length - 1 - periods][4]);
+    const currentClose = this.getClose(candles[candles.length - 1]);
+    const previousClose = this.getClose(candles[candles.length - 1 - periods]);
     
     const change = ((currentClose - previousClose) / previousClose) * 100;
     
@@ -389,8 +422,8 @@ export class IndicatorCalculator {
     const current = candles[candles.length - 1];
     const previous = candles[candles.length - 2];
     
-    const [, cOpen, cHigh, cLow, cClose] = current.map(parseFloat);
-    const [, pOpen, pHigh, pLow, pClose] = previous.map(parseFloat);
+    const { open: cOpen, high: cHigh, low: cLow, close: cClose } = this.getOHLC(current);
+    const { open: pOpen, high: pHigh, low: pLow, close: pClose } = this.getOHLC(previous);
     
     const cBody = Math.abs(cClose - cOpen);
     const cRange = cHigh - cLow;
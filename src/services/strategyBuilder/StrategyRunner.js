@@ -11,11 +11,10 @@ export class StrategyRunner {
     this.orderManager = orderManager;
     this.dexService = dexService;
     this.onLog = onLog; // Callback for execution logs
+    this.silent = false; // Skip console output (backtests evaluate thousands of bars)
     this.running = false;
     this.intervalId = null;
-    this.lastSignalFetch = 0;
-    this.signalCache = new Map(); // Cache server signals (rate limited)
-    this.SIGNAL_CACHE_DURATION = 60000; // 1 minute
+    this.watchedSignals = []; // Server strategies subscribed through orderManager.signalService
   }
 
   /**
@@ -30,6 +29,8 @@ export class StrategyRunner {
     this.running = true;
     this.log('Strategy started', 'info');
 
+    this.watchServerSignals();
+
     // Run immediately
     this.execute();
 
@@ -50,6 +51,8 @@ export class StrategyRunner {
       this.intervalId = null;
     }
 
+    this.unwatchServerSignals();
+
     this.log('Strategy stopped', 'info');
   }
 
@@ -131,17 +134,14 @@ export class StrategyRunner {
       candles[tf] = await this.dexService.getKlines(symbol, tf, 100);
     }
 
-    // Fetch server signal if needed (rate limited)
-    let signal = null;
-    if (this.needsServerSignal()) {
-      signal = await this.fetchServerSignal(symbol);
-    }
+    // Read latest server signals (pushed over WebSocket)
+    const signals = this.getServerSignals(symbol);
 
     return {
       price,
       position,
       candles,
-      signal,
+      signals,
       timestamp: Date.now()
     };
   }
@@ -162,50 +162,70 @@ export class StrategyRunner {
   }
 
   /**
-   * Check if any condition block needs server signal
+   * Get server strategies referenced by signal blocks
    */
-  needsServerSignal() {
-    return this.strategy.blocks.conditions.some(
-      block => block.type === 'signal_side' || block.type === 'signal_confidence'
-    );
+  getSignalStrategies() {
+    const strategies = new Set();
+
+    for (const block of this.strategy.blocks.conditions) {
+      if (block.type === 'signal_side' || block.type === 'signal_confidence') {
+        strategies.add(block.params?.strategy || 'momentum');
+      }
+    }
+
+    return Array.from(strategies);
   }
 
   /**
-   * Fetch server signal (rate limited, cached)
+   * Subscribe to the server strategies used by signal blocks
    */
-  async fetchServerSignal(symbol) {
-    const now = Date.now();
-    const cacheKey = symbol;
-
-    // Check cache
-    if (this.signalCache.has(cacheKey)) {
-      const cached = this.signalCache.get(cacheKey);
-      if (now - cached.timestamp < this.SIGNAL_CACHE_DURATION) {
-        this.log('Using cached server signal', 'info');
-        return cached.signal;
-      }
+  watchServerSignals() {
+    const strategies = this.getSignalStrategies();
+    if (strategies.length === 0) return;
+
+    const signalService = this.orderManager.signalService;
+    if (!signalService) {
+      this.log('No signal service available - signal blocks will evaluate to false', 'warning');
+      return;
     }
 
-    // Rate limit (1 request per minute)
-    if (now - this.lastSignalFetch < 60000) {
-      this.log('Server signal rate limited, using cached data', 'warning');
-      return this.signalCache.get(cacheKey)?.signal || null;
+    for (const strategy of strategies) {
+      signalService.watch(this.strategy.symbol, strategy);
+      this.watchedSignals.push(strategy);
     }
 
-    try {
-      this.log('Fetching server signal...', 'info');
-      
-      // Fetch from momentum strategy (you can make this configurable)
-      const signal = await this.orderManager.signalService.getLatestSignal(symbol);
-      
-      this.lastSignalFetch = now;
-      this.signalCache.set(cacheKey, { signal, timestamp: now });
+    this.log(`Listening for server signals: ${strategies.join(', ')}`, 'info');
+  }
 
-      return signal;
-    } catch (error) {
-      console.error('[StrategyRunner] Error fetching signal:', error);
-      return null;
+  /**
+   * Release server signal subscriptions
+   */
+  unwatchServerSignals() {
+    const signalService = this.orderManager.signalService;
+    if (signalService) {
+      for (const strategy of this.watchedSignals) {
+        signalService.unwatch(this.strategy.symbol, strategy);
+      }
     }
+    this.watchedSignals = [];
+  }
+
+  /**
+   * Get latest server signal per watched strategy
+   * @returns {Object} strategy -> normalized signal (or null)
+   */
+  getServerSignals(symbol) {
+    const signals = {};
+    const signalService = this.orderManager.signalService;
+
+    for (const strategy of this.watchedSignals) {
+      signals[strategy] = signalService.getLatestSignal(symbol, strategy);
+      if (!signals[strategy]) {
+        this.log(`No recent ${strategy} signal for ${symbol}`, 'warning');
+      }
+    }
+
+    return signals;
   }
 
   /**
@@ -337,18 +357,22 @@ export class StrategyRunner {
       }
 
       // ==================== SERVER SIGNAL CONDITIONS ====================
-      case 'signal_side':
-        if (!context.signal) return false;
-        return context.signal.side === params.side;
+      case 'signal_side': {
+        const signal = context.signals?.[params.strategy || 'momentum'];
+        if (!signal) return false;
+        return signal.side === params.side;
+      }
 
-      case 'signal_confidence':
-        if (!context.signal) return false;
+      case 'signal_confidence': {
+        const signal = context.signals?.[params.strategy || 'momentum'];
+        if (!signal) return false;
         
         const confidenceLevels = { low: 1, medium: 2, high: 3 };
-        const signalLevel = confidenceLevels[context.signal.confidence] || 0;
+        const signalLevel = confidenceLevels[signal.confidence] || 0;
         const requiredLevel = confidenceLevels[params.minConfidence] || 3;
         
         return signalLevel >= requiredLevel;
+      }
 
       // ==================== POSITION CONDITIONS ====================
       case 'no_position':
@@ -446,59 +470,18 @@ export class StrategyRunner {
     const { symbol } = this.strategy;
 
     switch (type) {
-      case 'open_long': {
-        const signal = {
-          symbol: symbol,
-          side: 'LONG',
-          confidence: 'high',
-          limit_price: context.price,
-          source: 'custom_strategy',
-          strategy_id: this.strategy.id
-        };
-
-        // Set leverage and position size from params
-        if (params.leverage) {
-          // This needs to be handled by orderManager
-          // For now, we'll pass it in the signal
-          signal.leverage = params.leverage;
-        }
-
-        if (params.size) {
-          signal.positionSize = params.size; // Percentage
-        }
-
-        this.log(`Opening LONG position: ${symbol} @ $${context.price}`, 'success');
-        
-        // Use orderManager to execute
-        const result = await this.orderManager.handleScalpSignal(signal);
-        
-        return result;
-      }
+      case 'open_long':
+        return this.openPosition('LONG', params, context);
 
-      case 'open_short': {
-        const signal = {
-          symbol: symbol,
-          side: 'SHORT',
-          confidence: 'high',
-          limit_price: context.price,
-          source: 'custom_strategy',
-          strategy_id: this.strategy.id
-        };
-
-        if (params.leverage) {
-          signal.leverage = params.leverage;
-        }
+      case 'open_short':
+        return this.openPosition('SHORT', params, context);
 
-        if (params.size) {
-          signal.positionSize = params.size;
-        }
-
-        this.log(`Opening SHORT position: ${symbol} @ $${context.price}`, 'success');
-        
-        const result = await this.orderManager.handleScalpSignal(signal);
-        
-        return result;
-      }
+      case 'open_ladder':
+        return this.openPosition(params.side === 'SHORT' ? 'SHORT' : 'LONG', params, context, {
+          orders: params.orders,
+          bandPercent: params.band,
+          spacing: params.spacing
+        });
 
       case 'close_position': {
         this.log(`Closing position: ${symbol}`, 'success');
@@ -513,13 +496,24 @@ export class StrategyRunner {
       }
 
       case 'modify_tp_sl': {
-        this.log(`Modifying TP/SL for ${symbol}`, 'info');
-        
-        // This would need to be implemented in orderManager
-        // For now, log a warning
-        this.log('Modify TP/SL not yet implemented', 'warning');
-        
-        return { message: 'Feature not yet implemented' };
+        const mode = params.mode || 'dollar'; // Blocks saved before the mode input held $ PnL
+        const unit = mode === 'percent' ? '%' : '$';
+        this.log(`Modifying TP/SL for ${symbol} (TP: ${params.tp || 'keep'}${params.tp ? unit : ''}, SL: ${params.sl || 'keep'}${params.sl ? unit : ''})`, 'info');
+
+        if (!this.orderManager.modifyProtectiveLevels) {
+          throw new Error('Modify TP/SL not supported by orderManager');
+        }
+
+        const result = await this.orderManager.modifyProtectiveLevels(symbol, {
+          takeProfit: params.tp,
+          stopLoss: params.sl,
+          mode
+        });
+
+        const formatPrice = (price) => (price ? `$${price}` : 'none');
+        this.log(`TP: ${formatPrice(result.before.takeProfitPrice)} → ${formatPrice(result.after.takeProfitPrice)}, SL: ${formatPrice(result.before.stopLossPrice)} → ${formatPrice(result.after.stopLossPrice)}`, 'success');
+
+        return result;
       }
 
       default:
@@ -527,6 +521,56 @@ export class StrategyRunner {
     }
   }
 
+  /**
+   * Open a position from an open_long/open_short/open_ladder block
+   * Block leverage, size % and dollar TP/SL override the global settings
+   * @param {string} side - 'LONG' or 'SHORT'
+   * @param {Object} params - Block params ({ size, leverage, tp, sl })
+   * @param {Object} context - Execution context (current price)
+   * @param {Object} [ladder] - Ladder from an open_ladder block ({ orders, bandPercent, spacing })
+   * @returns {Promise<Object|null>} Tracked entry order or ladder, or null if no order was placed
+   */
+  async openPosition(side, params, context, ladder = null) {
+    const { symbol } = this.strategy;
+    const signal = {
+      symbol,
+      side,
+      confidence: 'high',
+      limit_price: context.price,
+      source: 'custom_strategy',
+      strategy_id: this.strategy.id,
+      leverage: params.leverage,
+      positionSize: params.size, // Percentage
+      takeProfit: params.tp > 0 ? params.tp : 0, // Dollars
+      stopLoss: params.sl > 0 ? params.sl : 0, // Dollars
+      ladder
+    };
+
+    const ladderLabel = ladder ? `, ${ladder.orders} ${ladder.spacing} orders across ${ladder.bandPercent}%` : '';
+    this.log(`Opening ${side} position: ${symbol} @ $${context.price} (${params.size || 'default'}% size, ${params.leverage || 'default'}x${ladderLabel})`, 'success');
+
+    const order = await this.orderManager.handleCustomSignal(signal);
+
+    if (!order) {
+      this.log(`No ${side} order placed for ${symbol} (position or order already open, or entry blocked by risk limits)`, 'warning');
+      return null;
+    }
+
+    const protection = [
+      signal.takeProfit ? `TP $${signal.takeProfit}` : null,
+      signal.stopLoss ? `SL $${signal.stopLoss}` : null
+    ].filter(Boolean).join(', ') || 'no TP/SL';
+    if (order.ladderId) {
+      this.log(`${side} ladder: ${order.orders.length} orders, ${order.quantity} ${symbol} @ avg $${order.entryPrice} if all fill${order.leverage ? ` (${order.leverage}x)` : ''}, ${protection}`, 'success');
+      return order;
+    }
+
+    const orderId = order.orderId ? ` #${order.orderId}` : '';
+    this.log(`${side} order${orderId}: ${order.quantity} ${symbol} @ $${order.entryPrice}${order.leverage ? ` (${order.leverage}x)` : ''}, ${protection}`, 'success');
+
+    return order;
+  }
+
   /**
    * Get human-readable label for a block
    */
@@ -624,7 +668,9 @@ export class StrategyRunner {
       strategyName: this.strategy.name
     };
 
-    console.log(`[Strategy: ${this.strategy.name}] ${message}`);
+    if (!this.silent) {
+      console.log(`[Strategy: ${this.strategy.name}] ${message}`);
+    }
 
     if (this.onLog) {
       this.onLog(logEntry);
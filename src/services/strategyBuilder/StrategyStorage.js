@@ -24,7 +24,7 @@ export class StrategyStorage {
         return this.migrate(parsed);
       }
       
-      return parsed.strategies || [];
+      return (parsed.strategies || []).map(strategy => this.normalize(strategy));
     } catch (error) {
       console.error('[StrategyStorage] Error reading strategies:', error);
       return [];
@@ -298,7 +298,7 @@ export class StrategyStorage {
         strategy.lastAction = null;
         strategy.errorCount = 0;
         
-        existing.push(strategy);
+        existing.push(this.normalize(strategy));
         result.imported++;
       }
       
@@ -324,8 +324,7 @@ export class StrategyStorage {
     console.log('[StrategyStorage] Migrating from version', oldData.version, 'to', STORAGE_VERSION);
     
     // Future migration logic here
-    // For now, just return strategies as-is
-    const strategies = oldData.strategies || [];
+    const strategies = (oldData.strategies || []).map(strategy => this.normalize(strategy));
     
     // Save in new format
     this.saveAll(strategies);
@@ -333,6 +332,21 @@ export class StrategyStorage {
     return strategies;
   }
   
+  /**
+   * Fill in block params added after a strategy was saved
+   * - modify_tp_sl without a mode: saved when its TP/SL were $ PnL amounts
+   * @param {Object} strategy - Stored strategy
+   * @returns {Object} Same strategy, blocks updated in place
+   */
+  static normalize(strategy) {
+    for (const block of strategy.blocks?.actions || []) {
+      if (block.type === 'modify_tp_sl' && block.params && !block.params.mode) {
+        block.params.mode = 'dollar';
+      }
+    }
+    return strategy;
+  }
+  
   /**
    * Get storage usage statistics
    * @returns {Object} Storage stats
@@ -249,7 +249,9 @@ export const BLOCK_TYPES = {
           options: [
             { value: 'momentum', label: 'Momentum' },
             { value: 'scalp', label: 'Scalp' },
-            { value: 'momentum_x', label: 'Momentum X' }
+            { value: 'momentum_x', label: 'Momentum X' },
+            { value: 'orderbook', label: 'Order Book' },
+            { value: 'range_trading', label: 'Range Trading' }
           ],
           default: 'momentum',
           required: true
@@ -283,7 +285,9 @@ export const BLOCK_TYPES = {
           options: [
             { value: 'momentum', label: 'Momentum' },
             { value: 'scalp', label: 'Scalp' },
-            { value: 'momentum_x', label: 'Momentum X' }
+            { value: 'momentum_x', label: 'Momentum X' },
+            { value: 'orderbook', label: 'Order Book' },
+            { value: 'range_trading', label: 'Range Trading' }
           ],
           default: 'momentum',
           required: true
@@ -539,6 +543,97 @@ export const BLOCK_TYPES = {
       ]
     },
     
+    OPEN_LADDER: {
+      id: 'open_ladder',
+      category: 'entry',
+      label: 'Open Ladder (DCA)',
+      color: '#8b5cf6', // Violet
+      icon: '🪜',
+      description: 'Scales into a position with limit orders spread across a price band',
+      inputs: [
+        {
+          name: 'side',
+          type: 'select',
+          label: 'Side',
+          options: [
+            { value: 'LONG', label: 'LONG (buy below price)' },
+            { value: 'SHORT', label: 'SHORT (sell above price)' }
+          ],
+          default: 'LONG',
+          required: true
+        },
+        {
+          name: 'size',
+          type: 'number',
+          label: 'Position Size (%)',
+          default: 10,
+          min: 1,
+          max: 100,
+          required: true,
+          help: 'Percentage of balance across all rungs'
+        },
+        {
+          name: 'leverage',
+          type: 'number',
+          label: 'Leverage',
+          default: 75,
+          min: 1,
+          max: 125,
+          required: true
+        },
+        {
+          name: 'orders',
+          type: 'number',
+          label: 'Orders',
+          default: 5,
+          min: 2,
+          max: 20,
+          required: true,
+          help: 'Number of limit orders in the ladder'
+        },
+        {
+          name: 'band',
+          type: 'number',
+          label: 'Price Band (%)',
+          default: 1,
+          min: 0.1,
+          max: 20,
+          step: 0.1,
+          required: true,
+          help: 'Distance from the current price to the last order'
+        },
+        {
+          name: 'spacing',
+          type: 'select',
+          label: 'Spacing',
+          options: [
+            { value: 'linear', label: 'Linear (even gaps)' },
+            { value: 'geometric', label: 'Geometric (denser near price)' }
+          ],
+          default: 'linear',
+          required: true
+        },
+        {
+          name: 'tp',
+          type: 'number',
+          label: 'Take Profit ($)',
+          default: 0,
+          optional: true,
+          step: 0.01,
+          help: 'Leave 0 for no TP. Unfilled orders are cancelled when the position closes'
+        },
+        {
+          name: 'sl',
+          type: 'number',
+          label: 'Stop Loss ($)',
+          default: 0,
+          optional: true,
+          step: 0.01,
+          help: 'Leave 0 for no SL'
+        }
+      ]
+    },
+
     CLOSE_POSITION: {
       id: 'close_position',
       category: 'exit',
@@ -557,23 +652,35 @@ export const BLOCK_TYPES = {
       icon: '⚙️',
       description: 'Modifies take profit or stop loss of current position',
       inputs: [
+        { 
+          name: 'mode', 
+          type: 'select', 
+          label: 'Mode',
+          options: [
+            { value: 'percent', label: '% From Entry' },
+            { value: 'price', label: 'Absolute Price' },
+            { value: 'dollar', label: '$ PnL' } // Blocks saved before the mode input
+          ],
+          default: 'percent',
+          required: true
+        },
         { 
           name: 'tp', 
           type: 'number', 
-          label: 'New Take Profit ($)', 
+          label: 'New Take Profit', 
           default: 0, 
           optional: true,
           step: 0.01,
-          help: 'Leave 0 to keep current'
+          help: '% move from entry, $ PnL or trigger price. Leave 0 to keep current'
         },
         { 
           name: 'sl', 
           type: 'number', 
-          label: 'New Stop Loss ($)', 
+          label: 'New Stop Loss', 
           default: 0, 
           optional: true,
           step: 0.01,
-          help: 'Leave 0 to keep current'
+          help: '% move from entry, $ PnL or trigger price. Leave 0 to keep current'
         }
       ]
     }
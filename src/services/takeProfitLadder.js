@@ -0,0 +1,76 @@
+/**
+ * Take Profit Ladder
+ *
+ * Scales out of a position in steps measured in R, the distance from the entry
+ * to the stop loss: e.g. close 30% at +1R, 30% at +2R and let the rest run.
+ * OrderManager places each target as a reduce-only LIMIT order next to the
+ * regular Close-All stop (see placeTakeProfitTargets).
+ *
+ * - breakevenAfterFirst: once the first target fills, the stop moves to the entry
+ *   plus round-trip fees so the rest of the trade can't turn into a loss
+ * - trailRemainder: the part left after the last target has no take profit; its
+ *   stop trails 1R behind the best level reached instead
+ *
+ * Positions without a stop loss have no R and keep the single TP/SL bracket.
+ */
+
+export const DEFAULT_TAKE_PROFIT_LADDER = {
+  enabled: false,
+  targets: [
+    { r: 1, percent: 30 },
+    { r: 2, percent: 30 }
+  ],
+  breakevenAfterFirst: true,
+  trailRemainder: true
+}
+
+export const MAX_TAKE_PROFIT_TARGETS = 4
+
+/**
+ * Merge a partial config with the defaults and clean up its targets
+ * Targets are sorted by R and capped so they never close more than 100% in total
+ * @param {Object} [config] - Partial ladder config
+ * @returns {Object} Ladder config (enabled is false when no usable target is left)
+ */
+export function normalizeTakeProfitLadder(config = {}) {
+  let remainingPercent = 100
+  const targets = (Array.isArray(config.targets) ? config.targets : DEFAULT_TAKE_PROFIT_LADDER.targets)
+    .map(target => ({ r: parseFloat(target.r), percent: parseFloat(target.percent) }))
+    .filter(target => target.r > 0 && target.percent > 0)
+    .sort((a, b) => a.r - b.r)
+    .slice(0, MAX_TAKE_PROFIT_TARGETS)
+    .map(target => {
+      const percent = Math.min(target.percent, remainingPercent)
+      remainingPercent -= percent
+      return { r: target.r, percent }
+    })
+    .filter(target => target.percent > 0)
+
+  return {
+    enabled: Boolean(config.enabled) && targets.length > 0,
+    targets,
+    breakevenAfterFirst: config.breakevenAfterFirst ?? DEFAULT_TAKE_PROFIT_LADDER.breakevenAfterFirst,
+    trailRemainder: config.trailRemainder ?? DEFAULT_TAKE_PROFIT_LADDER.trailRemainder
+  }
+}
+
+/**
+ * Target prices and sizes for a position
+ * Quantities are unrounded - the caller formats them to the symbol's step size
+ * @param {Object} params
+ * @param {string} params.side - 'LONG' or 'SHORT'
+ * @param {number} params.entryPrice - Position entry price
+ * @param {number} params.riskDistance - 1R in price units (entry to stop loss)
+ * @param {number} params.quantity - Position size the percentages apply to
+ * @param {Array<Object>} params.targets - Targets from normalizeTakeProfitLadder()
+ * @returns {Array<Object>} [{ r, percent, price, quantity }]
+ */
+export function planTakeProfitTargets({ side, entryPrice, riskDistance, quantity, targets }) {
+  const direction = side === 'LONG' ? 1 : -1
+  return targets.map(target => ({
+    r: target.r,
+    percent: target.percent,
+    price: entryPrice + direction * riskDistance * target.r,
+    quantity: (quantity * target.percent) / 100
+  }))
+}
@@ -0,0 +1,109 @@
+/**
+ * Token Lifecycle
+ *
+ * Keeps the HopiumCore JWT valid for the whole session instead of letting it
+ * run out mid-trade: re-authenticates REFRESH_LEAD_TIME before tokenExpiry
+ * (refresh endpoint, or a new challenge + wallet signature) and lets
+ * API_CONFIG.fetch() retry a 401 once after refreshing.
+ *
+ * New tokens reach WebSocket clients through authService.addTokenListener();
+ * HopiumWebSocketClient.setToken() swaps them in without dropping the connection.
+ *
+ * @example
+ * ```javascript
+ * tokenLifecycle.start() // after sign-in
+ * tokenLifecycle.stop() // on logout
+ * ```
+ */
+
+import API_CONFIG from '../config/api'
+import authService from './auth'
+
+const REFRESH_LEAD_TIME = 5 * 60 * 1000 // 5 minutes before expiry
+const RETRY_DELAY = 60 * 1000 // 1 minute between failed refreshes
+
+export class TokenLifecycle {
+  /**
+   * @param {AuthService} auth - Auth service holding the token
+   */
+  constructor(auth) {
+    this.auth = auth
+    this.refreshTimeout = null
+    this.refreshPromise = null // In-flight refresh, shared by concurrent callers
+    this.removeTokenListener = null
+  }
+
+  /**
+   * Schedule refreshes for the current token and every token after it
+   */
+  start() {
+    if (this.removeTokenListener) return
+
+    // Sign-ins outside the lifecycle (AuthModal, wallet switch) reschedule too
+    this.removeTokenListener = this.auth.addTokenListener(() => this._schedule())
+    API_CONFIG.authRefresher = () => this.refresh()
+    this._schedule()
+  }
+
+  /**
+   * Stop refreshing (logout)
+   */
+  stop() {
+    if (this.refreshTimeout) {
+      clearTimeout(this.refreshTimeout)
+      this.refreshTimeout = null
+    }
+    if (this.removeTokenListener) {
+      this.removeTokenListener()
+      this.removeTokenListener = null
+    }
+    API_CONFIG.authRefresher = null
+  }
+
+  /**
+   * Get a new token now (concurrent calls share one refresh - one wallet prompt)
+   * @returns {Promise<string>} New JWT token
+   */
+  refresh() {
+    if (!this.refreshPromise) {
+      console.log('[TokenLifecycle] 🔑 Refreshing auth token...')
+      this.refreshPromise = this.auth.refreshToken().finally(() => {
+        this.refreshPromise = null
+      })
+    }
+    return this.refreshPromise
+  }
+
+  /**
+   * Schedule the next refresh REFRESH_LEAD_TIME before the token expires
+   * @private
+   * @param {number} [delay] - Override the delay (retry after a failure)
+   */
+  _schedule(delay) {
+    if (this.refreshTimeout) {
+      clearTimeout(this.refreshTimeout)
+      this.refreshTimeout = null
+    }
+    if (!this.auth.getToken() || !this.auth.tokenExpiry) return
+
+    const expiresAt = new Date(this.auth.tokenExpiry).getTime()
+    const refreshIn = delay ?? Math.max(0, expiresAt - REFRESH_LEAD_TIME - Date.now())
+    console.log(`[TokenLifecycle] Next token refresh in ${Math.round(refreshIn / 60000)} min`)
+
+    this.refreshTimeout = setTimeout(async () => {
+      this.refreshTimeout = null
+      try {
+        await this.refresh() // The token listener schedules the next one
+      } catch (error) {
+        console.warn('[TokenLifecycle] ⚠️ Token refresh failed:', error.message)
+        // Keep trying while the old token is still good - after that a 401 or WebSocket close asks again
+        if (Date.now() < expiresAt) {
+          this._schedule(Math.min(RETRY_DELAY, Math.max(0, expiresAt - Date.now())))
+        }
+      }
+    }, refreshIn)
+  }
+}
+
+export const tokenLifecycle = new TokenLifecycle(authService)
+export default tokenLifecycle
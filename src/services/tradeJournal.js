@@ -0,0 +1,421 @@
+/**
+ * Trade Journal Service
+ *
+ * Persists every bot entry/exit to IndexedDB and reconciles them against
+ * exchange data:
+ * - Account Trade List (/fapi/v1/userTrades): fill prices, realized PnL, commission
+ * - Income History (/fapi/v1/income): funding fees
+ *
+ * Entries/exits are recorded immediately with estimated prices; reconcile()
+ * later replaces them with the actual fills, including how much of the volume
+ * filled as maker (chase execution) and what that saved over taker fees.
+ */
+
+import { MAKER_FEE, TAKER_FEE } from '../components/sections/perpFarming/constants'
+import { requestToPromise, openDatabase } from './indexedDb'
+
+const DB_NAME = 'hopium_trade_journal'
+const DB_VERSION = 1
+
+const TRADES_STORE = 'trades' // One record per position lifecycle (entry -> exit)
+const FILLS_STORE = 'fills' // Raw exchange fills
+const INCOME_STORE = 'income' // Funding fee income entries
+const META_STORE = 'meta' // Sync cursors
+
+// Aster only serves 7 days of history per request
+const MAX_HISTORY_WINDOW = 7 * 24 * 60 * 60 * 1000
+// Exit fills may land shortly after the close is recorded (chunked closes, bracket triggers)
+const EXIT_FILL_GRACE = 60000 // 1 minute
+const HISTORY_LIMIT = 1000
+
+/**
+ * Create the journal stores (database upgrade)
+ */
+function createStores(db) {
+  const trades = db.createObjectStore(TRADES_STORE, { keyPath: 'id' })
+  trades.createIndex('symbol', 'symbol')
+
+  const fills = db.createObjectStore(FILLS_STORE, { keyPath: 'key' })
+  fills.createIndex('symbol', 'symbol')
+
+  const income = db.createObjectStore(INCOME_STORE, { keyPath: 'key' })
+  income.createIndex('symbol', 'symbol')
+
+  db.createObjectStore(META_STORE, { keyPath: 'key' })
+}
+
+/**
+ * Quantity-weighted average price of fills
+ */
+function averageFillPrice(fills) {
+  const totalQty = fills.reduce((sum, fill) => sum + fill.qty, 0)
+  if (totalQty === 0) return null
+  return fills.reduce((sum, fill) => sum + fill.price * fill.qty, 0) / totalQty
+}
+
+export class TradeJournal {
+  constructor() {
+    this.db = null
+    this.state = null // { startedAt, lastIncomeTime, lastTradeIds: { symbol: id } }
+
+    // Called after the journal changes (entry, exit, reconcile)
+    this.onChange = null
+  }
+
+  /**
+   * Open the database and load sync state
+   */
+  async open() {
+    if (this.db) return
+
+    this.db = await openDatabase(DB_NAME, DB_VERSION, createStores)
+    this.state = await this._get(META_STORE, 'state')
+
+    if (!this.state) {
+      this.state = this._createState()
+      await this._put(META_STORE, this.state)
+    }
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close()
+      this.db = null
+    }
+  }
+
+  /**
+   * Record a filled entry (or a fill that grew the open trade on the same symbol)
+   * @param {Object} entry
+   * @param {string} entry.symbol - Trading symbol
+   * @param {string} entry.side - 'LONG' or 'SHORT'
+   * @param {string} entry.strategy - Strategy that opened the trade
+   * @param {string} entry.confidence - Signal confidence at entry
+   * @param {number} entry.entryPrice - Position entry price (average if grown)
+   * @param {number} entry.quantity - Position size after this fill
+   * @param {Array} [entry.orderIds] - Exchange order IDs of the fill
+   * @returns {Promise<Object>} Journal trade record
+   */
+  async recordEntry(entry) {
+    if (!this.db) return null
+
+    const openTrade = await this.getOpenTrade(entry.symbol)
+    let trade
+
+    if (openTrade && openTrade.side === entry.side) {
+      trade = openTrade
+      trade.entryPrice = entry.entryPrice
+      trade.quantity = entry.quantity
+      for (const orderId of entry.orderIds || []) {
+        if (!trade.orderIds.includes(orderId)) {
+          trade.orderIds.push(orderId)
+        }
+      }
+    } else {
+      const now = Date.now()
+      trade = {
+        id: `${entry.symbol}_${now}`,
+        symbol: entry.symbol,
+        side: entry.side,
+        strategy: entry.strategy || 'unknown',
+        confidence: entry.confidence || 'unknown',
+        entryPrice: entry.entryPrice,
+        exitPrice: null,
+        quantity: entry.quantity,
+        orderIds: [...(entry.orderIds || [])],
+        exitOrderIds: [], // Close / bracket orders recorded by OrderManager
+        openedAt: now,
+        closedAt: null,
+        status: 'open',
+        reason: null,
+        realizedPnl: 0,
+        commission: 0,
+        funding: 0,
+        makerVolume: 0,
+        takerVolume: 0,
+        makerSavings: 0,
+        reconciled: false
+      }
+    }
+
+    await this._put(TRADES_STORE, trade)
+    this._notify()
+    return trade
+  }
+
+  /**
+   * Record an exit for the open trade on a symbol (no-op if already closed)
+   * @param {string} symbol - Trading symbol
+   * @param {Object} exit
+   * @param {number} [exit.exitPrice] - Estimated exit price (replaced by fills on reconcile)
+   * @param {string} exit.reason - Why the position was closed (e.g. 'Smart Mode: strong_reversal')
+   * @param {Array} [exit.orderIds] - Exchange order IDs of the close (close orders or triggered bracket)
+   * @returns {Promise<Object|null>} Closed journal trade record
+   */
+  async recordExit(symbol, exit = {}) {
+    if (!this.db) return null
+
+    const trade = await this.getOpenTrade(symbol)
+    if (!trade) return null
+
+    trade.status = 'closed'
+    trade.closedAt = Date.now()
+    trade.exitPrice = exit.exitPrice || null
+    trade.reason = exit.reason || 'unknown'
+    trade.exitOrderIds = [...(exit.orderIds || []).filter(orderId => orderId !== undefined && orderId !== null)]
+
+    await this._put(TRADES_STORE, trade)
+    console.log(`[TradeJournal] Closed ${symbol} ${trade.side} (${trade.reason})`)
+    this._notify()
+    return trade
+  }
+
+  /**
+   * Get the open trade for a symbol
+   * @param {string} symbol - Trading symbol
+   * @returns {Promise<Object|null>}
+   */
+  async getOpenTrade(symbol) {
+    const trades = await this._getAllByIndex(TRADES_STORE, 'symbol', symbol)
+    return trades.find(trade => trade.status === 'open') || null
+  }
+
+  /**
+   * Get all journal trades (newest first)
+   * @returns {Promise<Array>}
+   */
+  async getTrades() {
+    if (!this.db) return []
+    const trades = await this._getAll(TRADES_STORE)
+    return trades.sort((a, b) => b.openedAt - a.openedAt)
+  }
+
+  /**
+   * Pull fills and funding from the exchange and attribute them to journal trades
+   * @param {DexService} dexService - Service with getUserTrades() / getIncomeHistory()
+   */
+  async reconcile(dexService) {
+    if (!this.db || !dexService) return
+
+    const trades = await this._getAll(TRADES_STORE)
+    const pending = trades.filter(trade => !trade.reconciled)
+    if (pending.length === 0) return
+
+    const now = Date.now()
+    const earliest = Math.max(this.state.startedAt, now - MAX_HISTORY_WINDOW + 60000)
+
+    // 1. Fills per symbol (incremental by trade id)
+    const symbols = [...new Set(pending.map(trade => trade.symbol))]
+    for (const symbol of symbols) {
+      const lastId = this.state.lastTradeIds[symbol]
+      const options = lastId !== undefined
+        ? { fromId: lastId + 1, limit: HISTORY_LIMIT }
+        : { startTime: earliest, limit: HISTORY_LIMIT }
+
+      const fills = await dexService.getUserTrades(symbol, options)
+      for (const fill of fills) {
+        await this._put(FILLS_STORE, {
+          key: `${symbol}_${fill.id}`,
+          symbol,
+          id: fill.id,
+          orderId: fill.orderId,
+          side: fill.side,
+          price: parseFloat(fill.price || '0'),
+          qty: parseFloat(fill.qty || '0'),
+          realizedPnl: parseFloat(fill.realizedPnl || '0'),
+          commission: Math.abs(parseFloat(fill.commission || '0')),
+          maker: !!fill.maker,
+          time: fill.time
+        })
+        this.state.lastTradeIds[symbol] = Math.max(this.state.lastTradeIds[symbol] ?? -1, fill.id)
+      }
+    }
+
+    // 2. Funding fees (incremental by time)
+    const incomeStart = Math.max(this.state.lastIncomeTime + 1, earliest)
+    const incomes = await dexService.getIncomeHistory({
+      incomeType: 'FUNDING_FEE',
+      startTime: incomeStart,
+      limit: HISTORY_LIMIT
+    })
+    for (const income of incomes) {
+      await this._put(INCOME_STORE, {
+        key: `${income.incomeType}_${income.tranId}`,
+        symbol: income.symbol,
+        incomeType: income.incomeType,
+        income: parseFloat(income.income || '0'),
+        time: income.time
+      })
+      this.state.lastIncomeTime = Math.max(this.state.lastIncomeTime, income.time)
+    }
+
+    await this._put(META_STORE, this.state)
+
+    // 3. Attribute fills/funding to each pending trade
+    for (const trade of pending) {
+      const fills = await this._getAllByIndex(FILLS_STORE, 'symbol', trade.symbol)
+      const fundings = await this._getAllByIndex(INCOME_STORE, 'symbol', trade.symbol)
+      // Fills of the next trade on the symbol (e.g. a Smart Mode reversal) are never this trade's exit
+      const nextTrade = trades
+        .filter(other => other.symbol === trade.symbol && other.openedAt > trade.openedAt)
+        .sort((a, b) => a.openedAt - b.openedAt)[0] || null
+      this._applyExchangeData(trade, fills, fundings, now, nextTrade)
+      await this._put(TRADES_STORE, trade)
+    }
+
+    this._notify()
+  }
+
+  /**
+   * Totals for the stats panel (from reconciled exchange data)
+   * @returns {Promise<Object>} { realizedPnl, funding, commission, makerVolume, takerVolume, makerSavings, netPnl, totalTrades }
+   */
+  async getSummary() {
+    const trades = await this.getTrades()
+    const summary = trades.reduce((totals, trade) => {
+      totals.realizedPnl += trade.realizedPnl
+      totals.funding += trade.funding
+      totals.commission += trade.commission
+      // Trades journaled before maker tracking have no volume fields
+      totals.makerVolume += trade.makerVolume || 0
+      totals.takerVolume += trade.takerVolume || 0
+      totals.makerSavings += trade.makerSavings || 0
+      if (trade.status === 'closed') {
+        totals.totalTrades++
+      }
+      return totals
+    }, { realizedPnl: 0, funding: 0, commission: 0, makerVolume: 0, takerVolume: 0, makerSavings: 0, totalTrades: 0 })
+
+    // Funding is signed (negative = paid), commission is an amount paid
+    summary.netPnl = summary.realizedPnl + summary.funding - summary.commission
+    return summary
+  }
+
+  /**
+   * Delete all journal data (Reset Stats)
+   */
+  async clear() {
+    if (!this.db) return
+
+    for (const storeName of [TRADES_STORE, FILLS_STORE, INCOME_STORE]) {
+      await requestToPromise(this._store(storeName, 'readwrite').clear())
+    }
+
+    this.state = this._createState()
+    await this._put(META_STORE, this.state)
+    this._notify()
+  }
+
+  /**
+   * Replace estimates with exchange data for one trade
+   * Exit fills are the recorded close/bracket orders, plus closing fills (non-zero
+   * realized PnL - partial take profits, manual reduces) before the next trade opened
+   * @private
+   */
+  _applyExchangeData(trade, fills, fundings, now, nextTrade = null) {
+    const closeSide = trade.side === 'LONG' ? 'SELL' : 'BUY'
+    const exitOrderIds = trade.exitOrderIds || [] // Trades journaled before exit order tracking have none
+    const nextOrderIds = nextTrade?.orderIds || []
+    const windowEnd = Math.min(
+      trade.closedAt ? trade.closedAt + EXIT_FILL_GRACE : now,
+      nextTrade ? nextTrade.openedAt : Infinity
+    )
+
+    const entryFills = fills.filter(fill => trade.orderIds.includes(fill.orderId))
+    const exitFills = fills.filter(fill =>
+      exitOrderIds.includes(fill.orderId) || (
+        fill.side === closeSide &&
+        fill.realizedPnl !== 0 &&
+        fill.time >= trade.openedAt &&
+        fill.time <= windowEnd &&
+        !trade.orderIds.includes(fill.orderId) &&
+        !nextOrderIds.includes(fill.orderId)
+      )
+    )
+
+    if (entryFills.length > 0) {
+      trade.entryPrice = averageFillPrice(entryFills)
+    }
+    if (exitFills.length > 0) {
+      trade.exitPrice = averageFillPrice(exitFills)
+    }
+
+    trade.realizedPnl = exitFills.reduce((sum, fill) => sum + fill.realizedPnl, 0)
+    const tradeFills = [...entryFills, ...exitFills]
+    trade.commission = tradeFills.reduce((sum, fill) => sum + fill.commission, 0)
+
+    // Maker vs taker notional - maker fills paid MAKER_FEE instead of TAKER_FEE
+    trade.makerVolume = tradeFills.filter(fill => fill.maker).reduce((sum, fill) => sum + fill.price * fill.qty, 0)
+    trade.takerVolume = tradeFills.filter(fill => !fill.maker).reduce((sum, fill) => sum + fill.price * fill.qty, 0)
+    trade.makerSavings = trade.makerVolume * (TAKER_FEE - MAKER_FEE)
+
+    trade.funding = fundings
+      .filter(funding => funding.time >= trade.openedAt && funding.time <= (trade.closedAt || now))
+      .reduce((sum, funding) => sum + funding.income, 0)
+
+    // Done once exit fills are in (or the exchange no longer serves that history)
+    trade.reconciled = trade.status === 'closed' && now > windowEnd &&
+      (exitFills.length > 0 || now - trade.closedAt > MAX_HISTORY_WINDOW)
+  }
+
+  /**
+   * @private
+   */
+  _createState() {
+    return {
+      key: 'state',
+      startedAt: Date.now(),
+      lastIncomeTime: 0,
+      lastTradeIds: {}
+    }
+  }
+
+  /**
+   * @private
+   */
+  _notify() {
+    if (this.onChange) {
+      this.onChange()
+    }
+  }
+
+  /**
+   * @private
+   */
+  _store(storeName, mode = 'readonly') {
+    return this.db.transaction(storeName, mode).objectStore(storeName)
+  }
+
+  /**
+   * @private
+   */
+  _get(storeName, key) {
+    return requestToPromise(this._store(storeName).get(key))
+  }
+
+  /**
+   * @private
+   */
+  _put(storeName, value) {
+    return requestToPromise(this._store(storeName, 'readwrite').put(value))
+  }
+
+  /**
+   * @private
+   */
+  _getAll(storeName) {
+    return requestToPromise(this._store(storeName).getAll())
+  }
+
+  /**
+   * @private
+   */
+  _getAllByIndex(storeName, indexName, value) {
+    return requestToPromise(this._store(storeName).index(indexName).getAll(value))
+  }
+}
+
+export default TradeJournal
@@ -0,0 +1,228 @@
+/**
+ * TWAP Execution
+ *
+ * Slices a large order into equal child orders spread over a fixed duration so
+ * a thin book isn't swept in one go. Each slice is an IOC LIMIT order priced
+ * maxSlippagePercent through the best bid/ask, so one slice can never walk the
+ * book further than that; whatever a slice leaves unfilled rolls into the next.
+ *
+ * - Slice sizes follow MARKET_LOT_SIZE (min/max quantity, step size)
+ * - Slice prices are clamped to the PERCENT_PRICE band around the mark price
+ * - Slicing pauses while the spread is wider than maxSpreadPercent (up to one
+ *   extra duration, then it carries on)
+ *
+ * Only orders of at least minNotional USDT are sliced. Exits sweep whatever is
+ * still open at the end with MARKET orders; entries keep what filled.
+ */
+
+export const DEFAULT_TWAP_EXECUTION = {
+  entries: false, // Slice large entries
+  exits: false, // Slice large discretionary closes (Smart Mode, manual)
+  minNotional: 2000, // USDT - smaller orders go out in one piece
+  duration: 60, // Seconds to spread the slices over
+  slices: 5,
+  maxSpreadPercent: 0.15, // Pause while (ask - bid) / mid is wider than this (%)
+  maxSlippagePercent: 0.3 // Slice price through the best bid/ask (%)
+}
+
+const SPREAD_RECHECK_INTERVAL = 2000 // 2 seconds
+const MAX_SLICES = 50
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Bid/ask spread as a % of the mid price
+ */
+function getSpreadPercent(book) {
+  return ((book.askPrice - book.bidPrice) / ((book.askPrice + book.bidPrice) / 2)) * 100
+}
+
+/**
+ * Round a quantity down to the lot step
+ */
+function floorToStep(quantity, stepSize) {
+  const step = parseFloat(stepSize)
+  const decimals = String(stepSize).includes('.') ? String(stepSize).split('.')[1].length : 0
+  return parseFloat((Math.floor(quantity / step + 1e-9) * step).toFixed(decimals))
+}
+
+export class TwapExecutor {
+  /**
+   * @param {Object} [config] - Overrides for DEFAULT_TWAP_EXECUTION
+   */
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_TWAP_EXECUTION }
+    this.update(config)
+  }
+
+  /**
+   * Update the TWAP config (invalid numbers fall back to defaults)
+   * @param {Object} config - Partial config
+   */
+  update(config = {}) {
+    for (const key of Object.keys(DEFAULT_TWAP_EXECUTION)) {
+      if (config[key] === undefined || config[key] === null || config[key] === '') continue
+
+      if (typeof DEFAULT_TWAP_EXECUTION[key] === 'boolean') {
+        this.config[key] = Boolean(config[key])
+      } else {
+        const value = parseFloat(config[key])
+        this.config[key] = Number.isFinite(value) && value > 0 ? value : DEFAULT_TWAP_EXECUTION[key]
+      }
+    }
+    this.config.slices = Math.min(Math.max(Math.round(this.config.slices), 2), MAX_SLICES)
+  }
+
+  /**
+   * Check if an order should be sliced
+   * @param {string} kind - 'entries' or 'exits'
+   * @param {number} notional - Order value in USDT
+   * @returns {boolean} True if TWAP is on for this kind of order and the order is large enough
+   */
+  appliesTo(kind, notional) {
+    return Boolean(this.config[kind]) && notional >= this.config.minNotional
+  }
+
+  /**
+   * Work an order in slices over the configured duration
+   * @param {DexService} dexService - Exchange to trade on (needs getMarketLotSize / getPercentPrice)
+   * @param {Object} order
+   * @param {string} order.symbol - Trading pair symbol
+   * @param {string} order.side - 'BUY' or 'SELL'
+   * @param {number} order.quantity - Total quantity
+   * @param {boolean} [order.reduceOnly] - Exit: only reduce the position, sweep the rest with MARKET at the end
+   * @param {string} [order.positionSide] - Side of the position being closed (exits, hedge mode)
+   * @param {string} [order.clientOrderPrefix] - Client order ID prefix (entries keep their strategy prefix)
+   * @param {Function} [order.onProgress] - ({ symbol, side, status, slice, slices, filledQty, quantity, spreadPercent }) => void
+   * @param {Function} [order.onFill] - async ({ orderId, executedQty, avgPrice }) => void, once per order that filled
+   * @returns {Promise<Object>} { orderIds, lastOrderId, executedQty, avgPrice, slices }
+   */
+  async execute(dexService, { symbol, side, quantity, reduceOnly = false, positionSide, clientOrderPrefix, onProgress, onFill }) {
+    const { duration, slices, maxSpreadPercent, maxSlippagePercent } = this.config
+    const lotSize = await dexService.getMarketLotSize(symbol)
+    const percentPrice = await dexService.getPercentPrice(symbol)
+    const sliceInterval = (duration * 1000) / slices
+    const pauseDeadline = Date.now() + duration * 2000 // Slicing time plus at most one duration of pauses
+    const direction = side === 'BUY' ? 1 : -1
+
+    const orderIds = []
+    let executedQty = 0
+    let executedNotional = 0
+    let slice = 0
+    let slicesPlaced = 0
+
+    const report = (status, extra = {}) => {
+      if (!onProgress) return
+      try {
+        onProgress({ symbol, side, status, slice, slices, filledQty: executedQty, quantity, ...extra })
+      } catch (error) {
+        console.warn('[TwapExecutor] Progress callback failed:', error.message)
+      }
+    }
+
+    const place = async (orderParams) => {
+      if (reduceOnly) orderParams.reduceOnly = true
+      if (positionSide) orderParams.positionSide = positionSide
+      if (clientOrderPrefix) orderParams.newClientOrderId = `${clientOrderPrefix}${Date.now()}`
+
+      const response = await dexService.placeOrder(orderParams)
+      orderIds.push(response.orderId)
+
+      // The placement response may not carry the fill yet - read the final status
+      let status = await dexService.getOrderStatus(symbol, response.orderId)
+      if (orderParams.type === 'LIMIT' && (status.status === 'NEW' || status.status === 'PARTIALLY_FILLED')) {
+        try {
+          await dexService.cancelOrder(symbol, response.orderId)
+        } catch (error) {
+          // Filled in the meantime
+        }
+        status = await dexService.getOrderStatus(symbol, response.orderId)
+      }
+
+      const filled = parseFloat(status.executedQty || '0')
+      if (filled > 0) {
+        const avgPrice = parseFloat(status.avgPrice || '0') || parseFloat(orderParams.price || '0')
+        executedQty = floorToStep(executedQty + filled, lotSize.stepSize)
+        executedNotional += filled * avgPrice
+        if (onFill) {
+          await onFill({ orderId: response.orderId, executedQty: filled, avgPrice })
+        }
+      }
+      return filled
+    }
+
+    console.log(`[TwapExecutor] 🧩 ${symbol} ${side} ${quantity} in ${slices} slices over ${duration}s`)
+
+    for (slice = 1; slice <= slices; slice++) {
+      const remaining = floorToStep(quantity - executedQty, lotSize.stepSize)
+      if (remaining < lotSize.minQty) break
+
+      let book = await dexService.getBookTicker(symbol)
+      let spreadPercent = getSpreadPercent(book)
+      while (spreadPercent > maxSpreadPercent && Date.now() < pauseDeadline) {
+        report('paused', { spreadPercent })
+        await sleep(SPREAD_RECHECK_INTERVAL)
+        book = await dexService.getBookTicker(symbol)
+        spreadPercent = getSpreadPercent(book)
+      }
+
+      // Even share of what is left, within the lot limits
+      let sliceQty = slice === slices ? remaining : floorToStep(remaining / (slices - slice + 1), lotSize.stepSize)
+      sliceQty = Math.min(Math.max(sliceQty, lotSize.minQty), remaining, floorToStep(lotSize.maxQty, lotSize.stepSize))
+
+      let price = (side === 'BUY' ? book.askPrice : book.bidPrice) * (1 + direction * maxSlippagePercent / 100)
+      if (percentPrice) {
+        const { markPrice } = await dexService.getMarkPrice(symbol)
+        const mark = parseFloat(markPrice)
+        if (mark > 0) {
+          price = side === 'BUY'
+            ? Math.min(price, mark * percentPrice.multiplierUp)
+            : Math.max(price, mark * percentPrice.multiplierDown)
+        }
+      }
+
+      let filled = 0
+      try {
+        filled = await place({ symbol, side, type: 'LIMIT', timeInForce: 'IOC', price, quantity: sliceQty })
+        slicesPlaced++
+      } catch (error) {
+        // A rejected slice is just an unfilled one - the rest is spread over the next slices
+        console.warn(`[TwapExecutor] Slice ${slice}/${slices} rejected: ${error.message}`)
+      }
+      console.log(`[TwapExecutor] Slice ${slice}/${slices}: ${filled}/${sliceQty} filled (total ${executedQty}/${quantity})`)
+      report('slicing', { spreadPercent })
+
+      if (slice < slices) {
+        await sleep(sliceInterval)
+      }
+    }
+
+    // An exit must end flat - sweep what the slices couldn't fill
+    let remaining = floorToStep(quantity - executedQty, lotSize.stepSize)
+    while (reduceOnly && remaining >= lotSize.minQty) {
+      const sweepQty = Math.min(remaining, floorToStep(lotSize.maxQty, lotSize.stepSize))
+      console.log(`[TwapExecutor] ${symbol} sweeping ${sweepQty} with MARKET`)
+      const filled = await place({ symbol, side, type: 'MARKET', quantity: sweepQty })
+      if (!(filled > 0)) {
+        throw new Error(`TWAP exit left ${remaining} ${symbol} open - MARKET sweep did not fill`)
+      }
+      remaining = floorToStep(quantity - executedQty, lotSize.stepSize)
+    }
+
+    const result = {
+      orderIds,
+      lastOrderId: orderIds[orderIds.length - 1],
+      executedQty,
+      avgPrice: executedQty > 0 ? executedNotional / executedQty : 0,
+      slices: slicesPlaced
+    }
+    report('done')
+
+    console.log(`[TwapExecutor] ✅ ${symbol} ${side} ${executedQty}/${quantity} @ avg $${result.avgPrice} in ${orderIds.length} order(s)`)
+    return result
+  }
+}
+
+export default TwapExecutor
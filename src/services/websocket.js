@@ -11,17 +11,30 @@
  * 
  * const client = new HopiumWebSocketClient()
  * 
- * client.onSummary = (data) => {
- *   console.log('New summary:', data.summary)
+ * client.onSummary = (message) => {
+ *   console.log('New summary:', message.data.summary)
  * }
  * 
- * client.onAlert = (data) => {
- *   console.warn('Alert:', data.change_type, data.description)
+ * client.onAlert = (message) => {
+ *   console.warn('Alert:', message.data.change_type, message.data.description)
  * }
  * ```
  */
 
 import { WEBSOCKET_CONFIG } from '../config/websocket'
+import { MESSAGE_SCHEMAS, validateMessage } from './websocketSchema'
+
+// Handler field for each validated signal message type
+const SIGNAL_HANDLERS = {
+  summary: 'onSummary',
+  scalp_indicator: 'onScalpIndicator',
+  momentum_indicator: 'onMomentumIndicator',
+  momentum_x: 'onMomentumX',
+  orderbook_signal: 'onOrderBookSignal',
+  portfolio_picks: 'onPortfolioPicks',
+  signal_status: 'onSignalStatus',
+  alert: 'onAlert'
+}
 
 /**
  * HopiumWebSocketClient - WebSocket client for HopiumCore API
@@ -33,152 +46,112 @@ export class HopiumWebSocketClient {
   /** WebSocket connection instance (null until connected) */
   ws = null
 
-  /** Set of currently subscribed symbols */
+  /** Set of currently subscribed symbols (confirmed by the server for this connection) */
   subscriptions = new Set()
 
+  /** Requested subscriptions, restored after every reconnect ('SYMBOL:strategy' -> { symbol, strategy, lastMessageAt, stale }) */
+  subscriptionRequests = new Map()
+
   /** Message ID counter for correlating requests/responses */
   messageId = 0
 
+  /** Signal pushes received / rejected by schema validation (see websocketSchema.js) */
+  messageStats = { received: 0, rejected: 0, rejectedByType: {} }
+
+  /** Optional SessionRecorder - gets every received message before it is processed */
+  recorder = null
+
   /** WebSocket URL (from config) */
   url = WEBSOCKET_CONFIG.URL
 
   /** Reconnection state */
   reconnectAttempts = 0
   maxReconnectAttempts = Infinity // Infinite reconnect attempts
-  reconnectInterval = 5000 // 5 seconds
   reconnectTimeout = null
   authToken = null // Store token for reconnection
-  lastStrategy = null // Store last subscribed strategy
-  lastSymbol = null // Store last subscribed symbol
+  hasConnected = false // True once the first connection opened (later opens are reconnects)
   shouldReconnect = true // Flag to control reconnection
 
+  /** Heartbeat state (a half-open socket still reports OPEN - only a missing pong gives it away) */
+  heartbeatInterval = null
+  lastPingAt = 0
+  pingSentAt = null // Set while a ping awaits its pong
+
   // ============================================================================
   // Event Handlers
   // ============================================================================
 
+  // Signal handlers receive the envelope normalized by websocketSchema.js:
+  //   { type, symbol, strategy, timestamp, data }
+  // with side upper case, confidence lower case (or null), numeric fields as
+  // numbers (or null) and reasoning as one string. Field types: src/types/websocket.d.ts
+
   /**
-   * Called when a summary message is received
+   * Called when a range trading summary is received
    * @type {Function}
-   * @param {Object} data - Summary message data
-   * @param {Object} data.summary - LLM summary object
-   * @param {string} data.timestamp - ISO 8601 timestamp
-   * @param {string} data.symbol - Trading pair symbol
-   * @param {string} [data.previous_side] - Previous side if sentiment changed
+   * @param {Object} message - Normalized envelope (strategy 'range_trading')
+   * @param {Object} message.data - { symbol, summary: { entry: { side, price, reasoning } | null, ... }, tp_price, sl_price, confluence_score, ... }
    */
   onSummary = null
 
   /**
    * Called when a scalp indicator message is received
    * @type {Function}
-   * @param {Object} data - Scalp indicator data
-   * @param {string} data.symbol - Trading pair symbol
-   * @param {number} data.current_price - Current market price
-   * @param {number} data.ema_1min - 1-minute EMA
-   * @param {string} data.side - Trading direction ('LONG', 'SHORT', 'NEUTRAL')
-   * @param {number} data.limit_price - Recommended limit order price
-   * @param {number} data.tp_price - Take profit price
-   * @param {number} data.sl_price - Stop loss price
-   * @param {string} data.confidence - Confidence level ('high', 'medium', 'low')
-   * @param {string} data.reasoning - Strategy reasoning
+   * @param {Object} message - Normalized envelope (strategy 'scalp')
+   * @param {Object} message.data - { symbol, side, confidence, current_price, ema_1min, limit_price, tp_price, sl_price, reasoning }
    */
   onScalpIndicator = null
 
   /**
    * Called when a momentum indicator message is received
    * @type {Function}
-   * @param {Object} data - Momentum indicator data
-   * @param {string} data.symbol - Trading pair symbol
-   * @param {number} data.current_price - Current market price
-   * @param {string} data.trend_1h - 1-hour trend ('UP', 'DOWN', 'NEUTRAL')
-   * @param {string} data.trend_4h - 4-hour trend ('UP', 'DOWN', 'NEUTRAL')
-   * @param {string} data.trend_alignment - Trend alignment ('ALIGNED', 'CONFLICTED', 'NEUTRAL')
-   * @param {string} data.side - Trading direction ('LONG', 'SHORT', 'NEUTRAL')
-   * @param {number} data.limit_price - Recommended limit order price
-   * @param {number} data.tp_price - Take profit price
-   * @param {number} data.sl_price - Stop loss price
-   * @param {string} data.confidence - Confidence level ('high', 'medium', 'low')
-   * @param {number} data.confluence_score - Confluence score (0-7)
-   * @param {string} data.reasoning - Strategy reasoning
+   * @param {Object} message - Normalized envelope (strategy 'momentum')
+   * @param {Object} message.data - { symbol, side, confidence, current_price, limit_price, tp_price, sl_price,
+   *   trend_1h, trend_4h, trend_alignment, confluence_score, rsi, near_fib_level, reasoning }
    */
   onMomentumIndicator = null
 
   /**
    * Called when a momentum X indicator message is received (Psychic Candle Reader)
    * @type {Function}
-   * @param {Object} data - Momentum X indicator data
-   * @param {string} data.symbol - Trading pair symbol
-   * @param {number} data.current_price - Current market price
-   * @param {number} data.atr - Average True Range
-   * @param {string} data.market_regime - Market regime ('FLAT', 'WHIPSAW', 'TRENDING')
-   * @param {number[]} data.delta_stack - Array of recent candle deltas
-   * @param {string} data.delta_trend - Delta trend ('BULLISH', 'BEARISH', 'NEUTRAL')
-   * @param {number} data.delta_acceleration - Momentum acceleration
-   * @param {number} data.bid_ask_ratio - Orderbook pressure ratio
-   * @param {string} data.orderbook_pressure - Orderbook pressure ('BUY_HEAVY', 'SELL_HEAVY', 'BALANCED')
-   * @param {number} data.stacked_candles - Consecutive green/red candles
-   * @param {number} data.volume_acceleration - Volume spike factor
-   * @param {Object|null} data.nearest_fvg - Fair Value Gap data
-   * @param {boolean} data.in_fvg_zone - Whether price is in FVG zone
-   * @param {string} data.side - Trading direction ('LONG', 'SHORT', 'NEUTRAL')
-   * @param {number} data.limit_price - Recommended limit order price
-   * @param {number} data.tp_price - Take profit price
-   * @param {number} data.sl_price - Stop loss price
-   * @param {string} data.confidence - Confidence level ('high', 'medium', 'low')
-   * @param {number} data.layer_score - Confluence score (0-8 layers)
-   * @param {string} data.reasoning - Strategy reasoning
+   * @param {Object} message - Normalized envelope (strategy 'momentum_x')
+   * @param {Object} message.data - { symbol, side, confidence, current_price, limit_price, tp_price, sl_price, atr,
+   *   market_regime, delta_stack, delta_trend, delta_acceleration, bid_ask_ratio, orderbook_pressure,
+   *   stacked_candles, volume_acceleration, nearest_fvg, in_fvg_zone, layer_score, reasoning }
    */
   onMomentumX = null
 
   /**
    * Called when an order book signal message is received
    * @type {Function}
-   * @param {Object} data - Order book signal data
-   * @param {string} data.symbol - Trading pair symbol
-   * @param {string} data.side - Trading direction ('LONG', 'SHORT', 'NEUTRAL')
-   * @param {number} data.bias_score - Composite bias score (-1 to +1)
-   * @param {string} data.confidence - Confidence level ('high', 'medium', 'low')
-   * @param {number} data.cvd - Cumulative Volume Delta
-   * @param {string} data.cvd_slope - CVD slope with sigma notation
-   * @param {number} data.obi - Order Book Imbalance (-1 to +1)
-   * @param {number} data.vwap_dev - VWAP deviation percentage
-   * @param {Object} data.spoof_detection - Spoof detection data
-   * @param {string[]} data.reasoning - Array of reasoning strings
-   * @param {Object} data.entry - Entry recommendation with trigger_zone, stop_loss, take_profit
+   * @param {Object} message - Normalized envelope (strategy 'orderbook')
+   * @param {Object} message.data - { symbol, side, confidence, bias_score, cvd, cvd_slope, obi, vwap_dev,
+   *   spoof_detection, entry: { trigger_zone: number[], stop_loss, take_profit }, reasoning }
    */
   onOrderBookSignal = null
 
   /**
-   * Called when portfolio picks are received (Auto Mode - Portfolio Scanner)
+   * Called when portfolio picks are received (Auto Mode - Portfolio Scanner broadcast)
    * @type {Function}
-   * @param {Object} data - Portfolio picks data
-   * @param {string} data.timestamp - ISO 8601 timestamp
-   * @param {number} data.update_interval - Update interval in seconds (30)
-   * @param {Array} data.picks - Array of top 3 trading opportunities
-   * @param {string[]} data.dropped - Symbols that left top 3
-   * @param {number} data.monitoring - Total symbols being monitored
+   * @param {Object} message - Normalized envelope (no symbol/strategy)
+   * @param {Object} message.data - { top_longs, top_shorts, invalidated: string[], monitoring, update_interval }
+   *   Picks: { symbol, score, state, entry_zone: [low, high], invalidation_price, take_profit, structure, reasoning, ... }
    */
   onPortfolioPicks = null
 
   /**
    * Called when a signal status message is received (full signal analysis)
    * @type {Function}
-   * @param {Object} message - Signal status message
-   * @param {string} message.symbol - Trading pair symbol
-   * @param {Object} message.payload - Signal data
-   * @param {string} message.payload.state - Signal state (IDENTIFIED, IN_PULLBACK, ENTRY_CONFIRMED, INVALIDATED)
-   * @param {number} message.payload.score - Trend strength score (0-100)
-   * @param {string[]} message.payload.reasoning - Array of reasoning strings
-   * @param {number} message.payload.invalidation_price - Structure break price
+   * @param {Object} message - Normalized envelope (no strategy)
+   * @param {Object} message.data - { symbol, status, state, side, score, invalidation_price, take_profit, reasoning }
    */
   onSignalStatus = null
 
   /**
    * Called when an alert message is received
    * @type {Function}
-   * @param {Object} data - Alert message data
-   * @param {string} data.change_type - Type of change detected
-   * @param {string} data.description - Human-readable description
-   * @param {string} data.timestamp - ISO 8601 timestamp
+   * @param {Object} message - Normalized envelope
+   * @param {Object} message.data - { change_type, description, timestamp }
    */
   onAlert = null
 
@@ -213,6 +186,27 @@ export class HopiumWebSocketClient {
    */
   onSubscribed = null
 
+  /**
+   * Called after a reconnect once every stored subscription was sent again
+   * Signals may have been missed while disconnected - use this to reconcile state
+   * @type {Function}
+   * @param {Object} data
+   * @param {Array<{symbol: string, strategy: string}>} data.subscriptions - Restored subscriptions (may be empty)
+   * @param {number} data.attempts - Reconnect attempts it took
+   */
+  onResubscribed = null
+
+  /**
+   * Called when a subscribed pair's feed goes quiet for STALE_FEED_TIMEOUT, and again when it recovers
+   * @type {Function}
+   * @param {Object} data
+   * @param {string} data.symbol - Trading pair symbol
+   * @param {string} data.strategy - Subscribed strategy
+   * @param {boolean} data.stale - True when the feed went stale, false when messages are back
+   * @param {number} data.lastMessageAt - Time of the last message for the pair (ms)
+   */
+  onStale = null
+
   // ============================================================================
   // Constructor
   // ============================================================================
@@ -272,17 +266,19 @@ export class HopiumWebSocketClient {
 
         this.ws.onopen = () => {
           console.log('[WebSocket] ✅ Connected successfully (authenticated)')
+          const isReconnect = this.hasConnected
+          const attempts = this.reconnectAttempts
+          this.hasConnected = true
           this.reconnectAttempts = 0 // Reset reconnection counter on successful connection
-          
-          // Re-subscribe to last symbol/strategy if this is a reconnection
-          if (this.lastSymbol && this.lastStrategy) {
-            console.log(`[WebSocket] Re-subscribing to ${this.lastSymbol} with strategy ${this.lastStrategy}`)
-            this.subscribe(this.lastSymbol, this.lastStrategy)
-          }
+          this._startHeartbeat()
           
           if (this.onConnect) {
             this.onConnect()
           }
+
+          if (isReconnect) {
+            this._restoreSubscriptions(attempts)
+          }
           resolve()
         }
 
@@ -311,24 +307,7 @@ export class HopiumWebSocketClient {
         }
 
         this.ws.onclose = (event) => {
-          console.log('[WebSocket] Connection closed:', {
-            code: event.code,
-            reason: event.reason,
-            wasClean: event.wasClean
-          })
-          
-          // Handle specific close codes
-          this._handleCloseEvent(event)
-          
-          this.ws = null
-          if (this.onDisconnect) {
-            this.onDisconnect(event)
-          }
-
-          // Attempt reconnection if not deliberately disconnected
-          if (this.shouldReconnect && this.authToken) {
-            this._attemptReconnect()
-          }
+          this._handleClose(event)
         }
       } catch (error) {
         reject(error)
@@ -346,6 +325,7 @@ export class HopiumWebSocketClient {
    */
   disconnect() {
     this.shouldReconnect = false // Prevent reconnection
+    this._stopHeartbeat()
     
     // Clear any pending reconnection attempts
     if (this.reconnectTimeout) {
@@ -359,13 +339,70 @@ export class HopiumWebSocketClient {
       this.subscriptions.clear()
     }
     
-    // Clear stored auth data
+    // Clear stored auth data and subscriptions
     this.authToken = null
-    this.lastSymbol = null
-    this.lastStrategy = null
+    this.subscriptionRequests.clear()
+    this.hasConnected = false
     this.reconnectAttempts = 0
   }
 
+  /**
+   * Tear down the closed connection and schedule a reconnect
+   * @private
+   * @param {CloseEvent|Object} event - Close event ({ code, reason, wasClean })
+   */
+  _handleClose(event) {
+    console.log('[WebSocket] Connection closed:', {
+      code: event.code,
+      reason: event.reason,
+      wasClean: event.wasClean
+    })
+    
+    // Handle specific close codes
+    this._handleCloseEvent(event)
+    
+    this._stopHeartbeat()
+    this.ws = null
+    this.subscriptions.clear() // Server-side subscriptions end with the connection
+    if (this.onDisconnect) {
+      this.onDisconnect(event)
+    }
+
+    // Attempt reconnection if not deliberately disconnected
+    if (this.shouldReconnect && this.authToken) {
+      this._attemptReconnect()
+    }
+  }
+
+  /**
+   * Swap in a new auth token (e.g. after a refresh)
+   * The open connection was authenticated when it connected and keeps running;
+   * the new token is used for every reconnect, which restores all subscriptions.
+   * A reconnect waiting out its backoff (token rejected) is retried right away.
+   * @param {string} token - New JWT authentication token
+   */
+  setToken(token) {
+    if (!token || token === this.authToken) return
+    this.authToken = token
+    console.log('[WebSocket] 🔑 Auth token updated')
+
+    if (this.reconnectTimeout && this.shouldReconnect) {
+      clearTimeout(this.reconnectTimeout)
+      this.reconnectTimeout = null
+      this.reconnectAttempts = 0
+
+      console.log('[WebSocket] Reconnecting with the new token...')
+      this.connect(this.authToken).catch(error => {
+        console.error('[WebSocket] Reconnection failed:', error)
+
+        // Same as a scheduled attempt: onclose schedules the next one unless the socket never opened
+        if (this.shouldReconnect && !this.ws && !this.reconnectTimeout) {
+          this._attemptReconnect()
+        }
+      })
+    }
+  }
+
   /**
    * Handle WebSocket close events with specific error codes
    * @private
@@ -396,6 +433,11 @@ export class HopiumWebSocketClient {
         requiresReauth = true
         break
 
+      case 4000:
+        // Client-side: no pong within PONG_TIMEOUT
+        console.warn('[WebSocket] ⚠️ Heartbeat timeout - connection was half-open')
+        break
+
       case 4029:
         // Custom: Too many connections (429)
         console.warn('[WebSocket] ⚠️ Connection limit exceeded')
@@ -440,6 +482,7 @@ export class HopiumWebSocketClient {
 
   /**
    * Subscribe to receive updates for a specific trading pair
+   * The subscription is remembered and restored after every reconnect
    * 
    * @param {string} symbol - Trading pair symbol (e.g., 'BTCUSDT')
    * @param {string} [strategy='range_trading'] - Trading strategy ('range_trading', 'momentum', 'scalp', or 'momentum_x')
@@ -459,9 +502,11 @@ export class HopiumWebSocketClient {
       throw new Error('WebSocket not connected')
     }
 
-    // Store last subscription for reconnection
-    this.lastSymbol = symbol
-    this.lastStrategy = strategy
+    // Store subscription for reconnection (the feed counts as fresh until STALE_FEED_TIMEOUT passes)
+    const key = `${symbol}:${strategy}`
+    if (!this.subscriptionRequests.has(key)) {
+      this.subscriptionRequests.set(key, { symbol, strategy, lastMessageAt: Date.now(), stale: false })
+    }
 
     this._sendMessage({
       type: 'subscribe',
@@ -471,7 +516,7 @@ export class HopiumWebSocketClient {
   }
 
   /**
-   * Unsubscribe from updates for a specific trading pair
+   * Unsubscribe from updates for a specific trading pair (all strategies)
    * 
    * @param {string} symbol - Trading pair symbol (e.g., 'BTCUSDT')
    * @throws {Error} If WebSocket is not connected
@@ -486,6 +531,12 @@ export class HopiumWebSocketClient {
       throw new Error('WebSocket not connected')
     }
 
+    for (const [key, request] of this.subscriptionRequests) {
+      if (request.symbol === symbol) {
+        this.subscriptionRequests.delete(key)
+      }
+    }
+
     this._sendMessage({
       type: 'unsubscribe',
       symbol: symbol
@@ -593,7 +644,7 @@ export class HopiumWebSocketClient {
         for (const line of lines) {
           try {
             const message = JSON.parse(line)
-            this._processMessage(message)
+            this._receive(message)
           } catch (lineError) {
             console.error('[WebSocket] Failed to parse line:', line.substring(0, 100))
             console.error('[WebSocket] Parse error:', lineError.message)
@@ -604,7 +655,7 @@ export class HopiumWebSocketClient {
       
       // Standard single JSON message
       const message = JSON.parse(rawData)
-      this._processMessage(message)
+      this._receive(message)
     } catch (error) {
       console.error('Failed to parse WebSocket message:', error)
       console.error('Raw data (first 500 chars):', event.data?.substring(0, 500))
@@ -619,11 +670,26 @@ export class HopiumWebSocketClient {
     }
   }
 
+  /**
+   * Record a message from the server (when a recorder is attached) and process it
+   * 
+   * @private
+   * @param {Object} message - Parsed message object
+   */
+  _receive(message) {
+    if (this.recorder) {
+      this.recorder.record(message)
+    }
+    this._processMessage(message)
+  }
+
   /**
    * Process parsed WebSocket message
+   * Also the entry point for SessionReplay, which feeds recorded messages here
    * 
    * @private
    * @param {Object} message - Parsed message object
+   * @returns {Promise|undefined} The signal handler's result, so a replay can wait for it
    */
   _processMessage(message) {
     // Log all incoming WebSocket messages
@@ -639,6 +705,11 @@ export class HopiumWebSocketClient {
       keys: Object.keys(message)
     })
 
+    // Signal pushes are validated and normalized before any handler sees them
+    if (MESSAGE_SCHEMAS[message.type]) {
+      return this._dispatchSignal(message)
+    }
+
     switch (message.type) {
       case 'subscribed':
         this.subscriptions.add(message.symbol)
@@ -661,120 +732,6 @@ export class HopiumWebSocketClient {
         }
         break
 
-      case 'summary':
-        if (this.onSummary) {
-          // Server sends summary in message.fullMessage (similar to scalp_indicator)
-          // Also check message.message or message.payload for backwards compatibility
-          const summaryData = message.fullMessage || message.message || message.payload || message
-          console.log('[WebSocket] Extracted summary data for callback:', summaryData)
-          this.onSummary(summaryData)
-        }
-        break
-
-      case 'scalp_indicator':
-        if (this.onScalpIndicator) {
-          // Server sends scalp data in fullMessage.data
-          console.log('[WebSocket] Received scalp_indicator:', message)
-          
-          // Extract data from fullMessage structure
-          const scalpMessage = message.fullMessage || message.message || message.payload || message
-          const scalpData = scalpMessage?.data || scalpMessage
-          
-          console.log('[WebSocket] Extracted scalp data:', scalpData)
-          
-          // Pass the full message structure (contains symbol, strategy, and data)
-          this.onScalpIndicator(scalpMessage)
-        }
-        break
-
-      case 'momentum_indicator':
-        if (this.onMomentumIndicator) {
-          // Server sends momentum data in fullMessage.data (similar to scalp_indicator)
-          console.log('[WebSocket] Received momentum_indicator:', message)
-          
-          // Extract data from fullMessage structure
-          const momentumMessage = message.fullMessage || message.message || message.payload || message
-          const momentumData = momentumMessage?.data || momentumMessage
-          
-          console.log('[WebSocket] Extracted momentum data:', momentumData)
-          
-          // Pass the full message structure (contains symbol, strategy, and data)
-          this.onMomentumIndicator(momentumMessage)
-        }
-        break
-
-      case 'momentum_x':
-        if (this.onMomentumX) {
-          // Server sends momentum X data in fullMessage.data (similar to scalp_indicator and momentum_indicator)
-          console.log('[WebSocket] Received momentum_x:', message)
-          
-          // Extract data from fullMessage structure
-          const momentumXMessage = message.fullMessage || message.message || message.payload || message
-          const momentumXData = momentumXMessage?.data || momentumXMessage
-          
-          console.log('[WebSocket] Extracted momentum X data:', momentumXData)
-          
-          // Pass the full message structure (contains symbol, strategy, and data)
-          this.onMomentumX(momentumXMessage)
-        }
-        break
-
-      case 'orderbook_signal':
-        if (this.onOrderBookSignal) {
-          // Server sends order book data in fullMessage.data (similar to scalp_indicator and momentum_indicator)
-          console.log('[WebSocket] Received orderbook_signal:', message)
-          
-          // Extract data from fullMessage structure
-          const orderBookMessage = message.fullMessage || message.message || message.payload || message
-          const orderBookData = orderBookMessage?.data || orderBookMessage
-          
-          console.log('[WebSocket] Extracted order book data:', orderBookData)
-          
-          // Pass the full message structure (contains symbol, strategy, and data)
-          this.onOrderBookSignal(orderBookMessage)
-        }
-        break
-
-      case 'portfolio_picks':
-        if (this.onPortfolioPicks) {
-          // Server broadcasts portfolio picks to all authenticated clients
-          console.log('[WebSocket] Received portfolio_picks:', message)
-          
-          // Extract picks data from message structure
-          const portfolioMessage = message.fullMessage || message.message || message.payload || message
-          const portfolioData = portfolioMessage?.data || portfolioMessage
-          
-          console.log('[WebSocket] Extracted portfolio data:', portfolioData)
-          
-          // Pass the full message structure
-          this.onPortfolioPicks(portfolioMessage)
-        }
-        break
-
-      case 'signal_status':
-        if (this.onSignalStatus) {
-          // Server sends full signal analysis for a specific symbol
-          console.log('[WebSocket] Received signal_status:', message)
-          
-          // Extract signal data from message structure
-          const signalMessage = message.fullMessage || message.message || message.payload || message
-          const signalData = signalMessage?.data || signalMessage
-          
-          console.log('[WebSocket] Extracted signal data:', signalData)
-          
-          // Pass the full message structure (contains symbol and payload)
-          this.onSignalStatus(signalMessage)
-        }
-        break
-
-      case 'alert':
-        if (this.onAlert) {
-          // Server may send alert in message.message or message.payload
-          const alertData = message.message || message.payload
-          this.onAlert(alertData)
-        }
-        break
-
       case 'error':
         const errorPayload = message.message || message.payload || {}
         const errorMsg = errorPayload?.error || 'Unknown error'
@@ -800,7 +757,8 @@ export class HopiumWebSocketClient {
         break
 
       case 'pong':
-        // Handle pong response
+        // Heartbeat answered - the connection is alive
+        this.pingSentAt = null
         break
 
       default:
@@ -808,6 +766,35 @@ export class HopiumWebSocketClient {
     }
   }
 
+  /**
+   * Validate a signal push against its schema and hand the normalized envelope to its handler
+   * Malformed messages are counted in messageStats and dropped
+   * 
+   * @private
+   * @param {Object} message - Parsed message with a type in MESSAGE_SCHEMAS
+   * @returns {Promise|undefined} The handler's result
+   */
+  _dispatchSignal(message) {
+    this.messageStats.received++
+    const result = validateMessage(message)
+    if (!result.valid) {
+      this.messageStats.rejected++
+      this.messageStats.rejectedByType[message.type] = (this.messageStats.rejectedByType[message.type] || 0) + 1
+      console.warn(`[WebSocket] ⚠️ Rejected malformed ${message.type} (${this.messageStats.rejected} rejected so far): ${result.error}`, message)
+      return
+    }
+
+    const normalized = result.message
+    if (normalized.strategy && normalized.symbol) {
+      this._recordFeedMessage(normalized.symbol, normalized.strategy)
+    }
+
+    const handler = this[SIGNAL_HANDLERS[normalized.type]]
+    if (handler) {
+      return handler(normalized)
+    }
+  }
+
   /**
    * Send a message to the WebSocket server
    * 
@@ -865,6 +852,14 @@ export class HopiumWebSocketClient {
     return this.subscriptions.has(symbol)
   }
 
+  /**
+   * Get schema validation counters for signal pushes
+   * @returns {{ received: number, rejected: number, rejectedByType: Object<string, number> }} Counters since the client was created
+   */
+  getMessageStats() {
+    return { ...this.messageStats, rejectedByType: { ...this.messageStats.rejectedByType } }
+  }
+
   /**
    * Get all subscribed symbols as an array
    * @returns {string[]} Array of subscribed symbols
@@ -873,6 +868,183 @@ export class HopiumWebSocketClient {
     return Array.from(this.subscriptions)
   }
 
+  /**
+   * Check if a symbol + strategy subscription is stored for reconnects
+   * @param {string} symbol - Trading pair symbol
+   * @param {string} strategy - Trading strategy
+   * @returns {boolean} True if it will be restored after a reconnect
+   */
+  hasSubscription(symbol, strategy) {
+    return this.subscriptionRequests.has(`${symbol}:${strategy}`)
+  }
+
+  /**
+   * Get every stored symbol + strategy subscription
+   * @returns {Array<{symbol: string, strategy: string}>} Stored subscriptions
+   */
+  getSubscriptionRequests() {
+    return Array.from(this.subscriptionRequests.values()).map(({ symbol, strategy }) => ({ symbol, strategy }))
+  }
+
+  /**
+   * Check if a subscribed pair's feed went stale
+   * @param {string} symbol - Trading pair symbol
+   * @param {string} strategy - Subscribed strategy
+   * @returns {boolean} True if no message arrived within STALE_FEED_TIMEOUT
+   */
+  isStale(symbol, strategy) {
+    return Boolean(this.subscriptionRequests.get(`${symbol}:${strategy}`)?.stale)
+  }
+
+  /**
+   * Get every subscribed pair whose feed is stale
+   * @returns {Array<{symbol: string, strategy: string, lastMessageAt: number}>} Stale feeds
+   */
+  getStaleFeeds() {
+    return Array.from(this.subscriptionRequests.values())
+      .filter(request => request.stale)
+      .map(({ symbol, strategy, lastMessageAt }) => ({ symbol, strategy, lastMessageAt }))
+  }
+
+  /**
+   * Record a signal message for its pair's feed (clears a stale flag)
+   * @private
+   * @param {string} symbol - Trading pair symbol
+   * @param {string} strategy - Strategy the message belongs to
+   */
+  _recordFeedMessage(symbol, strategy) {
+    const request = this.subscriptionRequests.get(`${symbol}:${strategy}`)
+    if (!request) return
+
+    request.lastMessageAt = Date.now()
+    if (request.stale) {
+      request.stale = false
+      console.log(`[WebSocket] ✅ ${symbol} ${strategy} feed recovered`)
+      this._emitStale(request)
+    }
+  }
+
+  /**
+   * Flag subscribed pairs that haven't had a message within STALE_FEED_TIMEOUT
+   * @private
+   * @param {number} now - Current time (ms)
+   */
+  _checkStaleFeeds(now) {
+    for (const request of this.subscriptionRequests.values()) {
+      if (request.stale || now - request.lastMessageAt < WEBSOCKET_CONFIG.STALE_FEED_TIMEOUT) continue
+
+      request.stale = true
+      console.warn(`[WebSocket] ⚠️ ${request.symbol} ${request.strategy} feed stale - no message for ${Math.round((now - request.lastMessageAt) / 1000)}s`)
+      this._emitStale(request)
+    }
+  }
+
+  /**
+   * @private
+   */
+  _emitStale({ symbol, strategy, stale, lastMessageAt }) {
+    if (!this.onStale) return
+    try {
+      this.onStale({ symbol, strategy, stale, lastMessageAt })
+    } catch (error) {
+      console.error('[WebSocket] Stale feed callback failed:', error)
+    }
+  }
+
+  /**
+   * Start the client-side heartbeat: ping every PING_INTERVAL, drop the
+   * connection if a pong doesn't come back within PONG_TIMEOUT
+   * @private
+   */
+  _startHeartbeat() {
+    this._stopHeartbeat()
+    this.lastPingAt = Date.now()
+    this.heartbeatInterval = setInterval(() => this._heartbeatTick(), WEBSOCKET_CONFIG.HEARTBEAT_CHECK_INTERVAL)
+  }
+
+  /**
+   * @private
+   */
+  _stopHeartbeat() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval)
+      this.heartbeatInterval = null
+    }
+    this.pingSentAt = null
+  }
+
+  /**
+   * Check the pong deadline, send the next ping when due and flag stale feeds
+   * @private
+   */
+  _heartbeatTick() {
+    if (!this.isConnected()) return
+    const now = Date.now()
+
+    if (this.pingSentAt && now - this.pingSentAt > WEBSOCKET_CONFIG.PONG_TIMEOUT) {
+      // The browser may take minutes to notice a dead TCP connection - close it ourselves
+      // and reconnect right away instead of waiting for its close event
+      console.warn(`[WebSocket] ⚠️ No pong for ${Math.round((now - this.pingSentAt) / 1000)}s - dropping connection`)
+      const ws = this.ws
+      ws.onclose = null
+      ws.onerror = null
+      ws.onmessage = null
+      ws.close(4000, 'Heartbeat timeout')
+      this._handleClose({ code: 4000, reason: 'Heartbeat timeout', wasClean: false })
+      return
+    }
+
+    if (!this.pingSentAt && now - this.lastPingAt >= WEBSOCKET_CONFIG.PING_INTERVAL) {
+      this.lastPingAt = now
+      this.pingSentAt = now
+      this.ping().catch(error => {
+        console.warn('[WebSocket] Heartbeat ping failed:', error.message)
+      })
+    }
+
+    this._checkStaleFeeds(now)
+  }
+
+  /**
+   * Re-send every stored subscription after a reconnect, then emit onResubscribed
+   * @private
+   * @param {number} attempts - Reconnect attempts it took
+   */
+  _restoreSubscriptions(attempts) {
+    const restored = []
+    for (const request of this.subscriptionRequests.values()) {
+      const { symbol, strategy } = request
+      console.log(`[WebSocket] Re-subscribing to ${symbol} with strategy ${strategy}`)
+      request.lastMessageAt = Date.now() // Staleness counts from the new connection
+      this._sendMessage({
+        type: 'subscribe',
+        symbol: symbol,
+        strategy: strategy
+      })
+      restored.push({ symbol, strategy })
+    }
+    console.log(`[WebSocket] 🔁 Restored ${restored.length} subscription(s) after reconnect`)
+
+    if (this.onResubscribed) {
+      this.onResubscribed({ subscriptions: restored, attempts })
+    }
+  }
+
+  /**
+   * Delay before the next reconnect attempt
+   * Doubles from RECONNECT_DELAY up to MAX_RECONNECT_DELAY, with ±20% jitter so
+   * clients dropped by the same server restart don't all come back at once
+   * @private
+   * @returns {number} Delay in ms
+   */
+  _getReconnectDelay() {
+    const baseDelay = Math.min(
+      WEBSOCKET_CONFIG.RECONNECT_DELAY * 2 ** (this.reconnectAttempts - 1),
+      WEBSOCKET_CONFIG.MAX_RECONNECT_DELAY
+    )
+    return Math.round(baseDelay * (0.8 + Math.random() * 0.4))
+  }
+
   /**
    * Attempt to reconnect to the WebSocket server
    * @private
@@ -883,11 +1055,27 @@ export class HopiumWebSocketClient {
       clearTimeout(this.reconnectTimeout)
     }
 
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      console.error('[WebSocket] Max reconnection attempts reached. Giving up.')
+      if (this.onError) {
+        this.onError({
+          type: 'error',
+          payload: {
+            error: 'Failed to reconnect after multiple attempts',
+            reconnectionFailed: true
+          }
+        })
+      }
+      return
+    }
+
     this.reconnectAttempts++
-    console.log(`[WebSocket] Connection lost. Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts === Infinity ? '∞' : this.maxReconnectAttempts})...`)
+    const delay = this._getReconnectDelay()
+    console.log(`[WebSocket] Connection lost. Reconnecting in ${(delay / 1000).toFixed(1)}s (${this.reconnectAttempts}/${this.maxReconnectAttempts === Infinity ? '∞' : this.maxReconnectAttempts})...`)
 
     // Schedule reconnection attempt
     this.reconnectTimeout = setTimeout(async () => {
+      this.reconnectTimeout = null
       if (!this.shouldReconnect || !this.authToken) {
         console.log('[WebSocket] Reconnection cancelled')
         return
@@ -900,23 +1088,13 @@ export class HopiumWebSocketClient {
       } catch (error) {
         console.error('[WebSocket] Reconnection failed:', error)
         
-        // Attempt again if we haven't exceeded max attempts
-        if (this.reconnectAttempts < this.maxReconnectAttempts) {
+        // A failed socket also closes and onclose schedules the next attempt -
+        // only retry here if it never got that far
+        if (this.shouldReconnect && !this.ws && !this.reconnectTimeout) {
           this._attemptReconnect()
-        } else {
-          console.error('[WebSocket] Max reconnection attempts reached. Giving up.')
-          if (this.onError) {
-            this.onError({
-              type: 'error',
-              payload: {
-                error: 'Failed to reconnect after multiple attempts',
-                reconnectionFailed: true
-              }
-            })
-          }
         }
       }
-    }, this.reconnectInterval)
+    }, delay)
   }
 }
 
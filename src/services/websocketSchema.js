@@ -0,0 +1,295 @@
+/**
+ * WebSocket Message Schema
+ *
+ * Runtime counterpart of src/types/websocket.d.ts: validates every server push
+ * message and normalizes it to one envelope before HopiumWebSocketClient hands
+ * it to a handler:
+ *
+ *   { type, symbol, strategy, timestamp, data }
+ *
+ * - side is 'LONG' | 'SHORT' | 'NEUTRAL' (upper case)
+ * - confidence is 'high' | 'medium' | 'low' (lower case), or null when not sent
+ * - prices, scores and other numeric fields are numbers (null when not sent)
+ * - reasoning is a single string (server arrays are joined)
+ *
+ * The server wraps payloads inconsistently (fullMessage, message, payload,
+ * data), so each schema looks for the layer that holds its fields. Unknown
+ * fields are passed through untouched. Messages missing a required field or
+ * carrying an unparseable one are rejected - validateMessage() returns the
+ * reason and the client counts it.
+ */
+
+export const SIDES = ['LONG', 'SHORT', 'NEUTRAL']
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low']
+
+// Wrapper keys the server nests payloads under
+const WRAPPER_KEYS = ['fullMessage', 'message', 'payload', 'data']
+const MAX_SEARCH_LAYERS = 16
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Find the outermost wrapper layer matching a predicate (breadth-first)
+ */
+function findLayer(message, predicate) {
+  const queue = [message]
+  for (let i = 0; i < queue.length && i < MAX_SEARCH_LAYERS; i++) {
+    const layer = queue[i]
+    if (!isObject(layer)) continue
+    if (predicate(layer)) return layer
+    queue.push(...WRAPPER_KEYS.map(key => layer[key]))
+  }
+  return null
+}
+
+function findSymbol(message) {
+  return findLayer(message, layer => typeof layer.symbol === 'string' && layer.symbol !== '')?.symbol || null
+}
+
+function findTimestamp(message) {
+  return findLayer(message, layer => typeof layer.timestamp === 'string')?.timestamp || null
+}
+
+function requireString(value, field) {
+  if (typeof value !== 'string' || value === '') {
+    throw new Error(`missing ${field}`)
+  }
+  return value
+}
+
+/**
+ * Parse an optional numeric field (null when not sent, rejects garbage)
+ */
+function toNumber(value, field) {
+  if (value === undefined || value === null || value === '') return null
+  const number = typeof value === 'number' ? value : parseFloat(value)
+  if (!Number.isFinite(number)) {
+    throw new Error(`${field} is not a number (${JSON.stringify(value)})`)
+  }
+  return number
+}
+
+function requireNumber(value, field) {
+  const number = toNumber(value, field)
+  if (number === null) {
+    throw new Error(`missing ${field}`)
+  }
+  return number
+}
+
+function toSide(value, field = 'side') {
+  const side = typeof value === 'string' ? value.toUpperCase() : value
+  if (!SIDES.includes(side)) {
+    throw new Error(`invalid ${field} (${JSON.stringify(value)})`)
+  }
+  return side
+}
+
+function toConfidence(value) {
+  if (value === undefined || value === null || value === '') return null
+  const confidence = typeof value === 'string' ? value.toLowerCase() : value
+  if (!CONFIDENCE_LEVELS.includes(confidence)) {
+    throw new Error(`invalid confidence (${JSON.stringify(value)})`)
+  }
+  return confidence
+}
+
+function toReasoning(value) {
+  if (Array.isArray(value)) return value.filter(line => typeof line === 'string').join(' ')
+  return typeof value === 'string' ? value : ''
+}
+
+/**
+ * Copy a source object with the listed fields parsed as numbers
+ */
+function withNumbers(source, fields) {
+  const result = { ...source }
+  for (const field of fields) {
+    result[field] = toNumber(source[field], field)
+  }
+  return result
+}
+
+/**
+ * Shared indicator normalization (scalp, momentum, momentum_x, orderbook)
+ */
+function normalizeIndicator(type, strategy, message, numericFields, extra) {
+  const body = findLayer(message, layer => layer.side !== undefined)
+  if (!body) throw new Error('missing side')
+
+  const symbol = requireString(body.symbol || findSymbol(message), 'symbol')
+  const data = {
+    ...withNumbers(body, ['current_price', 'limit_price', 'tp_price', 'sl_price', ...numericFields]),
+    symbol,
+    side: toSide(body.side),
+    confidence: toConfidence(body.confidence),
+    reasoning: toReasoning(body.reasoning)
+  }
+  if (extra) extra(data, body)
+
+  return { type, symbol, strategy, timestamp: body.timestamp || findTimestamp(message), data }
+}
+
+/**
+ * Normalize one Auto Mode pick - malformed picks are dropped, not the whole broadcast
+ */
+function normalizePick(pick, list) {
+  try {
+    const symbol = requireString(pick?.symbol, 'symbol')
+    const entryZone = Array.isArray(pick.entry_zone) ? pick.entry_zone.map(price => requireNumber(price, 'entry_zone')) : []
+    if (entryZone.length !== 2) {
+      throw new Error('entry_zone must be [low, high]')
+    }
+
+    return {
+      ...withNumbers(pick, ['invalidation_price', 'take_profit', 'btc_score']),
+      symbol,
+      score: requireNumber(pick.score, 'score'),
+      entry_zone: entryZone,
+      reasoning: toReasoning(pick.reasoning),
+      structure: isObject(pick.structure) ? withNumbers(pick.structure, ['last_swing_low', 'last_swing_high']) : null
+    }
+  } catch (error) {
+    console.warn(`[WebSocketSchema] Dropping malformed ${list} pick:`, error.message, pick)
+    return null
+  }
+}
+
+/**
+ * Schema per server push message type
+ * strategy is the subscription the message belongs to (null for broadcasts)
+ */
+export const MESSAGE_SCHEMAS = {
+  summary: {
+    strategy: 'range_trading',
+    normalize(message) {
+      const body = findLayer(message, layer => isObject(layer.summary))
+      if (!body) throw new Error('missing summary')
+
+      const symbol = requireString(body.symbol || findSymbol(message), 'symbol')
+      const { entry } = body.summary
+      const data = {
+        ...withNumbers(body, ['tp_price', 'sl_price', 'risk_reward', 'confluence_score']),
+        symbol,
+        summary: {
+          ...body.summary,
+          entry: isObject(entry)
+            ? { ...entry, side: toSide(entry.side, 'entry.side'), price: toNumber(entry.price, 'entry.price'), reasoning: toReasoning(entry.reasoning) }
+            : null
+        }
+      }
+
+      return { type: 'summary', symbol, strategy: 'range_trading', timestamp: body.timestamp || findTimestamp(message), data }
+    }
+  },
+
+  scalp_indicator: {
+    strategy: 'scalp',
+    normalize: (message) => normalizeIndicator('scalp_indicator', 'scalp', message, ['ema_1min'])
+  },
+
+  momentum_indicator: {
+    strategy: 'momentum',
+    normalize: (message) => normalizeIndicator('momentum_indicator', 'momentum', message, ['confluence_score', 'rsi'], (data, body) => {
+      if (isObject(body.near_fib_level)) {
+        data.near_fib_level = withNumbers(body.near_fib_level, ['price', 'distance'])
+      }
+    })
+  },
+
+  momentum_x: {
+    strategy: 'momentum_x',
+    normalize: (message) => normalizeIndicator('momentum_x', 'momentum_x', message, ['atr', 'delta_acceleration', 'bid_ask_ratio', 'stacked_candles', 'volume_acceleration', 'layer_score'])
+  },
+
+  orderbook_signal: {
+    strategy: 'orderbook',
+    normalize: (message) => normalizeIndicator('orderbook_signal', 'orderbook', message, ['bias_score', 'cvd', 'obi', 'vwap_dev'], (data, body) => {
+      if (isObject(body.entry)) {
+        data.entry = {
+          ...withNumbers(body.entry, ['stop_loss', 'take_profit']),
+          trigger_zone: Array.isArray(body.entry.trigger_zone)
+            ? body.entry.trigger_zone.map(price => requireNumber(price, 'entry.trigger_zone'))
+            : []
+        }
+      }
+      if (isObject(body.spoof_detection)) {
+        data.spoof_detection = withNumbers(body.spoof_detection, ['recent_spoofs'])
+      }
+    })
+  },
+
+  portfolio_picks: {
+    strategy: null,
+    normalize(message) {
+      const body = findLayer(message, layer => Array.isArray(layer.top_longs) || Array.isArray(layer.top_shorts))
+      if (!body) throw new Error('missing top_longs/top_shorts')
+
+      const data = {
+        ...withNumbers(body, ['monitoring', 'update_interval']),
+        top_longs: (body.top_longs || []).map(pick => normalizePick(pick, 'long')).filter(Boolean),
+        top_shorts: (body.top_shorts || []).map(pick => normalizePick(pick, 'short')).filter(Boolean),
+        invalidated: Array.isArray(body.invalidated) ? body.invalidated.filter(symbol => typeof symbol === 'string') : []
+      }
+      data.monitoring = data.monitoring || 0
+
+      return { type: 'portfolio_picks', symbol: null, strategy: null, timestamp: body.timestamp || findTimestamp(message), data }
+    }
+  },
+
+  signal_status: {
+    strategy: null,
+    normalize(message) {
+      const body = findLayer(message, layer => layer.state !== undefined || layer.status !== undefined)
+      if (!body) throw new Error('missing state/status')
+
+      const symbol = requireString(body.symbol || findSymbol(message), 'symbol')
+      const data = {
+        ...withNumbers(body, ['score', 'invalidation_price', 'take_profit']),
+        symbol,
+        side: body.side === undefined || body.side === null ? null : toSide(body.side),
+        reasoning: toReasoning(body.reasoning)
+      }
+
+      return { type: 'signal_status', symbol, strategy: null, timestamp: body.timestamp || findTimestamp(message), data }
+    }
+  },
+
+  alert: {
+    strategy: null,
+    normalize(message) {
+      const body = findLayer(message, layer => layer.change_type !== undefined)
+      if (!body) throw new Error('missing change_type')
+
+      const data = {
+        ...body,
+        change_type: requireString(body.change_type, 'change_type'),
+        description: typeof body.description === 'string' ? body.description : ''
+      }
+
+      return { type: 'alert', symbol: findSymbol(message), strategy: null, timestamp: body.timestamp || findTimestamp(message), data }
+    }
+  }
+}
+
+/**
+ * Validate and normalize a server push message
+ * @param {Object} message - Parsed WebSocket message (must have a type with a schema)
+ * @returns {{ valid: boolean, message?: Object, error?: string }} Normalized envelope, or the rejection reason
+ */
+export function validateMessage(message) {
+  const schema = MESSAGE_SCHEMAS[message?.type]
+  if (!schema) {
+    return { valid: false, error: `no schema for message type "${message?.type}"` }
+  }
+
+  try {
+    return { valid: true, message: schema.normalize(message) }
+  } catch (error) {
+    return { valid: false, error: error.message }
+  }
+}
+
+export default validateMessage
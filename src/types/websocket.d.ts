@@ -35,6 +35,12 @@ export type ServerMessageType =
   | 'subscriptions'
   | 'pong'
   | 'summary'
+  | 'scalp_indicator'
+  | 'momentum_indicator'
+  | 'momentum_x'
+  | 'orderbook_signal'
+  | 'portfolio_picks'
+  | 'signal_status'
   | 'alert'
   | 'error'
 
@@ -187,19 +193,147 @@ export interface AggregatedSnapshot {
 // ============================================================================
 // Server Push Messages
 // ============================================================================
+// The server nests push payloads under fullMessage / message / payload / data
+// inconsistently. HopiumWebSocketClient validates every push message against
+// src/services/websocketSchema.js and hands handlers one normalized envelope:
+// side upper case, confidence lower case, numeric fields as numbers (null when
+// not sent), reasoning as a single string. Unknown fields pass through.
+
+export type Side = 'LONG' | 'SHORT' | 'NEUTRAL'
+export type Confidence = 'high' | 'medium' | 'low'
+
+/**
+ * Signal strategies a push message can belong to
+ */
+export type SignalStrategy = 'scalp' | 'momentum' | 'momentum_x' | 'orderbook' | 'range_trading'
+
+/**
+ * Normalized push message passed to handlers
+ */
+export interface NormalizedMessage<T extends string, D> {
+  type: T
+  symbol: string | null
+  strategy: SignalStrategy | null
+  timestamp: string | null
+  data: D
+}
+
+/**
+ * Normalized entry recommendation
+ */
+export interface NormalizedEntry extends Omit<EntryRecommendation, 'price' | 'side'> {
+  side: Side
+  price: number | null
+  reasoning: string
+}
 
 /**
- * Summary update message (pushed every 5 minutes or on significant change)
+ * Range trading summary data (pushed every 5 minutes or on significant change)
  */
-export interface SummaryMessage {
-  type: 'summary'
+export interface SummaryData {
   symbol: string
-  data: {
-    summary: LLMSummary
-    timestamp: string
-    symbol: string
-    previous_side?: string
+  summary: Omit<LLMSummary, 'entry'> & { entry: NormalizedEntry | null }
+  tp_price: number | null
+  sl_price: number | null
+  risk_reward: number | null
+  confluence_score: number | null
+  range_1h?: any
+  range_4h?: any
+  range_24h?: any
+  range_data?: any
+  previous_side?: string
+  [key: string]: any
+}
+
+/**
+ * Fields shared by every indicator message (scalp, momentum, momentum_x, orderbook)
+ */
+export interface IndicatorData {
+  symbol: string
+  side: Side
+  confidence: Confidence | null
+  current_price: number | null
+  limit_price: number | null
+  tp_price: number | null
+  sl_price: number | null
+  reasoning: string
+  [key: string]: any
+}
+
+export interface ScalpIndicatorData extends IndicatorData {
+  ema_1min: number | null
+}
+
+export interface MomentumIndicatorData extends IndicatorData {
+  confluence_score: number | null
+  rsi: number | null
+  near_fib_level?: { price: number | null; distance: number | null; [key: string]: any }
+}
+
+export interface MomentumXData extends IndicatorData {
+  atr: number | null
+  delta_acceleration: number | null
+  bid_ask_ratio: number | null
+  stacked_candles: number | null
+  volume_acceleration: number | null
+  layer_score: number | null
+}
+
+export interface OrderBookSignalData extends IndicatorData {
+  bias_score: number | null
+  cvd: number | null
+  obi: number | null
+  vwap_dev: number | null
+  entry?: {
+    trigger_zone: number[]
+    stop_loss: number | null
+    take_profit: number | null
+    [key: string]: any
   }
+  spoof_detection?: { recent_spoofs: number | null; [key: string]: any }
+}
+
+/**
+ * Auto Mode pick (malformed picks are dropped from the broadcast)
+ */
+export interface PortfolioPick {
+  symbol: string
+  side?: Side
+  score: number
+  entry_zone: [number, number]
+  invalidation_price: number | null
+  take_profit: number | null
+  btc_score: number | null
+  reasoning: string
+  structure: { last_swing_low: number | null; last_swing_high: number | null; [key: string]: any } | null
+  [key: string]: any
+}
+
+/**
+ * Auto Mode portfolio scanner broadcast
+ */
+export interface PortfolioPicksData {
+  top_longs: PortfolioPick[]
+  top_shorts: PortfolioPick[]
+  invalidated: string[]
+  monitoring: number
+  update_interval: number | null
+  [key: string]: any
+}
+
+/**
+ * Auto Mode signal state for one symbol
+ */
+export interface SignalStatusData {
+  symbol: string
+  state?: string
+  status?: string
+  side: Side | null
+  score: number | null
+  invalidation_price: number | null
+  take_profit: number | null
+  reasoning: string
+  [key: string]: any
 }
 
 /**
@@ -214,16 +348,31 @@ export type AlertChangeType =
   | 'sentiment_change'
 
 /**
- * Alert message (pushed immediately on significant change)
+ * Alert data (pushed immediately on significant change)
  */
-export interface AlertMessage {
-  type: 'alert'
-  symbol: string
-  data: {
-    change_type: AlertChangeType
-    description: string
-    timestamp: string
-  }
+export interface AlertData {
+  change_type: AlertChangeType
+  description: string
+  timestamp?: string
+  [key: string]: any
+}
+
+export type SummaryMessage = NormalizedMessage<'summary', SummaryData>
+export type ScalpIndicatorMessage = NormalizedMessage<'scalp_indicator', ScalpIndicatorData>
+export type MomentumIndicatorMessage = NormalizedMessage<'momentum_indicator', MomentumIndicatorData>
+export type MomentumXMessage = NormalizedMessage<'momentum_x', MomentumXData>
+export type OrderBookSignalMessage = NormalizedMessage<'orderbook_signal', OrderBookSignalData>
+export type PortfolioPicksMessage = NormalizedMessage<'portfolio_picks', PortfolioPicksData>
+export type SignalStatusMessage = NormalizedMessage<'signal_status', SignalStatusData>
+export type AlertMessage = NormalizedMessage<'alert', AlertData>
+
+/**
+ * Push messages rejected by the schema (see HopiumWebSocketClient.getMessageStats())
+ */
+export interface MessageStats {
+  received: number
+  rejected: number
+  rejectedByType: Partial<Record<ServerMessageType, number>>
 }
 
 /**
@@ -259,6 +408,12 @@ export type ServerMessage =
   | SubscriptionsResponse
   | PongResponse
   | SummaryMessage
+  | ScalpIndicatorMessage
+  | MomentumIndicatorMessage
+  | MomentumXMessage
+  | OrderBookSignalMessage
+  | PortfolioPicksMessage
+  | SignalStatusMessage
   | AlertMessage
   | ErrorMessage
 
@@ -266,8 +421,14 @@ export type ServerMessage =
 // Event Handler Types
 // ============================================================================
 
-export type SummaryHandler = (data: SummaryMessage['data']) => void
-export type AlertHandler = (data: AlertMessage['data']) => void
+export type SummaryHandler = (message: SummaryMessage) => void
+export type ScalpIndicatorHandler = (message: ScalpIndicatorMessage) => void
+export type MomentumIndicatorHandler = (message: MomentumIndicatorMessage) => void
+export type MomentumXHandler = (message: MomentumXMessage) => void
+export type OrderBookSignalHandler = (message: OrderBookSignalMessage) => void
+export type PortfolioPicksHandler = (message: PortfolioPicksMessage) => void
+export type SignalStatusHandler = (message: SignalStatusMessage) => void
+export type AlertHandler = (message: AlertMessage) => void
 export type ErrorHandler = (error: ErrorMessage) => void
 export type ConnectionHandler = () => void
 export type DisconnectionHandler = (event: CloseEvent) => void